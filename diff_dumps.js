@@ -0,0 +1,656 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createDumpReader } = require('./lib/dump_source');
+const { STDIO } = require('./lib/compression');
+const { ProgressReporter } = require('./lib/progress_reporter');
+const ScriptWriter = require('./lib/script_writer');
+const StatementSplitter = require('./lib/statement_splitter');
+const SchemaCatalog = require('./lib/schema_catalog');
+const { ValueFormatter, quoteLiteral } = require('./lib/value_formatter');
+const { createStatementWriter } = require('./lib/statement_writers');
+const { findConflictKey } = require('./lib/conflict_strategy');
+const { writableColumns } = require('./lib/column_kinds');
+const { decodeCopyField } = require('./lib/copy_format');
+const { objectKey, qualifiedName, quoteIdentifier, unquoteIdentifier } = require('./lib/identifiers');
+const { ObjectFilter, filterConfigFromArgs } = require('./lib/object_filter');
+const { orderTables } = require('./lib/dependency_graph');
+const { sortLines, compareKeys } = require('./lib/external_sort');
+const { readLines } = require('./lib/line_reader');
+const { parseArgs, parseSize, parsePositiveInt, parseList } = require('./lib/cli_args');
+const { createLogger, stderrLogger } = require('./lib/logger');
+
+const DIFF_MODES = ['insert', 'batch'];
+const DIFF_FK_STRATEGIES = ['order', 'replica'];
+
+/**
+ * Interpreta as chaves informadas por tabela (tabela:coluna ou tabela:col1+col2)
+ * @param {Array<string>} entries - Entradas tabela:colunas
+ * @returns {Map<string, Array<string>>} Colunas da chave (sem aspas) por chave da tabela
+ */
+function parseKeyColumns(entries) {
+    const keys = new Map();
+    for (const entry of entries) {
+        const separator = entry.lastIndexOf(':');
+        if (separator <= 0 || separator === entry.length - 1) {
+            throw new Error(`Chave inválida: ${entry} (use tabela:coluna ou tabela:col1+col2)`);
+        }
+        keys.set(objectKey(entry.slice(0, separator)), entry.slice(separator + 1).split('+').map(unquoteIdentifier));
+    }
+    return keys;
+}
+
+/**
+ * Compara dois dumps e gera o script de migração (INSERT, UPDATE e DELETE) que leva o
+ * banco do dump antigo ao estado do dump novo. As linhas são casadas pela chave primária
+ * do dump (ou pela informada em keys); os dados de cada tabela são copiados para arquivos
+ * temporários e ordenados pela chave com ordenação externa, para que nenhum dos dumps
+ * precise caber em memória.
+ */
+class DumpDiff {
+    /**
+     * @param {string} oldDump - Dump antigo (estado atual do banco de destino)
+     * @param {string} newDump - Dump novo (estado desejado)
+     * @param {Object} [options] - Opções da comparação
+     * @param {string} [options.mode='insert'] - Escrita dos INSERT: insert (uma linha por comando) ou batch
+     * @param {number} [options.batchSize=1000] - Linhas por INSERT no modo batch
+     * @param {number} [options.maxStatementBytes=1048576] - Tamanho máximo de cada INSERT no modo batch
+     * @param {Map<string, Array<string>>} [options.keys] - Colunas da chave por tabela, no lugar da chave primária do dump
+     * @param {Object} [options.filters={}] - Filtros de schemas, tabelas e colunas (ver ObjectFilter)
+     * @param {number} [options.memoryBytes=67108864] - Memória de cada lote da ordenação externa
+     * @param {string} [options.fkStrategy='order'] - Foreign keys: order (ordem de dependência, constraints adiadas) ou replica
+     * @param {string|null} [options.encoding=null] - Codificação dos dois dumps; null usa o SET client_encoding de cada um
+     * @param {Object|null} [options.logger] - Logger das mensagens (info, warn, error); null silencia, o padrão é o console
+     */
+    constructor(oldDump, newDump, options = {}) {
+        this.oldDump = oldDump;
+        this.newDump = newDump;
+        this.options = {
+            mode: 'insert',
+            batchSize: 1000,
+            maxStatementBytes: 1024 * 1024,
+            keys: new Map(),
+            filters: {},
+            memoryBytes: 64 * 1024 * 1024,
+            fkStrategy: 'order',
+            encoding: null,
+            ...options
+        };
+        if (!DIFF_MODES.includes(this.options.mode)) {
+            throw new Error(`Modo de saída inválido: ${this.options.mode} (use ${DIFF_MODES.join(', ')})`);
+        }
+        if (!DIFF_FK_STRATEGIES.includes(this.options.fkStrategy)) {
+            throw new Error(`Estratégia de foreign keys inválida: ${this.options.fkStrategy} (use ${DIFF_FK_STRATEGIES.join(', ')})`);
+        }
+        this.filter = new ObjectFilter(this.options.filters);
+        this.logger = createLogger(this.options.logger);
+        this.summary = [];
+        this.errors = [];
+    }
+
+    /**
+     * Lê um dump, montando o catálogo a partir do DDL e copiando as linhas de cada
+     * tabela para arquivos temporários
+     * @param {string} dumpFile - Arquivo do dump
+     * @param {string} label - Prefixo dos arquivos temporários (old ou new)
+     * @param {string} tempDir - Diretório dos arquivos temporários
+     * @returns {Promise<{catalog: SchemaCatalog, formatter: ValueFormatter, tables: Map<string, Object>}>} Catálogo e tabelas lidas
+     */
+    async spool(dumpFile, label, tempDir) {
+        this.logger.info(`Lendo ${label === 'old' ? 'dump antigo' : 'dump novo'}: ${dumpFile}`);
+        const catalog = new SchemaCatalog();
+        const splitter = new StatementSplitter();
+        const tables = new Map();
+        const reader = createDumpReader(dumpFile, { filter: this.filter, encoding: this.options.encoding });
+        const invalidRows = new Map();
+        const progress = new ProgressReporter({ totalBytes: reader.size(), log: message => this.logger.info(message) });
+        reader.progress = progress;
+        let output = null;
+        let entry = null;
+
+        for await (const event of reader.events()) {
+            if (event.type === 'line') {
+                for (const statement of splitter.push(event.line, event.lineNumber)) {
+                    try {
+                        catalog.addStatement(statement.sql);
+                    } catch (error) {
+                        this.errors.push(`Erro ao interpretar DDL na linha ${statement.lineNumber} de ${dumpFile}: ${error.message}`);
+                    }
+                }
+            } else if (event.type === 'copyStart') {
+                const key = objectKey(event.table);
+                entry = tables.get(key);
+                if (!entry) {
+                    entry = { table: event.table, columns: event.columns, names: event.columns.map(unquoteIdentifier), files: [], rows: 0 };
+                    tables.set(key, entry);
+                } else if (event.columns.join(',') !== entry.columns.join(',')) {
+                    this.errors.push(`Tabela ${event.table}: blocos COPY com colunas diferentes em ${dumpFile}; o bloco da linha ${event.lineNumber} foi ignorado`);
+                    entry = null;
+                    continue;
+                }
+                const file = path.join(tempDir, `${label}-${tables.size}-${entry.files.length}.copy`);
+                entry.files.push(file);
+                output = ScriptWriter.toFile(file);
+            } else if (event.type === 'row' && output) {
+                await output.writeLine(event.line);
+                entry.rows++;
+                if (event.invalid) {
+                    invalidRows.set(entry.table, (invalidRows.get(entry.table) || 0) + 1);
+                }
+            } else if (event.type === 'copyEnd') {
+                if (event.unterminated) {
+                    this.errors.push(`Bloco COPY da tabela ${event.table} não terminado em ${dumpFile} (linha ${event.lineNumber})`);
+                }
+                if (output) {
+                    await output.end();
+                    output = null;
+                }
+            }
+        }
+
+        progress.finish();
+        invalidRows.forEach((count, table) => {
+            this.errors.push(`Tabela ${table}: ${count} registros de ${dumpFile} com bytes não convertidos (${reader.decoding.encoding}), trocados por U+FFFD`);
+        });
+        return { catalog, formatter: new ValueFormatter(catalog), tables };
+    }
+
+    /**
+     * Formata um valor para o SQL pelo tipo da coluna; sem DDL no dump, deduz pelo conteúdo
+     * @param {string} field - Campo do COPY, ainda codificado
+     * @param {Object|undefined} column - Definição da coluna no catálogo
+     * @param {ValueFormatter} formatter - Formatador do catálogo da coluna
+     * @returns {string} Valor formatado para SQL
+     */
+    formatField(field, column, formatter) {
+        const value = decodeCopyField(field);
+        if (column && column.type) {
+            return formatter.format(value, column);
+        }
+        if (value === null) {
+            return 'NULL';
+        }
+        return /^-?\d+(\.\d+)?$/.test(value) ? value : quoteLiteral(value);
+    }
+
+    /**
+     * Descarta as linhas repetidas de uma chave (a primeira é mantida), contando-as
+     * @param {AsyncIterable<{key: string, line: string}>} rows - Linhas ordenadas pela chave
+     * @param {Object} stats - Contadores da tabela ({ duplicates })
+     * @returns {AsyncGenerator<{key: string, fields: Array<string>}>} Linhas com os campos separados
+     */
+    async *distinctRows(rows, stats) {
+        let previous = null;
+        for await (const { key, line } of rows) {
+            if (key === previous) {
+                stats.duplicates++;
+                continue;
+            }
+            previous = key;
+            // Tabs dentro dos valores são escritos como \t no COPY: o split separa os campos
+            yield { key, fields: line.split('\t') };
+        }
+    }
+
+    /**
+     * Compara os dados de uma tabela nos dois dumps, escrevendo os DELETE em um arquivo
+     * temporário e os INSERT e UPDATE em outro. As colunas geradas ficam fora dos INSERT e
+     * UPDATE, como no extrator; identity GENERATED ALWAYS entra nos INSERT com OVERRIDING
+     * SYSTEM VALUE e fica fora dos UPDATE, que o PostgreSQL recusaria.
+     *
+     * As foreign keys adiadas (ciclos e autorreferências, ver tableOrder) são desligadas
+     * antes de qualquer DELETE nas linhas removidas e alteradas, entram como NULL nos
+     * INSERT e recebem o valor do dump novo por UPDATE no fim do script.
+     * @param {string} key - Chave da tabela
+     * @param {Object} before - Dump antigo (resultado de spool)
+     * @param {Object} after - Dump novo (resultado de spool)
+     * @param {string} tempDir - Diretório dos arquivos temporários
+     * @param {Set<string>} [deferredNames] - Colunas das foreign keys adiadas da tabela
+     * @returns {Promise<Object|null>} Arquivos e contagens da tabela, ou null se não foi comparada
+     */
+    async diffTable(key, before, after, tempDir, deferredNames = new Set()) {
+        const oldEntry = before.tables.get(key);
+        const newEntry = after.tables.get(key);
+        const table = newEntry.table;
+        const tableDef = after.catalog.tables[key] || (oldEntry && before.catalog.tables[key]);
+        const common = oldEntry ? newEntry.names.filter(name => oldEntry.names.includes(name)) : newEntry.names;
+
+        let keyColumns = null;
+        if (oldEntry) {
+            keyColumns = this.options.keys.get(key) || findConflictKey(tableDef, common);
+            if (!keyColumns) {
+                this.errors.push(`Tabela ${table}: sem chave primária ou UNIQUE no dump; informe a chave com --key=${table}:coluna`);
+                return null;
+            }
+            const missing = keyColumns.filter(name => !common.includes(name));
+            if (missing.length > 0) {
+                this.errors.push(`Tabela ${table}: colunas da chave ausentes em um dos dumps (${missing.join(', ')})`);
+                return null;
+            }
+            if (common.length !== newEntry.names.length || common.length !== oldEntry.names.length) {
+                this.errors.push(`Tabela ${table}: colunas diferentes entre os dumps; apenas as comuns são comparadas e o script não altera a estrutura`);
+            }
+        } else if (deferredNames.size > 0) {
+            keyColumns = this.options.keys.get(key) || findConflictKey(tableDef, newEntry.names);
+            if (!keyColumns || keyColumns.some(name => !newEntry.names.includes(name))) {
+                this.errors.push(`Tabela ${table}: sem chave primária ou UNIQUE no dump, foreign keys em ciclo não foram adiadas`);
+                keyColumns = null;
+            }
+        }
+
+        const result = {
+            table,
+            deletes: path.join(tempDir, `delete-${this.summary.length}.sql`),
+            changes: path.join(tempDir, `change-${this.summary.length}.sql`),
+            detaches: null,
+            restores: null,
+            added: 0,
+            changed: 0,
+            removed: 0,
+            detached: 0,
+            restored: 0
+        };
+        const deletes = ScriptWriter.toFile(result.deletes);
+        const changes = ScriptWriter.toFile(result.changes);
+        const inserts = createStatementWriter(this.options.mode, changes, {
+            batchSize: this.options.batchSize,
+            maxStatementBytes: this.options.maxStatementBytes
+        });
+        const newDefs = after.catalog.getColumns(table, newEntry.columns);
+        const newField = (fields, i) => this.formatField(fields[i], newDefs[i], after.formatter);
+        const newKey = keyColumns ? keyColumns.map(name => newEntry.names.indexOf(name)) : [];
+        const condition = (fields, indexes, format) => keyColumns
+            .map((name, k) => `${quoteIdentifier(name)} = ${format(fields, indexes[k])}`)
+            .join(' AND ');
+        const writable = writableColumns(newEntry.columns, newDefs);
+        const inserted = writable.keep || newEntry.columns.map((column, i) => i);
+
+        // Foreign keys adiadas: desligadas (NULL) antes dos DELETE e restauradas no fim
+        const deferred = keyColumns
+            ? [...deferredNames].filter(name => newEntry.names.includes(name) && !keyColumns.includes(name))
+            : [];
+        let detaches = null;
+        let restores = null;
+        if (deferred.length > 0) {
+            result.detaches = path.join(tempDir, `detach-${this.summary.length}.sql`);
+            result.restores = path.join(tempDir, `restore-${this.summary.length}.sql`);
+            detaches = ScriptWriter.toFile(result.detaches);
+            restores = ScriptWriter.toFile(result.restores);
+        }
+        const isDeferred = name => deferred.includes(name);
+        const detach = async (names, where) => {
+            await detaches.writeLine(`UPDATE ${table} SET ${names.map(name => `${quoteIdentifier(name)} = NULL`).join(', ')} WHERE ${where};`);
+            result.detached++;
+        };
+        const restore = async (assignments, where) => {
+            await restores.writeLine(`UPDATE ${table} SET ${assignments.join(', ')} WHERE ${where};`);
+            result.restored++;
+        };
+        const insertRow = async fields => {
+            const linked = deferred
+                .map(name => newEntry.names.indexOf(name))
+                .filter(i => fields[i] !== '\\N');
+            if (linked.length > 0) {
+                await restore(linked.map(i => `${quoteIdentifier(newEntry.names[i])} = ${newField(fields, i)}`), condition(fields, newKey, newField));
+                fields = fields.map((field, i) => (linked.includes(i) ? '\\N' : field));
+            }
+            await inserts.writeRow({ line: null, values: null, sqlValues: inserted.map(i => newField(fields, i)) });
+        };
+        if (writable.generated.length > 0) {
+            await changes.writeLine(`-- Colunas geradas calculadas pelo banco: ${writable.generated.join(', ')}`);
+        }
+        await inserts.startTable(table, writable.columns, { conflictClause: '', overriding: writable.overriding });
+
+        if (!oldEntry) {
+            for (const file of newEntry.files) {
+                for await (const { text } of readLines(file)) {
+                    await insertRow(text.split('\t'));
+                    result.added++;
+                }
+            }
+        } else {
+            const oldDefs = before.catalog.getColumns(oldEntry.table, oldEntry.columns);
+            const oldField = (fields, i) => this.formatField(fields[i], oldDefs[i], before.formatter);
+            const oldKey = keyColumns.map(name => oldEntry.names.indexOf(name));
+            const compared = common
+                .filter(name => !keyColumns.includes(name))
+                .map(name => ({ name, oldIndex: oldEntry.names.indexOf(name), newIndex: newEntry.names.indexOf(name) }))
+                .filter(column => !(newDefs[column.newIndex] && newDefs[column.newIndex].generated));
+            const isIdentity = column => Boolean(newDefs[column.newIndex] && newDefs[column.newIndex].identity === 'always');
+            const identity = compared.filter(isIdentity);
+            const updated = compared.filter(column => !isIdentity(column) && !isDeferred(column.name));
+            const references = compared.filter(column => isDeferred(column.name));
+            const oldReferences = deferred.filter(name => oldEntry.names.includes(name));
+            let identityChanges = 0;
+            const keyOf = indexes => line => {
+                const fields = line.split('\t');
+                return indexes.map(i => fields[i]).join('\t');
+            };
+            const sortOptions = { tempDir, memoryBytes: this.options.memoryBytes };
+            const oldStats = { duplicates: 0 };
+            const newStats = { duplicates: 0 };
+            const oldRows = this.distinctRows(sortLines(oldEntry.files, keyOf(oldKey), sortOptions), oldStats)[Symbol.asyncIterator]();
+            const newRows = this.distinctRows(sortLines(newEntry.files, keyOf(newKey), sortOptions), newStats)[Symbol.asyncIterator]();
+
+            let a = await oldRows.next();
+            let b = await newRows.next();
+            while (!a.done || !b.done) {
+                const order = a.done ? 1 : b.done ? -1 : compareKeys(a.value.key, b.value.key);
+                if (order < 0) {
+                    const attached = oldReferences.filter(name => a.value.fields[oldEntry.names.indexOf(name)] !== '\\N');
+                    if (attached.length > 0) {
+                        await detach(attached, condition(a.value.fields, oldKey, oldField));
+                    }
+                    await deletes.writeLine(`DELETE FROM ${table} WHERE ${condition(a.value.fields, oldKey, oldField)};`);
+                    result.removed++;
+                    a = await oldRows.next();
+                } else if (order > 0) {
+                    await insertRow(b.value.fields);
+                    result.added++;
+                    b = await newRows.next();
+                } else {
+                    const differs = column => a.value.fields[column.oldIndex] !== b.value.fields[column.newIndex];
+                    const assignments = updated
+                        .filter(differs)
+                        .map(column => `${quoteIdentifier(column.name)} = ${newField(b.value.fields, column.newIndex)}`);
+                    if (identity.some(differs)) {
+                        identityChanges++;
+                    }
+                    const where = condition(b.value.fields, newKey, newField);
+                    const moved = references.filter(differs);
+                    const detached = moved.filter(column => a.value.fields[column.oldIndex] !== '\\N');
+                    const restored = moved.filter(column => b.value.fields[column.newIndex] !== '\\N');
+                    if (detached.length > 0) {
+                        await detach(detached.map(column => column.name), where);
+                    }
+                    if (restored.length > 0) {
+                        await restore(restored.map(column => `${quoteIdentifier(column.name)} = ${newField(b.value.fields, column.newIndex)}`), where);
+                    }
+                    if (assignments.length > 0) {
+                        await changes.writeLine(`UPDATE ${table} SET ${assignments.join(', ')} WHERE ${where};`);
+                    }
+                    if (assignments.length > 0 || moved.length > 0) {
+                        result.changed++;
+                    }
+                    a = await oldRows.next();
+                    b = await newRows.next();
+                }
+            }
+
+            if (identityChanges > 0) {
+                this.errors.push(`Tabela ${table}: ${identityChanges} registros com colunas identity GENERATED ALWAYS alteradas; o UPDATE não muda essas colunas (o PostgreSQL não aceita)`);
+            }
+            [[oldStats, 'antigo'], [newStats, 'novo']].forEach(([stats, label]) => {
+                if (stats.duplicates > 0) {
+                    this.errors.push(`Tabela ${table}: ${stats.duplicates} linhas com chave repetida no dump ${label} foram ignoradas`);
+                }
+            });
+        }
+
+        await inserts.endTable();
+        await deletes.end();
+        await changes.end();
+        if (detaches) {
+            await detaches.end();
+            await restores.end();
+        }
+        return result;
+    }
+
+    /**
+     * Ordem das tabelas pelas foreign keys do dump novo; os DELETE são escritos na ordem
+     * inversa. Com a estratégia order, as foreign keys em ciclo ou autorreferentes que não
+     * são DEFERRABLE são adiadas como na conversão (ver diffTable): SET CONSTRAINTS ALL
+     * DEFERRED não alcança essas constraints.
+     * @param {Object} after - Dump novo (resultado de spool)
+     * @returns {{order: Array<string>, deferred: Map<string, Set<string>>}} Chaves das tabelas e colunas adiadas por tabela
+     */
+    tableOrder(after) {
+        const tables = [...after.tables.keys()];
+        const foreignKeys = tables.flatMap(key => {
+            const table = after.catalog.tables[key];
+            return table ? table.foreignKeys.map(fk => ({ table: key, fk })) : [];
+        });
+        const { order, deferred, cycles } = orderTables(tables, foreignKeys);
+        cycles.forEach(members => {
+            this.logger.info(`Ciclo de foreign keys: ${members.join(' → ')}`);
+        });
+
+        const deferredColumns = new Map();
+        if (this.options.fkStrategy !== 'order') {
+            return { order, deferred: deferredColumns };
+        }
+        for (const { table: key, fk } of deferred) {
+            if (fk.deferrable) continue;
+            const table = after.catalog.tables[key];
+            const nullable = fk.columns.every(name => {
+                const column = table.columns.find(col => col.name === name);
+                return !column || column.nullable;
+            });
+            if (!nullable) {
+                this.errors.push(`Foreign key ${fk.name || fk.columns.join(', ')} de ${key} faz parte de um ciclo e não pode ser adiada (não é DEFERRABLE e a coluna é NOT NULL); use --fk-strategy=replica`);
+                continue;
+            }
+            if (!deferredColumns.has(key)) {
+                deferredColumns.set(key, new Set());
+            }
+            fk.columns.forEach(name => deferredColumns.get(key).add(name));
+        }
+        return { order, deferred: deferredColumns };
+    }
+
+    /**
+     * Copia as linhas de um arquivo temporário para o script
+     * @param {ScriptWriter} writer - Destino do script
+     * @param {string} file - Arquivo temporário
+     */
+    async appendFile(writer, file) {
+        for await (const { text } of readLines(file)) {
+            await writer.writeLine(text);
+        }
+    }
+
+    /**
+     * Compara os dumps e salva o script de migração
+     * @param {string} outputFile - Caminho do script de saída
+     * @returns {Promise<Array<Object>>} Resumo por tabela ({ table, added, changed, removed })
+     */
+    async saveScript(outputFile) {
+        const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dump-processor-diff-'));
+        try {
+            const before = await this.spool(this.oldDump, 'old', tempDir);
+            const after = await this.spool(this.newDump, 'new', tempDir);
+
+            for (const [key, entry] of before.tables) {
+                if (!after.tables.has(key)) {
+                    this.errors.push(`Tabela ${entry.table} ausente no dump novo: as linhas não foram removidas`);
+                }
+            }
+
+            this.logger.info('Comparando tabelas...');
+            const { order, deferred } = this.tableOrder(after);
+            for (const key of order) {
+                const result = await this.diffTable(key, before, after, tempDir, deferred.get(key));
+                if (result) {
+                    this.summary.push(result);
+                }
+            }
+
+            const writer = ScriptWriter.toFile(outputFile);
+            await writer.writeLines(this.scriptHeader());
+            const detached = this.summary.reduce((total, result) => total + result.detached, 0);
+            if (detached > 0) {
+                await writer.writeLine(`-- Desligar referências em ciclo antes das remoções: ${detached} registros`);
+                for (const result of this.summary) {
+                    if (result.detached > 0) await this.appendFile(writer, result.detaches);
+                }
+                await writer.writeLine('');
+            }
+            for (const result of [...this.summary].reverse()) {
+                if (result.removed > 0) {
+                    await writer.writeLine(`-- Remover de ${result.table}: ${result.removed} registros`);
+                    await this.appendFile(writer, result.deletes);
+                    await writer.writeLine('');
+                }
+            }
+            for (const result of this.summary) {
+                if (result.added + result.changed > 0) {
+                    await writer.writeLine(`-- Inserir e atualizar em ${result.table}: ${result.added} novos, ${result.changed} alterados`);
+                    await this.appendFile(writer, result.changes);
+                    await writer.writeLine('');
+                }
+            }
+            const restored = this.summary.reduce((total, result) => total + result.restored, 0);
+            if (restored > 0) {
+                await writer.writeLine(`-- Restaurar referências adiadas (foreign keys em ciclo): ${restored} registros`);
+                for (const result of this.summary) {
+                    if (result.restored > 0) await this.appendFile(writer, result.restores);
+                }
+                await writer.writeLine('');
+            }
+            await writer.writeLines(this.scriptFooter(after));
+            await writer.end();
+        } finally {
+            fs.rmSync(tempDir, { recursive: true, force: true });
+        }
+
+        this.logger.info(`Script salvo em: ${outputFile}`);
+        return this.summary;
+    }
+
+    /**
+     * Cabeçalho do script: origem, resumo por tabela e início da transação
+     * @returns {Array<string>} Linhas do cabeçalho
+     */
+    scriptHeader() {
+        const script = [];
+        script.push('-- Script de Migração entre Dumps (INSERT, UPDATE e DELETE)');
+        script.push(`-- Dump antigo: ${this.oldDump}`);
+        script.push(`-- Dump novo: ${this.newDump}`);
+        script.push('-- Data: ' + new Date().toISOString());
+        this.filter.describe().forEach(line => {
+            script.push(`-- Filtro ${line}`);
+        });
+        script.push('-- Resumo (novos / alterados / removidos):');
+        this.summary.forEach(({ table, added, changed, removed }) => {
+            script.push(`--   ${table}: +${added} ~${changed} -${removed}`);
+        });
+        script.push('');
+        script.push('BEGIN;');
+        if (this.options.fkStrategy === 'replica') {
+            script.push('SET session_replication_role = replica;');
+        } else {
+            script.push('-- Remoções dos filhos para os pais; inserções dos pais para os filhos');
+            script.push('SET CONSTRAINTS ALL DEFERRED;');
+        }
+        script.push('');
+        return script;
+    }
+
+    /**
+     * Rodapé do script: sequences do dump novo, fim da transação e avisos
+     * @param {Object} after - Dump novo (resultado de spool)
+     * @returns {Array<string>} Linhas do rodapé
+     */
+    scriptFooter(after) {
+        const script = [];
+        const sequences = Object.values(after.catalog.sequences)
+            .filter(sequence => sequence.value !== null && this.filter.includesSequence(sequence));
+        if (sequences.length > 0) {
+            script.push('-- Restaurar sequences com os valores do dump novo');
+            sequences.forEach(sequence => {
+                script.push(`SELECT pg_catalog.setval(${quoteLiteral(qualifiedName(sequence.schema, sequence.name))}, ${sequence.value}, ${sequence.isCalled});`);
+            });
+            script.push('');
+        }
+        if (this.options.fkStrategy === 'replica') {
+            script.push('SET session_replication_role = DEFAULT;');
+        }
+        script.push('COMMIT;');
+        script.push('');
+
+        if (this.errors.length > 0) {
+            script.push('-- AVISOS:');
+            this.errors.forEach(error => {
+                script.push(`-- ${error}`);
+            });
+            script.push('');
+        }
+        return script;
+    }
+}
+
+/**
+ * Função principal para execução do script
+ */
+async function main() {
+    const { positional: args, options } = parseArgs(process.argv.slice(2));
+
+    if (args.length < 2) {
+        console.log('Uso: node diff_dumps.js <dump_antigo> <dump_novo> [arquivo_saida] [opções]');
+        console.log('Gera o script com os INSERT, UPDATE e DELETE que levam o banco do dump antigo ao do dump novo');
+        console.log('Os dumps podem ser SQL (plain, compactado ou não), custom (pg_dump -Fc) ou diretório (pg_dump -Fd)');
+        console.log('Opções:');
+        console.log('  --key=tabela:coluna           Chave usada para casar as linhas (padrão: chave primária ou UNIQUE do dump);');
+        console.log('                                chaves compostas com +, várias tabelas separadas por vírgula (ex.: itens:pedido+linha)');
+        console.log('  --mode=insert|batch           Escrita dos INSERT (padrão: insert)');
+        console.log('  --batch-size=N                Linhas por INSERT no modo batch (padrão: 1000)');
+        console.log('  --fk-strategy=order|replica   Foreign keys: ordem de dependência com constraints adiadas (padrão) ou session_replication_role');
+        console.log('  --memory=TAMANHO              Memória de cada lote da ordenação externa (padrão: 64m)');
+        console.log('  --encoding=LATIN1             Codificação dos dumps (padrão: o SET client_encoding de cada dump)');
+        console.log('  --include-schema, --exclude-schema, --include-table, --exclude-table, --include-column,');
+        console.log('  --exclude-column, --filter-file  Filtros, como em extract_inserts_advanced.js');
+        console.log('Exemplo: node diff_dumps.js dump_ontem.sql.gz dump_hoje.sql.gz migracao.sql');
+        process.exit(1);
+    }
+
+    const [oldDump, newDump] = args;
+    const outputFile = args[2] || 'diff_migration.sql';
+    for (const dumpFile of [oldDump, newDump]) {
+        if (dumpFile === STDIO) {
+            console.error('Os dumps comparados precisam ser arquivos (a stdin não pode ser lida duas vezes)');
+            process.exit(1);
+        }
+        if (!fs.existsSync(dumpFile)) {
+            console.error(`Arquivo não encontrado: ${dumpFile}`);
+            process.exit(1);
+        }
+    }
+    // Com o script na stdout, as mensagens vão para a saída de erro
+    const logger = outputFile === STDIO ? stderrLogger : createLogger();
+
+    try {
+        const diff = new DumpDiff(oldDump, newDump, {
+            mode: options.mode || 'insert',
+            batchSize: options.batchSize ? parsePositiveInt(options.batchSize, 'batch-size') : 1000,
+            keys: parseKeyColumns(parseList(options.key)),
+            filters: filterConfigFromArgs(options),
+            memoryBytes: options.memory ? parseSize(options.memory) : 64 * 1024 * 1024,
+            fkStrategy: options.fkStrategy || 'order',
+            encoding: options.encoding || null,
+            logger
+        });
+        const summary = await diff.saveScript(outputFile);
+
+        logger.info('\n✅ Comparação concluída!');
+        logger.info('Tabela: novos / alterados / removidos');
+        summary.forEach(({ table, added, changed, removed }) => {
+            logger.info(`  ${table}: +${added} ~${changed} -${removed}`);
+        });
+        if (diff.errors.length > 0) {
+            logger.info('\n⚠️  Avisos:');
+            diff.errors.forEach(error => logger.info(`  - ${error}`));
+        }
+    } catch (error) {
+        console.error('❌ Erro:', error.message);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = DumpDiff;
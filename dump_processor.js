@@ -0,0 +1,609 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const DumpExtractor = require('./extract_inserts');
+const AdvancedDumpExtractor = require('./extract_inserts_advanced');
+const { STDIO } = require('./lib/compression');
+const DumpIndex = require('./lib/dump_index');
+const { formatBytes } = require('./lib/progress_reporter');
+const { parseArgs, toCamelCase } = require('./lib/cli_args');
+const { parseConflictTables } = require('./lib/conflict_strategy');
+const { filterConfigFromArgs } = require('./lib/object_filter');
+const { EXPORT_FORMATS } = require('./lib/exporters');
+const { detectLanguage, createTranslator } = require('./lib/cli_messages');
+const { consoleLogger, stderrLogger } = require('./lib/logger');
+const {
+    COMMANDS,
+    CONFIG_FILES,
+    GLOBAL_OPTIONS,
+    UsageError,
+    flagNames,
+    commandOptions,
+    findConfigFile,
+    loadConfig,
+    configOptions,
+    resolveOptions
+} = require('./lib/cli_options');
+
+const VERSION = '1.0.0';
+
+/**
+ * Códigos de saída do CLI
+ */
+const EXIT_CODES = {
+    OK: 0,
+    ERROR: 1,
+    INVALID_DATA: 2,
+    USAGE: 64,
+    NO_INPUT: 66
+};
+
+// Opções que o motor básico (DumpExtractor) entende
+const BASIC_OPTIONS = [
+    'basic', 'format', 'mode', 'batchSize', 'maxStatementBytes', 'sequenceHeuristic',
+    'includeSchema', 'excludeSchema', 'includeTable', 'excludeTable', 'includeColumn', 'excludeColumn',
+    'filterFile', 'encoding', 'mapping', 'targetSchema', 'fkStrategy', 'lang'
+];
+
+// Estratégias de foreign keys do motor básico, que não ordena as tabelas
+const BASIC_FK_STRATEGIES = ['triggers', 'none'];
+
+// Tamanho máximo dos valores exibidos pelo inspect (amostras e ocorrências da busca)
+const MAX_DISPLAY_LENGTH = 80;
+
+// Caracteres de controle exibidos como no COPY, para manter cada valor numa linha
+const DISPLAY_ESCAPES = { '\n': '\\n', '\r': '\\r', '\t': '\\t' };
+
+/**
+ * Formata um valor das linhas do dump para exibição: NULL para nulos, quebras de linha e
+ * tabulações escapadas e valores longos cortados
+ * @param {string|null} value - Valor do campo
+ * @returns {string} Valor exibido
+ */
+function displayValue(value) {
+    if (value === null) return 'NULL';
+    const text = value.replace(/[\n\r\t]/g, char => DISPLAY_ESCAPES[char]);
+    return text.length > MAX_DISPLAY_LENGTH ? `${text.slice(0, MAX_DISPLAY_LENGTH - 1)}…` : text;
+}
+
+/**
+ * CLI unificado: subcomandos convert, export, validate e inspect sobre os motores
+ * DumpExtractor e AdvancedDumpExtractor. As opções vêm do arquivo de configuração
+ * (dump-processor.config.json ou .dumpprocessorrc) e da linha de comando, que tem prioridade.
+ */
+class DumpProcessorCli {
+    /**
+     * @param {Object} [options] - Opções do CLI
+     * @param {string} [options.program='node dump_processor.js'] - Nome exibido na ajuda
+     * @param {string} [options.command] - Subcomando fixo (scripts antigos, que não recebem o subcomando)
+     * @param {string} [options.cwd=process.cwd()] - Diretório onde a configuração é procurada
+     * @param {Object} [options.env=process.env] - Variáveis de ambiente (idioma)
+     */
+    constructor(options = {}) {
+        this.program = options.program || 'node dump_processor.js';
+        this.fixedCommand = options.command || null;
+        this.cwd = options.cwd || process.cwd();
+        this.env = options.env || process.env;
+        this.t = createTranslator(detectLanguage(this.env));
+        this.configFile = null;
+        this.logger = consoleLogger;
+    }
+
+    /**
+     * Executa o CLI
+     * @param {Array<string>} argv - Argumentos (sem o executável e o script)
+     * @returns {Promise<number>} Código de saída (ver EXIT_CODES)
+     */
+    async run(argv) {
+        try {
+            const { positional, options } = parseArgs(argv, { flags: flagNames() });
+            // -h e -V também são aceitos, como atalhos de --help e --version
+            const help = options.help === true || positional.includes('-h');
+            const version = options.version === true || positional.includes('-V');
+            const args = positional.filter(arg => arg !== '-h' && arg !== '-V');
+            if (typeof options.lang === 'string') {
+                this.t = createTranslator(options.lang);
+            }
+
+            if (version) {
+                console.log(`dump_processor ${VERSION}`);
+                return EXIT_CODES.OK;
+            }
+            const command = this.fixedCommand || args.shift();
+            if (command === undefined) {
+                this.printHelp();
+                return help ? EXIT_CODES.OK : EXIT_CODES.USAGE;
+            }
+            if (!COMMANDS.includes(command)) {
+                throw new UsageError('error.unknownCommand', { command, commands: COMMANDS.join(', ') });
+            }
+            if (help || args.length === 0) {
+                this.printCommandHelp(command, options.basic === true);
+                return help ? EXIT_CODES.OK : EXIT_CODES.USAGE;
+            }
+
+            const values = this.resolve(command, options);
+            if (values.lang) {
+                this.t = createTranslator(values.lang);
+            }
+            return await this[command](args, values);
+        } catch (error) {
+            if (error instanceof UsageError) {
+                console.error(this.t('error.usage', { message: this.t(error.key, error.params) }));
+                console.error(this.t('error.help', { program: this.program }));
+                return EXIT_CODES.USAGE;
+            }
+            console.error(this.t('error', { message: error.message }));
+            return error.exitCode || EXIT_CODES.ERROR;
+        }
+    }
+
+    /**
+     * Combina a configuração encontrada (ou a de --config) com as opções da linha de comando
+     * @param {string} command - Subcomando
+     * @param {Object} options - Opções da linha de comando, em camelCase
+     * @returns {Object} Opções do subcomando
+     */
+    resolve(command, options) {
+        const { help, version, config, noConfig, ...cliOptions } = options;
+        if (config !== undefined && (typeof config !== 'string' || !fs.existsSync(config))) {
+            throw new UsageError('error.notFound', { file: config === true ? '--config' : config });
+        }
+        this.configFile = config || (noConfig ? null : findConfigFile(this.cwd));
+
+        const sources = [];
+        if (this.configFile) {
+            sources.push(configOptions(loadConfig(this.configFile), command));
+        }
+        sources.push(cliOptions);
+        return resolveOptions(command, sources);
+    }
+
+    /**
+     * Confere os argumentos posicionais e a existência do dump
+     * @param {Array<string>} args - Argumentos depois do subcomando
+     * @param {number} max - Quantidade máxima de argumentos
+     * @returns {string} Arquivo de dump
+     */
+    inputFile(args, max) {
+        if (args.length > max) {
+            throw new UsageError('error.extraArguments', { args: args.slice(max).join(' ') });
+        }
+        const dumpFile = args[0];
+        if (dumpFile !== STDIO && !fs.existsSync(dumpFile)) {
+            throw Object.assign(new Error(this.t('error.notFound', { file: dumpFile })), { exitCode: EXIT_CODES.NO_INPUT });
+        }
+        return dumpFile;
+    }
+
+    /**
+     * Escolhe o logger das mensagens (a stderr quando a stdout recebe o resultado) e
+     * informa a configuração usada
+     * @param {boolean} toStderr - Se a stdout está reservada para o resultado
+     */
+    prepareOutput(toStderr) {
+        this.logger = toStderr ? stderrLogger : consoleLogger;
+        if (this.configFile) {
+            this.logger.info(this.t('config.loaded', { file: this.configFile }));
+        }
+    }
+
+    /**
+     * Opções do AdvancedDumpExtractor a partir das opções do CLI
+     * @param {Object} values - Opções do subcomando
+     * @param {Object} [extra={}] - Opções fixadas pelo subcomando
+     * @returns {Object} Opções do motor
+     */
+    engineOptions(values, extra = {}) {
+        return {
+            mode: values.mode || 'insert',
+            batchSize: values.batchSize || 1000,
+            maxStatementBytes: values.maxStatementBytes || 1024 * 1024,
+            copyTables: values.copyTables || [],
+            sequenceHeuristic: values.sequenceHeuristic === true,
+            fkStrategy: values.fkStrategy || 'order',
+            onConflict: values.onConflict || null,
+            conflictTables: parseConflictTables(values.onConflictTable || []),
+            largeObjects: values.largeObjects || 'preserve',
+            sections: values.section || ['data'],
+            noOwner: values.noOwner === true,
+            noPrivileges: values.noPrivileges === true,
+            ifNotExists: values.ifNotExists === true,
+            clean: values.clean === true,
+            maskRules: values.maskRules || null,
+            maskReport: values.maskReport || null,
+            subset: values.subset || [],
+            filters: filterConfigFromArgs(values),
+            encoding: values.encoding || null,
+            mapping: values.mapping || null,
+            targetSchema: values.targetSchema || null,
+            dialect: values.dialect || 'postgres',
+            validate: values.validate === true || values.strict === true,
+            validationReport: values.validationReport || null,
+            workers: values.workers || 1,
+            workerMemory: values.workerMemory || 128 * 1024 * 1024,
+            logger: this.logger,
+            ...extra
+        };
+    }
+
+    /**
+     * Divisão do script em arquivos: --split, --split-rows ou --split-size
+     * @param {Object} values - Opções do subcomando
+     * @returns {Object|null} Limites de cada arquivo ({ maxRows, maxBytes }) ou null
+     */
+    splitOptions(values) {
+        if (!values.split && !values.splitRows && !values.splitSize) {
+            return null;
+        }
+        return {
+            maxRows: values.splitRows || 0,
+            maxBytes: values.splitSize || (values.splitRows ? 0 : 100 * 1024 * 1024)
+        };
+    }
+
+    /**
+     * Subcomando convert: gera o script de inserção. Formatos diferentes de sql seguem
+     * o subcomando export.
+     * @param {Array<string>} args - Dump e saída
+     * @param {Object} values - Opções do subcomando
+     * @returns {Promise<number>} Código de saída
+     */
+    async convert(args, values) {
+        if (values.format && values.format !== 'sql') {
+            if (values.basic) {
+                throw new UsageError('error.basicOption', { option: 'format' });
+            }
+            return this.export(args, values);
+        }
+        const dumpFile = this.inputFile(args, 2);
+        const split = this.splitOptions(values);
+        const defaultOutput = values.basic ? 'restore_inserts.sql' : (split ? 'restore_chunks' : 'restore_inserts_advanced.sql');
+        const outputFile = args[1] || defaultOutput;
+        this.prepareOutput(outputFile === STDIO);
+
+        let extractor;
+        if (values.basic) {
+            const unsupported = Object.keys(values).find(key => !BASIC_OPTIONS.includes(key));
+            if (unsupported) {
+                throw new UsageError('error.basicOption', { option: unsupported.replace(/[A-Z]/g, char => `-${char.toLowerCase()}`) });
+            }
+            if (values.fkStrategy && !BASIC_FK_STRATEGIES.includes(values.fkStrategy)) {
+                throw new UsageError('error.invalidChoice', { option: 'fk-strategy', value: values.fkStrategy, values: BASIC_FK_STRATEGIES.join('|') });
+            }
+            extractor = new DumpExtractor(dumpFile, {
+                mode: values.mode || 'insert',
+                batchSize: values.batchSize || 1000,
+                maxStatementBytes: values.maxStatementBytes || 1024 * 1024,
+                sequenceHeuristic: values.sequenceHeuristic === true,
+                fkStrategy: values.fkStrategy || 'none',
+                filters: filterConfigFromArgs(values),
+                mapping: values.mapping || null,
+                targetSchema: values.targetSchema || null,
+                encoding: values.encoding || null,
+                logger: this.logger
+            });
+        } else {
+            extractor = new AdvancedDumpExtractor(dumpFile, this.engineOptions(values, { format: 'sql', split }));
+        }
+        await extractor.saveScript(outputFile);
+
+        this.logger.info(`\n${this.t('done.script')}`);
+        this.printInstructions(extractor, outputFile, split);
+        this.printWarnings(extractor.errors);
+        return this.finishValidation(extractor, values.strict === true);
+    }
+
+    /**
+     * Subcomando export: um arquivo por tabela (csv ou jsonl) e o manifest.json
+     * @param {Array<string>} args - Dump e diretório de saída
+     * @param {Object} values - Opções do subcomando
+     * @returns {Promise<number>} Código de saída
+     */
+    async export(args, values) {
+        const format = values.format || 'csv';
+        if (!EXPORT_FORMATS.includes(format)) {
+            throw new UsageError('error.invalidChoice', { option: 'format', value: format, values: EXPORT_FORMATS.join('|') });
+        }
+        const dumpFile = this.inputFile(args, 2);
+        const directory = args[1] || `export_${format}`;
+        this.prepareOutput(false);
+
+        const extractor = new AdvancedDumpExtractor(dumpFile, this.engineOptions(values, { format }));
+        await extractor.exportTables(directory);
+
+        this.logger.info(`\n${this.t('done.export')}`);
+        this.printWarnings(extractor.errors);
+        return this.finishValidation(extractor, values.strict === true);
+    }
+
+    /**
+     * Subcomando validate: valida o dump sem gerar saída
+     * @param {Array<string>} args - Dump
+     * @param {Object} values - Opções do subcomando
+     * @returns {Promise<number>} Código de saída: 0 sem problemas, 2 com problemas
+     */
+    async validate(args, values) {
+        const dumpFile = this.inputFile(args, 1);
+        this.prepareOutput(values.json === true);
+
+        const extractor = new AdvancedDumpExtractor(dumpFile, {
+            filters: filterConfigFromArgs(values),
+            encoding: values.encoding || null,
+            validate: true,
+            validationReport: values.validationReport || null,
+            logger: this.logger
+        });
+        const report = await extractor.validateDump();
+
+        if (values.json) {
+            process.stdout.write(JSON.stringify(report, null, 2) + '\n');
+        } else {
+            this.printWarnings(extractor.errors);
+        }
+        return this.finishValidation(extractor, true);
+    }
+
+    /**
+     * Subcomando inspect: resume o conteúdo do dump, mostra a amostra das tabelas de
+     * --table ou procura o valor de --search. O índice lateral evita percorrer o dump
+     * de novo nas consultas seguintes.
+     * @param {Array<string>} args - Dump
+     * @param {Object} values - Opções do subcomando
+     * @returns {Promise<number>} Código de saída
+     */
+    async inspect(args, values) {
+        const dumpFile = this.inputFile(args, 1);
+        for (const [option, required] of [['regex', 'search'], ['max-hits', 'search'], ['sample', 'table']]) {
+            if (values[toCamelCase(option)] !== undefined && values[required] === undefined) {
+                throw new UsageError('error.requiresOption', { option, required });
+            }
+        }
+        let pattern;
+        if (values.search !== undefined) {
+            try {
+                pattern = values.regex ? new RegExp(values.search) : values.search;
+            } catch (error) {
+                throw new UsageError('error.invalidValue', { option: 'search', value: values.search });
+            }
+        }
+        this.prepareOutput(values.json === true);
+
+        const extractor = new AdvancedDumpExtractor(dumpFile, {
+            filters: filterConfigFromArgs(values),
+            encoding: values.encoding || null,
+            indexFile: values.noIndex || dumpFile === STDIO ? null : (values.indexFile || DumpIndex.sidecarPath(dumpFile)),
+            logger: this.logger
+        });
+        if (pattern !== undefined) {
+            return this.printSearch(extractor, pattern, values);
+        }
+        if (values.table) {
+            return this.printSample(extractor, values);
+        }
+        const summary = await extractor.inspectDump();
+
+        if (values.json) {
+            process.stdout.write(JSON.stringify(summary, null, 2) + '\n');
+            return EXIT_CODES.OK;
+        }
+
+        const t = this.t;
+        const rows = count => count === null ? t('inspect.unknownRows') : t('inspect.rows', { rows: count });
+        this.logger.info(t('inspect.dump', { source: summary.source, format: summary.format, encoding: summary.encoding }));
+        this.logger.info(`\n${t('inspect.schemas', { count: summary.schemas.length })}`);
+        summary.schemas.forEach(schema => {
+            this.logger.info(`  ${schema.name}: ${[t('inspect.schema', { tables: schema.tables }), rows(schema.rows), formatBytes(schema.dataBytes)].join(', ')}`);
+        });
+        this.logger.info(`\n${t('inspect.tables', { count: summary.tables.length })}`);
+        summary.tables.forEach(table => {
+            const details = [rows(table.rows), formatBytes(table.dataBytes), t('inspect.columns', { count: table.columns.length })];
+            if (table.primaryKey) details.push(t('inspect.primaryKey', { columns: table.primaryKey.join(', ') }));
+            if (table.references.length > 0) details.push(t('inspect.references', { tables: table.references.join(', ') }));
+            if (table.unterminated) details.push(t('inspect.unterminated'));
+            this.logger.info(`  ${table.table}: ${details.join(', ')}`);
+        });
+        if (summary.emptyTables.length > 0) {
+            this.logger.info(`\n${t('inspect.emptyTables', { count: summary.emptyTables.length })}`);
+            summary.emptyTables.forEach(table => this.logger.info(`  ${table}`));
+        }
+        this.logger.info(`\n${t('inspect.sequences', { count: summary.sequences.length })}`);
+        summary.sequences.forEach(sequence => {
+            this.logger.info(`  ${sequence.name}${sequence.value !== null ? ` = ${sequence.value}` : ''}`);
+        });
+        if (summary.types.length > 0) {
+            this.logger.info(`\n${t('inspect.types', { count: summary.types.length })}`);
+            summary.types.forEach(type => this.logger.info(`  ${type.name} (${type.kind})`));
+        }
+        this.printWarnings(summary.warnings);
+        return EXIT_CODES.OK;
+    }
+
+    /**
+     * inspect --table: colunas e amostra de cada tabela
+     * @param {AdvancedDumpExtractor} extractor - Extrator do dump
+     * @param {Object} values - Opções do subcomando
+     * @returns {Promise<number>} Código de saída
+     */
+    async printSample(extractor, values) {
+        const tables = await extractor.sampleTables(values.table, values.sample || 10);
+        if (values.json) {
+            process.stdout.write(JSON.stringify({ tables, warnings: extractor.errors }, null, 2) + '\n');
+            return EXIT_CODES.OK;
+        }
+
+        const t = this.t;
+        tables.forEach((table, i) => {
+            this.logger.info(`${i > 0 ? '\n' : ''}${t('inspect.sample', { table: table.table, count: table.sample.length, rows: table.rows === null ? '?' : table.rows })}`);
+            this.logger.info(`  ${t('inspect.sampleColumns', { columns: table.columns.join(', ') })}`);
+            table.sample.forEach(row => this.logger.info(`  ${row.map(displayValue).join(' | ')}`));
+        });
+        this.printWarnings(extractor.errors);
+        return EXIT_CODES.OK;
+    }
+
+    /**
+     * inspect --search: ocorrências do valor nas tabelas
+     * @param {AdvancedDumpExtractor} extractor - Extrator do dump
+     * @param {string|RegExp} pattern - Valor ou expressão regular
+     * @param {Object} values - Opções do subcomando
+     * @returns {Promise<number>} Código de saída
+     */
+    async printSearch(extractor, pattern, values) {
+        const maxHits = values.maxHits || 100;
+        const result = await extractor.searchDump(pattern, { tables: values.table || [], maxHits });
+        if (values.json) {
+            process.stdout.write(JSON.stringify({ ...result, warnings: extractor.errors }, null, 2) + '\n');
+            return EXIT_CODES.OK;
+        }
+
+        const t = this.t;
+        this.logger.info(t('inspect.search', { pattern: String(pattern), count: result.hits.length, rows: result.rows, tables: result.tables }));
+        result.hits.forEach(hit => this.logger.info(`  ${t('inspect.hit', {
+            table: hit.table,
+            row: hit.row,
+            column: hit.column,
+            line: hit.lineNumber,
+            value: displayValue(hit.value)
+        })}`));
+        if (result.truncated) {
+            this.logger.info(t('inspect.truncated', { count: maxHits }));
+        }
+        this.printWarnings(extractor.errors);
+        return EXIT_CODES.OK;
+    }
+
+    /**
+     * Exibe como executar o script gerado
+     * @param {DumpExtractor|AdvancedDumpExtractor} extractor - Extrator já executado
+     * @param {string} outputFile - Arquivo (ou diretório) de saída
+     * @param {Object|null} split - Divisão em arquivos, se houver
+     */
+    printInstructions(extractor, outputFile, split) {
+        const t = this.t;
+        const params = { output: outputFile };
+        const usesCopy = extractor.options.mode === 'copy' || (extractor.options.copyTables || []).length > 0;
+        this.logger.info(t('howto'));
+        if (split) {
+            this.logger.info(t('howto.split1', params));
+            this.logger.info(t('howto.split2', params));
+        } else if (extractor.options.dialect === 'sqlite') {
+            this.logger.info(t('howto.sqlite', params));
+        } else if (extractor.options.dialect === 'mysql') {
+            this.logger.info(t('howto.mysql', params));
+        } else if (usesCopy) {
+            this.logger.info(t('howto.copy1', params));
+            this.logger.info(t('howto.copy2', params));
+        } else {
+            this.logger.info(t('howto.insert1', params));
+            this.logger.info(t('howto.insert2', params));
+            this.logger.info(t('howto.insert3', params));
+        }
+    }
+
+    /**
+     * Exibe os avisos do processamento
+     * @param {Array<string>|undefined} warnings - Avisos (o motor básico não os registra)
+     */
+    printWarnings(warnings) {
+        if (!warnings || warnings.length === 0) return;
+        this.logger.info(`\n${this.t('warnings')}`);
+        warnings.forEach(warning => this.logger.info(`  - ${warning}`));
+    }
+
+    /**
+     * Exibe o resumo da validação e decide o código de saída: no modo estrito, problemas
+     * na validação terminam com código 2
+     * @param {DumpExtractor|AdvancedDumpExtractor} extractor - Extrator já executado
+     * @param {boolean} strict - Se o modo estrito está ativo
+     * @returns {number} Código de saída
+     */
+    finishValidation(extractor, strict) {
+        if (!extractor.validator) return EXIT_CODES.OK;
+
+        const { total, counts } = extractor.validator.report();
+        if (total === 0) {
+            this.logger.info(`\n${this.t('validation.ok')}`);
+            return EXIT_CODES.OK;
+        }
+        this.logger.info(`\n${this.t('validation.problems', { total })}`);
+        Object.entries(counts).forEach(([code, count]) => this.logger.info(`  - ${code}: ${count}`));
+        if (!strict) return EXIT_CODES.OK;
+
+        this.logger.error(this.t('validation.strict'));
+        return EXIT_CODES.INVALID_DATA;
+    }
+
+    /**
+     * Formata as linhas de ajuda de uma lista de opções
+     * @param {Array<Object>} specs - Especificações das opções
+     * @returns {Array<string>} Linhas da ajuda
+     */
+    optionLines(specs) {
+        return specs.flatMap(spec => {
+            const arg = spec.type === 'flag' ? '' : `=${spec.type === 'choice' ? spec.values.join('|') : spec.arg}`;
+            const name = `  --${spec.name}${arg}`;
+            const description = this.t(spec.message || `option.${spec.name}`);
+            return name.length < 32
+                ? [`${name.padEnd(32)}${description}`]
+                : [name, `${''.padEnd(32)}${description}`];
+        });
+    }
+
+    /**
+     * Exibe a ajuda geral: subcomandos, opções gerais, configuração e códigos de saída
+     */
+    printHelp() {
+        const t = this.t;
+        console.log(t('usage', { program: this.program }));
+        console.log(`\n${t('commands')}`);
+        COMMANDS.forEach(command => console.log(`  ${command.padEnd(12)}${t(`command.${command}`)}`));
+        console.log(`\n${t('input')}`);
+        console.log(`\n${t('global.options')}`);
+        this.optionLines(GLOBAL_OPTIONS).forEach(line => console.log(line));
+        console.log(`\n${t('more', { program: this.program })}`);
+        console.log(t('config', { files: CONFIG_FILES.join(', ') }));
+        console.log(t('exit.codes'));
+        console.log(t('example', { program: this.program }));
+    }
+
+    /**
+     * Exibe a ajuda de um subcomando
+     * @param {string} command - Subcomando
+     * @param {boolean} basic - Se apenas as opções do motor básico devem ser listadas
+     */
+    printCommandHelp(command, basic) {
+        const t = this.t;
+        const args = t(`args.${command}`);
+        console.log(this.fixedCommand
+            ? t('usage.fixed', { program: this.program, args })
+            : t('usage.command', { program: this.program, command, args }));
+        const useBasic = basic && command === 'convert';
+        console.log(t(useBasic ? 'command.convert.basic' : `command.${command}`));
+        console.log(t('input'));
+        console.log(`\n${t('options')}`);
+        const specs = commandOptions(command)
+            .filter(spec => !useBasic || (!['basic', 'format'].includes(spec.name) && BASIC_OPTIONS.includes(toCamelCase(spec.name))))
+            .map(spec => (useBasic && spec.name === 'fk-strategy'
+                ? { ...spec, values: BASIC_FK_STRATEGIES, message: 'option.fk-strategy.basic' }
+                : spec));
+        this.optionLines(specs).forEach(line => console.log(line));
+        console.log(`\n${t('global.options')}`);
+        this.optionLines(GLOBAL_OPTIONS).forEach(line => console.log(line));
+        console.log(`\n${t('config', { files: CONFIG_FILES.join(', ') })}`);
+        console.log(t('exit.codes'));
+    }
+}
+
+/**
+ * Função principal para execução do script
+ */
+async function main() {
+    process.exitCode = await new DumpProcessorCli().run(process.argv.slice(2));
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { DumpProcessorCli, EXIT_CODES, VERSION };
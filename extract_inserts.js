@@ -1,151 +1,328 @@
 #!/usr/bin/env node
 
-const fs = require('fs');
+const { readDump } = require('./lib/dump_stream');
+const { createLogger } = require('./lib/logger');
+const ScriptWriter = require('./lib/script_writer');
+const { decodeCopyLine, projectCopyLine } = require('./lib/copy_format');
+const { ValueFormatter, quoteLiteral } = require('./lib/value_formatter');
+const { createStatementWriter } = require('./lib/statement_writers');
+const SchemaCatalog = require('./lib/schema_catalog');
+const { objectKey, qualifiedName } = require('./lib/identifiers');
+const { ObjectFilter } = require('./lib/object_filter');
+const { SchemaMapping } = require('./lib/schema_mapping');
+const { writableColumns } = require('./lib/column_kinds');
+
+const FK_STRATEGIES = ['triggers', 'none'];
 
 /**
  * Classe para extrair dados de dumps PostgreSQL e gerar scripts de inserção básicos
  */
 class DumpExtractor {
-    constructor(dumpFile) {
+    /**
+     * @param {string} dumpFile - Caminho do arquivo de dump
+     * @param {Object} [options] - Opções de geração
+     * @param {string} [options.mode='insert'] - Modo de saída: insert, batch ou copy
+     * @param {number} [options.batchSize=1000] - Linhas por INSERT no modo batch
+     * @param {number} [options.maxStatementBytes=1048576] - Tamanho máximo de cada INSERT no modo batch
+     * @param {boolean} [options.sequenceHeuristic=false] - Ajusta também pelo MAX as colunas com "id" no nome sem sequence conhecida
+     * @param {string} [options.fkStrategy='none'] - Tratamento das foreign keys: triggers (DISABLE TRIGGER ALL nas
+     *   tabelas do dump) ou none (os dados seguem a ordem do dump)
+     * @param {Object} [options.filters={}] - Filtros de schemas, tabelas e colunas ({ include, exclude }, ver ObjectFilter)
+     * @param {string} [options.mapping] - Arquivo JSON com o mapeamento para o schema de destino (ver SchemaMapping)
+     * @param {string} [options.targetSchema] - Schema de destino (pg_dump --schema-only), usado para remover as colunas inexistentes
+     * @param {string|null} [options.encoding=null] - Codificação do dump; null usa o SET client_encoding do dump
+     * @param {Object|null} [options.logger] - Logger das mensagens (info, warn, error); null silencia, o padrão é o console
+     * @param {Function} [options.createFormatter] - Cria o formatador de valores a partir do catálogo
+     *   (padrão: catalog => new ValueFormatter(catalog)); formata os valores pelo tipo das colunas e converte os do mapeamento
+     */
+    constructor(dumpFile, options = {}) {
         this.dumpFile = dumpFile;
+        this.options = {
+            mode: 'insert',
+            batchSize: 1000,
+            maxStatementBytes: 1024 * 1024,
+            sequenceHeuristic: false,
+            fkStrategy: 'none',
+            filters: {},
+            mapping: null,
+            targetSchema: null,
+            encoding: null,
+            createFormatter: catalog => new ValueFormatter(catalog),
+            ...options
+        };
+        this.logger = createLogger(this.options.logger);
+        this.filter = new ObjectFilter(this.options.filters);
+        this.mapping = this.options.mapping || this.options.targetSchema
+            ? new SchemaMapping(this.options.mapping ? SchemaMapping.readFile(this.options.mapping) : {})
+            : null;
         this.data = {
             tables: {},
             copies: [],
             sequences: []
         };
+        this.resetCatalog();
     }
 
     /**
-     * Processa o arquivo de dump e extrai informações das tabelas
+     * Reinicia o catálogo montado a partir do DDL do dump (usado para as sequences e
+     * para converter os tipos no mapeamento)
+     */
+    resetCatalog() {
+        this.catalog = new SchemaCatalog();
+        this.formatter = this.options.createFormatter(this.catalog);
+        this.data.sequences = [];
+    }
+
+    /**
+     * Abre a leitura do dump pela API (readDump), alimentando o catálogo atual
+     * @param {Object} [options] - Opções adicionais da leitura (ver DumpStream)
+     * @returns {DumpStream} Leitura do dump
+     */
+    openStream(options = {}) {
+        const stream = readDump(this.dumpFile, {
+            filter: this.filter,
+            catalog: this.catalog,
+            logger: this.logger,
+            encoding: this.options.encoding,
+            ...options
+        });
+        stream.on('warning', message => this.logger.warn(`Aviso: ${message}`));
+        return stream;
+    }
+
+    /**
+     * Percorre o dump em streaming e extrai informações das tabelas (sem os dados)
      * @returns {Object} Dados extraídos das tabelas
      */
     async processDump() {
-        console.log('Processando arquivo de dump...');
-        
-        const content = fs.readFileSync(this.dumpFile, 'utf8');
-        const lines = content.split('\n');
+        this.logger.info('Processando arquivo de dump...');
         
-        let currentCopy = null;
-        let inCopyData = false;
+        this.data.copies = [];
+        this.resetCatalog();
         
-        for (let i = 0; i < lines.length; i++) {
-            const line = lines[i].replace(/\r$/, '');
-            
-            const copyMatch = line.match(/^COPY ([^"]+"[^"]+") \(([^)]+)\) FROM stdin;?$/);
-            if (copyMatch) {
-                console.log(`Encontrado COPY: ${copyMatch[1]}`);
-                currentCopy = {
-                    table: copyMatch[1],
-                    columns: copyMatch[2],
-                    data: []
-                };
-                inCopyData = true;
-                continue;
-            }
-            
-            if (line === '\\\.' && inCopyData && currentCopy) {
-                console.log(`Finalizando COPY: ${currentCopy.table}`);
-                this.data.copies.push({
-                    table: currentCopy.table,
-                    columns: currentCopy.columns,
-                    data: currentCopy.data.join('\n')
-                });
-                currentCopy = null;
-                inCopyData = false;
-                continue;
-            }
-            
-            if (inCopyData && currentCopy) {
-                currentCopy.data.push(line);
+        for await (const event of this.openStream().events()) {
+            if (event.type === 'tableStart') {
+                this.logger.info(`Encontrado COPY: ${event.table}`);
+            } else if (event.type === 'tableEnd') {
+                this.registerCopy(event);
             }
         }
+        this.data.sequences = Object.values(this.catalog.sequences);
+
+        this.logSummary();
+        
+        return this.data;
+    }
+
+    /**
+     * Registra os metadados de um bloco COPY finalizado
+     * @param {Object} event - Evento tableEnd da leitura
+     */
+    registerCopy(event) {
+        this.logger.info(`Finalizando COPY: ${event.table}`);
+        this.data.copies.push({
+            table: event.table,
+            columns: event.columns,
+            rowCount: event.rowCount
+        });
+    }
 
-        console.log(`Encontradas ${this.data.copies.length} tabelas com dados`);
+    /**
+     * Exibe o resumo das tabelas encontradas
+     */
+    logSummary() {
+        this.logger.info(`Encontradas ${this.data.copies.length} tabelas com dados`);
         
         if (this.data.copies.length > 0) {
-            console.log('Tabelas encontradas:');
+            this.logger.info('Tabelas encontradas:');
             this.data.copies.slice(0, 5).forEach((copy, i) => {
-                console.log(`${i+1}. ${copy.table} - ${copy.data.split('\n').length} linhas`);
+                this.logger.info(`${i+1}. ${copy.table} - ${copy.rowCount} linhas`);
             });
         }
-        
-        return this.data;
     }
 
     /**
-     * Gera script SQL para inserção de dados
-     * @returns {string} Script SQL completo
+     * Gera o script SQL de inserção em streaming, convertendo cada linha do COPY
+     * assim que é lida
+     * @param {ScriptWriter} writer - Destino do script
      */
-    generateInsertScript() {
+    async generateInsertScript(writer) {
+        if (!FK_STRATEGIES.includes(this.options.fkStrategy)) {
+            throw new Error(`Estratégia de foreign keys inválida: ${this.options.fkStrategy} (use ${FK_STRATEGIES.join(', ')})`);
+        }
+        const statementWriter = createStatementWriter(this.options.mode, writer, {
+            batchSize: this.options.batchSize,
+            maxStatementBytes: this.options.maxStatementBytes
+        });
         const script = [];
         
         script.push('-- Script de Inserção de Dados via INSERT INTO');
         script.push('-- Gerado automaticamente a partir do dump');
         script.push('-- Data: ' + new Date().toISOString());
+        script.push(`-- Modo: ${this.options.mode}`);
+        script.push(`-- Estratégia de foreign keys: ${this.options.fkStrategy}`);
+        this.filter.describe().forEach(line => {
+            script.push(`-- Filtro ${line}`);
+        });
+        if (this.options.mapping) {
+            script.push(`-- Mapeamento: ${this.options.mapping}`);
+        }
+        if (this.options.targetSchema) {
+            script.push(`-- Schema de destino: ${this.options.targetSchema}`);
+        }
         script.push('');
         
-        this.addTriggerManagement(script, false);
+        // Com --fk-strategy=triggers, os triggers são desabilitados apenas nas tabelas geradas, antes dos dados de cada uma
+        const disableTriggers = this.options.fkStrategy === 'triggers';
+        const triggerTables = [];
         script.push('-- Inserir dados');
+        await writer.writeLines(script);
         
-        for (const copySection of this.data.copies) {
-            const { table: tableName, columns, data } = copySection;
-            const columnList = columns.split(',').map(col => col.trim());
-            
-            script.push(`-- Dados para ${tableName}`);
-            
-            const dataLines = data.split('\n');
-            for (const line of dataLines) {
-                if (!line.trim()) continue;
-                
-                const values = this.parseCopyLine(line);
-                const insertValues = values.map(v => this.formatValue(v));
-                
-                const colStr = columnList.join(', ');
-                const valStr = insertValues.join(', ');
-                
-                script.push(`INSERT INTO ${tableName} (${colStr}) VALUES (${valStr}) ON CONFLICT DO NOTHING;`);
+        this.data.copies = [];
+        this.resetCatalog();
+        if (this.options.targetSchema && !this.mapping.targetCatalog) {
+            await this.mapping.loadTargetSchema(this.options.targetSchema);
+        }
+        
+        let target = null;
+        let keep = null;
+        let columnDefs = [];
+        let formatter = this.formatter;
+        let started = false;
+        const stream = this.openStream({ progress: true });
+        for await (const event of stream.events()) {
+            if (event.type === 'tableStart') {
+                // A codificação do dump só é conhecida depois do SET client_encoding, antes dos dados
+                if (!started && stream.transcoded) {
+                    await writer.writeLines([`-- Codificação do dump: ${stream.encoding} (convertida para UTF-8)`, "SET client_encoding = 'UTF8';", '']);
+                }
+                started = true;
+                target = this.mapping ? this.mapping.forTable(event.table, event.columns, this.catalog, this.formatter) : null;
+                const table = target ? target.table : event.table;
+                if (target && target.skip) {
+                    await writer.writeLine(`-- Dados de ${event.table} ignorados: ${table} não existe no schema de destino`);
+                    continue;
+                }
+                await writer.writeLine(`-- Dados para ${table}`);
+                if (disableTriggers) {
+                    triggerTables.push(table);
+                    await writer.writeLine(`ALTER TABLE ${table} DISABLE TRIGGER ALL;`);
+                }
+                const writable = writableColumns(
+                    target ? target.columns : event.columns,
+                    target ? target.columnDefs : this.catalog.getColumns(event.table, event.columns)
+                );
+                keep = writable.keep;
+                columnDefs = writable.columnDefs;
+                formatter = target ? target.formatter : this.formatter;
+                await statementWriter.startTable(table, writable.columns, { overriding: writable.overriding });
+            } else if (event.type === 'row') {
+                if (target && target.skip) continue;
+                const row = { line: event.line, values: this.parseCopyLine(event.line), sqlValues: null };
+                if (target) {
+                    row.line = target.projectLine(row.line);
+                    row.values = target.transform(row.values);
+                }
+                if (keep) {
+                    row.line = row.line !== null ? projectCopyLine(row.line, keep) : null;
+                    row.values = keep.map(i => row.values[i]);
+                }
+                if (statementWriter.usesSqlValues) {
+                    row.sqlValues = row.values.map((v, i) => this.formatValue(v, columnDefs[i], formatter));
+                }
+                await statementWriter.writeRow(row);
+            } else if (event.type === 'tableEnd') {
+                if (target && target.skip) {
+                    await writer.writeLine('');
+                    continue;
+                }
+                await statementWriter.endTable();
+                this.registerCopy(event);
+                await writer.writeLine('');
             }
-            script.push('');
         }
         
-        this.addTriggerManagement(script, true);
-        this.addSequenceAdjustment(script);
+        this.data.sequences = Object.values(this.catalog.sequences);
+        this.logSummary();
         
-        return script.join('\n');
+        const footer = [];
+        if (disableTriggers) {
+            this.addTriggerManagement(footer, true, triggerTables);
+        }
+        this.addSequenceAdjustment(footer);
+        this.addMappingReport(footer);
+        await writer.writeLines(footer);
+    }
+
+    /**
+     * Adiciona ao script o que o mapeamento deixou de fora e exibe os avisos no console
+     * @param {Array} script - Array do script SQL
+     */
+    addMappingReport(script) {
+        if (!this.mapping) return;
+
+        script.push('-- Mapeamento para o schema de destino');
+        this.mapping.summary().forEach(line => {
+            script.push(`-- ${line}`);
+        });
+        script.push('');
+        this.mapping.problems().forEach(problem => {
+            this.logger.warn(`Aviso: ${problem}`);
+        });
     }
 
     /**
-     * Adiciona comandos para gerenciar triggers (desabilitar/reabilitar)
+     * Adiciona comandos para gerenciar triggers (desabilitar/reabilitar) das tabelas do dump
      * @param {Array} script - Array do script SQL
      * @param {boolean} enable - Se deve habilitar (true) ou desabilitar (false) triggers
+     * @param {Array<string>} tables - Tabelas afetadas
      */
-    addTriggerManagement(script, enable) {
+    addTriggerManagement(script, enable, tables) {
         const action = enable ? 'ENABLE' : 'DISABLE';
-        script.push(`-- ${enable ? 'Reabilitar' : 'Desabilitar'} triggers para evitar problemas com foreign keys`);
-        script.push('DO $$');
-        script.push('DECLARE');
-        script.push('r RECORD;');
-        script.push('BEGIN');
-        script.push('FOR r IN');
-        script.push('SELECT conname, conrelid::regclass::text AS table_name');
-        script.push('FROM pg_constraint');
-        script.push('WHERE contype = \'f\'');
-        script.push('LOOP');
-        script.push(`EXECUTE format('ALTER TABLE %s ${action} TRIGGER ALL', r.table_name);`);
-        script.push('END LOOP;');
-        script.push('END $$;');
+        script.push(`-- ${enable ? 'Reabilitar' : 'Desabilitar'} triggers das tabelas do dump`);
+        [...new Set(tables)].forEach(table => {
+            script.push(`ALTER TABLE ${table} ${action} TRIGGER ALL;`);
+        });
         script.push('');
     }
 
     /**
-     * Adiciona comandos para ajustar sequences das chaves primárias
+     * Adiciona comandos para restaurar as sequences com os valores exatos do banco
+     * de origem, lidos dos setval do dump (apenas as que passam pelos filtros)
      * @param {Array} script - Array do script SQL
      */
     addSequenceAdjustment(script) {
-        script.push('-- Ajustar sequences das chaves primárias');
+        const sequences = this.data.sequences.filter(sequence => sequence.value !== null && this.filter.includesSequence(sequence));
+        
+        script.push('-- Restaurar sequences com os valores do banco de origem');
+        for (const sequence of sequences) {
+            const name = this.mapping ? this.mapping.sequenceName(sequence.schema, sequence.name) : qualifiedName(sequence.schema, sequence.name);
+            if (!name) continue;
+            const owner = sequence.ownedBy ? ` -- ${sequence.ownedBy.table}.${sequence.ownedBy.column}` : '';
+            script.push(`SELECT pg_catalog.setval(${quoteLiteral(name)}, ${sequence.value}, ${sequence.isCalled});${owner}`);
+        }
+        script.push('');
+        
+        if (this.options.sequenceHeuristic) {
+            this.addHeuristicSequenceAdjustment(script);
+        }
+    }
+
+    /**
+     * Adiciona comandos para ajustar pelo MAX da coluna as sequences deduzidas pelo
+     * nome das colunas (contendo "id"). Usado apenas quando habilitado e somente para
+     * tabelas sem sequence conhecida no dump.
+     * @param {Array} script - Array do script SQL
+     */
+    addHeuristicSequenceAdjustment(script) {
+        const ownedTables = new Set(this.data.sequences
+            .filter(sequence => sequence.ownedBy)
+            .map(sequence => sequence.ownedBy.table));
+        
+        script.push('-- Ajustar sequences deduzidas pelo nome das colunas (heurística)');
         for (const copySection of this.data.copies) {
-            const { table: tableName, columns } = copySection;
-            const columnList = columns.split(',').map(col => col.trim());
+            const { table: tableName, columns: columnList } = copySection;
+            if (ownedTables.has(objectKey(tableName))) continue;
             
             const idColumns = columnList.filter(col => 
                 col.toLowerCase().includes('id') || 
@@ -182,59 +359,28 @@ class DumpExtractor {
     }
 
     /**
-     * Parse linha do COPY (tab separado)
+     * Decodifica linha do COPY (tab separado) seguindo o formato texto do PostgreSQL
      * @param {string} line - Linha de dados do COPY
-     * @returns {Array} Array de valores parseados
+     * @returns {Array<string|null>} Valores decodificados; NULL é representado por null
      */
     parseCopyLine(line) {
-        const values = [];
-        let current = '';
-        let inQuotes = false;
-        let i = 0;
-        
-        while (i < line.length) {
-            const char = line[i];
-            
-            if (char === '\t' && !inQuotes) {
-                values.push(current);
-                current = '';
-            } else if (char === '\\' && i + 1 < line.length) {
-                const nextChar = line[i + 1];
-                if (nextChar === 'N') {
-                    current += '\\N';
-                    i++;
-                } else if (nextChar === 't') {
-                    current += '\t';
-                    i++;
-                } else if (nextChar === 'n') {
-                    current += '\n';
-                    i++;
-                } else if (nextChar === '\\') {
-                    current += '\\';
-                    i++;
-                } else {
-                    current += char;
-                }
-            } else {
-                current += char;
-            }
-            i++;
-        }
-        
-        if (current) {
-            values.push(current);
-        }
-        
-        return values;
+        return decodeCopyLine(line);
     }
 
     /**
-     * Formata valor para inserção SQL
-     * @param {string} value - Valor a ser formatado
+     * Formata valor para inserção SQL pelo tipo da coluna no catálogo do dump; sem o
+     * CREATE TABLE no dump, deduz o tipo a partir do conteúdo do valor
+     * @param {string|null} value - Valor a ser formatado
+     * @param {Object} [column] - Definição da coluna no catálogo
+     * @param {ValueFormatter} [formatter=this.formatter] - Formatador do catálogo da coluna (o do schema de destino, com mapeamento)
      * @returns {string} Valor formatado para SQL
      */
-    formatValue(value) {
-        if (value === '\\N' || value === '') {
+    formatValue(value, column, formatter = this.formatter) {
+        if (column && column.type) {
+            return formatter.format(value, column);
+        }
+        
+        if (value === null) {
             return 'NULL';
         }
         
@@ -242,64 +388,35 @@ class DumpExtractor {
             return value;
         }
         
-        if (value === 't' || value === 'f') {
-            return `'${value}'`;
-        }
-        
-        const escaped = value.replace(/'/g, "''");
-        return `'${escaped}'`;
+        return quoteLiteral(value);
     }
 
     /**
-     * Salva o script SQL gerado em arquivo
+     * Gera o script SQL em streaming e salva em arquivo
      * @param {string} outputFile - Caminho do arquivo de saída
      */
     async saveScript(outputFile) {
-        const script = this.generateInsertScript();
-        fs.writeFileSync(outputFile, script, 'utf8');
-        console.log(`Script salvo em: ${outputFile}`);
+        const writer = ScriptWriter.toFile(outputFile);
+        await this.generateInsertScript(writer);
+        await writer.end();
+        this.logger.info(`Script salvo em: ${outputFile}`);
     }
 }
 
 /**
- * Função principal para execução do script
+ * Função principal para execução do script: equivale ao subcomando convert do CLI
+ * (dump_processor.js) com o motor básico (--basic)
  */
 async function main() {
-    const args = process.argv.slice(2);
-    
-    if (args.length === 0) {
-        console.log('Uso: node extract_inserts.js <arquivo_dump> [arquivo_saida]');
-        console.log('Exemplo: node extract_inserts.js dump_2025-07-01.sql restore_inserts.sql');
-        process.exit(1);
-    }
-    
-    const dumpFile = args[0];
-    const outputFile = args[1] || 'restore_inserts.sql';
-    
-    if (!fs.existsSync(dumpFile)) {
-        console.error(`Arquivo não encontrado: ${dumpFile}`);
-        process.exit(1);
-    }
-    
-    try {
-        const extractor = new DumpExtractor(dumpFile);
-        await extractor.processDump();
-        await extractor.saveScript(outputFile);
-        
-        console.log('\nScript gerado com sucesso!');
-        console.log('Para usar:');
-        console.log(`1. Abra o arquivo ${outputFile} no DBeaver`);
-        console.log('2. Execute o script completo');
-        console.log('3. Os dados serão inseridos sem problemas de foreign keys');
-        
-    } catch (error) {
-        console.error('Erro:', error.message);
-        process.exit(1);
-    }
+    // dump_processor.js carrega este módulo: o require fica aqui para não criar um ciclo
+    const { DumpProcessorCli } = require('./dump_processor');
+    const cli = new DumpProcessorCli({ program: 'node extract_inserts.js', command: 'convert' });
+    process.exitCode = await cli.run(['--basic', ...process.argv.slice(2)]);
 }
 
+// Exportado antes de main(): dump_processor.js carrega este módulo durante a execução
+module.exports = DumpExtractor;
+
 if (require.main === module) {
     main();
 }
-
-module.exports = DumpExtractor; 
\ No newline at end of file
@@ -1,181 +1,1488 @@
 #!/usr/bin/env node
 
 const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readDump } = require('./lib/dump_stream');
+const { STDIO } = require('./lib/compression');
+const { createLogger } = require('./lib/logger');
+const ScriptWriter = require('./lib/script_writer');
+const { ChunkedScriptWriter } = require('./lib/chunked_writer');
+const { decodeCopyLine, projectCopyLine } = require('./lib/copy_format');
+const SchemaCatalog = require('./lib/schema_catalog');
+const { ValueFormatter, quoteLiteral } = require('./lib/value_formatter');
+const { createStatementWriter, CopyStatementWriter, StagingStatementWriter } = require('./lib/statement_writers');
+const { validateConflictStrategy, conflictTableKey, buildConflictClause } = require('./lib/conflict_strategy');
+const { objectKey, qualifiedName, parseQualifiedName, unquoteIdentifier } = require('./lib/identifiers');
+const { DataMasker } = require('./lib/data_masker');
+const { SubsetSelector, parseSubsetSeeds } = require('./lib/subset_selector');
+const { ObjectFilter } = require('./lib/object_filter');
+const { SchemaMapping } = require('./lib/schema_mapping');
+const { EXPORT_FORMATS, createExporter } = require('./lib/exporters');
+const { DumpValidator, countFields } = require('./lib/dump_validator');
+const { DIALECTS, createDialect } = require('./lib/sql_dialects');
+const { elementType, jsonNumberType } = require('./lib/type_conversion');
+const { writableColumns, isLargeObjectColumn } = require('./lib/column_kinds');
+const { LargeObjectCollector, remapReference } = require('./lib/large_objects');
+const { SchemaScript, parseSections } = require('./lib/schema_script');
+const { orderTables } = require('./lib/dependency_graph');
+const { readLines } = require('./lib/line_reader');
+const DumpIndex = require('./lib/dump_index');
+const { ConversionPool, packRows, unpackRows } = require('./lib/conversion_pool');
+
+const FK_STRATEGIES = ['order', 'triggers', 'replica', 'none'];
+
+// Limites de cada trecho de linhas enviado a um worker na conversão paralela
+const PARALLEL_CHUNK_ROWS = 5000;
+const PARALLEL_CHUNK_BYTES = 1024 * 1024;
+
+// Chaves das linhas inseridas nas tabelas com referências adiadas e conflito nothing, para
+// que os UPDATE do fim não alterem as linhas que já existiam. É uma tabela comum, e não
+// temporária, para sobreviver às várias sessões do script dividido (run_chunks.js)
+const INSERTED_KEYS_TABLE = 'public.dump_processor_inserted_keys';
+
+// Resumo de cada tabela no script por estratégia de conflito: as linhas escritas podem não ser inseridas
+const CONFLICT_SUMMARY = {
+    nothing: 'as que já existem no destino são ignoradas',
+    update: 'as que já existem no destino são atualizadas',
+    skip: 'inseridas só se a tabela de destino estiver vazia'
+};
 
 /**
  * Classe para extrair dados de dumps PostgreSQL e gerar scripts de inserção
  * com tratamento robusto de tipos de dados e sequences
  */
 class AdvancedDumpExtractor {
-    constructor(dumpFile) {
+    /**
+     * @param {string} dumpFile - Caminho do arquivo de dump
+     * @param {Object} [options] - Opções de geração
+     * @param {string} [options.mode='insert'] - Modo de saída: insert (uma linha por comando), batch (INSERT multi-linha) ou copy (COPY ... FROM stdin)
+     * @param {number} [options.batchSize=1000] - Linhas por INSERT no modo batch
+     * @param {number} [options.maxStatementBytes=1048576] - Tamanho máximo de cada INSERT no modo batch
+     * @param {Array<string>} [options.copyTables=[]] - Tabelas escritas como COPY mesmo fora do modo copy
+     * @param {boolean} [options.sequenceHeuristic=false] - Ajusta também pelo MAX as colunas com "id" no nome sem sequence conhecida
+     * @param {string} [options.fkStrategy='order'] - Tratamento das foreign keys: order (ordem de dependência),
+     *   triggers (DISABLE TRIGGER ALL nas tabelas do dump), replica (session_replication_role) ou none
+     * @param {string} [options.onConflict] - Estratégia de conflito global: nothing, update, none ou skip
+     *   (padrão: nothing para INSERT e none para tabelas escritas como COPY)
+     * @param {Map<string, string>|Object} [options.conflictTables={}] - Estratégia de conflito por tabela
+     * @param {string} [options.maskRules] - Arquivo JSON com as regras de mascaramento de dados sensíveis
+     * @param {string} [options.maskReport] - Arquivo JSON onde o relatório de mascaramento é gravado
+     * @param {Array<string>} [options.subset=[]] - Sementes do subconjunto (tabela:filtro ou tabela:N%); vazio gera o dump inteiro
+     * @param {Object} [options.filters={}] - Filtros de schemas, tabelas e colunas ({ include, exclude }, ver ObjectFilter)
+     * @param {string} [options.mapping] - Arquivo JSON com o mapeamento para o schema de destino (ver SchemaMapping)
+     * @param {string} [options.targetSchema] - Schema de destino (pg_dump --schema-only), usado para remover as colunas inexistentes
+     * @param {string} [options.format='sql'] - Formato da saída: sql (script de inserção) ou csv, jsonl e manifest (ver exportTables)
+     * @param {string} [options.dialect='postgres'] - Banco de destino do script: postgres, sqlite ou mysql (ver generateDialectScript)
+     * @param {Object|null} [options.split=null] - Divide o script em arquivos numerados num diretório ({ maxRows, maxBytes },
+     *   ver ChunkedScriptWriter); null gera um único arquivo
+     * @param {boolean} [options.validate=false] - Valida as linhas do dump (campos, tipos, NOT NULL, UTF-8, chaves repetidas; ver DumpValidator)
+     * @param {string} [options.validationReport] - Arquivo JSON onde o relatório da validação é gravado (implica validate)
+     * @param {string} [options.largeObjects='preserve'] - Large objects do dump: preserve (mesmos OIDs), remap (OIDs novos,
+     *   com as colunas oid atualizadas) ou none (ignorados); ver LargeObjectCollector
+     * @param {Array<string>} [options.sections=['data']] - Seções do script: pre-data (DDL antes dos dados), data e
+     *   post-data (índices, constraints, triggers, privilégios); ver SchemaScript
+     * @param {boolean} [options.noOwner=false] - Omite do DDL os ALTER ... OWNER TO
+     * @param {boolean} [options.noPrivileges=false] - Omite do DDL os GRANT e REVOKE
+     * @param {boolean} [options.ifNotExists=false] - Reescreve as criações do DDL com IF NOT EXISTS ou OR REPLACE
+     * @param {boolean} [options.clean=false] - Remove os objetos do DDL (DROP ... IF EXISTS) antes de criá-los
+     * @param {string|null} [options.encoding=null] - Codificação do dump (UTF8, LATIN1, LATIN9, WIN1252 ou SQL_ASCII);
+     *   null usa o SET client_encoding do dump. O texto é convertido para UTF-8 (ver TextDecoding)
+     * @param {string|null} [options.indexFile=null] - Índice lateral usado pelo inspect, pela amostra e pela busca
+     *   (ver loadDumpIndex; DumpIndex.sidecarPath dá o caminho padrão); null monta o índice a cada execução
+     * @param {number} [options.workers=1] - Workers (worker_threads) que convertem as linhas em paralelo no script
+     *   PostgreSQL, com o mesmo resultado da conversão sequencial (ver writeParallelData); 1 converte no próprio processo
+     * @param {number} [options.workerMemory=134217728] - Tamanho aproximado das linhas lidas e ainda não escritas
+     *   na conversão paralela; acima dele a leitura espera os workers
+     * @param {Object|null} [options.logger] - Logger das mensagens (info, warn, error); null silencia, o padrão é o console
+     * @param {Function} [options.createFormatter] - Cria o formatador de valores a partir do catálogo
+     *   (padrão: catalog => new ValueFormatter(catalog)); o formatador precisa de describe(type) e format(value, column)
+     */
+    constructor(dumpFile, options = {}) {
         this.dumpFile = dumpFile;
+        this.options = {
+            mode: 'insert',
+            batchSize: 1000,
+            maxStatementBytes: 1024 * 1024,
+            copyTables: [],
+            sequenceHeuristic: false,
+            fkStrategy: 'order',
+            onConflict: null,
+            conflictTables: {},
+            maskRules: null,
+            maskReport: null,
+            subset: [],
+            filters: {},
+            mapping: null,
+            targetSchema: null,
+            format: 'sql',
+            dialect: 'postgres',
+            split: null,
+            validate: false,
+            validationReport: null,
+            largeObjects: 'preserve',
+            sections: ['data'],
+            noOwner: false,
+            noPrivileges: false,
+            ifNotExists: false,
+            clean: false,
+            encoding: null,
+            indexFile: null,
+            workers: 1,
+            workerMemory: 128 * 1024 * 1024,
+            createFormatter: catalog => new ValueFormatter(catalog),
+            ...options
+        };
+        this.logger = createLogger(this.options.logger);
+        if (this.options.format !== 'sql' && !EXPORT_FORMATS.includes(this.options.format)) {
+            throw new Error(`Formato de saída inválido: ${this.options.format} (use sql, ${EXPORT_FORMATS.join(', ')})`);
+        }
+        if (!DIALECTS.includes(this.options.dialect)) {
+            throw new Error(`Dialeto inválido: ${this.options.dialect} (use ${DIALECTS.join(', ')})`);
+        }
+        if (this.options.split && this.options.dialect !== 'postgres') {
+            throw new Error('A divisão em arquivos está disponível apenas para o script PostgreSQL');
+        }
+        if (!Number.isInteger(this.options.workers) || this.options.workers < 1) {
+            throw new Error(`Quantidade de workers inválida: ${this.options.workers} (use um inteiro a partir de 1)`);
+        }
+        if (this.options.workers > 1) {
+            if (this.options.format !== 'sql' || this.options.dialect !== 'postgres') {
+                throw new Error('A conversão paralela (workers) está disponível apenas para o script PostgreSQL');
+            }
+            if (options.createFormatter) {
+                throw new Error('A conversão paralela (workers) não aceita createFormatter: os workers usam o formatador padrão');
+            }
+        }
+        this.filter = new ObjectFilter(this.options.filters);
+        this.mapping = this.options.mapping || this.options.targetSchema
+            ? new SchemaMapping(this.options.mapping ? SchemaMapping.readFile(this.options.mapping) : {})
+            : null;
+        this.sections = parseSections(this.options.sections);
+        if (this.sections.has('pre-data') || this.sections.has('post-data')) {
+            if (this.options.dialect !== 'postgres') {
+                throw new Error('As seções pre-data e post-data estão disponíveis apenas para o script PostgreSQL');
+            }
+            if (this.mapping) {
+                throw new Error('As seções pre-data e post-data não podem ser usadas com --mapping ou --target-schema: o DDL do dump usa os nomes de origem');
+            }
+        }
+        this.subsetSeeds = parseSubsetSeeds(this.options.subset);
+        this.subset = null;
+        this.masker = this.options.maskRules ? DataMasker.fromFile(this.options.maskRules) : null;
+        this.validator = this.options.validate || this.options.validationReport ? new DumpValidator({ source: dumpFile }) : null;
+        // Estratégia e nome informado de cada tabela, pela chave sem diferenciar maiúsculas (ver conflictTableKey)
+        this.conflictTables = new Map();
+        this.conflictTableNames = new Map();
+        this.matchedConflictTables = new Set();
+        const conflictEntries = this.options.conflictTables instanceof Map ? this.options.conflictTables : Object.entries(this.options.conflictTables);
+        for (const [table, strategy] of conflictEntries) {
+            const key = conflictTableKey(table);
+            this.conflictTables.set(key, validateConflictStrategy(strategy, `conflictTables (${table})`));
+            this.conflictTableNames.set(key, table);
+        }
+        // Com a seção pre-data as tabelas recebem os dados antes das chaves primárias (post-data)
+        if (this.sections.has('pre-data') && this.sections.has('data')
+            && (this.options.onConflict === 'update' || [...this.conflictTables.values()].includes('update'))) {
+            throw new Error('A estratégia de conflito update precisa das chaves primárias, criadas só na seção post-data: use nothing, none ou skip com a seção pre-data');
+        }
         this.data = {
             tables: {},
             copies: [],
             sequences: []
         };
         this.errors = [];
+        this.resetCatalog();
+    }
+
+    /**
+     * Reinicia o catálogo de tabelas e tipos montado a partir do DDL do dump
+     */
+    resetCatalog() {
+        this.catalog = new SchemaCatalog();
+        this.formatter = this.options.createFormatter(this.catalog);
+        this.data.tables = this.catalog.tables;
+        this.data.sequences = [];
+    }
+
+    /**
+     * Percorre o dump em streaming e extrai informações das tabelas (sem os dados)
+     * @returns {Object} Dados extraídos das tabelas
+     */
+    async processDump() {
+        this.logger.info('Processando arquivo de dump...');
+        
+        try {
+            this.data.copies = [];
+            this.resetCatalog();
+            const stream = readDump(this.dumpFile, { filter: this.filter, catalog: this.catalog, logger: this.logger, encoding: this.options.encoding });
+            stream.on('warning', message => this.errors.push(message));
+            
+            for await (const event of stream.events()) {
+                if (event.type === 'tableStart') {
+                    this.logger.info(`Encontrado COPY: ${event.table}`);
+                } else if (event.type === 'tableEnd') {
+                    this.registerCopy(event);
+                }
+            }
+
+            this.data.sequences = Object.values(this.catalog.sequences);
+            this.logSummary();
+            
+        } catch (error) {
+            this.errors.push(`Erro ao processar dump: ${error.message}`);
+            throw error;
+        }
+        
+        return this.data;
+    }
+
+    /**
+     * Registra os metadados de um bloco COPY finalizado
+     * @param {Object} event - Evento tableEnd da leitura
+     */
+    registerCopy(event) {
+        if (this.validator) {
+            this.validator.endTable(event);
+        }
+        if (event.unterminated) {
+            this.errors.push(`Bloco COPY da tabela ${event.table} não terminado (fim do arquivo na linha ${event.lineNumber})`);
+        }
+        
+        this.logger.info(`Finalizando COPY: ${event.table}`);
+        this.data.copies.push({
+            table: event.table,
+            columns: event.columns,
+            rowCount: event.rowCount
+        });
+    }
+
+    /**
+     * Exibe o resumo das tabelas encontradas
+     */
+    logSummary() {
+        this.logger.info(`Encontradas ${this.data.copies.length} tabelas com dados`);
+        
+        if (this.data.copies.length > 0) {
+            this.logger.info('Tabelas encontradas:');
+            this.data.copies.slice(0, 5).forEach((copy, i) => {
+                this.logger.info(`${i+1}. ${copy.table} - ${copy.rowCount} linhas`);
+            });
+        }
+    }
+
+    /**
+     * Gera o script SQL de inserção em streaming com tratamento de sequences,
+     * convertendo cada linha do COPY assim que é lida. Na estratégia "order", o dump
+     * é indexado antes para que as tabelas sejam escritas na ordem das foreign keys.
+     * Com a opção workers, a conversão das linhas é distribuída entre worker threads
+     * (ver writeParallelData).
+     * @param {ScriptWriter} writer - Destino do script
+     */
+    async generateInsertScript(writer) {
+        const context = {
+            writer,
+            rowWriter: createStatementWriter(this.options.mode, writer, {
+                batchSize: this.options.batchSize,
+                maxStatementBytes: this.options.maxStatementBytes
+            }),
+            copyWriter: new CopyStatementWriter(writer),
+            copyTables: new Set(this.options.copyTables.map(objectKey)),
+            triggerTables: [],
+            deferConstraints: false,
+            deferredColumns: new Map(),
+            deferredUpdates: null,
+            largeObjects: new LargeObjectCollector(this.options.largeObjects),
+            largeObjectColumns: new Map(),
+            pendingWarnings: null,
+            schema: new SchemaScript({
+                sections: this.options.sections,
+                noOwner: this.options.noOwner,
+                noPrivileges: this.options.noPrivileges,
+                ifNotExists: this.options.ifNotExists,
+                clean: this.options.clean,
+                largeObjects: this.options.largeObjects === 'preserve'
+            })
+        };
+        
+        if (!context.schema.includes('data')) {
+            await this.generateSchemaScript(context);
+            return;
+        }
+        if (!FK_STRATEGIES.includes(this.options.fkStrategy)) {
+            throw new Error(`Estratégia de foreign keys inválida: ${this.options.fkStrategy} (use ${FK_STRATEGIES.join(', ')})`);
+        }
+        if (this.options.onConflict) {
+            validateConflictStrategy(this.options.onConflict);
+        }
+        
+        const stream = await this.openStream(
+            this.options.fkStrategy === 'order' ? index => this.planTableOrder(index, context) : null,
+            statement => {
+                context.largeObjects.addStatement(statement);
+                context.schema.addStatement(statement);
+            },
+            message => (context.pendingWarnings ? context.pendingWarnings.push(message) : this.errors.push(message))
+        );
+        
+        const script = [];
+        script.push('-- Script de Inserção de Dados via INSERT INTO');
+        script.push('-- Gerado automaticamente a partir do dump');
+        script.push('-- Data: ' + new Date().toISOString());
+        script.push('-- Versão: Advanced');
+        script.push(`-- Modo: ${this.options.mode}`);
+        script.push(`-- Estratégia de foreign keys: ${this.options.fkStrategy}`);
+        script.push(`-- Estratégia de conflito: ${this.options.onConflict || 'nothing (INSERT) / none (COPY)'}`);
+        script.push(`-- Large objects: ${this.options.largeObjects}`);
+        if (context.schema.hasSchema()) {
+            script.push(`-- Seções: ${[...context.schema.sections].join(', ')}`);
+        }
+        this.conflictTables.forEach((strategy, key) => {
+            script.push(`--   ${key}: ${strategy}`);
+        });
+        this.subsetSeeds.forEach(seed => {
+            script.push(`-- Subconjunto: ${seed.table}: ${seed.text}`);
+        });
+        this.filter.describe().forEach(line => {
+            script.push(`-- Filtro ${line}`);
+        });
+        if (this.options.mapping) {
+            script.push(`-- Mapeamento: ${this.options.mapping}`);
+        }
+        if (this.options.targetSchema) {
+            script.push(`-- Schema de destino: ${this.options.targetSchema}`);
+        }
+        if (this.options.mode === 'copy' || this.options.copyTables.length > 0) {
+            script.push('-- Contém blocos COPY ... FROM stdin: execute com psql (psql -f arquivo.sql)');
+        }
+        script.push('');
+        
+        const preamble = [];
+        this.addIntegrityPreamble(preamble, context);
+        preamble.push('-- Inserir dados');
+        let started = false;
+        const beginTable = async event => {
+            if (!started) {
+                started = true;
+                await this.writeScriptStart(context, stream, script, preamble);
+            }
+            await this.beginTableData(context, event);
+        };
+        
+        try {
+            if (this.options.workers > 1) {
+                await this.writeParallelData(context, stream, beginTable);
+            } else {
+                for await (const event of stream.events()) {
+                    if (event.type === 'tableStart') {
+                        await beginTable(event);
+                    } else if (event.type === 'row') {
+                        await this.writeRowData(context, event);
+                    } else if (event.type === 'tableEnd') {
+                        await this.endTableData(context, event);
+                    }
+                }
+            }
+        } catch (error) {
+            this.errors.push(`Erro ao processar dump: ${error.message}`);
+            throw error;
+        }
+        if (!started) {
+            await this.writeScriptStart(context, stream, script, preamble);
+        }
+        this.errors.push(...context.schema.errors);
+        
+        this.data.sequences = Object.values(this.catalog.sequences);
+        this.logSummary();
+        this.warnUnmatchedConflictTables();
+        
+        await this.writeDeferredUpdates(context);
+        await context.largeObjects.writeScript(writer, context.largeObjectColumns);
+        this.errors.push(...context.largeObjects.errors);
+        await writer.startFile('postamble');
+        
+        const footer = [];
+        this.addIntegrityPostamble(footer, context);
+        this.addSequenceAdjustment(footer);
+        this.addMaskingReport(footer);
+        this.addSubsetReport(footer);
+        this.addMappingReport(footer);
+        this.addValidationReport(footer);
+        
+        if (this.errors.length > 0) {
+            footer.push('-- AVISOS:');
+            footer.push('-- Os seguintes erros foram encontrados durante o processamento:');
+            this.errors.forEach(error => {
+                footer.push(`-- ${error}`);
+            });
+            footer.push('');
+        }
+        
+        await writer.writeLines(footer);
+        
+        if (context.schema.includes('post-data')) {
+            await writer.startFile('postdata');
+            await context.schema.writePostData(writer, this.filter, this.catalog);
+        }
+    }
+
+    /**
+     * Escreve o início do script: o cabeçalho, a seção pre-data, quando pedida, e o preâmbulo
+     * dos dados. Sem a indexação do dump, é chamado no início da primeira tabela, quando
+     * todo o DDL anterior aos dados já foi lido.
+     * @param {Object} context - Contexto da geração
+     * @param {DumpStream} stream - Leitura do dump, com a codificação já conhecida
+     * @param {Array<string>} header - Linhas do cabeçalho
+     * @param {Array<string>} preamble - Preparação da inserção dos dados (ver addIntegrityPreamble)
+     */
+    async writeScriptStart(context, stream, header, preamble) {
+        const { writer, schema } = context;
+        if (stream.transcoded) {
+            // O preâmbulo abre cada arquivo do script dividido: a sessão fica em UTF-8 em todos
+            preamble.unshift(...this.encodingHeader(stream), "SET client_encoding = 'UTF8';", '');
+        }
+        if (schema.includes('pre-data')) {
+            await writer.startFile('predata');
+            await writer.writeLines(header);
+            await schema.writePreData(writer, this.filter, this.catalog);
+            await writer.startFile('preamble');
+            await writer.writeLines(preamble);
+            return;
+        }
+        await schema.writePreData(writer, this.filter, this.catalog);
+        await writer.startFile('preamble');
+        await writer.writeLines([...header, ...preamble]);
+    }
+
+    /**
+     * Linha do cabeçalho sobre a conversão do dump para UTF-8
+     * @param {DumpStream} stream - Leitura do dump
+     * @returns {Array<string>} A linha, ou nenhuma quando o dump já está em UTF-8
+     */
+    encodingHeader(stream) {
+        return stream.transcoded ? [`-- Codificação do dump: ${stream.encoding} (convertida para UTF-8)`] : [];
+    }
+
+    /**
+     * Gera o script apenas com o DDL do dump (seções pre-data e/ou post-data, sem data).
+     * O dump é indexado em vez de lido por inteiro.
+     * @param {Object} context - Contexto da geração, com o SchemaScript
+     */
+    async generateSchemaScript(context) {
+        const { writer, schema } = context;
+        const stream = await this.openStream(null, statement => schema.addStatement(statement));
+        try {
+            await stream.index();
+        } catch (error) {
+            this.errors.push(`Erro ao processar dump: ${error.message}`);
+            throw error;
+        }
+        this.data.sequences = Object.values(this.catalog.sequences);
+        this.errors.push(...schema.errors);
+        
+        const header = [
+            '-- Script de restauração do schema',
+            '-- Gerado automaticamente a partir do dump',
+            '-- Data: ' + new Date().toISOString(),
+            `-- Seções: ${[...schema.sections].join(', ')}`,
+            ...this.encodingHeader(stream),
+            ...this.filter.describe().map(line => `-- Filtro ${line}`),
+            ''
+        ];
+        await writer.startFile(schema.includes('pre-data') ? 'predata' : 'postdata');
+        await writer.writeLines(header);
+        await schema.writePreData(writer, this.filter, this.catalog);
+        if (schema.includes('pre-data') && schema.includes('post-data')) {
+            await writer.startFile('postdata');
+        }
+        await schema.writePostData(writer, this.filter, this.catalog);
+        
+        if (this.errors.length > 0) {
+            await writer.writeLines(['-- AVISOS:', ...this.errors.map(error => `-- ${error}`), '']);
+        }
+    }
+
+    /**
+     * Prepara a leitura do dump pela API (readDump): reinicia o catálogo, carrega o schema
+     * de destino e, quando há ordenação das tabelas ou subconjunto, indexa o dump e escolhe
+     * os blocos antes dos dados. Na stdin, os blocos são copiados na indexação para um arquivo
+     * temporário (ver DumpStream.index).
+     * @param {Function|null} order - Ordena os blocos a partir do índice, ou null para a ordem do dump
+     * @param {Function|null} [onStatement=null] - Recebe os comandos SQL fora dos blocos COPY, inclusive os lidos na indexação
+     * @param {Function|null} [onWarning=null] - Recebe os avisos da leitura; null os acrescenta a errors
+     * @returns {Promise<DumpStream>} Leitura do dump, já indexada quando necessário
+     */
+    async openStream(order, onStatement = null, onWarning = null) {
+        const planned = Boolean(order) || this.subsetSeeds.length > 0;
+        this.data.copies = [];
+        this.resetCatalog();
+        const stream = readDump(this.dumpFile, {
+            filter: this.filter,
+            catalog: this.catalog,
+            logger: this.logger,
+            encoding: this.options.encoding,
+            progress: true,
+            plan: planned ? (index, reader) => this.planBlocks(index, reader, order) : null
+        });
+        stream.on('warning', onWarning || (message => this.errors.push(message)));
+        if (onStatement) {
+            stream.on('statement', onStatement);
+        }
+        if (this.options.targetSchema && !this.mapping.targetCatalog) {
+            this.logger.info(`Lendo schema de destino: ${this.options.targetSchema}`);
+            await this.mapping.loadTargetSchema(this.options.targetSchema);
+        }
+        
+        if (planned) {
+            try {
+                this.logger.info('Indexando dump (DDL e posição dos blocos COPY)...');
+                await stream.prepare();
+            } catch (error) {
+                stream.close();
+                this.errors.push(`Erro ao processar dump: ${error.message}`);
+                throw error;
+            }
+        }
+        return stream;
+    }
+
+    /**
+     * Escolhe os blocos lidos a partir do índice: a ordem de escrita e, com sementes, apenas
+     * os blocos com linhas do subconjunto
+     * @param {DumpIndex} index - Índice dos blocos COPY
+     * @param {DumpReader} reader - Leitor do dump
+     * @param {Function|null} order - Ordena os blocos a partir do índice, ou null para a ordem do dump
+     * @returns {Promise<Array<Object>>} Blocos na ordem de escrita
+     */
+    async planBlocks(index, reader, order) {
+        const blocks = order ? order(index) : index.blocks;
+        return this.subsetSeeds.length > 0 ? this.selectSubset(reader, blocks) : blocks;
+    }
+
+    /**
+     * Define a ordem de escrita das tabelas a partir das foreign keys do dump e
+     * decide como tratar as foreign keys em ciclos ou autorreferentes
+     * @param {DumpIndex} index - Índice dos blocos COPY
+     * @param {Object} context - Contexto da geração
+     * @returns {Array<Object>} Blocos COPY na ordem de escrita
+     */
+    planTableOrder(index, context) {
+        const tables = [...new Set(index.blocks.map(block => block.key))];
+        const foreignKeys = tables.flatMap(key => {
+            const table = this.catalog.tables[key];
+            return table ? table.foreignKeys.map(fk => ({ table: key, fk })) : [];
+        });
+        
+        const { order, deferred, cycles } = orderTables(tables, foreignKeys);
+        
+        cycles.forEach(members => {
+            this.logger.info(`Ciclo de foreign keys: ${members.join(' → ')}`);
+        });
+        
+        for (const { table: key, fk } of deferred) {
+            const table = this.catalog.tables[key];
+            const fkName = fk.name || fk.columns.join(', ');
+            const nullable = fk.columns.every(name => {
+                const column = table.columns.find(col => col.name === name);
+                return !column || column.nullable;
+            });
+            
+            if (fk.deferrable) {
+                context.deferConstraints = true;
+            } else if (table.primaryKey && nullable) {
+                if (!context.deferredColumns.has(key)) {
+                    context.deferredColumns.set(key, { columns: new Set(), selfOnly: true });
+                }
+                const deferral = context.deferredColumns.get(key);
+                fk.columns.forEach(name => deferral.columns.add(name));
+                deferral.selfOnly = deferral.selfOnly && fk.refTable === key;
+            } else {
+                this.errors.push(`Foreign key ${fkName} de ${key} faz parte de um ciclo e não pode ser adiada (não é DEFERRABLE e a tabela não tem chave primária ou a coluna é NOT NULL); use --fk-strategy=triggers ou --fk-strategy=replica`);
+            }
+        }
+        
+        return order.flatMap(key => index.blocks.filter(block => block.key === key));
+    }
+
+    /**
+     * Seleciona as linhas do subconjunto e descarta os blocos sem linhas selecionadas
+     * @param {DumpReader} reader - Leitor do dump
+     * @param {Array<Object>} blocks - Blocos na ordem de escrita
+     * @returns {Promise<Array<Object>>} Blocos com linhas selecionadas
+     */
+    async selectSubset(reader, blocks) {
+        this.logger.info('Selecionando subconjunto a partir das sementes...');
+        this.subset = new SubsetSelector(this.catalog, this.subsetSeeds);
+        await this.subset.select(reader, blocks);
+        
+        const report = this.subset.report();
+        this.logger.info(`Subconjunto selecionado em ${this.subset.passes} leituras:`);
+        report.forEach(({ table, rows }) => this.logger.info(`  ${table}: ${rows} linhas`));
+        
+        const tables = new Set(report.map(entry => entry.table));
+        return blocks.filter(block => tables.has(block.key));
+    }
+
+    /**
+     * Inicia a escrita dos dados de uma tabela
+     * @param {Object} context - Contexto da geração
+     * @param {Object} event - Evento tableStart
+     */
+    async beginTableData(context, event) {
+        const key = objectKey(event.table);
+        const target = this.prepareTable(context, event);
+        await context.writer.startFile('data', context.table);
+        
+        if (target && target.skip) {
+            await context.writer.writeLine(`-- Dados de ${event.table} ignorados: ${target.table} não existe no schema de destino`);
+            return;
+        }
+        const generated = this.applyWritableColumns(context);
+        
+        const copy = this.options.mode === 'copy' || context.copyTables.has(key);
+        const strategy = this.conflictStrategy(key, copy);
+        const { clause, warning } = buildConflictClause(strategy, target ? target.tableDef : this.catalog.tables[key], context.columns);
+        context.conflictStrategy = strategy;
+        context.conflictSummary = CONFLICT_SUMMARY[strategy === 'update' && clause.endsWith('DO NOTHING') ? 'nothing' : strategy] || null;
+        context.deferral = this.prepareDeferral(context, key, event);
+        const tracked = context.deferral && context.deferral.tracked ? this.insertedKeysClause(context, clause) : null;
+        context.conflictClause = tracked ? tracked.conflictClause : clause;
+        context.insertCommand = tracked ? tracked.insertCommand : undefined;
+        
+        const baseWriter = copy ? context.copyWriter : context.rowWriter;
+        const staged = strategy === 'skip' || (copy && clause !== '');
+        context.statementWriter = staged
+            ? new StagingStatementWriter(baseWriter, context.writer, { conflictClause: context.conflictClause, onlyIfEmpty: strategy === 'skip' })
+            : baseWriter;
+        context.usesSqlValues = context.statementWriter.usesSqlValues;
+        
+        await context.writer.writeLine(`-- Dados para ${event.table}${context.table !== event.table ? ` → ${context.table}` : ''}`);
+        if (event.columnIndexes) {
+            this.checkFilteredColumns(event);
+        }
+        if (warning) {
+            this.errors.push(`Tabela ${event.table} (conflito ${strategy}): ${warning}`);
+            await context.writer.writeLine(`-- ATENÇÃO: ${warning}`);
+        }
+        if (strategy === 'skip') {
+            await context.writer.writeLine('-- Inserida somente se a tabela de destino estiver vazia');
+        }
+        if (generated.length > 0) {
+            await context.writer.writeLine(`-- Colunas geradas calculadas pelo banco: ${generated.join(', ')}`);
+        }
+        if (this.options.fkStrategy === 'triggers') {
+            context.triggerTables.push(context.table);
+            await context.writer.writeLine(`ALTER TABLE ${context.table} DISABLE TRIGGER ALL;`);
+        }
+        if (tracked && !context.insertedKeys) {
+            context.insertedKeys = true;
+            await context.writer.writeLine(`CREATE TABLE IF NOT EXISTS ${INSERTED_KEYS_TABLE} (table_name text NOT NULL, key text NOT NULL, PRIMARY KEY (table_name, key));`);
+        }
+        await context.statementWriter.startTable(context.table, context.columns, {
+            conflictClause: context.conflictClause,
+            insertCommand: context.insertCommand,
+            overriding: context.overriding
+        });
+    }
+
+    /**
+     * Tira das colunas escritas as colunas geradas e verifica se o INSERT precisa de
+     * OVERRIDING SYSTEM VALUE (identity GENERATED ALWAYS). No modo remap dos large objects,
+     * registra as colunas oid, atualizadas para os novos OIDs depois dos dados: linha a linha
+     * pela chave primária (ver largeObjectReferences) ou, sem ela, na tabela inteira.
+     * @param {Object} context - Contexto da geração, já com as colunas da tabela (prepareTable)
+     * @returns {Array<string>} Nomes das colunas geradas removidas
+     */
+    applyWritableColumns(context) {
+        const writable = writableColumns(context.columns, context.columnDefs);
+        context.columns = writable.columns;
+        context.columnDefs = writable.columnDefs;
+        context.keepColumns = writable.keep;
+        context.overriding = writable.overriding;
+        context.largeObjectReferences = null;
+        
+        if (this.options.largeObjects === 'remap' && context.largeObjectColumns) {
+            const catalog = context.formatter.catalog || this.catalog;
+            const indexes = context.columns.map((column, i) => i).filter(i => isLargeObjectColumn(context.columnDefs[i], catalog));
+            const table = this.catalog.tables[context.tableKey];
+            const rename = name => (context.mapping ? context.mapping.rename(name) : name);
+            const names = context.columns.map(unquoteIdentifier);
+            const pkIndexes = table && table.primaryKey ? table.primaryKey.columns.map(name => names.indexOf(rename(name))) : [-1];
+            if (indexes.length > 0 && !pkIndexes.includes(-1)) {
+                context.largeObjectReferences = { indexes, pkIndexes };
+            } else if (indexes.length > 0) {
+                const known = context.largeObjectColumns.get(context.table) || new Set();
+                indexes.forEach(i => known.add(context.columns[i]));
+                context.largeObjectColumns.set(context.table, known);
+            }
+        }
+        return writable.generated;
+    }
+
+    /**
+     * Define no contexto o destino dos dados de uma tabela (nome, colunas e tipos, já com
+     * o mapeamento aplicado) e as máscaras das colunas
+     * @param {Object} context - Contexto da geração
+     * @param {Object} event - Evento tableStart
+     * @returns {TableMapping|null} Mapeamento da tabela, se houver
+     */
+    prepareTable(context, event) {
+        const sourceDefs = this.catalog.getColumns(event.table, event.columns);
+        const target = this.mapping ? this.mapping.forTable(event.table, event.columns, this.catalog, this.formatter) : null;
+        context.tableKey = objectKey(event.table);
+        context.mapping = target;
+        context.table = target ? target.table : event.table;
+        context.columns = target ? target.columns : event.columns;
+        context.columnDefs = target ? target.columnDefs : sourceDefs;
+        context.formatter = target ? target.formatter : this.formatter;
+        context.keepColumns = null;
+        context.overriding = false;
+        context.lineCount = 0;
+        if (this.validator) {
+            const table = this.catalog.tables[context.tableKey];
+            this.validator.startTable(
+                event,
+                this.describeColumns({ formatter: this.formatter, columns: event.columns, columnDefs: sourceDefs }),
+                table && table.primaryKey ? table.primaryKey.columns : null
+            );
+        }
+        context.masks = this.masker && !(target && target.skip)
+            ? this.masker.columnMasks(
+                parseQualifiedName(event.table),
+                event.columns.map(unquoteIdentifier),
+                sourceDefs,
+                type => this.formatter.describe(type)
+            )
+            : null;
+        return target;
+    }
+
+    /**
+     * Avisa quando os filtros de colunas removeram colunas NOT NULL sem valor padrão,
+     * que farão a inserção falhar no destino
+     * @param {Object} event - Evento tableStart, já com as colunas filtradas
+     */
+    checkFilteredColumns(event) {
+        const table = this.catalog.tables[objectKey(event.table)];
+        if (!table) return;
+        
+        const kept = new Set(event.columns.map(unquoteIdentifier));
+        const required = table.columns
+            .filter(column => !kept.has(column.name) && !column.nullable && column.default === null && !column.identity && !column.generated)
+            .map(column => column.name);
+        if (required.length > 0) {
+            this.errors.push(`Tabela ${event.table}: colunas NOT NULL sem valor padrão removidas pelos filtros (${required.join(', ')}); a inserção vai falhar`);
+        }
+    }
+
+    /**
+     * Estratégia de conflito de uma tabela: a definida para a tabela, a global ou o padrão
+     * do modo (DO NOTHING para INSERT; nenhuma cláusula para COPY)
+     * @param {string} key - Chave da tabela
+     * @param {boolean} copy - Se a tabela é escrita como COPY
+     * @returns {string} Estratégia de conflito
+     */
+    conflictStrategy(key, copy) {
+        const tableKey = key.toLowerCase();
+        if (this.conflictTables.has(tableKey)) {
+            this.matchedConflictTables.add(tableKey);
+            return this.conflictTables.get(tableKey);
+        }
+        return this.options.onConflict || (copy ? 'none' : 'nothing');
+    }
+
+    /**
+     * Avisa, pelo logger, das estratégias por tabela que não casaram com nenhuma tabela
+     * escrita no script (nome errado ou tabela fora dos filtros)
+     */
+    warnUnmatchedConflictTables() {
+        this.conflictTableNames.forEach((table, key) => {
+            if (!this.matchedConflictTables.has(key)) {
+                this.logger.warn(`Aviso: --on-conflict-table ${table} não casa com nenhuma tabela COPY do dump`);
+            }
+        });
+    }
+
+    /**
+     * Converte e escreve uma linha de dados do COPY
+     * @param {Object} context - Contexto da geração
+     * @param {Object} event - Evento row
+     * @param {Object|null} [converted=null] - Linha já convertida por um worker (ver convertRowData);
+     *   null converte aqui
+     */
+    async writeRowData(context, event, converted = null) {
+        if (context.mapping && context.mapping.skip) {
+            return;
+        }
+        if (this.validator && !this.validator.checkRow(event)) {
+            return;
+        }
+        if (this.subset && !this.subset.includes(context.tableKey, event.lineNumber)) {
+            return;
+        }
+        
+        const row = converted || this.convertRowData(context, event.line);
+        if (row.error) {
+            this.errors.push(`Erro na linha ${event.lineNumber} do dump (tabela ${event.table}): ${row.error}`);
+            this.logger.warn(`⚠️  Erro na linha da tabela ${event.table}: ${row.error}`);
+            return;
+        }
+        if (row.update) {
+            await this.writeDeferredUpdate(context, row.update);
+        }
+        if (row.largeObjects) {
+            context.largeObjects.addReferences(row.largeObjects);
+        }
+        if (context.dialect) {
+            this.countUnrepresentable(context, row.values);
+        }
+        context.lineCount++;
+        if (context.writer.isFull()) {
+            await this.continueTableData(context);
+        }
+        await context.statementWriter.writeRow(row);
+        context.writer.countRow();
+    }
+
+    /**
+     * Converte uma linha do COPY para o escritor da tabela: valores decodificados, máscaras,
+     * mapeamento, referências adiadas e, com usesSqlValues, os valores já formatados em SQL.
+     * Não escreve nada, e por isso também roda nos workers da conversão paralela.
+     * @param {Object} context - Contexto da geração, já com a tabela preparada
+     * @param {string} line - Linha de dados do COPY
+     * @returns {Object} Linha convertida ({ line, values, sqlValues, update, largeObjects }) ou { error } se a conversão falhou
+     */
+    convertRowData(context, line) {
+        const row = { line, values: null, sqlValues: null, update: null, largeObjects: null };
+        try {
+            this.convertRow(context, row);
+            if (context.largeObjectReferences) {
+                row.largeObjects = this.largeObjectReferences(context, row);
+            }
+            if (context.deferral) {
+                row.update = this.deferRowReferences(context, row);
+            }
+            if (context.usesSqlValues) {
+                row.sqlValues = context.dialect
+                    ? row.values.map((v, i) => context.dialect.formatValue(v, context.columnTypes[i]))
+                    : row.values.map((v, i) => this.formatValueAdvanced(v, context.columnDefs[i], context.formatter));
+            }
+        } catch (error) {
+            return { error: error.message };
+        }
+        return row;
+    }
+
+    /**
+     * Conta, por coluna, os valores sem equivalente no dialeto de destino (NaN, Infinity
+     * e infinity), que o dialeto grava como NULL; os avisos saem no fim do script
+     * @param {Object} context - Contexto da geração no dialeto
+     * @param {Array<string|null>} values - Valores da linha convertida
+     */
+    countUnrepresentable(context, values) {
+        values.forEach((value, i) => {
+            const column = context.columnTypes[i];
+            if (context.dialect.isUnrepresentable(value, column)) {
+                const key = `${context.tableKey}.${column.name}`;
+                context.nullValues.set(key, (context.nullValues.get(key) || 0) + 1);
+            }
+        });
+    }
+
+    /**
+     * Continua os dados da tabela atual em um novo arquivo (saída dividida). Os comandos
+     * abertos são fechados e reabertos, para que cada arquivo possa ser executado sozinho.
+     * Tabelas com a estratégia skip não são divididas: a inserção condicional é um único comando.
+     * @param {Object} context - Contexto da geração
+     */
+    async continueTableData(context) {
+        if (context.conflictStrategy === 'skip') return;
+        
+        await context.statementWriter.endTable();
+        await context.writer.startFile('data', context.table);
+        await context.writer.writeLine(`-- Dados para ${context.table} (continuação)`);
+        await context.statementWriter.startTable(context.table, context.columns, {
+            conflictClause: context.conflictClause,
+            insertCommand: context.insertCommand,
+            overriding: context.overriding
+        });
+    }
+
+    /**
+     * Decodifica uma linha do COPY e aplica as máscaras, o mapeamento da tabela e a
+     * remoção das colunas geradas. A linha original é descartada (row.line = null)
+     * quando os valores mudam.
+     * @param {Object} context - Contexto da geração
+     * @param {Object} row - Linha em conversão ({ line, values })
+     */
+    convertRow(context, row) {
+        row.values = this.parseCopyLine(row.line);
+        if (context.masks) {
+            row.values = row.values.map((value, i) => (context.masks[i] ? context.masks[i](value) : value));
+            row.line = null;
+        }
+        if (context.mapping) {
+            row.line = row.line !== null ? context.mapping.projectLine(row.line) : null;
+            row.values = context.mapping.transform(row.values);
+        }
+        if (context.keepColumns) {
+            row.line = row.line !== null ? projectCopyLine(row.line, context.keepColumns) : null;
+            row.values = context.keepColumns.map(i => row.values[i]);
+        }
+    }
+
+    /**
+     * Finaliza a escrita dos dados de uma tabela
+     * @param {Object} context - Contexto da geração
+     * @param {Object} event - Evento tableEnd
+     */
+    async endTableData(context, event) {
+        if (context.mapping && context.mapping.skip) {
+            await context.writer.writeLine('');
+            return;
+        }
+        await context.statementWriter.endTable();
+        this.registerCopy(event);
+        if (context.lineCount > 0) {
+            await context.writer.writeLine(context.conflictSummary
+                ? `-- ${context.lineCount} linhas escritas para ${context.table} (${context.conflictSummary})`
+                : `-- ${context.lineCount} registros inseridos em ${context.table}`);
+        }
+        await context.writer.writeLine('');
+    }
+
+    /**
+     * Prepara o adiamento das foreign keys em ciclo de uma tabela: as colunas são
+     * inseridas como NULL e preenchidas por UPDATE depois de todos os dados. Com a
+     * estratégia de conflito nothing, as chaves das linhas inseridas são registradas (ver
+     * insertedKeysClause) e os UPDATE valem só para elas: uma linha que já existia no
+     * destino, e por isso não foi inserida, mantém as suas referências.
+     * @param {Object} context - Contexto da geração
+     * @param {string} key - Chave da tabela
+     * @param {Object} event - Evento tableStart
+     * @returns {Object|null} Posições das colunas adiadas e da chave primária e se as chaves inseridas são registradas
+     */
+    prepareDeferral(context, key, event) {
+        const deferred = context.deferredColumns.get(key);
+        if (!deferred) return null;
+        
+        if (context.conflictStrategy === 'skip') {
+            // Os dados entram num único INSERT ... SELECT, que já aceita autorreferências
+            if (!deferred.selfOnly) {
+                this.errors.push(`Tabela ${event.table}: foreign keys em ciclo não são adiadas com a estratégia de conflito skip`);
+            }
+            return null;
+        }
+        
+        // As posições são as das colunas de destino, já com o mapeamento aplicado
+        const rename = name => (context.mapping ? context.mapping.rename(name) : name);
+        const names = context.columns.map(unquoteIdentifier);
+        const table = this.catalog.tables[key];
+        const pkIndexes = table.primaryKey.columns.map(name => names.indexOf(rename(name)));
+        if (pkIndexes.includes(-1)) {
+            this.errors.push(`Tabela ${event.table}: chave primária ausente no COPY, foreign keys em ciclo não foram adiadas`);
+            return null;
+        }
+        
+        const deferredNames = new Set([...deferred.columns].map(rename));
+        return {
+            fkIndexes: names.map((name, i) => (deferredNames.has(name) ? i : -1)).filter(i => i !== -1),
+            pkIndexes,
+            tracked: context.conflictStrategy === 'nothing'
+        };
+    }
+
+    /**
+     * Comando de inserção que registra em INSERTED_KEYS_TABLE as chaves primárias das
+     * linhas de fato inseridas (as que o ON CONFLICT DO NOTHING descartou ficam de fora)
+     * @param {Object} context - Contexto da geração, já com o adiamento preparado
+     * @param {string} clause - Cláusula de conflito da tabela
+     * @returns {{insertCommand: string, conflictClause: string}} Início do comando e cláusula final
+     */
+    insertedKeysClause(context, clause) {
+        const keys = context.deferral.pkIndexes.map(i => context.columns[i]).join(', ');
+        return {
+            insertCommand: 'WITH inserted AS (INSERT INTO',
+            conflictClause: `${clause} RETURNING ${keys}) INSERT INTO ${INSERTED_KEYS_TABLE} (table_name, key) SELECT ${quoteLiteral(context.table)}, ROW(${keys})::text FROM inserted`
+        };
+    }
+
+    /**
+     * Substitui por NULL as referências adiadas de uma linha e monta o UPDATE
+     * que as restaura ao fim do script (ver writeDeferredUpdate)
+     * @param {Object} context - Contexto da geração
+     * @param {Object} row - Linha em conversão
+     * @returns {string|null} UPDATE da linha, ou null se as referências já eram NULL
+     */
+    deferRowReferences(context, row) {
+        const { fkIndexes, pkIndexes } = context.deferral;
+        const format = i => this.formatValueAdvanced(row.values[i], context.columnDefs[i], context.formatter);
+        const assignments = fkIndexes
+            .filter(i => row.values[i] !== null)
+            .map(i => `${context.columns[i]} = ${format(i)}`);
+        if (assignments.length === 0) return null;
+        
+        const conditions = pkIndexes.map(i => `${context.columns[i]} = ${format(i)}`);
+        
+        fkIndexes.forEach(i => {
+            row.values[i] = null;
+        });
+        row.line = null;
+        if (context.deferral.tracked) {
+            const keys = pkIndexes.map(i => `t.${context.columns[i]}`).join(', ');
+            return `UPDATE ${context.table} AS t SET ${assignments.join(', ')} FROM ${INSERTED_KEYS_TABLE} k `
+                + `WHERE ${conditions.map(condition => `t.${condition}`).join(' AND ')} AND k.table_name = ${quoteLiteral(context.table)} AND k.key = ROW(${keys})::text;`;
+        }
+        return `UPDATE ${context.table} SET ${assignments.join(', ')} WHERE ${conditions.join(' AND ')};`;
+    }
+
+    /**
+     * Monta os UPDATE que apontam as colunas oid de uma linha para os novos OIDs (large
+     * objects no modo remap), limitados à chave primária da linha
+     * @param {Object} context - Contexto da geração
+     * @param {Object} row - Linha em conversão
+     * @returns {string|null} Um UPDATE por coluna, em linhas separadas, ou null se a linha não tem OIDs
+     */
+    largeObjectReferences(context, row) {
+        const { indexes, pkIndexes } = context.largeObjectReferences;
+        const format = i => this.formatValueAdvanced(row.values[i], context.columnDefs[i], context.formatter);
+        const key = pkIndexes.map(i => `t.${context.columns[i]} = ${format(i)}`);
+        const updates = indexes
+            .filter(i => row.values[i] !== null)
+            .map(i => remapReference(context.table, context.columns[i], format(i), key));
+        return updates.length > 0 ? updates.join('\n') : null;
+    }
+
+    /**
+     * Grava no arquivo temporário o UPDATE das referências adiadas de uma linha
+     * @param {Object} context - Contexto da geração
+     * @param {string} update - Comando UPDATE (ver deferRowReferences)
+     */
+    async writeDeferredUpdate(context, update) {
+        if (!context.deferredUpdates) {
+            const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'dump-processor-'));
+            context.deferredUpdates = { directory, file: path.join(directory, 'deferred.sql'), count: 0 };
+            context.deferredUpdates.writer = ScriptWriter.toFile(context.deferredUpdates.file);
+        }
+        await context.deferredUpdates.writer.writeLine(update);
+        context.deferredUpdates.count++;
+    }
+
+    /**
+     * Copia para o script os UPDATE das foreign keys adiadas
+     * @param {Object} context - Contexto da geração
+     */
+    async writeDeferredUpdates(context) {
+        const deferred = context.deferredUpdates;
+        if (!deferred && !context.insertedKeys) return;
+        
+        await context.writer.startFile('deferred');
+        if (deferred) {
+            await deferred.writer.end();
+            await context.writer.writeLine(`-- Restaurar referências adiadas (foreign keys em ciclo): ${deferred.count} registros`);
+            for await (const { text } of readLines(deferred.file)) {
+                if (!text) continue;
+                if (context.writer.isFull()) {
+                    await context.writer.startFile('deferred');
+                }
+                await context.writer.writeLine(text);
+                context.writer.countRow();
+            }
+            fs.rmSync(deferred.directory, { recursive: true, force: true });
+        }
+        if (context.insertedKeys) {
+            await context.writer.writeLine(`DROP TABLE ${INSERTED_KEYS_TABLE};`);
+        }
+        await context.writer.writeLine('');
+    }
+
+    /**
+     * Lê os eventos do dump e distribui a conversão das linhas entre os workers (ver
+     * ConversionPool). O processo principal continua lendo o dump e escrevendo o script:
+     * os trechos convertidos são escritos na ordem da leitura, intercalados com o início e
+     * o fim das tabelas e com os avisos da leitura, e a validação e o subconjunto decidem
+     * as linhas escritas como na conversão sequencial. O resultado é o mesmo script.
+     * @param {Object} context - Contexto da geração
+     * @param {DumpStream} stream - Leitura do dump
+     * @param {Function} beginTable - Inicia os dados de uma tabela (recebe o evento tableStart)
+     */
+    async writeParallelData(context, stream, beginTable) {
+        const { workers, workerMemory } = this.options;
+        const chunkBytes = Math.max(64 * 1024, Math.min(PARALLEL_CHUNK_BYTES, Math.floor(workerMemory / (workers * 4))));
+        const pool = new ConversionPool({ workers, memoryBytes: workerMemory, workerData: { options: this.workerOptions() } });
+        this.logger.info(`Conversão paralela: ${workers} workers`);
+        let table = null;
+        let chunk = null;
+        
+        // Cada trecho guarda os eventos na ordem da leitura; só as linhas que serão escritas vão ao worker
+        const dispatch = async () => {
+            if (!chunk) return;
+            const { items, lines, bytes } = chunk;
+            const message = lines.length > 0 ? { table, lines } : null;
+            chunk = null;
+            await pool.enqueue(async result => {
+                let rows = [];
+                if (result) {
+                    this.mergeParallelChunk(result);
+                    rows = result.packed ? unpackRows(result.packed) : [];
+                }
+                let next = 0;
+                for (const item of items) {
+                    if (item.warning) {
+                        this.errors.push(item.warning);
+                    } else {
+                        await this.writeRowData(context, item.event, item.converted ? rows[next++] : null);
+                    }
+                }
+            }, message, bytes);
+        };
+        const takeWarnings = async () => {
+            const warnings = context.pendingWarnings.splice(0);
+            if (warnings.length === 0) return;
+            if (chunk) {
+                warnings.forEach(warning => chunk.items.push({ warning }));
+            } else {
+                await pool.enqueue(async () => {
+                    this.errors.push(...warnings);
+                });
+            }
+        };
+        
+        context.pendingWarnings = [];
+        try {
+            for await (const event of stream.events()) {
+                await takeWarnings();
+                if (event.type === 'tableStart') {
+                    await dispatch();
+                    table = this.parallelTable(context, event, table ? table.id + 1 : 1);
+                    await pool.enqueue(() => beginTable(event));
+                } else if (event.type === 'row') {
+                    chunk = chunk || { items: [], lines: [], bytes: 0 };
+                    const converted = this.convertsInParallel(table, event);
+                    chunk.items.push({ event, converted });
+                    chunk.bytes += event.line.length * 2 + 64;
+                    if (converted) {
+                        chunk.lines.push(event.line);
+                    }
+                    if (chunk.items.length >= PARALLEL_CHUNK_ROWS || chunk.bytes >= chunkBytes) {
+                        await dispatch();
+                    }
+                } else if (event.type === 'tableEnd') {
+                    await dispatch();
+                    await pool.enqueue(() => this.endTableData(context, event));
+                }
+            }
+            await dispatch();
+            await takeWarnings();
+            await pool.drain();
+        } finally {
+            context.pendingWarnings = null;
+            await pool.close();
+        }
+    }
+
+    /**
+     * Preparação de uma tabela enviada aos workers com cada trecho das suas linhas: as
+     * colunas, a definição no catálogo e os tipos do usuário, a estratégia de conflito,
+     * o escritor (valores formatados ou linhas do COPY) e as foreign keys adiadas
+     * @param {Object} context - Contexto da geração
+     * @param {Object} event - Evento tableStart
+     * @param {number} id - Identificação da tabela na leitura
+     * @returns {Object} Preparação da tabela (clonável)
+     */
+    parallelTable(context, event, id) {
+        const key = objectKey(event.table);
+        const copy = this.options.mode === 'copy' || context.copyTables.has(key);
+        const deferred = context.deferredColumns.get(key);
+        return {
+            id,
+            key,
+            name: event.table,
+            columns: event.columns,
+            fieldCount: event.sourceColumnCount || event.columns.length,
+            definition: this.catalog.tables[key] || null,
+            types: this.catalog.types,
+            conflictStrategy: this.conflictStrategy(key, copy),
+            usesSqlValues: (copy ? context.copyWriter : context.rowWriter).usesSqlValues,
+            deferred: deferred ? { columns: [...deferred.columns], selfOnly: deferred.selfOnly } : null
+        };
+    }
+
+    /**
+     * Indica se uma linha vai para os workers: as linhas fora do subconjunto e as que a
+     * validação rejeita (quantidade de campos errada) não são convertidas (ver writeRowData)
+     * @param {Object} table - Preparação da tabela (ver parallelTable)
+     * @param {Object} event - Evento row
+     * @returns {boolean} true se a linha deve ser convertida
+     */
+    convertsInParallel(table, event) {
+        if (this.subset && !this.subset.includes(table.key, event.lineNumber)) {
+            return false;
+        }
+        return !this.validator || countFields(event.rawLine !== undefined ? event.rawLine : event.line) === table.fieldCount;
+    }
+
+    /**
+     * Opções dos workers da conversão paralela: só as usadas na conversão das linhas
+     * @returns {Object} Opções do AdvancedDumpExtractor dos workers (clonáveis)
+     */
+    workerOptions() {
+        const { maskRules, mapping, targetSchema, largeObjects } = this.options;
+        return { maskRules, mapping, targetSchema, largeObjects };
+    }
+
+    /**
+     * Prepara a conversão das linhas de uma tabela num worker, como beginTableData, sem
+     * escrever nada: o catálogo passa a ter a tabela e os tipos enviados pelo processo principal
+     * @param {Object} table - Preparação da tabela (ver parallelTable)
+     * @returns {Object} Contexto da conversão
+     */
+    startParallelTable(table) {
+        this.resetCatalog();
+        if (table.definition) {
+            this.catalog.tables[table.key] = table.definition;
+        }
+        Object.assign(this.catalog.types, table.types);
+        
+        const event = { table: table.name, columns: table.columns };
+        const context = {
+            setupId: table.id,
+            usesSqlValues: table.usesSqlValues,
+            conflictStrategy: table.conflictStrategy,
+            deferredColumns: new Map(table.deferred
+                ? [[table.key, { columns: new Set(table.deferred.columns), selfOnly: table.deferred.selfOnly }]]
+                : []),
+            deferral: null,
+            largeObjectColumns: new Map()
+        };
+        const target = this.prepareTable(context, event);
+        if (!(target && target.skip)) {
+            this.applyWritableColumns(context);
+            context.deferral = this.prepareDeferral(context, table.key, event);
+        }
+        return context;
+    }
+
+    /**
+     * Converte num worker um trecho das linhas de uma tabela (ver convertRowData), com as
+     * contagens das máscaras e os avisos do mapeamento registrados no trecho
+     * @param {Object} context - Contexto da conversão (ver startParallelTable)
+     * @param {Array<string>} lines - Linhas de dados do COPY
+     * @returns {{packed: Object|null, maskCounts: Object|null, mappingWarnings: Array<string>|null}} Trecho convertido
+     *   (linhas empacotadas por packRows; null nas tabelas ignoradas pelo mapeamento)
+     */
+    convertParallelChunk(context, lines) {
+        const skip = context.mapping && context.mapping.skip;
+        return {
+            packed: skip ? null : packRows(lines.map(line => this.convertRowData(context, line)), context.usesSqlValues),
+            maskCounts: this.masker ? this.masker.takeCounts() : null,
+            mappingWarnings: this.mapping ? this.mapping.warnings.splice(0) : null
+        };
+    }
+
+    /**
+     * Soma ao processo principal as contagens das máscaras e os avisos do mapeamento de um
+     * trecho convertido num worker
+     * @param {Object} result - Trecho convertido (ver convertParallelChunk)
+     */
+    mergeParallelChunk(result) {
+        if (result.maskCounts) {
+            this.masker.addCounts(result.maskCounts);
+        }
+        if (result.mappingWarnings) {
+            this.mapping.addWarnings(result.mappingWarnings);
+        }
+    }
+
+    /**
+     * Adiciona ao script a lista de colunas mascaradas e grava o relatório em JSON, se pedido
+     * @param {Array} script - Array do script SQL
+     */
+    addMaskingReport(script) {
+        if (!this.masker) return;
+        
+        const report = this.masker.report();
+        script.push('-- Colunas mascaradas');
+        report.columns.forEach(column => {
+            script.push(`-- ${column.column}: ${column.strategy} (${column.values} valores)`);
+        });
+        report.unusedRules.forEach(rule => {
+            this.errors.push(`Regra de mascaramento sem colunas correspondentes: ${rule}`);
+        });
+        report.warnings.forEach(warning => {
+            this.errors.push(`Mascaramento: ${warning}`);
+        });
+        script.push('');
+        
+        if (this.options.maskReport) {
+            fs.writeFileSync(this.options.maskReport, JSON.stringify(report, null, 2) + '\n');
+            this.logger.info(`Relatório de mascaramento salvo em: ${this.options.maskReport}`);
+        }
     }
 
     /**
-     * Processa o arquivo de dump e extrai informações das tabelas
-     * @returns {Object} Dados extraídos das tabelas
+     * Adiciona ao script a quantidade de linhas selecionadas por tabela no modo subconjunto
+     * @param {Array} script - Array do script SQL
      */
-    async processDump() {
-        console.log('Processando arquivo de dump...');
+    addSubsetReport(script) {
+        if (!this.subset) return;
         
-        try {
-            const content = fs.readFileSync(this.dumpFile, 'utf8');
-            const lines = content.split('\n');
-            
-            let currentCopy = null;
-            let inCopyData = false;
-            
-            for (let i = 0; i < lines.length; i++) {
-                const line = lines[i].replace(/\r$/, '');
-                
-                const copyMatch = line.match(/^COPY ([^"]+"[^"]+") \(([^)]+)\) FROM stdin;?$/);
-                if (copyMatch) {
-                    console.log(`Encontrado COPY: ${copyMatch[1]}`);
-                    currentCopy = {
-                        table: copyMatch[1],
-                        columns: copyMatch[2],
-                        data: []
-                    };
-                    inCopyData = true;
-                    continue;
-                }
-                
-                if (line === '\\\.' && inCopyData && currentCopy) {
-                    console.log(`Finalizando COPY: ${currentCopy.table}`);
-                    this.data.copies.push({
-                        table: currentCopy.table,
-                        columns: currentCopy.columns,
-                        data: currentCopy.data.join('\n')
-                    });
-                    currentCopy = null;
-                    inCopyData = false;
-                    continue;
-                }
-                
-                if (inCopyData && currentCopy) {
-                    currentCopy.data.push(line);
-                }
-            }
+        script.push('-- Linhas do subconjunto');
+        this.subset.report().forEach(({ table, rows }) => {
+            script.push(`-- ${table}: ${rows}`);
+        });
+        script.push('');
+    }
 
-            console.log(`Encontradas ${this.data.copies.length} tabelas com dados`);
-            
-            if (this.data.copies.length > 0) {
-                console.log('Tabelas encontradas:');
-                this.data.copies.slice(0, 5).forEach((copy, i) => {
-                    console.log(`${i+1}. ${copy.table} - ${copy.data.split('\n').length} linhas`);
-                });
-            }
-            
-        } catch (error) {
-            this.errors.push(`Erro ao processar dump: ${error.message}`);
-            throw error;
-        }
+    /**
+     * Adiciona ao script as tabelas, colunas e sequences deixadas de fora pelo mapeamento
+     * para o schema de destino
+     * @param {Array} script - Array do script SQL
+     */
+    addMappingReport(script) {
+        if (!this.mapping) return;
         
-        return this.data;
+        script.push('-- Mapeamento para o schema de destino');
+        this.mapping.summary().forEach(line => {
+            script.push(`-- ${line}`);
+        });
+        script.push('');
+        this.errors.push(...this.mapping.problems());
     }
 
     /**
-     * Gera script SQL para inserção de dados com tratamento de sequences
-     * @returns {string} Script SQL completo
+     * Adiciona ao script o resumo da validação e grava o relatório em JSON, se pedido.
+     * Linhas com a quantidade de campos errada não são convertidas e ficam fora do script.
+     * @param {Array} script - Array do script SQL
      */
-    generateInsertScript() {
-        const script = [];
+    addValidationReport(script) {
+        if (!this.validator) return;
         
-        script.push('-- Script de Inserção de Dados via INSERT INTO');
-        script.push('-- Gerado automaticamente a partir do dump');
-        script.push('-- Data: ' + new Date().toISOString());
-        script.push('-- Versão: Advanced');
+        const report = this.validator.report(this.errors);
+        script.push(`-- Validação: ${report.total} problemas encontrados`);
+        Object.entries(report.counts).forEach(([code, count]) => {
+            script.push(`--   ${code}: ${count}`);
+        });
+        if (report.counts.COLUMN_COUNT) {
+            script.push('-- Linhas com a quantidade de campos diferente das colunas do COPY foram ignoradas');
+        }
         script.push('');
         
-        this.addTriggerManagement(script, false);
-        script.push('-- Inserir dados');
-        
-        for (const copySection of this.data.copies) {
-            const { table: tableName, columns, data } = copySection;
-            const columnList = columns.split(',').map(col => col.trim());
-            
-            script.push(`-- Dados para ${tableName}`);
-            
-            const dataLines = data.split('\n');
-            let lineCount = 0;
-            
-            for (const line of dataLines) {
-                if (!line.trim()) continue;
-                
-                try {
-                    const values = this.parseCopyLine(line);
-                    const insertValues = values.map(v => this.formatValueAdvanced(v));
-                    
-                    const colStr = columnList.join(', ');
-                    const valStr = insertValues.join(', ');
-                    
-                    script.push(`INSERT INTO ${tableName} (${colStr}) VALUES (${valStr}) ON CONFLICT DO NOTHING;`);
-                    lineCount++;
-                } catch (error) {
-                    this.errors.push(`Erro na linha ${lineCount + 1} da tabela ${tableName}: ${error.message}`);
-                    console.warn(`⚠️  Erro na linha da tabela ${tableName}: ${error.message}`);
+        if (this.options.validationReport) {
+            fs.writeFileSync(this.options.validationReport, JSON.stringify(report, null, 2) + '\n');
+            this.logger.info(`Relatório de validação salvo em: ${this.options.validationReport}`);
+        }
+    }
+
+    /**
+     * Adiciona os comandos executados antes dos dados, conforme a estratégia de foreign keys
+     * @param {Array} script - Array do script SQL
+     * @param {Object} context - Contexto da geração
+     */
+    addIntegrityPreamble(script, context) {
+        switch (this.options.fkStrategy) {
+            case 'order':
+                script.push('-- Tabelas inseridas na ordem de dependência das foreign keys');
+                if (context.deferConstraints && this.options.split) {
+                    // Cada arquivo roda na própria transação (run_chunks.js usa --single-transaction)
+                    script.push('-- Foreign keys DEFERRABLE em ciclo são verificadas no COMMIT de cada arquivo');
+                    script.push('SET CONSTRAINTS ALL DEFERRED;');
+                    this.errors.push('Foreign keys DEFERRABLE em ciclo são verificadas ao fim de cada arquivo: referências entre arquivos diferentes podem falhar (use --fk-strategy=replica)');
+                } else if (context.deferConstraints) {
+                    script.push('-- Foreign keys DEFERRABLE em ciclo são verificadas apenas no COMMIT');
+                    script.push('BEGIN;');
+                    script.push('SET CONSTRAINTS ALL DEFERRED;');
                 }
-            }
-            
-            if (lineCount > 0) {
-                script.push(`-- ${lineCount} registros inseridos em ${tableName}`);
-            }
-            script.push('');
+                script.push('');
+                break;
+            case 'replica':
+                script.push('-- Desabilitar triggers e verificações de foreign keys nesta sessão');
+                script.push('SET session_replication_role = replica;');
+                script.push('');
+                break;
+            default:
+                break;
         }
-        
-        this.addTriggerManagement(script, true);
-        this.addSequenceAdjustment(script);
-        
-        if (this.errors.length > 0) {
-            script.push('-- AVISOS:');
-            script.push('-- Os seguintes erros foram encontrados durante o processamento:');
-            this.errors.forEach(error => {
-                script.push(`-- ${error}`);
-            });
-            script.push('');
+    }
+
+    /**
+     * Adiciona os comandos executados depois dos dados, conforme a estratégia de foreign keys
+     * @param {Array} script - Array do script SQL
+     * @param {Object} context - Contexto da geração
+     */
+    addIntegrityPostamble(script, context) {
+        switch (this.options.fkStrategy) {
+            case 'order':
+                if (context.deferConstraints && !this.options.split) {
+                    script.push('COMMIT;');
+                    script.push('');
+                }
+                break;
+            case 'triggers':
+                this.addTriggerManagement(script, true, context.triggerTables);
+                break;
+            case 'replica':
+                script.push('-- Restaurar o comportamento normal de triggers e foreign keys');
+                script.push('SET session_replication_role = DEFAULT;');
+                script.push('');
+                break;
+            default:
+                break;
         }
-        
-        return script.join('\n');
     }
 
     /**
-     * Adiciona comandos para gerenciar triggers (desabilitar/reabilitar)
+     * Adiciona comandos para gerenciar triggers (desabilitar/reabilitar) das tabelas do dump
      * @param {Array} script - Array do script SQL
      * @param {boolean} enable - Se deve habilitar (true) ou desabilitar (false) triggers
+     * @param {Array<string>} tables - Tabelas afetadas
      */
-    addTriggerManagement(script, enable) {
+    addTriggerManagement(script, enable, tables) {
         const action = enable ? 'ENABLE' : 'DISABLE';
-        script.push(`-- ${enable ? 'Reabilitar' : 'Desabilitar'} triggers para evitar problemas com foreign keys`);
-        script.push('DO $$');
-        script.push('DECLARE');
-        script.push('r RECORD;');
-        script.push('BEGIN');
-        script.push('FOR r IN');
-        script.push('SELECT conname, conrelid::regclass::text AS table_name');
-        script.push('FROM pg_constraint');
-        script.push('WHERE contype = \'f\'');
-        script.push('LOOP');
-        script.push(`EXECUTE format('ALTER TABLE %s ${action} TRIGGER ALL', r.table_name);`);
-        script.push('END LOOP;');
-        script.push('END $$;');
+        script.push(`-- ${enable ? 'Reabilitar' : 'Desabilitar'} triggers das tabelas do dump`);
+        for (const table of tables) {
+            script.push(`ALTER TABLE ${table} ${action} TRIGGER ALL;`);
+        }
         script.push('');
     }
 
     /**
-     * Adiciona comandos para ajustar sequences das chaves primárias
+     * Adiciona comandos para restaurar as sequences com os valores exatos do banco
+     * de origem, lidos dos setval do dump (apenas as que passam pelos filtros)
      * @param {Array} script - Array do script SQL
      */
     addSequenceAdjustment(script) {
-        script.push('-- Ajustar sequences das chaves primárias');
+        const sequences = this.data.sequences.filter(sequence => sequence.value !== null && this.filter.includesSequence(sequence));
+        
+        script.push('-- Restaurar sequences com os valores do banco de origem');
+        for (const sequence of sequences) {
+            const name = this.mapping ? this.mapping.sequenceName(sequence.schema, sequence.name) : qualifiedName(sequence.schema, sequence.name);
+            if (!name) continue;
+            const owner = sequence.ownedBy ? ` -- ${sequence.ownedBy.table}.${sequence.ownedBy.column}` : '';
+            script.push(`SELECT pg_catalog.setval(${quoteLiteral(name)}, ${sequence.value}, ${sequence.isCalled});${owner}`);
+        }
+        script.push('');
+        
+        if (this.options.sequenceHeuristic) {
+            this.addHeuristicSequenceAdjustment(script);
+        }
+    }
+
+    /**
+     * Adiciona comandos para ajustar pelo MAX da coluna as sequences deduzidas pelo
+     * nome das colunas (contendo "id"). Usado apenas quando habilitado e somente para
+     * tabelas sem sequence conhecida no dump.
+     * @param {Array} script - Array do script SQL
+     */
+    addHeuristicSequenceAdjustment(script) {
+        const ownedTables = new Set(this.data.sequences
+            .filter(sequence => sequence.ownedBy)
+            .map(sequence => sequence.ownedBy.table));
+        
+        script.push('-- Ajustar sequences deduzidas pelo nome das colunas (heurística)');
         for (const copySection of this.data.copies) {
-            const { table: tableName, columns } = copySection;
-            const columnList = columns.split(',').map(col => col.trim());
+            const { table: tableName, columns: columnList } = copySection;
+            if (ownedTables.has(objectKey(tableName))) continue;
             
             const idColumns = columnList.filter(col => 
                 col.toLowerCase().includes('id') || 
@@ -212,147 +1519,695 @@ class AdvancedDumpExtractor {
     }
 
     /**
-     * Parse linha do COPY (tab separado) com tratamento robusto de caracteres especiais
+     * Decodifica linha do COPY (tab separado) seguindo o formato texto do PostgreSQL
      * @param {string} line - Linha de dados do COPY
-     * @returns {Array} Array de valores parseados
+     * @returns {Array<string|null>} Valores decodificados; NULL é representado por null
      */
     parseCopyLine(line) {
-        const values = [];
-        let current = '';
-        let inQuotes = false;
-        let i = 0;
+        return decodeCopyLine(line);
+    }
+
+    /**
+     * Formata valor para inserção SQL com tratamento de tipos específicos.
+     * Usa o tipo real da coluna quando o CREATE TABLE está no dump; caso contrário,
+     * deduz o tipo a partir do conteúdo do valor.
+     * @param {string|null} value - Valor a ser formatado (null para NULL)
+     * @param {Object} [column] - Definição da coluna no catálogo
+     * @param {ValueFormatter} [formatter=this.formatter] - Formatador do catálogo da coluna (o do schema de destino, com mapeamento)
+     * @returns {string} Valor formatado para SQL
+     */
+    formatValueAdvanced(value, column, formatter = this.formatter) {
+        if (column && column.type) {
+            return formatter.format(value, column);
+        }
         
-        while (i < line.length) {
-            const char = line[i];
-            
-            if (char === '\t' && !inQuotes) {
-                values.push(current);
-                current = '';
-            } else if (char === '\\' && i + 1 < line.length) {
-                const nextChar = line[i + 1];
-                if (nextChar === 'N') {
-                    current += '\\N';
-                    i++;
-                } else if (nextChar === 't') {
-                    current += '\t';
-                    i++;
-                } else if (nextChar === 'n') {
-                    current += '\n';
-                    i++;
-                } else if (nextChar === '\\') {
-                    current += '\\';
-                    i++;
-                } else {
-                    current += char;
+        if (value === null) {
+            return 'NULL';
+        }
+        
+        if (/^-?\d+(\.\d+)?$/.test(value)) {
+            return value;
+        }
+        
+        return quoteLiteral(value);
+    }
+
+    /**
+     * Gera o script SQL em streaming e salva em arquivo, ou em um diretório de arquivos
+     * numerados com manifest.json quando a divisão está habilitada
+     * @param {string} outputFile - Caminho do arquivo (ou diretório) de saída
+     */
+    async saveScript(outputFile) {
+        if (this.options.split && outputFile === STDIO) {
+            throw new Error('A saída dividida precisa de um diretório, não da stdout');
+        }
+        const writer = this.options.split
+            ? new ChunkedScriptWriter(outputFile, { ...this.options.split, source: this.dumpFile })
+            : ScriptWriter.toFile(outputFile);
+        if (this.options.dialect === 'postgres') {
+            await this.generateInsertScript(writer);
+        } else {
+            await this.generateDialectScript(writer);
+        }
+        await writer.end();
+        this.logger.info(`Script salvo em: ${outputFile}`);
+        
+        if (this.errors.length > 0) {
+            this.logger.info(`⚠️  ${this.errors.length} avisos encontrados durante o processamento`);
+        }
+    }
+
+    /**
+     * Exporta os dados das tabelas em arquivos (um por tabela) no formato escolhido,
+     * com o mesmo pipeline do script SQL: filtros, subconjunto, mascaramento e mapeamento.
+     * O manifest.json lista as tabelas, colunas e quantidades de linhas exportadas.
+     * @param {string} directory - Diretório de saída
+     */
+    async exportTables(directory) {
+        const exporter = createExporter(this.options.format, directory, { source: this.dumpFile });
+        const context = { exporter };
+        const stream = await this.openStream(null);
+        
+        try {
+            for await (const event of stream.events()) {
+                if (event.type === 'tableStart') {
+                    await this.beginTableExport(context, event);
+                } else if (event.type === 'row') {
+                    await this.exportRow(context, event);
+                } else if (event.type === 'tableEnd') {
+                    if (context.mapping && context.mapping.skip) continue;
+                    await exporter.endTable();
+                    this.registerCopy(event);
                 }
-            } else {
-                current += char;
             }
-            i++;
+        } catch (error) {
+            this.errors.push(`Erro ao processar dump: ${error.message}`);
+            throw error;
         }
         
-        if (current) {
-            values.push(current);
-        }
+        this.data.sequences = Object.values(this.catalog.sequences);
+        this.logSummary();
+        
+        // Os relatórios vão para o manifesto (avisos) e para o --mask-report, não para um script
+        this.addMaskingReport([]);
+        this.addMappingReport([]);
+        this.addValidationReport([]);
+        this.errors.push(...exporter.warnings());
         
-        return values;
+        const manifest = await exporter.finish({ warnings: this.errors });
+        this.logger.info(`Dados exportados em: ${directory} (${manifest})`);
+        
+        if (this.errors.length > 0) {
+            this.logger.info(`⚠️  ${this.errors.length} avisos encontrados durante o processamento`);
+        }
     }
 
     /**
-     * Formata valor para inserção SQL com tratamento de tipos específicos
-     * @param {string} value - Valor a ser formatado
-     * @returns {string} Valor formatado para SQL
+     * Inicia a exportação dos dados de uma tabela
+     * @param {Object} context - Contexto da exportação
+     * @param {Object} event - Evento tableStart
      */
-    formatValueAdvanced(value) {
-        if (value === '\\N' || value === '') {
-            return 'NULL';
+    async beginTableExport(context, event) {
+        const target = this.prepareTable(context, event);
+        if (target && target.skip) {
+            this.logger.info(`Dados de ${event.table} ignorados: ${target.table} não existe no schema de destino`);
+            return;
+        }
+        // As colunas geradas ficam fora, como no script: com máscaras, guardariam os valores originais
+        const generated = this.applyWritableColumns(context);
+        if (generated.length > 0) {
+            this.errors.push(`Tabela ${event.table}: colunas geradas fora da exportação (${generated.join(', ')})`);
+        }
+        await context.exporter.startTable(context.table, this.describeColumns(context));
+    }
+
+    /**
+     * Converte e exporta uma linha de dados do COPY
+     * @param {Object} context - Contexto da exportação
+     * @param {Object} event - Evento row
+     */
+    async exportRow(context, event) {
+        if (context.mapping && context.mapping.skip) {
+            return;
+        }
+        if (this.validator && !this.validator.checkRow(event)) {
+            return;
+        }
+        if (this.subset && !this.subset.includes(context.tableKey, event.lineNumber)) {
+            return;
         }
         
-        if (/^-?\d+(\.\d+)?$/.test(value)) {
-            return value;
+        const row = { line: event.line, values: null };
+        try {
+            this.convertRow(context, row);
+            context.lineCount++;
+        } catch (error) {
+            this.errors.push(`Erro na linha ${event.lineNumber} do dump (tabela ${event.table}): ${error.message}`);
+            this.logger.warn(`⚠️  Erro na linha da tabela ${event.table}: ${error.message}`);
+            return;
+        }
+        await context.exporter.writeRow(row.values);
+    }
+
+    /**
+     * Valida o dump sem gerar saída: percorre as linhas de todas as tabelas com o
+     * DumpValidator e grava o relatório, se pedido. O dump é indexado antes dos dados
+     * para que as chaves primárias (declaradas depois dos blocos COPY) sejam conhecidas.
+     * @returns {Promise<Object>} Relatório da validação (ver DumpValidator.report)
+     */
+    async validateDump() {
+        if (!this.validator) {
+            this.validator = new DumpValidator({ source: this.dumpFile });
+        }
+        const context = {};
+        const stream = await this.openStream(index => index.blocks);
+
+        try {
+            for await (const event of stream.events()) {
+                if (event.type === 'tableStart') {
+                    this.prepareTable(context, event);
+                } else if (event.type === 'row') {
+                    this.validator.checkRow(event);
+                } else if (event.type === 'tableEnd') {
+                    this.registerCopy(event);
+                }
+            }
+        } catch (error) {
+            this.errors.push(`Erro ao processar dump: ${error.message}`);
+            throw error;
+        }
+
+        this.addValidationReport([]);
+        return this.validator.report(this.errors);
+    }
+
+    /**
+     * Índice do dump sem os filtros, com o resumo do catálogo usado pelo inspect (formato,
+     * codificação, chaves e foreign keys das tabelas, sequences, tipos e avisos do DDL).
+     * Com options.indexFile, o índice vem do índice lateral quando ele corresponde ao dump
+     * e, quando precisa ser montado, é gravado nele: as consultas seguintes vão direto aos
+     * blocos COPY, sem percorrer o dump. Na montagem as linhas de todos os formatos são contadas.
+     * Com options.spool, na stdin os blocos são copiados para um arquivo temporário compactado,
+     * lido no lugar do dump e apagado pelo close() do índice.
+     * @param {Object} [options] - Opções da montagem
+     * @param {boolean} [options.spool=false] - Copia os blocos da stdin para a leitura das linhas (ver DumpIndex.build)
+     * @returns {Promise<DumpIndex>} Índice, com o resumo em metadata
+     */
+    async loadDumpIndex(options = {}) {
+        const file = this.dumpFile === STDIO ? null : this.options.indexFile;
+        let index = file ? DumpIndex.load(file, this.dumpFile) : null;
+
+        if (!index) {
+            this.resetCatalog();
+            const warnings = [];
+            const stream = readDump(this.dumpFile, { catalog: this.catalog, logger: this.logger, encoding: this.options.encoding });
+            stream.on('warning', message => warnings.push(message));
+            index = await stream.index({ countRows: true, spool: options.spool === true });
+            index.metadata = {
+                format: stream.reader.directory === undefined ? 'plain' : (stream.reader.directory ? 'directory' : 'custom'),
+                encoding: stream.encoding,
+                tables: Object.values(this.catalog.tables).map(table => ({
+                    key: table.key,
+                    schema: table.schema,
+                    name: table.name,
+                    primaryKey: table.primaryKey ? table.primaryKey.columns : null,
+                    references: [...new Set(table.foreignKeys.map(fk => fk.refTable))]
+                })),
+                sequences: Object.values(this.catalog.sequences)
+                    .map(({ schema, name, value, ownedBy }) => ({ schema, name, value, ownedBy })),
+                types: Object.values(this.catalog.types)
+                    .filter(type => type.kind !== 'base')
+                    .map(type => ({ name: type.name, kind: type.kind })),
+                warnings
+            };
+            if (file) {
+                try {
+                    index.save(file);
+                } catch (error) {
+                    this.errors.push(`Índice lateral não gravado em ${file}: ${error.message}`);
+                }
+            }
+        }
+
+        this.errors.push(...index.metadata.warnings);
+        return index;
+    }
+
+    /**
+     * Resume o conteúdo do dump a partir do índice, sem ler as linhas de dados: formato,
+     * schemas e tabelas com dados (linhas, bytes, colunas, chaves e foreign keys), tabelas
+     * sem dados, sequences e tipos definidos. Nos formatos custom e directory os bytes são
+     * os dos dados compactados.
+     * @returns {Promise<Object>} Resumo ({ source, format, encoding, schemas, tables, emptyTables, sequences, types, warnings })
+     */
+    async inspectDump() {
+        const index = await this.loadDumpIndex();
+        const { metadata } = index;
+        const catalogTables = new Map(metadata.tables.map(table => [table.key, table]));
+
+        const tables = new Map();
+        for (const block of index.select(this.filter).blocks) {
+            if (!tables.has(block.key)) {
+                const table = catalogTables.get(block.key);
+                tables.set(block.key, {
+                    table: block.table,
+                    schema: parseQualifiedName(block.table).schema,
+                    columns: block.columns.map(unquoteIdentifier),
+                    rows: 0,
+                    dataBytes: 0,
+                    primaryKey: table ? table.primaryKey : null,
+                    references: table ? table.references : [],
+                    unterminated: false
+                });
+            }
+            const entry = tables.get(block.key);
+            entry.rows = entry.rows === null || block.rowCount === null ? null : entry.rows + block.rowCount;
+            entry.dataBytes += block.dataEnd - block.dataStart;
+            entry.unterminated = entry.unterminated || block.unterminated;
+        }
+
+        const schemas = new Map();
+        for (const table of tables.values()) {
+            const schema = schemas.get(table.schema) || { name: table.schema, tables: 0, rows: 0, dataBytes: 0 };
+            schema.tables++;
+            schema.rows = schema.rows === null || table.rows === null ? null : schema.rows + table.rows;
+            schema.dataBytes += table.dataBytes;
+            schemas.set(table.schema, schema);
+        }
+
+        return {
+            source: this.dumpFile,
+            format: metadata.format,
+            encoding: metadata.encoding,
+            schemas: [...schemas.values()],
+            tables: [...tables.values()],
+            emptyTables: metadata.tables
+                .filter(table => !tables.has(table.key) && this.filter.includesName(table.schema, table.name))
+                .map(table => table.key),
+            sequences: metadata.sequences.filter(sequence => this.filter.includesSequence(sequence)).map(sequence => ({
+                name: `${sequence.schema}.${sequence.name}`,
+                value: sequence.value,
+                ownedBy: sequence.ownedBy
+            })),
+            types: metadata.types,
+            warnings: this.errors
+        };
+    }
+
+    /**
+     * Blocos COPY das tabelas informadas, no índice já filtrado
+     * @param {DumpIndex} index - Índice com os filtros aplicados
+     * @param {Array<string>} tables - Tabelas como no SQL (sem schema, public)
+     * @returns {Array<Object>} Blocos, na ordem das tabelas
+     */
+    indexBlocks(index, tables) {
+        return tables.flatMap(table => {
+            const blocks = index.findBlocks(table);
+            if (blocks.length === 0) {
+                throw new Error(`Tabela ${table} sem dados no dump (ou excluída pelos filtros)`);
+            }
+            return blocks;
+        });
+    }
+
+    /**
+     * Abre a leitura só dos blocos informados, posicionada direto em cada um pelo índice
+     * @param {DumpIndex} index - Índice do dump
+     * @param {Array<Object>} blocks - Blocos lidos
+     * @returns {DumpStream} Leitura dos blocos (sem o DDL)
+     */
+    openIndexedStream(index, blocks) {
+        const stream = readDump(this.dumpFile, {
+            index,
+            plan: () => blocks,
+            logger: this.logger,
+            encoding: this.options.encoding || index.metadata.encoding
+        });
+        stream.on('warning', message => this.errors.push(message));
+        return stream;
+    }
+
+    /**
+     * Colunas e as primeiras linhas de cada tabela informada, lidas direto do bloco COPY
+     * @param {Array<string>} tables - Tabelas como no SQL (sem schema, public)
+     * @param {number} [count=10] - Linhas da amostra de cada tabela
+     * @returns {Promise<Array<{table: string, columns: Array<string>, rows: number|null, sample: Array<Array<string|null>>}>>}
+     *   Tabelas, com o total de linhas e os valores da amostra (texto, ou null para NULL)
+     */
+    async sampleTables(tables, count = 10) {
+        const dumpIndex = await this.loadDumpIndex({ spool: count > 0 });
+        const index = dumpIndex.select(this.filter);
+        const results = [];
+
+        try {
+            for (const table of tables) {
+                const blocks = this.indexBlocks(index, [table]);
+                const result = {
+                    table: blocks[0].table,
+                    columns: blocks[0].columns.map(unquoteIdentifier),
+                    rows: blocks.some(block => block.rowCount === null) ? null : blocks.reduce((total, block) => total + block.rowCount, 0),
+                    sample: []
+                };
+                if (count > 0) {
+                    for await (const { row } of this.openIndexedStream(index, blocks)) {
+                        result.sample.push(row);
+                        if (result.sample.length >= count) break;
+                    }
+                }
+                results.push(result);
+            }
+        } finally {
+            dumpIndex.close();
+        }
+        return results;
+    }
+
+    /**
+     * Procura um valor nos campos das linhas de dados, lendo só os blocos COPY selecionados
+     * pelo índice. Um texto casa com o campo inteiro; uma expressão regular, com qualquer trecho.
+     * @param {string|RegExp} pattern - Valor procurado ou expressão regular
+     * @param {Object} [options] - Opções da busca
+     * @param {Array<string>} [options.tables=[]] - Tabelas pesquisadas; vazio pesquisa todas as mantidas pelos filtros
+     * @param {number} [options.maxHits=100] - Ocorrências listadas; a busca para ao passar desse número
+     * @returns {Promise<Object>} Resultado ({ hits: [{ table, row, column, lineNumber, value }], truncated, tables, rows }),
+     *   com o registro (a partir de 1) dentro da tabela e a linha do dump
+     */
+    async searchDump(pattern, options = {}) {
+        const { tables = [], maxHits = 100 } = options;
+        const dumpIndex = await this.loadDumpIndex({ spool: true });
+        try {
+            return await this.searchBlocks(dumpIndex.select(this.filter), pattern, tables, maxHits);
+        } finally {
+            dumpIndex.close();
         }
+    }
+
+    /**
+     * Busca de searchDump nos blocos do índice já filtrado
+     * @param {DumpIndex} index - Índice com os filtros aplicados
+     * @param {string|RegExp} pattern - Valor procurado ou expressão regular
+     * @param {Array<string>} tables - Tabelas pesquisadas; vazio pesquisa todas
+     * @param {number} maxHits - Ocorrências listadas
+     * @returns {Promise<Object>} Resultado (ver searchDump)
+     */
+    async searchBlocks(index, pattern, tables, maxHits) {
+        const blocks = tables.length > 0 ? this.indexBlocks(index, tables) : index.blocks;
+        const regex = pattern instanceof RegExp ? pattern : null;
+        // Valores sem caracteres escapados no COPY aparecem iguais na linha: as que não os contêm são puladas sem decodificar
+        const literal = regex || /[\\\t\n\r]/.test(pattern) ? null : pattern;
+        const result = { hits: [], truncated: false, tables: new Set(blocks.map(block => block.key)).size, rows: 0 };
+
+        let table = null;
+        let columns = null;
+        let row = 0;
+        for await (const event of this.openIndexedStream(index, blocks).events()) {
+            if (event.type === 'tableStart') {
+                table = event.table;
+                columns = event.columns.map(unquoteIdentifier);
+                row = 0;
+                continue;
+            }
+            if (event.type !== 'row') continue;
+
+            row++;
+            result.rows++;
+            if (literal !== null && !event.line.includes(literal)) continue;
+            const values = decodeCopyLine(event.line);
+            for (let i = 0; i < values.length; i++) {
+                const value = values[i];
+                if (value === null || (regex ? !regex.test(value) : value !== pattern)) continue;
+                if (result.hits.length >= maxHits) {
+                    result.truncated = true;
+                    return result;
+                }
+                result.hits.push({ table, row, column: columns[i], lineNumber: event.lineNumber, value });
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Descreve as colunas da tabela atual para os exportadores e dialetos: nome sem aspas,
+     * tipo declarado e tipo base (com os domínios resolvidos), categoria do tipo (e dos
+     * elementos, em arrays), tipo JSON dos números, valores do enum, nulabilidade, default e identity
+     * @param {Object} context - Contexto da exportação
+     * @returns {Array<Object>} Colunas ({ name, type, base, category, castType, element, numberType, labels, nullable, default, identity })
+     */
+    describeColumns(context) {
+        const catalog = context.formatter.catalog;
+        return context.columns.map((column, i) => {
+            const def = context.columnDefs[i];
+            const type = def && def.type ? def.type : null;
+            const { category, castType } = context.formatter.describe(type);
+            let base = type;
+            for (let userType = base && catalog.getType(base); userType && userType.kind === 'domain'; userType = catalog.getType(base)) {
+                base = userType.baseType;
+            }
+            const userType = base ? catalog.getType(base) : undefined;
+            return {
+                name: unquoteIdentifier(column),
+                type,
+                base,
+                category,
+                castType,
+                element: category === 'array' ? context.formatter.describe(elementType(type)).category : undefined,
+                numberType: jsonNumberType(base && category === 'array' ? elementType(base) : base),
+                labels: userType && userType.kind === 'enum' ? userType.labels : null,
+                nullable: def ? def.nullable : true,
+                default: def ? def.default : null,
+                identity: def ? def.identity : null
+            };
+        });
+    }
+
+    /**
+     * Gera o script de inserção para outro banco (SQLite ou MySQL): nomes, valores e
+     * conflitos na sintaxe do dialeto, CREATE TABLE a partir do DDL do dump e, no lugar
+     * dos comandos exclusivos do PostgreSQL (triggers, DO $$, pg_get_serial_sequence),
+     * os equivalentes do dialeto. O dump é indexado antes dos dados porque as chaves e
+     * foreign keys só aparecem no dump depois dos blocos COPY.
+     * @param {ScriptWriter} writer - Destino do script
+     */
+    async generateDialectScript(writer) {
+        const dialect = createDialect(this.options.dialect);
+        if (this.options.mode === 'copy' || this.options.copyTables.length > 0) {
+            throw new Error(`COPY ... FROM stdin não existe no dialeto ${dialect.name}; use --mode=insert ou --mode=batch`);
+        }
+        if (this.options.onConflict) {
+            validateConflictStrategy(this.options.onConflict);
+        }
+        
+        const context = {
+            writer,
+            dialect,
+            rowWriter: createStatementWriter(this.options.mode, writer, {
+                batchSize: this.options.batchSize,
+                maxStatementBytes: this.options.maxStatementBytes
+            }),
+            createdTables: new Set(),
+            tableNames: new Map(),
+            nullValues: new Map(),
+            deferral: null
+        };
+        const stream = await this.openStream(index => index.blocks);
         
-        if (value === 't' || value === 'f') {
-            return `'${value}'`;
+        const script = [];
+        script.push(`-- Script de Inserção de Dados para ${dialect.name === 'sqlite' ? 'SQLite' : 'MySQL'}`);
+        script.push('-- Gerado automaticamente a partir do dump PostgreSQL');
+        script.push('-- Data: ' + new Date().toISOString());
+        script.push('-- Versão: Advanced');
+        script.push(`-- Modo: ${this.options.mode}`);
+        script.push(`-- Estratégia de conflito: ${this.options.onConflict || 'nothing'}`);
+        script.push(...this.encodingHeader(stream));
+        this.conflictTables.forEach((strategy, key) => {
+            script.push(`--   ${key}: ${strategy}`);
+        });
+        this.subsetSeeds.forEach(seed => {
+            script.push(`-- Subconjunto: ${seed.table}: ${seed.text}`);
+        });
+        this.filter.describe().forEach(line => {
+            script.push(`-- Filtro ${line}`);
+        });
+        if (this.options.mapping) {
+            script.push(`-- Mapeamento: ${this.options.mapping}`);
         }
+        if (this.options.targetSchema) {
+            script.push(`-- Schema de destino: ${this.options.targetSchema}`);
+        }
+        script.push('-- Tabelas fora do schema public recebem o schema como prefixo (ex.: audit_audit_log)');
+        script.push('');
+        script.push(...dialect.preamble());
+        await writer.writeLines(script);
         
-        if ((value.startsWith('{') && value.endsWith('}')) || 
-            (value.startsWith('[') && value.endsWith(']'))) {
-            const escaped = value.replace(/'/g, "''");
-            return `'${escaped}'`;
+        try {
+            for await (const event of stream.events()) {
+                if (event.type === 'tableStart') {
+                    await this.beginDialectTable(context, event);
+                } else if (event.type === 'row') {
+                    await this.writeRowData(context, event);
+                } else if (event.type === 'tableEnd') {
+                    await this.endTableData(context, event);
+                }
+            }
+        } catch (error) {
+            this.errors.push(`Erro ao processar dump: ${error.message}`);
+            throw error;
         }
         
-        if (/^\d{4}-\d{2}-\d{2}/.test(value) && value.includes(':')) {
-            const escaped = value.replace(/'/g, "''");
-            return `'${escaped}'`;
+        this.data.sequences = Object.values(this.catalog.sequences);
+        this.logSummary();
+        this.warnUnmatchedConflictTables();
+        context.nullValues.forEach((count, column) => {
+            this.errors.push(`${column}: ${count} valores sem equivalente no ${dialect.name} (NaN, Infinity ou infinity) gravados como NULL`);
+        });
+        
+        const footer = [...dialect.postamble()];
+        footer.push(...dialect.sequenceAdjustment(this.dialectSequences(context)));
+        if (this.options.sequenceHeuristic) {
+            footer.push('-- --sequence-heuristic ignorado: o ajuste pelo MAX usa funções exclusivas do PostgreSQL');
+            footer.push('');
         }
+        this.addMaskingReport(footer);
+        this.addSubsetReport(footer);
+        this.addMappingReport(footer);
+        this.addValidationReport(footer);
         
-        const escaped = value
-            .replace(/'/g, "''")
-            .replace(/\0/g, '');
+        if (this.errors.length > 0) {
+            footer.push('-- AVISOS:');
+            footer.push('-- Os seguintes erros foram encontrados durante o processamento:');
+            this.errors.forEach(error => {
+                footer.push(`-- ${error}`);
+            });
+            footer.push('');
+        }
         
-        return `'${escaped}'`;
+        await writer.writeLines(footer);
     }
 
     /**
-     * Salva o script SQL gerado em arquivo
-     * @param {string} outputFile - Caminho do arquivo de saída
+     * Inicia a escrita dos dados de uma tabela no dialeto de destino, criando a tabela
+     * antes do primeiro bloco quando o DDL está no dump
+     * @param {Object} context - Contexto da geração
+     * @param {Object} event - Evento tableStart
      */
-    async saveScript(outputFile) {
-        const script = this.generateInsertScript();
-        fs.writeFileSync(outputFile, script, 'utf8');
-        console.log(`Script salvo em: ${outputFile}`);
+    async beginDialectTable(context, event) {
+        const { dialect } = context;
+        const target = this.prepareTable(context, event);
+        if (target && target.skip) {
+            await context.writer.writeLine(`-- Dados de ${event.table} ignorados: ${target.table} não existe no schema de destino`);
+            return;
+        }
         
-        if (this.errors.length > 0) {
-            console.log(`⚠️  ${this.errors.length} avisos encontrados durante o processamento`);
+        // As colunas geradas ficam fora do CREATE TABLE e dos INSERT: a expressão é do PostgreSQL
+        // e, com máscaras, o valor do dump guardaria os dados originais
+        const generated = this.applyWritableColumns(context);
+        const { schema, name } = parseQualifiedName(context.table);
+        const table = dialect.tableName(schema, name);
+        const tableDef = target ? target.tableDef : this.catalog.tables[context.tableKey];
+        const columns = this.describeColumns(context);
+        const names = columns.map(column => column.name);
+        context.columnTypes = columns;
+        context.tableNames.set(context.tableKey, { table, names, rename: target ? column => target.rename(column) : column => column });
+        context.table = table;
+        
+        await context.writer.writeLine(`-- Dados para ${event.table} → ${table}`);
+        if (generated.length > 0) {
+            this.errors.push(`Tabela ${event.table}: colunas geradas fora do script ${dialect.name} (${generated.join(', ')})`);
+            await context.writer.writeLine(`-- Colunas geradas fora do script (calculadas pelo PostgreSQL): ${generated.join(', ')}`);
+        }
+        if (!context.createdTables.has(table)) {
+            context.createdTables.add(table);
+            if (tableDef) {
+                await context.writer.writeLines(dialect.createTable(table, columns, this.dialectKeys(context, tableDef, names)));
+            } else {
+                await context.writer.writeLine(`-- Sem CREATE TABLE de ${event.table} no dump: a tabela precisa existir no destino`);
+            }
+        }
+        
+        const strategy = this.conflictStrategy(context.tableKey, false);
+        const { insertCommand, clause, warning } = dialect.conflictSyntax(strategy, tableDef, names);
+        context.conflictSummary = CONFLICT_SUMMARY[strategy === 'update' && insertCommand === dialect.ignoreCommand ? 'nothing' : strategy] || null;
+        context.statementWriter = strategy === 'skip'
+            ? new StagingStatementWriter(context.rowWriter, context.writer, { onlyIfEmpty: true, staging: dialect.staging })
+            : context.rowWriter;
+        context.usesSqlValues = context.statementWriter.usesSqlValues;
+        
+        if (event.columnIndexes) {
+            this.checkFilteredColumns(event);
+        }
+        if (warning) {
+            this.errors.push(`Tabela ${event.table} (conflito ${strategy}): ${warning}`);
+            await context.writer.writeLine(`-- ATENÇÃO: ${warning}`);
         }
+        if (strategy === 'skip') {
+            await context.writer.writeLine('-- Inserida somente se a tabela de destino estiver vazia');
+        }
+        await context.statementWriter.startTable(table, names.map(column => dialect.quoteIdentifier(column)), { conflictClause: clause, insertCommand });
+    }
+
+    /**
+     * Chaves da tabela para o CREATE TABLE do dialeto, limitadas às colunas escritas.
+     * As foreign keys entram apenas sem mapeamento (os nomes de destino das tabelas
+     * referenciadas não são conhecidos) e quando a tabela referenciada passa pelos filtros.
+     * @param {Object} context - Contexto da geração
+     * @param {Object} tableDef - Tabela no catálogo
+     * @param {Array<string>} names - Colunas escritas, sem aspas
+     * @returns {Object} Chaves ({ primaryKey, uniqueKeys, foreignKeys })
+     */
+    dialectKeys(context, tableDef, names) {
+        const present = key => key && key.columns.every(column => names.includes(column));
+        const foreignKeys = context.mapping ? [] : tableDef.foreignKeys
+            .filter(fk => fk.columns.every(column => names.includes(column)))
+            .map(fk => {
+                const separator = fk.refTable.indexOf('.');
+                const [schema, name] = [fk.refTable.slice(0, separator), fk.refTable.slice(separator + 1)];
+                const refTable = this.catalog.tables[fk.refTable];
+                const refColumns = fk.refColumns || (refTable && refTable.primaryKey ? refTable.primaryKey.columns : null);
+                return this.filter.includesName(schema, name) && refColumns
+                    ? { columns: fk.columns, refTable: context.dialect.tableName(schema, name), refColumns }
+                    : null;
+            })
+            .filter(Boolean);
+        
+        return {
+            primaryKey: present(tableDef.primaryKey) ? tableDef.primaryKey.columns : null,
+            uniqueKeys: tableDef.uniqueKeys.filter(present).map(key => key.columns),
+            foreignKeys
+        };
+    }
+
+    /**
+     * Sequences do dump com a tabela e a coluna de destino que as usam (OWNED BY ou identity),
+     * apenas para as tabelas escritas no script
+     * @param {Object} context - Contexto da geração
+     * @returns {Array<Object>} Sequences ({ sequence, table, column })
+     */
+    dialectSequences(context) {
+        return this.data.sequences
+            .filter(sequence => sequence.value !== null && sequence.ownedBy && this.filter.includesSequence(sequence))
+            .map(sequence => {
+                const written = context.tableNames.get(sequence.ownedBy.table);
+                const column = written && written.rename(sequence.ownedBy.column);
+                return written && written.names.includes(column) ? { sequence, table: written.table, column } : null;
+            })
+            .filter(Boolean);
     }
 }
 
 /**
- * Função principal para execução do script
+ * Função principal para execução do script: equivale ao subcomando convert do CLI
+ * (dump_processor.js), com as mesmas opções e o mesmo arquivo de configuração
  */
 async function main() {
-    const args = process.argv.slice(2);
-    
-    if (args.length === 0) {
-        console.log('Uso: node extract_inserts_advanced.js <arquivo_dump> [arquivo_saida]');
-        console.log('Exemplo: node extract_inserts_advanced.js dump_2025-07-01.sql restore_inserts.sql');
-        process.exit(1);
-    }
-    
-    const dumpFile = args[0];
-    const outputFile = args[1] || 'restore_inserts_advanced.sql';
-    
-    if (!fs.existsSync(dumpFile)) {
-        console.error(`Arquivo não encontrado: ${dumpFile}`);
-        process.exit(1);
-    }
-    
-    try {
-        const extractor = new AdvancedDumpExtractor(dumpFile);
-        await extractor.processDump();
-        await extractor.saveScript(outputFile);
-        
-        console.log('\n✅ Script gerado com sucesso!');
-        console.log('Para usar:');
-        console.log(`1. Abra o arquivo ${outputFile} no DBeaver`);
-        console.log('2. Execute o script completo');
-        console.log('3. Os dados serão inseridos sem problemas de foreign keys');
-        
-        if (extractor.errors.length > 0) {
-            console.log('\n⚠️  Avisos:');
-            extractor.errors.forEach(error => console.log(`  - ${error}`));
-        }
-        
-    } catch (error) {
-        console.error('❌ Erro:', error.message);
-        process.exit(1);
-    }
+    // dump_processor.js carrega este módulo: o require fica aqui para não criar um ciclo
+    const { DumpProcessorCli } = require('./dump_processor');
+    const cli = new DumpProcessorCli({ program: 'node extract_inserts_advanced.js', command: 'convert' });
+    process.exitCode = await cli.run(process.argv.slice(2));
 }
 
+// Exportado antes de main(): dump_processor.js carrega este módulo durante a execução
+module.exports = AdvancedDumpExtractor;
+
 if (require.main === module) {
     main();
 }
-
-module.exports = AdvancedDumpExtractor; 
\ No newline at end of file
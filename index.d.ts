@@ -0,0 +1,439 @@
+// Tipos da API do dump_processor (ver index.js e a seção "API para Node.js" do README)
+
+import { EventEmitter } from 'events';
+import { Writable } from 'stream';
+
+/** Logger das mensagens; métodos ausentes descartam as mensagens */
+export interface Logger {
+    info?(...args: unknown[]): void;
+    warn?(...args: unknown[]): void;
+    error?(...args: unknown[]): void;
+}
+
+/** Logger completo, como retornado por createLogger */
+export interface CompleteLogger {
+    info(...args: unknown[]): void;
+    warn(...args: unknown[]): void;
+    error(...args: unknown[]): void;
+}
+
+export const consoleLogger: CompleteLogger;
+export const silentLogger: CompleteLogger;
+/** undefined usa o console e null silencia */
+export function createLogger(logger?: Logger | null): CompleteLogger;
+
+/** Padrões de filtro por tipo de objeto (globs ou /regex/flags) */
+export interface FilterPatterns {
+    schemas?: string[];
+    tables?: string[];
+    columns?: string[];
+}
+
+export interface FilterConfig {
+    include?: FilterPatterns;
+    exclude?: FilterPatterns;
+}
+
+export class ObjectFilter {
+    constructor(config?: FilterConfig);
+    includesSchema(schema: string): boolean;
+    includesName(schema: string, name: string): boolean;
+    isEmpty(): boolean;
+    describe(): string[];
+}
+
+/** Coluna de uma tabela do catálogo */
+export interface ColumnDefinition {
+    name: string;
+    type: string | null;
+    nullable: boolean;
+    default: string | null;
+    identity?: 'always' | 'by default' | null;
+    /** Expressão das colunas GENERATED ALWAYS AS (...) STORED */
+    generated?: string | null;
+}
+
+export interface ForeignKey {
+    name?: string;
+    columns: string[];
+    refTable: string;
+    refColumns?: string[];
+    deferrable?: boolean;
+}
+
+export interface TableDefinition {
+    key: string;
+    schema: string;
+    name: string;
+    columns: ColumnDefinition[];
+    primaryKey: { name: string | null; columns: string[] } | null;
+    uniqueKeys: Array<{ name: string | null; columns: string[] }>;
+    foreignKeys: ForeignKey[];
+}
+
+export interface SequenceDefinition {
+    key: string;
+    schema: string;
+    name: string;
+    ownedBy: { table: string; column: string } | null;
+    /** Valor do setval como texto (sequences bigint passam de Number.MAX_SAFE_INTEGER) */
+    value: string | null;
+    isCalled: boolean | null;
+}
+
+export interface TypeDefinition {
+    kind: 'enum' | 'domain';
+    name: string;
+    labels?: string[];
+    baseType?: string;
+}
+
+/** Tabelas, tipos e sequences declarados no DDL do dump */
+export class SchemaCatalog {
+    tables: Record<string, TableDefinition>;
+    types: Record<string, TypeDefinition>;
+    sequences: Record<string, SequenceDefinition>;
+    constructor();
+    addStatement(statement: string): void;
+    getTable(name: string): TableDefinition | undefined;
+    getColumn(table: TableDefinition, column: string): ColumnDefinition | undefined;
+    getColumns(tableName: string, columns: string[]): Array<ColumnDefinition | undefined>;
+    getType(name: string): TypeDefinition | undefined;
+}
+
+/** Formatador de valores: recebe o valor decodificado do COPY (null para NULL) */
+export interface ValueFormatterLike {
+    format(value: string | null, column: ColumnDefinition): unknown;
+    describe?(typeText: string | null): { category: string; castType: string | null };
+}
+
+export class ValueFormatter implements ValueFormatterLike {
+    catalog: SchemaCatalog;
+    constructor(catalog: SchemaCatalog);
+    describe(typeText: string | null): { category: string; castType: string | null };
+    format(value: string | null, column: ColumnDefinition): string;
+}
+
+export function quoteLiteral(value: string): string;
+
+export interface ScriptWriterOptions {
+    bufferSize?: number;
+    destination?: Writable;
+    keepOpen?: boolean;
+}
+
+export class ScriptWriter {
+    constructor(stream: Writable, options?: ScriptWriterOptions);
+    /** .gz e .br são compactados; - escreve na stdout */
+    static toFile(outputFile: string): ScriptWriter;
+    writeLine(line: string): Promise<void>;
+    writeLines(lines: string[]): Promise<void>;
+    startFile(kind: 'predata' | 'preamble' | 'data' | 'deferred' | 'largeobjects' | 'postamble' | 'postdata', table?: string | null): Promise<void>;
+    countRow(): void;
+    isFull(): boolean;
+    flush(): Promise<void>;
+    end(): Promise<void>;
+}
+
+/** Linha entregue aos escritores de comandos */
+export interface StatementRow {
+    /** Linha original do COPY */
+    line: string;
+    /** Valores decodificados (null para NULL); na conversão paralela (workers) a linha vem só em line */
+    values: Array<string | null> | null;
+    /** Valores formatados para SQL, quando usesSqlValues é true */
+    sqlValues: string[] | null;
+}
+
+export interface StatementWriter {
+    usesSqlValues?: boolean;
+    startTable(table: string, columns: string[], options?: { conflictClause?: string; insertCommand?: string; overriding?: boolean }): Promise<void>;
+    writeRow(row: StatementRow): Promise<void>;
+    endTable(): Promise<void>;
+}
+
+export interface StatementWriterOptions {
+    batchSize?: number;
+    maxStatementBytes?: number;
+    conflictClause?: string;
+}
+
+export type StatementWriterFactory = (output: ScriptWriter, options: StatementWriterOptions) => StatementWriter;
+
+export class InsertStatementWriter implements StatementWriter {
+    usesSqlValues: true;
+    constructor(output: ScriptWriter, options?: StatementWriterOptions);
+    startTable(table: string, columns: string[], options?: { conflictClause?: string; insertCommand?: string; overriding?: boolean }): Promise<void>;
+    writeRow(row: StatementRow): Promise<void>;
+    flush(): Promise<void>;
+    endTable(): Promise<void>;
+}
+
+export class CopyStatementWriter implements StatementWriter {
+    constructor(output: ScriptWriter);
+    startTable(table: string, columns: string[]): Promise<void>;
+    writeRow(row: StatementRow): Promise<void>;
+    endTable(): Promise<void>;
+}
+
+export class StagingStatementWriter implements StatementWriter {
+    constructor(inner: StatementWriter, output: ScriptWriter, options?: { conflictClause?: string; onlyIfEmpty?: boolean; staging?: object });
+    startTable(table: string, columns: string[], options?: { overriding?: boolean; insertCommand?: string }): Promise<void>;
+    writeRow(row: StatementRow): Promise<void>;
+    endTable(): Promise<void>;
+}
+
+/** mode: insert, batch, copy ou um modo registrado */
+export function createStatementWriter(mode: string, output: ScriptWriter, options?: StatementWriterOptions): StatementWriter;
+/** Registra um modo de saída (substitui um padrão de mesmo nome) */
+export function registerStatementWriter(mode: string, factory: StatementWriterFactory): void;
+
+export interface ReadDumpOptions {
+    filters?: FilterConfig;
+    filter?: ObjectFilter;
+    catalog?: SchemaCatalog;
+    /** Sem formatador, os valores saem como texto, com null para NULL */
+    formatter?: ValueFormatterLike;
+    /** Indexa o dump antes dos dados e escolhe os blocos lidos e a ordem */
+    plan?: (index: DumpIndex, reader: unknown) => DumpBlock[] | Promise<DumpBlock[]>;
+    /** Índice já montado (ex.: o índice lateral), usado pelo plan sem ler o DDL */
+    index?: DumpIndex;
+    progress?: boolean;
+    logger?: Logger | null;
+    /** Codificação do dump; sem ela vale o SET client_encoding do dump. O texto sai em UTF-8 */
+    encoding?: DumpEncoding | null;
+}
+
+/** Codificações de dump aceitas (nomes do PostgreSQL; latin1, ISO-8859-1, cp1252 etc. também valem) */
+export type DumpEncoding = 'UTF8' | 'LATIN1' | 'LATIN9' | 'WIN1252' | 'SQL_ASCII' | (string & {});
+
+/** Bloco COPY localizado pelo índice */
+export interface DumpBlock {
+    key: string;
+    table: string;
+    columns: string[];
+    [field: string]: unknown;
+}
+
+export interface DumpIndex {
+    blocks: DumpBlock[];
+    /** Resumo guardado com o índice lateral (formato, codificação, catálogo) */
+    metadata: Record<string, unknown>;
+    dataBytes(blocks?: DumpBlock[]): number;
+    findBlocks(table: string): DumpBlock[];
+    select(filter: ObjectFilter): DumpIndex;
+    save(file: string): void;
+    /** Apaga a cópia temporária dos blocos (stdin indexada com spool) */
+    close(): void;
+}
+
+/** Linha de dados do iterador de readDump */
+export interface DumpRow<T = string | null> {
+    /** Tabela como aparece no dump (ex.: public."Users") */
+    table: string;
+    /** Colunas sem aspas */
+    columns: string[];
+    row: T[];
+    lineNumber: number;
+}
+
+export interface TableStartEvent {
+    table: string;
+    columns: string[];
+    lineNumber: number;
+}
+
+export interface TableEndEvent {
+    table: string;
+    columns: string[];
+    /** null quando o arquivo custom é lido sem contar as linhas */
+    rowCount: number | null;
+    unterminated: boolean;
+}
+
+/** Eventos completos de events(), com os campos do leitor */
+export type DumpEvent =
+    | { type: 'tableStart'; table: string; columns: string[]; lineNumber: number; [field: string]: unknown }
+    | { type: 'row'; table: string; line: string; lineNumber: number; [field: string]: unknown }
+    | { type: 'tableEnd'; table: string; rowCount: number | null; unterminated?: boolean; [field: string]: unknown };
+
+export class DumpStream<T = string | null> extends EventEmitter implements AsyncIterable<DumpRow<T>> {
+    readonly dumpFile: string;
+    readonly catalog: SchemaCatalog;
+    readonly filter: ObjectFilter;
+    readonly warnings: string[];
+    readonly singlePass: boolean;
+    /** Codificação da leitura, conhecida depois do SET client_encoding do dump */
+    readonly encoding: string;
+    /** true quando o dump é convertido de LATIN1, LATIN9 ou WIN1252 para UTF-8 */
+    readonly transcoded: boolean;
+    constructor(dumpFile: string, options?: ReadDumpOptions);
+    /** spool copia os blocos da stdin para um arquivo temporário compactado */
+    index(options?: { countRows?: boolean; spool?: boolean }): Promise<DumpIndex>;
+    prepare(): Promise<DumpBlock[] | null>;
+    events(): AsyncGenerator<DumpEvent>;
+    /** Apaga a cópia temporária dos blocos feita por index(); events() a apaga ao terminar */
+    close(): void;
+    rows(): AsyncGenerator<DumpRow<T>>;
+    [Symbol.asyncIterator](): AsyncGenerator<DumpRow<T>>;
+
+    on(event: 'tableStart', listener: (event: TableStartEvent) => void): this;
+    on(event: 'tableEnd', listener: (event: TableEndEvent) => void): this;
+    on(event: 'statement', listener: (statement: { sql: string; lineNumber: number }) => void): this;
+    on(event: 'warning', listener: (message: string) => void): this;
+    on(event: string | symbol, listener: (...args: any[]) => void): this;
+}
+
+/** Abre um dump (plain, compactado, custom, directory ou - para a stdin) */
+export function readDump(dumpFile: string, options?: ReadDumpOptions & { formatter?: undefined }): DumpStream<string | null>;
+export function readDump<T = unknown>(dumpFile: string, options: ReadDumpOptions): DumpStream<T>;
+
+export interface ExtractorOptions {
+    mode?: string;
+    batchSize?: number;
+    maxStatementBytes?: number;
+    sequenceHeuristic?: boolean;
+    filters?: FilterConfig;
+    mapping?: string;
+    targetSchema?: string;
+    encoding?: DumpEncoding | null;
+    logger?: Logger | null;
+    createFormatter?: (catalog: SchemaCatalog) => ValueFormatterLike;
+}
+
+export interface BasicExtractorOptions extends ExtractorOptions {
+    /** triggers desabilita os triggers das tabelas do dump; none mantém a ordem do dump (padrão) */
+    fkStrategy?: 'triggers' | 'none';
+}
+
+export interface ExtractedData {
+    tables: Record<string, unknown>;
+    copies: Array<{ table: string; columns: string[]; rowCount: number | null }>;
+    sequences: SequenceDefinition[];
+}
+
+/** Extrator básico (extract_inserts.js) */
+export class DumpExtractor {
+    dumpFile: string;
+    catalog: SchemaCatalog;
+    errors: string[];
+    constructor(dumpFile: string, options?: BasicExtractorOptions);
+    processDump(): Promise<ExtractedData>;
+    generateInsertScript(writer: ScriptWriter): Promise<void>;
+    saveScript(outputFile: string): Promise<void>;
+}
+
+export interface AdvancedExtractorOptions extends ExtractorOptions {
+    copyTables?: string[];
+    fkStrategy?: 'order' | 'triggers' | 'replica' | 'none';
+    onConflict?: 'nothing' | 'update' | 'none' | 'skip';
+    conflictTables?: Map<string, string> | Record<string, string>;
+    maskRules?: string;
+    maskReport?: string;
+    subset?: string[];
+    format?: 'sql' | 'csv' | 'jsonl' | 'manifest';
+    dialect?: 'postgres' | 'sqlite' | 'mysql';
+    split?: { maxRows?: number; maxBytes?: number } | null;
+    validate?: boolean;
+    validationReport?: string;
+    /** preserve mantém os OIDs; remap cria novos e atualiza as colunas oid */
+    largeObjects?: 'preserve' | 'remap' | 'none';
+    /** Seções do script, como no pg_restore --section (padrão: só data) */
+    sections?: Array<'pre-data' | 'data' | 'post-data'>;
+    /** Omite os ALTER ... OWNER TO e SET SESSION AUTHORIZATION do DDL */
+    noOwner?: boolean;
+    /** Omite os GRANT e REVOKE do DDL */
+    noPrivileges?: boolean;
+    /** Reescreve o DDL para não falhar em objetos que já existem */
+    ifNotExists?: boolean;
+    /** Remove os objetos das seções de DDL antes de recriá-los */
+    clean?: boolean;
+    /** Índice lateral do inspect, da amostra e da busca (null monta o índice a cada execução) */
+    indexFile?: string | null;
+    /** Worker threads que convertem as linhas do script PostgreSQL (padrão: 1, sem workers) */
+    workers?: number;
+    /** Bytes aproximados das linhas lidas e ainda não escritas na conversão paralela (padrão: 128 MB) */
+    workerMemory?: number;
+}
+
+export interface TableSample {
+    table: string;
+    columns: string[];
+    rows: number | null;
+    sample: Array<Array<string | null>>;
+}
+
+export interface SearchHit {
+    table: string;
+    /** Registro dentro da tabela, a partir de 1 */
+    row: number;
+    column: string;
+    lineNumber: number;
+    value: string;
+}
+
+export interface SearchResult {
+    hits: SearchHit[];
+    truncated: boolean;
+    tables: number;
+    rows: number;
+}
+
+/** Relatório de validateDump (o mesmo gravado em validationReport) */
+export interface ValidationReport {
+    source: string | null;
+    generatedAt: string;
+    valid: boolean;
+    total: number;
+    /** Problemas por código */
+    counts: Record<string, number>;
+    /** true quando há mais problemas que os listados em issues */
+    truncated: boolean;
+    issues: Array<{ code: string; table: string | null; column: string | null; line: number | null; [field: string]: unknown }>;
+    warnings: string[];
+}
+
+/** Resumo de inspectDump; nos formatos custom e directory, dataBytes são os bytes compactados */
+export interface DumpSummary {
+    source: string;
+    format: 'plain' | 'custom' | 'directory';
+    encoding: string;
+    schemas: Array<{ name: string; tables: number; rows: number | null; dataBytes: number }>;
+    tables: Array<{
+        table: string;
+        schema: string;
+        columns: string[];
+        rows: number | null;
+        dataBytes: number;
+        primaryKey: string[] | null;
+        references: string[];
+        unterminated: boolean;
+    }>;
+    emptyTables: string[];
+    sequences: Array<Pick<SequenceDefinition, 'name' | 'value' | 'ownedBy'>>;
+    types: Array<{ name: string; kind: string }>;
+    warnings: string[];
+}
+
+/** Extrator completo (extract_inserts_advanced.js) */
+export class AdvancedDumpExtractor {
+    dumpFile: string;
+    catalog: SchemaCatalog;
+    errors: string[];
+    constructor(dumpFile: string, options?: AdvancedExtractorOptions);
+    processDump(): Promise<ExtractedData>;
+    /** Script PostgreSQL (dialect postgres) */
+    generateInsertScript(writer: ScriptWriter): Promise<void>;
+    /** Script SQLite ou MySQL (dialect sqlite ou mysql) */
+    generateDialectScript(writer: ScriptWriter): Promise<void>;
+    /** Escolhe o script pelo dialect; com split, outputFile é um diretório */
+    saveScript(outputFile: string): Promise<void>;
+    /** Um arquivo por tabela no formato de options.format, com manifest.json */
+    exportTables(directory: string): Promise<void>;
+    validateDump(): Promise<ValidationReport>;
+    inspectDump(): Promise<DumpSummary>;
+    loadDumpIndex(options?: { spool?: boolean }): Promise<DumpIndex>;
+    sampleTables(tables: string[], count?: number): Promise<TableSample[]>;
+    /** Um texto casa com o campo inteiro; uma expressão regular, com qualquer trecho */
+    searchDump(pattern: string | RegExp, options?: { tables?: string[]; maxHits?: number }): Promise<SearchResult>;
+}
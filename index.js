@@ -0,0 +1,41 @@
+/**
+ * API para uso do dump_processor como biblioteca em Node.js (tipos em index.d.ts).
+ *
+ * const { readDump } = require('./index');
+ * for await (const { table, columns, row } of readDump('dump.sql')) { ... }
+ */
+const { DumpStream, readDump } = require('./lib/dump_stream');
+const { ValueFormatter, quoteLiteral } = require('./lib/value_formatter');
+const {
+    InsertStatementWriter,
+    CopyStatementWriter,
+    StagingStatementWriter,
+    createStatementWriter,
+    registerStatementWriter
+} = require('./lib/statement_writers');
+const { consoleLogger, silentLogger, createLogger } = require('./lib/logger');
+const { ObjectFilter } = require('./lib/object_filter');
+const ScriptWriter = require('./lib/script_writer');
+const SchemaCatalog = require('./lib/schema_catalog');
+const DumpExtractor = require('./extract_inserts');
+const AdvancedDumpExtractor = require('./extract_inserts_advanced');
+
+module.exports = {
+    readDump,
+    DumpStream,
+    DumpExtractor,
+    AdvancedDumpExtractor,
+    ValueFormatter,
+    quoteLiteral,
+    ScriptWriter,
+    InsertStatementWriter,
+    CopyStatementWriter,
+    StagingStatementWriter,
+    createStatementWriter,
+    registerStatementWriter,
+    SchemaCatalog,
+    ObjectFilter,
+    consoleLogger,
+    silentLogger,
+    createLogger
+};
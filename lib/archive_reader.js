@@ -0,0 +1,764 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { pipeline, Readable } = require('stream');
+const { splitLines } = require('./line_reader');
+const { COPY_PATTERN, parseColumnList } = require('./dump_reader');
+const { projectCopyLine } = require('./copy_format');
+const { TextDecoding } = require('./text_encoding');
+
+const MAGIC = 'PGDMP';
+
+const ARCHIVE_FORMATS = { 1: 'custom', 3: 'tar', 5: 'directory' };
+const COMPRESSION_ALGORITHMS = { 0: 'none', 1: 'gzip', 2: 'lz4', 3: 'zstd' };
+
+const BLOCK_DATA = 1;
+const BLOCK_BLOBS = 3;
+
+// Modo de abertura dos large objects na saída do pg_restore (INV_WRITE)
+const INV_WRITE = 0x20000;
+
+const OFFSET_POS_NOT_SET = 1;
+const OFFSET_POS_SET = 2;
+
+/**
+ * Versão do formato de arquivo do pg_dump como número comparável (ex.: 1.14.0 → 0x010e00)
+ * @param {number} major - Versão principal
+ * @param {number} minor - Versão secundária
+ * @param {number} [revision=0] - Revisão
+ * @returns {number} Versão
+ */
+function archiveVersion(major, minor, revision = 0) {
+    return (major << 16) | (minor << 8) | revision;
+}
+
+const VERSION_MIN = archiveVersion(1, 11);
+const VERSION_TABLEAM = archiveVersion(1, 14);
+const VERSION_COMPRESSION_ALGORITHM = archiveVersion(1, 15);
+const VERSION_RELKIND = archiveVersion(1, 16);
+
+/**
+ * Leitor binário com buffer sobre um arquivo, com as primitivas do formato do pg_dump
+ * (inteiros com byte de sinal, strings com tamanho e offsets)
+ */
+class BinaryFileReader {
+    /**
+     * @param {string} file - Caminho do arquivo
+     */
+    constructor(file) {
+        this.fd = fs.openSync(file, 'r');
+        this.buffer = Buffer.alloc(64 * 1024);
+        this.bufferStart = 0;
+        this.bufferLength = 0;
+        this.position = 0;
+        this.intSize = 4;
+        this.offSize = 8;
+        this.decoding = null;
+        this.invalid = null;
+    }
+
+    /**
+     * Posiciona a leitura em um byte do arquivo
+     * @param {number} position - Posição absoluta
+     */
+    seek(position) {
+        this.position = position;
+    }
+
+    /**
+     * Lê bytes a partir da posição atual
+     * @param {number} length - Quantidade de bytes
+     * @returns {Buffer} Bytes lidos (cópia)
+     */
+    readBytes(length) {
+        const result = Buffer.alloc(length);
+        let filled = 0;
+
+        while (filled < length) {
+            const bufferOffset = this.position - this.bufferStart;
+            if (bufferOffset >= 0 && bufferOffset < this.bufferLength) {
+                const count = Math.min(length - filled, this.bufferLength - bufferOffset);
+                this.buffer.copy(result, filled, bufferOffset, bufferOffset + count);
+                filled += count;
+                this.position += count;
+                continue;
+            }
+
+            if (length - filled >= this.buffer.length) {
+                const count = fs.readSync(this.fd, result, filled, length - filled, this.position);
+                if (count === 0) break;
+                filled += count;
+                this.position += count;
+                continue;
+            }
+
+            this.bufferStart = this.position;
+            this.bufferLength = fs.readSync(this.fd, this.buffer, 0, this.buffer.length, this.position);
+            if (this.bufferLength === 0) break;
+        }
+
+        if (filled < length) {
+            throw new Error(`Fim inesperado do arquivo na posição ${this.position}`);
+        }
+        return result;
+    }
+
+    /**
+     * Lê um byte sem sinal
+     * @returns {number} Byte
+     */
+    readByte() {
+        return this.readBytes(1)[0];
+    }
+
+    /**
+     * Lê um inteiro no formato do pg_dump: byte de sinal seguido de intSize bytes little-endian
+     * @returns {number} Inteiro
+     */
+    readInt() {
+        const sign = this.readByte();
+        const bytes = this.readBytes(this.intSize);
+        let value = 0;
+        for (let i = bytes.length - 1; i >= 0; i--) {
+            value = value * 256 + bytes[i];
+        }
+        return sign ? -value : value;
+    }
+
+    /**
+     * Lê uma string com tamanho (tamanho negativo representa NULL), na codificação de
+     * decoding quando definida; os bytes sem equivalente se acumulam em invalid
+     * @returns {string|null} String
+     */
+    readStr() {
+        const length = this.readInt();
+        if (length < 0) return null;
+        const bytes = this.readBytes(length);
+        if (!this.decoding) return bytes.toString('utf8');
+        const text = this.decoding.decode(bytes);
+        if (this.decoding.invalid) {
+            this.invalid = [...(this.invalid || []), ...this.decoding.invalid];
+        }
+        return text;
+    }
+
+    /**
+     * Lê um offset: byte de estado seguido de offSize bytes little-endian
+     * @returns {{state: number, value: number}} Estado e posição
+     */
+    readOffset() {
+        const state = this.readByte();
+        const bytes = this.readBytes(this.offSize);
+        let value = 0;
+        for (let i = bytes.length - 1; i >= 0; i--) {
+            value = value * 256 + bytes[i];
+        }
+        return { state, value };
+    }
+
+    /**
+     * Fecha o arquivo
+     */
+    close() {
+        fs.closeSync(this.fd);
+    }
+}
+
+/**
+ * Classe para ler arquivos do pg_dump nos formatos custom (-Fc) e directory (-Fd) sem
+ * depender do pg_restore. Emite os mesmos eventos do DumpReader: o DDL das entradas
+ * do TOC como linhas de SQL, os dados das entradas TABLE DATA como blocos COPY e os
+ * large objects (entrada BLOBS) como os lo_open / lowrite / lo_close do pg_restore.
+ * Os números de linha são os de uma saída equivalente do pg_restore em formato plain.
+ */
+class ArchiveReader {
+    /**
+     * @param {string} dumpFile - Arquivo custom ou diretório do dump
+     * @param {Object} [options] - Opções de leitura
+     * @param {ProgressReporter} [options.progress] - Relatório de progresso a ser atualizado
+     * @param {ObjectFilter} [options.filter] - Filtros de schemas, tabelas e colunas; os dados
+     *   das tabelas excluídas nem chegam a ser descompactados
+     * @param {string|null} [options.encoding] - Codificação do dump, no lugar da declarada na entrada ENCODING
+     */
+    constructor(dumpFile, options = {}) {
+        this.dumpFile = dumpFile;
+        this.progress = options.progress || null;
+        this.filter = options.filter || null;
+        this.decoding = new TextDecoding(options.encoding || null);
+        this.directory = fs.statSync(dumpFile).isDirectory();
+        this.tocFile = this.directory ? path.join(dumpFile, 'toc.dat') : dumpFile;
+        this.archive = null;
+    }
+
+    /**
+     * Tamanho do dump em bytes (soma dos arquivos, no formato directory)
+     * @returns {number} Tamanho
+     */
+    size() {
+        if (!this.directory) {
+            return fs.statSync(this.dumpFile).size;
+        }
+        return fs.readdirSync(this.dumpFile)
+            .reduce((total, name) => total + fs.statSync(path.join(this.dumpFile, name)).size, 0);
+    }
+
+    /**
+     * Lê o cabeçalho e o TOC do arquivo (uma única vez)
+     * @returns {{header: Object, entries: Array<Object>, dataStart: number}} Cabeçalho, entradas e início da área de dados
+     */
+    readArchive() {
+        if (this.archive) return this.archive;
+
+        const reader = new BinaryFileReader(this.tocFile);
+        try {
+            const header = this.readHeader(reader);
+            const count = reader.readInt();
+            const entries = [];
+            reader.decoding = this.decoding.fixed ? this.decoding : null;
+            for (let i = 0; i < count; i++) {
+                const entry = this.readTocEntry(reader, header);
+                entry.invalid = reader.invalid;
+                reader.invalid = null;
+                entries.push(entry);
+                // A entrada ENCODING vem antes das demais: as strings seguintes já saem convertidas
+                if (entry.desc === 'ENCODING' && entry.defn) {
+                    this.decoding.detect(entry.defn.trim());
+                    reader.decoding = this.decoding;
+                }
+            }
+            this.archive = { header, entries, dataStart: reader.position };
+        } finally {
+            reader.close();
+        }
+        return this.archive;
+    }
+
+    /**
+     * Lê o cabeçalho do arquivo
+     * @param {BinaryFileReader} reader - Leitor posicionado no início do arquivo
+     * @returns {Object} Cabeçalho: versão, formato, compressão e versões do servidor e do pg_dump
+     */
+    readHeader(reader) {
+        if (reader.readBytes(5).toString('latin1') !== MAGIC) {
+            throw new Error(`${this.tocFile} não é um arquivo do pg_dump (assinatura PGDMP ausente)`);
+        }
+
+        const major = reader.readByte();
+        const minor = reader.readByte();
+        const revision = reader.readByte();
+        const version = archiveVersion(major, minor, revision);
+        if (version < VERSION_MIN) {
+            throw new Error(`Versão ${major}.${minor}.${revision} do formato do pg_dump não suportada (mínimo 1.11, PostgreSQL 9.0)`);
+        }
+
+        reader.intSize = reader.readByte();
+        reader.offSize = reader.readByte();
+        const format = ARCHIVE_FORMATS[reader.readByte()] || 'unknown';
+        if (format !== 'custom' && format !== 'directory') {
+            throw new Error(`Formato de arquivo do pg_dump não suportado: ${format} (use -Fc ou -Fd)`);
+        }
+
+        let compression;
+        if (version >= VERSION_COMPRESSION_ALGORITHM) {
+            compression = COMPRESSION_ALGORITHMS[reader.readByte()] || 'unknown';
+        } else {
+            compression = reader.readInt() === 0 ? 'none' : 'gzip';
+        }
+
+        const created = [];
+        for (let i = 0; i < 7; i++) {
+            created.push(reader.readInt());
+        }
+
+        return {
+            version: `${major}.${minor}.${revision}`,
+            versionNumber: version,
+            intSize: reader.intSize,
+            offSize: reader.offSize,
+            format,
+            compression,
+            createdAt: new Date(created[5] + 1900, created[4], created[3], created[2], created[1], created[0]),
+            database: reader.readStr(),
+            serverVersion: reader.readStr(),
+            pgDumpVersion: reader.readStr()
+        };
+    }
+
+    /**
+     * Lê uma entrada do TOC
+     * @param {BinaryFileReader} reader - Leitor posicionado na entrada
+     * @param {Object} header - Cabeçalho do arquivo
+     * @returns {Object} Entrada: dumpId, desc, tag, namespace, defn, copyStmt, section, dependências e localização dos dados
+     */
+    readTocEntry(reader, header) {
+        const entry = {
+            dumpId: reader.readInt(),
+            hadDumper: reader.readInt() !== 0,
+            tableOid: reader.readStr(),
+            oid: reader.readStr(),
+            tag: reader.readStr(),
+            desc: reader.readStr(),
+            section: reader.readInt(),
+            defn: reader.readStr(),
+            dropStmt: reader.readStr(),
+            copyStmt: reader.readStr(),
+            namespace: reader.readStr(),
+            tablespace: reader.readStr()
+        };
+        if (header.versionNumber >= VERSION_TABLEAM) {
+            entry.tableAm = reader.readStr();
+        }
+        if (header.versionNumber >= VERSION_RELKIND) {
+            entry.relkind = reader.readInt();
+        }
+        entry.owner = reader.readStr();
+        reader.readStr(); // WITH OIDS, não suportado desde o PostgreSQL 12
+
+        entry.dependencies = [];
+        for (let dependency = reader.readStr(); dependency !== null; dependency = reader.readStr()) {
+            entry.dependencies.push(Number(dependency));
+        }
+
+        if (header.format === 'custom') {
+            const offset = reader.readOffset();
+            entry.dataState = offset.state;
+            entry.dataPos = offset.state === OFFSET_POS_SET ? offset.value : null;
+        } else {
+            entry.filename = reader.readStr() || null;
+        }
+
+        return entry;
+    }
+
+    /**
+     * Indica se a entrada tem dados de tabela a serem lidos
+     * @param {Object} entry - Entrada do TOC
+     * @returns {boolean} true para TABLE DATA com dados
+     */
+    hasTableData(entry) {
+        if (entry.desc !== 'TABLE DATA' || !entry.copyStmt) return false;
+        return this.directory ? Boolean(entry.filename) : entry.dataState === OFFSET_POS_SET || entry.dataState === OFFSET_POS_NOT_SET;
+    }
+
+    /**
+     * Indica se a entrada tem dados de large objects a serem lidos
+     * @param {Object} entry - Entrada do TOC
+     * @returns {boolean} true para BLOBS com dados
+     */
+    hasLargeObjects(entry) {
+        if (entry.desc !== 'BLOBS') return false;
+        return this.directory ? Boolean(entry.filename) : entry.dataState === OFFSET_POS_SET || entry.dataState === OFFSET_POS_NOT_SET;
+    }
+
+    /**
+     * Percorre o dump emitindo os mesmos eventos do DumpReader.events
+     * @param {Object} [options] - Opções da leitura
+     * @param {boolean} [options.rows=true] - Se false, os dados não são descompactados e rowCount fica null
+     * @param {boolean} [options.countRows=false] - Com rows false, descompacta os dados só para contar as linhas
+     * @returns {AsyncGenerator<Object>} Eventos do dump
+     */
+    async *events(options = {}) {
+        const emitRows = options.rows !== false;
+        const readRows = emitRows || options.countRows === true;
+        const { entries } = this.readArchive();
+        let lineNumber = 0;
+
+        for (const entry of entries) {
+            if (entry.defn) {
+                // Os bytes sem equivalente na codificação do dump ficam na primeira linha da entrada
+                let invalid = entry.invalid;
+                for (const line of entry.defn.replace(/\n+$/, '').split('\n')) {
+                    lineNumber++;
+                    yield { type: 'line', line, lineNumber, invalid };
+                    invalid = null;
+                }
+            }
+            if (this.hasLargeObjects(entry)) {
+                for await (const line of this.largeObjectLines(entry)) {
+                    lineNumber++;
+                    yield { type: 'line', line, lineNumber };
+                }
+                continue;
+            }
+            if (!this.hasTableData(entry)) continue;
+
+            const copyMatch = entry.copyStmt.trim().match(COPY_PATTERN);
+            if (!copyMatch) {
+                throw new Error(`Comando COPY não reconhecido na entrada ${entry.dumpId} do TOC: ${entry.copyStmt.trim()}`);
+            }
+
+            lineNumber++;
+            const sourceColumns = parseColumnList(copyMatch[2]);
+            const selection = this.filter
+                ? this.filter.selectBlock(copyMatch[1], sourceColumns)
+                : { columns: sourceColumns, columnIndexes: null };
+            if (!selection) continue;
+
+            const block = {
+                table: copyMatch[1],
+                columns: selection.columns,
+                columnIndexes: selection.columnIndexes,
+                sourceColumnCount: sourceColumns.length,
+                lineNumber,
+                source: { dumpId: entry.dumpId }
+            };
+
+            if (readRows) {
+                for await (const event of this.blockEvents(block, { absoluteProgress: true })) {
+                    if (event.type === 'copyEnd') {
+                        lineNumber = event.lineNumber;
+                    }
+                    if (emitRows || event.type !== 'row') {
+                        yield event;
+                    }
+                }
+            } else {
+                const { dataStart, dataEnd } = this.locateData(entry);
+                yield {
+                    type: 'copyStart',
+                    table: block.table,
+                    columns: block.columns,
+                    columnIndexes: block.columnIndexes,
+                    sourceColumnCount: block.sourceColumnCount,
+                    lineNumber,
+                    dataStart,
+                    source: block.source
+                };
+                yield {
+                    type: 'copyEnd',
+                    table: block.table,
+                    columns: block.columns,
+                    columnIndexes: block.columnIndexes,
+                    sourceColumnCount: block.sourceColumnCount,
+                    rowCount: null,
+                    lineNumber: lineNumber + 1,
+                    dataStart,
+                    dataEnd,
+                    source: block.source
+                };
+                lineNumber++;
+            }
+        }
+    }
+
+    /**
+     * Lê as linhas de dados de uma entrada TABLE DATA
+     * @param {Object} block - Bloco ({ table, columns, columnIndexes, sourceColumnCount, lineNumber, source: { dumpId } })
+     * @param {Object} [options] - Opções internas
+     * @param {boolean} [options.absoluteProgress=false] - Progresso pela posição no arquivo (leitura completa)
+     * @returns {AsyncGenerator<Object>} Eventos copyStart, row e copyEnd do bloco
+     */
+    async *blockEvents(block, options = {}) {
+        const { entries } = this.readArchive();
+        const entry = entries.find(candidate => candidate.dumpId === block.source.dumpId);
+        const { table, columns, columnIndexes, sourceColumnCount } = block;
+        const { dataStart, dataEnd, chunks } = this.openData(entry, options.absoluteProgress);
+        let lineNumber = block.lineNumber;
+        let rowCount = 0;
+        let finished = false;
+
+        if (this.progress) {
+            this.progress.setTable(table);
+        }
+        yield { type: 'copyStart', table, columns, columnIndexes, sourceColumnCount, lineNumber, dataStart, source: block.source };
+
+        for await (const { text, invalid } of splitLines(chunks, { decoding: this.decoding })) {
+            if (finished) continue;
+            const line = text.endsWith('\r') ? text.slice(0, -1) : text;
+            if (line === '\\.') {
+                finished = true;
+                continue;
+            }
+            lineNumber++;
+            rowCount++;
+            if (this.progress) {
+                this.progress.update(this.progress.bytesRead, 1);
+            }
+            yield { type: 'row', table, line: columnIndexes ? projectCopyLine(line, columnIndexes) : line, rawLine: line, lineNumber, invalid };
+        }
+
+        if (this.progress) {
+            this.progress.setTable(null);
+        }
+        yield {
+            type: 'copyEnd',
+            table,
+            columns,
+            columnIndexes,
+            sourceColumnCount,
+            rowCount,
+            lineNumber: lineNumber + 1,
+            dataStart,
+            dataEnd: dataEnd(),
+            source: block.source,
+            unterminated: false
+        };
+    }
+
+    /**
+     * Linhas de SQL dos large objects de uma entrada BLOBS, como no script do pg_restore:
+     * cada large object é aberto, escrito em trechos hexadecimais e fechado, numa transação
+     * @param {Object} entry - Entrada BLOBS
+     * @returns {AsyncGenerator<string>} Linhas de SQL
+     */
+    async *largeObjectLines(entry) {
+        yield 'BEGIN;';
+        yield '';
+        for await (const { oid, chunks } of this.largeObjects(entry)) {
+            yield `SELECT pg_catalog.lo_open('${oid}', ${INV_WRITE});`;
+            for await (const chunk of chunks) {
+                if (chunk.length > 0) {
+                    yield `SELECT pg_catalog.lowrite(0, '\\x${chunk.toString('hex')}');`;
+                }
+            }
+            yield 'SELECT pg_catalog.lo_close(0);';
+            yield '';
+        }
+        yield 'COMMIT;';
+        yield '';
+    }
+
+    /**
+     * Large objects de uma entrada BLOBS, com os dados já descompactados. No formato custom
+     * ficam num bloco próprio (OID seguido dos trechos, até o OID 0), cada um compactado
+     * separadamente; no directory, o blobs.toc lista o arquivo de cada OID.
+     * Os dados de um large object precisam ser lidos antes de passar ao próximo.
+     * @param {Object} entry - Entrada BLOBS
+     * @returns {AsyncGenerator<{oid: string, chunks: AsyncIterable<Buffer>}>} Large objects
+     */
+    async *largeObjects(entry) {
+        if (this.directory) {
+            const toc = fs.readFileSync(path.join(this.dumpFile, entry.filename), 'utf8');
+            for (const line of toc.split('\n')) {
+                const match = line.match(/^(\d+)\s+(\S+)/);
+                if (!match) continue;
+                const file = this.dataFile({ filename: match[2] });
+                const raw = fs.createReadStream(file);
+                yield { oid: match[1], chunks: file.endsWith('.gz') ? pipeline(raw, zlib.createGunzip(), () => {}) : raw };
+            }
+            return;
+        }
+
+        const { header } = this.readArchive();
+        if (header.compression !== 'none' && header.compression !== 'gzip') {
+            throw new Error(`Compressão ${header.compression} não suportada no formato custom (gere o dump com -Z gzip ou -Z none)`);
+        }
+
+        const reader = new BinaryFileReader(this.dumpFile);
+        try {
+            this.applySizes(reader);
+            const start = entry.dataPos !== null ? entry.dataPos : this.findBlock(reader, entry.dumpId);
+            reader.seek(start);
+            const type = reader.readByte();
+            const dumpId = reader.readInt();
+            if (type !== BLOCK_BLOBS || dumpId !== entry.dumpId) {
+                throw new Error(`Bloco de large objects inesperado na posição ${start} (tipo ${type}, entrada ${dumpId}; esperada ${entry.dumpId})`);
+            }
+
+            for (let oid = reader.readInt(); oid !== 0; oid = reader.readInt()) {
+                const compressed = Readable.from((function* () {
+                    for (let length = reader.readInt(); length !== 0; length = reader.readInt()) {
+                        yield reader.readBytes(length);
+                    }
+                })());
+                yield { oid: String(oid >>> 0), chunks: header.compression === 'gzip' ? pipeline(compressed, zlib.createInflate(), () => {}) : compressed };
+            }
+        } finally {
+            reader.close();
+        }
+    }
+
+    /**
+     * Localiza os dados de uma entrada sem descompactá-los
+     * @param {Object} entry - Entrada TABLE DATA
+     * @returns {{dataStart: number, dataEnd: number}} Intervalo em bytes dos dados compactados
+     */
+    locateData(entry) {
+        if (this.directory) {
+            return { dataStart: 0, dataEnd: fs.statSync(this.dataFile(entry)).size };
+        }
+
+        const reader = new BinaryFileReader(this.dumpFile);
+        try {
+            this.applySizes(reader);
+            const dataStart = this.seekBlock(reader, entry);
+            for (let length = reader.readInt(); length !== 0; length = reader.readInt()) {
+                reader.seek(reader.position + length);
+            }
+            return { dataStart, dataEnd: reader.position };
+        } finally {
+            reader.close();
+        }
+    }
+
+    /**
+     * Abre os dados de uma entrada como sequência de blocos já descompactados
+     * @param {Object} entry - Entrada TABLE DATA
+     * @param {boolean} absoluteProgress - Progresso pela posição no arquivo
+     * @returns {{dataStart: number, dataEnd: Function, chunks: AsyncIterable<Buffer>}} Dados da entrada
+     */
+    openData(entry, absoluteProgress) {
+        const progress = this.progress;
+        const advance = (position, bytes) => {
+            if (progress) {
+                progress.update(absoluteProgress && position !== null ? position : progress.bytesRead + bytes);
+            }
+        };
+
+        if (this.directory) {
+            const file = this.dataFile(entry);
+            const raw = fs.createReadStream(file);
+            raw.on('data', chunk => advance(null, chunk.length));
+            const compressed = file.endsWith('.gz');
+            return {
+                dataStart: 0,
+                dataEnd: () => fs.statSync(file).size,
+                chunks: compressed ? pipeline(raw, zlib.createGunzip(), () => {}) : raw
+            };
+        }
+
+        const { header } = this.readArchive();
+        if (header.compression !== 'none' && header.compression !== 'gzip') {
+            throw new Error(`Compressão ${header.compression} não suportada no formato custom (gere o dump com -Z gzip ou -Z none)`);
+        }
+
+        const reader = new BinaryFileReader(this.dumpFile);
+        this.applySizes(reader);
+        const dataStart = this.seekBlock(reader, entry);
+
+        async function* compressedChunks() {
+            try {
+                for (let length = reader.readInt(); length !== 0; length = reader.readInt()) {
+                    const chunk = reader.readBytes(length);
+                    advance(reader.position, length);
+                    yield chunk;
+                }
+            } finally {
+                reader.close();
+            }
+        }
+
+        const source = Readable.from(compressedChunks());
+        return {
+            dataStart,
+            dataEnd: () => reader.position,
+            chunks: header.compression === 'gzip' ? pipeline(source, zlib.createInflate(), () => {}) : source
+        };
+    }
+
+    /**
+     * Copia para um leitor os tamanhos de inteiro e offset do arquivo
+     * @param {BinaryFileReader} reader - Leitor
+     */
+    applySizes(reader) {
+        const { header } = this.readArchive();
+        reader.intSize = header.intSize;
+        reader.offSize = header.offSize;
+    }
+
+    /**
+     * Posiciona o leitor no início dos dados de uma entrada do formato custom. Sem a posição
+     * gravada no TOC (dump gerado em pipe), percorre os blocos a partir do fim do TOC.
+     * @param {BinaryFileReader} reader - Leitor do arquivo
+     * @param {Object} entry - Entrada TABLE DATA
+     * @returns {number} Posição do cabeçalho do bloco
+     */
+    seekBlock(reader, entry) {
+        const start = entry.dataPos !== null ? entry.dataPos : this.findBlock(reader, entry.dumpId);
+        reader.seek(start);
+
+        const type = reader.readByte();
+        const dumpId = reader.readInt();
+        if (type !== BLOCK_DATA || dumpId !== entry.dumpId) {
+            throw new Error(`Bloco de dados inesperado na posição ${start} (tipo ${type}, entrada ${dumpId}; esperada ${entry.dumpId})`);
+        }
+        return start;
+    }
+
+    /**
+     * Procura sequencialmente o bloco de dados de uma entrada
+     * @param {BinaryFileReader} reader - Leitor do arquivo
+     * @param {number} dumpId - Entrada procurada
+     * @returns {number} Posição do cabeçalho do bloco
+     */
+    findBlock(reader, dumpId) {
+        if (!this.blockPositions) {
+            this.blockPositions = new Map();
+            reader.seek(this.readArchive().dataStart);
+            const size = fs.statSync(this.dumpFile).size;
+
+            while (reader.position < size) {
+                const start = reader.position;
+                const type = reader.readByte();
+                const id = reader.readInt();
+                this.blockPositions.set(id, start);
+
+                if (type === BLOCK_BLOBS) {
+                    for (let oid = reader.readInt(); oid !== 0; oid = reader.readInt()) {
+                        this.skipChunks(reader);
+                    }
+                } else if (type === BLOCK_DATA) {
+                    this.skipChunks(reader);
+                } else {
+                    throw new Error(`Tipo de bloco desconhecido (${type}) na posição ${start}`);
+                }
+            }
+        }
+
+        if (!this.blockPositions.has(dumpId)) {
+            throw new Error(`Dados da entrada ${dumpId} não encontrados no arquivo`);
+        }
+        return this.blockPositions.get(dumpId);
+    }
+
+    /**
+     * Pula os blocos de dados (tamanho + bytes) até o marcador de fim
+     * @param {BinaryFileReader} reader - Leitor do arquivo
+     */
+    skipChunks(reader) {
+        for (let length = reader.readInt(); length !== 0; length = reader.readInt()) {
+            reader.seek(reader.position + length);
+        }
+    }
+
+    /**
+     * Arquivo de dados de uma entrada no formato directory (NNNN.dat ou NNNN.dat.gz)
+     * @param {Object} entry - Entrada TABLE DATA
+     * @returns {string} Caminho do arquivo
+     */
+    dataFile(entry) {
+        const base = path.join(this.dumpFile, entry.filename);
+        for (const candidate of [base, `${base}.gz`]) {
+            if (fs.existsSync(candidate)) return candidate;
+        }
+        for (const extension of ['.lz4', '.zst']) {
+            if (fs.existsSync(base + extension)) {
+                throw new Error(`Compressão ${extension.slice(1)} não suportada em ${base + extension} (gere o dump com -Z gzip ou -Z none)`);
+            }
+        }
+        throw new Error(`Arquivo de dados não encontrado: ${base}`);
+    }
+}
+
+/**
+ * Verifica se o caminho é um arquivo do pg_dump em formato custom ou directory
+ * @param {string} file - Caminho do dump
+ * @returns {boolean} true se for um arquivo custom (assinatura PGDMP) ou diretório com toc.dat
+ */
+function isPgArchive(file) {
+    const stat = fs.statSync(file);
+    if (stat.isDirectory()) {
+        return fs.existsSync(path.join(file, 'toc.dat'));
+    }
+
+    const fd = fs.openSync(file, 'r');
+    try {
+        const magic = Buffer.alloc(5);
+        const count = fs.readSync(fd, magic, 0, 5, 0);
+        return count === 5 && magic.toString('latin1') === MAGIC;
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+module.exports = { ArchiveReader, BinaryFileReader, isPgArchive };
@@ -0,0 +1,145 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { pipeline } = require('stream');
+const { splitLines } = require('./line_reader');
+
+const BUFFER_SIZE = 1 << 20;
+const NEWLINE = Buffer.from('\n');
+
+/**
+ * Cópia compactada, em arquivo temporário, das linhas de dados de blocos COPY que serão
+ * lidos depois, numa origem que só pode ser lida em sequência (arquivo compactado ou
+ * stdin). Cada bloco vira uma sequência de membros gzip (nível 1) e é lido de volta pelo
+ * trecho { file, start, end } devolvido por end(), sem voltar à origem.
+ */
+class BlockSpool {
+    constructor() {
+        this.directory = fs.mkdtempSync(path.join(os.tmpdir(), 'dump-processor-'));
+        this.file = path.join(this.directory, 'blocks.copy.gz');
+        this.fd = fs.openSync(this.file, 'w');
+        this.buffer = Buffer.allocUnsafe(BUFFER_SIZE);
+        this.used = 0;
+        this.written = 0;
+        this.blockStart = 0;
+    }
+
+    /**
+     * Começa a cópia de um bloco
+     */
+    begin() {
+        this.flush();
+        this.blockStart = this.written;
+    }
+
+    /**
+     * Acrescenta uma linha ao bloco atual
+     * @param {Buffer} bytes - Bytes da linha, sem a quebra de linha
+     * @param {boolean} newline - Acrescenta a quebra de linha (ausente só na última linha do dump)
+     */
+    append(bytes, newline) {
+        const length = bytes.length + (newline ? 1 : 0);
+        if (this.used + length > BUFFER_SIZE) {
+            this.flush();
+        }
+        if (length > BUFFER_SIZE) {
+            this.writeMember(newline ? Buffer.concat([bytes, NEWLINE]) : bytes);
+            return;
+        }
+        bytes.copy(this.buffer, this.used);
+        this.used += bytes.length;
+        if (newline) this.buffer[this.used++] = 0x0a;
+    }
+
+    /**
+     * Conclui a cópia do bloco atual
+     * @returns {{file: string, start: number, end: number}} Trecho compactado do bloco no arquivo
+     */
+    end() {
+        this.flush();
+        return { file: this.file, start: this.blockStart, end: this.written };
+    }
+
+    /**
+     * Compacta e grava as linhas acumuladas em memória
+     */
+    flush() {
+        if (this.used > 0) {
+            this.writeMember(this.buffer.subarray(0, this.used));
+            this.used = 0;
+        }
+    }
+
+    /**
+     * Grava um trecho como um membro gzip
+     * @param {Buffer} bytes - Bytes descompactados
+     */
+    writeMember(bytes) {
+        const member = zlib.gzipSync(bytes, { level: 1 });
+        fs.writeSync(this.fd, member);
+        this.written += member.length;
+    }
+
+    /**
+     * Apaga o arquivo temporário
+     */
+    remove() {
+        if (this.fd !== null) {
+            fs.closeSync(this.fd);
+            this.fd = null;
+        }
+        fs.rmSync(this.directory, { recursive: true, force: true });
+    }
+
+    /**
+     * Lê as linhas de um bloco copiado
+     * @param {{file: string, start: number, end: number}} entry - Trecho do bloco (ver end)
+     * @param {TextDecoding} [decoding] - Decodificação das linhas (padrão: UTF-8)
+     * @returns {AsyncGenerator<{text: string, offset: number, bytes: number, invalid?: Array<Object>|null}>} Linhas do bloco
+     */
+    static readLines(entry, decoding = null) {
+        const source = fs.createReadStream(entry.file, { start: entry.start, end: entry.end - 1, highWaterMark: 1 << 20 });
+        return splitLines(pipeline(source, zlib.createGunzip(), () => {}), { decoding });
+    }
+}
+
+/**
+ * Emite os eventos dos blocos na ordem pedida lendo a origem sequencial uma única vez:
+ * os blocos pedidos depois, mas que aparecem antes no dump, são copiados para um
+ * BlockSpool ao serem atravessados. Na ordem do dump nada é copiado.
+ * @param {DumpReader} reader - Leitor do dump (origem sequencial)
+ * @param {Array<Object>} blocks - Blocos do índice, na ordem de leitura
+ * @returns {AsyncGenerator<Object>} Eventos copyStart, row e copyEnd
+ */
+async function* orderedBlockEvents(reader, blocks) {
+    const byPosition = blocks.map((block, i) => i).sort((a, b) => blocks[a].dataStart - blocks[b].dataStart);
+    const copies = new Map();
+    let spool = null;
+    let next = 0;
+
+    try {
+        for (let i = 0; i < blocks.length; i++) {
+            const block = blocks[i];
+            if (copies.has(i)) {
+                yield* reader.blockEvents({ ...block, spool: copies.get(i) });
+                continue;
+            }
+            for (; next < byPosition.length && blocks[byPosition[next]].dataStart < block.dataStart; next++) {
+                const later = byPosition[next];
+                if (later <= i || blocks[later].spool || blocks[later].dataEnd <= blocks[later].dataStart) continue;
+                spool = spool || new BlockSpool();
+                spool.begin();
+                for await (const { bytes, raw } of reader.lines({ start: blocks[later].dataStart, end: blocks[later].dataEnd - 1 })) {
+                    spool.append(raw, bytes > raw.length);
+                }
+                copies.set(later, spool.end());
+            }
+            yield* reader.blockEvents(block);
+        }
+    } finally {
+        if (spool) spool.remove();
+    }
+}
+
+module.exports = { BlockSpool, orderedBlockEvents };
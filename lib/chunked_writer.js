@@ -0,0 +1,123 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const ScriptWriter = require('./script_writer');
+const { parseQualifiedName } = require('./identifiers');
+
+const MANIFEST_FILE = 'manifest.json';
+
+/**
+ * Escritor que divide o script em arquivos numerados dentro de um diretório: DDL pre-data,
+ * preâmbulo, arquivos de dados (um ou mais por tabela, limitados por linhas ou bytes),
+ * referências adiadas, large objects, pós-âmbulo e DDL post-data. Tem a mesma interface
+ * do ScriptWriter; o gerador marca o início de cada parte com startFile e conta as linhas
+ * com countRow. No fim grava o manifest.json com a ordem, o checksum (SHA-256) e a
+ * quantidade de linhas de cada arquivo.
+ */
+class ChunkedScriptWriter {
+    /**
+     * @param {string} directory - Diretório de saída
+     * @param {Object} [options] - Limites dos arquivos de dados
+     * @param {number} [options.maxRows=0] - Linhas por arquivo (0 = sem limite)
+     * @param {number} [options.maxBytes=0] - Bytes por arquivo (0 = sem limite)
+     * @param {string} [options.source] - Dump de origem, registrado no manifesto
+     */
+    constructor(directory, options = {}) {
+        this.directory = directory;
+        this.maxRows = options.maxRows || 0;
+        this.maxBytes = options.maxBytes || 0;
+        this.source = options.source || null;
+        this.files = [];
+        this.current = null;
+        this.output = null;
+        this.hash = null;
+        fs.mkdirSync(directory, { recursive: true });
+    }
+
+    /**
+     * Fecha o arquivo atual e abre o próximo
+     * @param {string} kind - Parte do script: predata, preamble, data, deferred, largeobjects, postamble ou postdata
+     * @param {string|null} [table=null] - Tabela dos dados, como aparece no SQL
+     */
+    async startFile(kind, table = null) {
+        await this.closeFile();
+
+        let name = `${String(this.files.length).padStart(4, '0')}_${kind}`;
+        if (table) {
+            const { schema, name: tableName } = parseQualifiedName(table);
+            name += `_${schema}.${tableName}`.replace(/[^\w.-]/g, '_');
+        }
+        this.current = { order: this.files.length + 1, file: `${name}.sql`, kind, table, rows: 0, bytes: 0, sha256: null };
+        this.files.push(this.current);
+        this.output = ScriptWriter.toFile(path.join(this.directory, this.current.file));
+        this.hash = crypto.createHash('sha256');
+    }
+
+    /**
+     * Escreve uma linha no arquivo atual
+     * @param {string} line - Linha a ser escrita (sem quebra de linha)
+     */
+    async writeLine(line) {
+        if (!this.output) {
+            await this.startFile('preamble');
+        }
+        this.hash.update(line + '\n');
+        this.current.bytes += Buffer.byteLength(line) + 1;
+        await this.output.writeLine(line);
+    }
+
+    /**
+     * Escreve várias linhas no arquivo atual
+     * @param {Array<string>} lines - Linhas a serem escritas
+     */
+    async writeLines(lines) {
+        for (const line of lines) {
+            await this.writeLine(line);
+        }
+    }
+
+    /**
+     * Conta uma linha de dados no arquivo atual
+     */
+    countRow() {
+        this.current.rows++;
+    }
+
+    /**
+     * Indica se o arquivo atual atingiu o limite de linhas ou de bytes
+     * @returns {boolean} true se os próximos dados devem ir para um novo arquivo
+     */
+    isFull() {
+        return Boolean(this.current)
+            && ((this.maxRows > 0 && this.current.rows >= this.maxRows) || (this.maxBytes > 0 && this.current.bytes >= this.maxBytes));
+    }
+
+    /**
+     * Fecha o arquivo atual, registrando o checksum
+     */
+    async closeFile() {
+        if (!this.output) return;
+        await this.output.end();
+        this.current.sha256 = this.hash.digest('hex');
+        this.output = null;
+    }
+
+    /**
+     * Fecha o último arquivo e grava o manifesto
+     */
+    async end() {
+        await this.closeFile();
+        // O preâmbulo configura a sessão e é executado antes de cada arquivo (run_chunks.js)
+        const session = this.files.find(file => file.kind === 'preamble');
+        const manifest = {
+            source: this.source,
+            generatedAt: new Date().toISOString(),
+            session: session ? session.file : null,
+            totalRows: this.files.reduce((total, file) => total + file.rows, 0),
+            files: this.files
+        };
+        fs.writeFileSync(path.join(this.directory, MANIFEST_FILE), JSON.stringify(manifest, null, 2) + '\n');
+    }
+}
+
+module.exports = { ChunkedScriptWriter, MANIFEST_FILE };
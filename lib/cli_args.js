@@ -0,0 +1,105 @@
+/**
+ * Converte um nome de opção em kebab-case para camelCase (ex.: batch-size → batchSize)
+ * @param {string} name - Nome da opção
+ * @returns {string} Nome em camelCase
+ */
+function toCamelCase(name) {
+    return name.replace(/-([a-z])/g, (_, char) => char.toUpperCase());
+}
+
+/**
+ * Interpreta os argumentos da linha de comando
+ * @param {Array<string>} argv - Argumentos (sem o executável e o script)
+ * @param {Object} [options] - Opções do parser
+ * @param {Array<string>} [options.flags=[]] - Opções booleanas, que não recebem valor
+ * @returns {{positional: Array<string>, options: Object}} Argumentos posicionais e opções
+ */
+function parseArgs(argv, options = {}) {
+    const flags = new Set(options.flags || []);
+    const positional = [];
+    const parsed = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        if (arg === '--') {
+            positional.push(...argv.slice(i + 1));
+            break;
+        }
+
+        if (!arg.startsWith('--')) {
+            positional.push(arg);
+            continue;
+        }
+
+        const equals = arg.indexOf('=');
+        const name = equals === -1 ? arg.slice(2) : arg.slice(2, equals);
+        let value;
+
+        if (equals !== -1) {
+            value = arg.slice(equals + 1);
+        } else if (name.startsWith('no-') && flags.has(name.slice(3))) {
+            parsed[toCamelCase(name.slice(3))] = false;
+            continue;
+        } else if (flags.has(name) || i + 1 >= argv.length || argv[i + 1].startsWith('--')) {
+            value = true;
+        } else {
+            value = argv[++i];
+        }
+
+        const key = toCamelCase(name);
+        if (parsed[key] !== undefined && !flags.has(name)) {
+            parsed[key] = [].concat(parsed[key], value);
+        } else {
+            parsed[key] = value;
+        }
+    }
+
+    return { positional, options: parsed };
+}
+
+/**
+ * Converte um tamanho com sufixo opcional (k, m, g) em bytes
+ * @param {string|number} value - Tamanho (ex.: 512k, 10m, 1048576)
+ * @returns {number} Tamanho em bytes
+ */
+function parseSize(value) {
+    if (typeof value === 'number') return value;
+
+    const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*([kmg]?)b?$/i);
+    if (!match) {
+        throw new Error(`Tamanho inválido: ${value}`);
+    }
+
+    const multipliers = { '': 1, k: 1024, m: 1024 ** 2, g: 1024 ** 3 };
+    return Math.floor(parseFloat(match[1]) * multipliers[match[2].toLowerCase()]);
+}
+
+/**
+ * Converte um valor em inteiro positivo, com mensagem de erro clara
+ * @param {string|number} value - Valor informado
+ * @param {string} option - Nome da opção, usado na mensagem de erro
+ * @returns {number} Inteiro positivo
+ */
+function parsePositiveInt(value, option) {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number <= 0) {
+        throw new Error(`Valor inválido para --${option}: ${value}`);
+    }
+    return number;
+}
+
+/**
+ * Converte uma lista separada por vírgulas (ou opção repetida) em array
+ * @param {string|Array<string>|undefined} value - Valor da opção
+ * @returns {Array<string>} Itens da lista
+ */
+function parseList(value) {
+    if (value === undefined || value === true) return [];
+    return [].concat(value)
+        .flatMap(item => String(item).split(','))
+        .map(item => item.trim())
+        .filter(Boolean);
+}
+
+module.exports = { parseArgs, parseSize, parsePositiveInt, parseList, toCamelCase };
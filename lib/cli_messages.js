@@ -0,0 +1,289 @@
+/**
+ * Idiomas das mensagens do CLI
+ */
+const LANGUAGES = ['pt', 'en'];
+
+/**
+ * Mensagens do CLI (ajuda, erros de uso e resumos). O progresso e os avisos dos
+ * motores de conversão continuam em português.
+ */
+const MESSAGES = {
+    pt: {
+        'usage': 'Uso: {program} <comando> <arquivo_dump> [saída] [opções]',
+        'usage.command': 'Uso: {program} {command} {args} [opções]',
+        'usage.fixed': 'Uso: {program} {args} [opções]',
+        'commands': 'Comandos:',
+        'command.convert': 'Gera o script de inserção (PostgreSQL, SQLite ou MySQL) a partir do dump',
+        'command.convert.basic': 'Gera o script de inserção PostgreSQL a partir do dump (motor básico)',
+        'command.export': 'Exporta os dados das tabelas em CSV ou JSON Lines, com manifest.json',
+        'command.validate': 'Valida as linhas do dump sem gerar saída (código de saída 2 se houver problemas)',
+        'command.inspect': 'Resume o dump (schemas, tabelas, linhas, tamanhos, chaves, sequences e tipos), mostra amostras e procura valores',
+        'args.convert': '<arquivo_dump> [arquivo_saida|diretorio_saida]',
+        'args.export': '<arquivo_dump> [diretorio_saida]',
+        'args.validate': '<arquivo_dump>',
+        'args.inspect': '<arquivo_dump>',
+        'input': 'O dump pode ser SQL (plain), custom (pg_dump -Fc) ou um diretório (pg_dump -Fd); SQL compactado com gzip ou brotli é lido direto e - lê da stdin',
+        'options': 'Opções:',
+        'global.options': 'Opções gerais:',
+        'more': 'Use "{program} <comando> --help" para ver as opções de cada comando',
+        'config': 'Configuração: {files} (no diretório atual ou acima); as opções da linha de comando têm prioridade',
+        'exit.codes': 'Códigos de saída: 0 sucesso, 1 erro na execução, 2 problemas na validação, 64 uso incorreto, 66 dump não encontrado',
+        'example': 'Exemplo: {program} convert dump_2025-07-01.sql restore_inserts.sql --mode=batch',
+        'option.help': 'Mostra esta ajuda',
+        'option.version': 'Mostra a versão',
+        'option.lang': 'Idioma da ajuda, dos erros e dos resumos; progresso, avisos e scripts seguem em português (padrão: DUMP_PROCESSOR_LANG ou LANG)',
+        'option.config': 'Arquivo de configuração (JSON) no lugar da busca automática',
+        'option.no-config': 'Ignora os arquivos de configuração',
+        'option.basic': 'Usa o motor básico (extract_inserts.js): modos, lotes, heurística, triggers, filtros e mapeamento',
+        'option.format': 'Formato da saída: script SQL ou um arquivo por tabela com manifest.json (manifest gera só o manifesto)',
+        'option.dialect': 'Banco de destino do script (padrão: postgres); sqlite e mysql incluem CREATE TABLE',
+        'option.mode': 'Modo de saída (padrão: insert)',
+        'option.batch-size': 'Linhas por INSERT no modo batch (padrão: 1000)',
+        'option.max-statement-bytes': 'Tamanho máximo de cada INSERT no modo batch (ex.: 512k, 4m; padrão: 1m)',
+        'option.copy-tables': 'Tabelas escritas como COPY ... FROM stdin nos outros modos',
+        'option.sequence-heuristic': 'Ajusta pelo MAX as colunas com "id" no nome sem sequence no dump',
+        'option.fk-strategy': 'Tratamento das foreign keys (padrão: order, sem exigir superusuário)',
+        'option.fk-strategy.basic': 'Tratamento das foreign keys (padrão: none, na ordem do dump; triggers exige superusuário)',
+        'option.on-conflict': 'Tratamento de linhas já existentes (padrão: nothing; none para COPY)',
+        'option.on-conflict-table': 'Estratégia de conflito por tabela (ex.: t1:update,t2:skip)',
+        'option.large-objects': 'Large objects do dump (padrão: preserve, com os mesmos OIDs; remap atualiza as colunas oid)',
+        'option.section': 'Seções do script, como no pg_restore (padrão: data; pre-data,data,post-data gera a restauração completa)',
+        'option.no-owner': 'Omite do DDL os ALTER ... OWNER TO',
+        'option.no-privileges': 'Omite do DDL os GRANT e REVOKE',
+        'option.if-not-exists': 'Cria os objetos do DDL com IF NOT EXISTS / OR REPLACE, sem falhar nos que já existem',
+        'option.clean': 'Remove os objetos do DDL (DROP ... IF EXISTS) antes de criá-los',
+        'option.mask-rules': 'Mascara dados sensíveis conforme as regras (salt também via DUMP_MASK_SALT)',
+        'option.mask-report': 'Grava o relatório das colunas mascaradas',
+        'option.subset': 'Só as linhas que atendem ao filtro ("tabela:filtro") ou uma amostra ("tabela:N%"), mais pais e filhos',
+        'option.include-schema': 'Processa apenas os schemas informados (glob ou /regex/)',
+        'option.exclude-schema': 'Ignora os schemas informados',
+        'option.include-table': 'Processa apenas as tabelas informadas (ex.: public.user*)',
+        'option.exclude-table': 'Ignora as tabelas informadas (ex.: audit_*,SequelizeMeta)',
+        'option.include-column': 'Mantém apenas as colunas informadas nas tabelas em que casam',
+        'option.exclude-column': 'Remove as colunas informadas',
+        'option.filter-file': 'Lê os filtros de um arquivo ({ "include": {...}, "exclude": {...} })',
+        'option.encoding': 'Codificação do dump (padrão: o SET client_encoding do dump); o texto é convertido para UTF-8',
+        'option.mapping': 'Troca schemas, renomeia tabelas e colunas, remove, adiciona e converte colunas',
+        'option.target-schema': 'Schema do destino (pg_dump --schema-only): remove e relata as colunas inexistentes',
+        'option.validate': 'Valida as linhas: campos x colunas, tipos, NOT NULL, UTF-8 e chaves primárias repetidas',
+        'option.validation-report': 'Grava o relatório da validação em JSON',
+        'option.strict': 'Termina com código de saída 2 se a validação encontrar problemas (implica --validate)',
+        'option.split': 'Divide o script em arquivos numerados no diretório de saída, com manifest.json',
+        'option.split-rows': 'Linhas por arquivo de dados (implica --split)',
+        'option.split-size': 'Tamanho aproximado de cada arquivo de dados (ex.: 64m; padrão do --split: 100m)',
+        'option.workers': 'Converte as linhas em N worker threads, com o mesmo script da conversão sequencial (padrão: 1)',
+        'option.worker-memory': 'Tamanho aproximado das linhas lidas e ainda não escritas com --workers (padrão: 128m)',
+        'option.table': 'Mostra as colunas e uma amostra das tabelas informadas; com --search, limita a busca a elas',
+        'option.sample': 'Linhas da amostra de cada tabela (padrão: 10)',
+        'option.search': 'Procura o valor nos campos das linhas, informando tabela, registro e coluna de cada ocorrência',
+        'option.regex': 'Trata o --search como expressão regular (casa com qualquer trecho do campo)',
+        'option.max-hits': 'Ocorrências listadas pela busca (padrão: 100)',
+        'option.index-file': 'Índice lateral com a posição dos blocos COPY (padrão: <dump>.index.json), refeito quando o dump muda',
+        'option.no-index': 'Não lê nem grava o índice lateral',
+        'option.json': 'Escreve o resultado em JSON na stdout',
+        'error': '❌ Erro: {message}',
+        'error.usage': '❌ {message}',
+        'error.help': 'Use "{program} --help" para ver o uso',
+        'error.unknownCommand': 'Comando desconhecido: {command} (use {commands})',
+        'error.unknownOption': 'Opção desconhecida para {command}: --{option}',
+        'error.unknownConfigOption': 'Opção desconhecida em {file}: {option}',
+        'error.missingDump': 'Informe o arquivo de dump',
+        'error.extraArguments': 'Argumentos a mais: {args}',
+        'error.notFound': 'Arquivo não encontrado: {file}',
+        'error.missingValue': '--{option} requer um valor',
+        'error.invalidChoice': 'Valor inválido para --{option}: {value} (use {values})',
+        'error.invalidValue': 'Valor inválido para --{option}: {value}',
+        'error.invalidConfig': 'Configuração inválida em {file}: {message}',
+        'error.basicOption': '--{option} não está disponível no motor básico (--basic)',
+        'error.requiresOption': '--{option} só vale com --{required}',
+        'config.loaded': 'Configuração lida de {file}',
+        'done.script': '✅ Script gerado com sucesso!',
+        'done.export': '✅ Exportação concluída!',
+        'howto': 'Para usar:',
+        'howto.split1': '1. Execute os arquivos na ordem do manifesto: node run_chunks.js {output} --db=<banco>',
+        'howto.split2': '2. Se a execução for interrompida, o mesmo comando continua do último arquivo concluído',
+        'howto.sqlite': '1. Execute com sqlite3: sqlite3 <banco.db> < {output}',
+        'howto.mysql': '1. Execute com mysql: mysql <banco> < {output}',
+        'howto.copy1': '1. Execute com psql: psql -d <banco> -f {output}',
+        'howto.copy2': '2. Blocos COPY ... FROM stdin não são suportados pelo DBeaver',
+        'howto.insert1': '1. Abra o arquivo {output} no DBeaver',
+        'howto.insert2': '2. Execute o script completo',
+        'howto.insert3': '3. Os dados serão inseridos sem problemas de foreign keys',
+        'warnings': '⚠️  Avisos:',
+        'validation.ok': '✅ Validação: nenhum problema encontrado',
+        'validation.problems': '⚠️  Validação: {total} problemas encontrados',
+        'validation.strict': '❌ A validação encontrou problemas no dump',
+        'inspect.dump': 'Dump: {source} (formato {format}, codificação {encoding})',
+        'inspect.schemas': 'Schemas com dados: {count}',
+        'inspect.schema': '{tables} tabelas',
+        'inspect.tables': 'Tabelas com dados: {count}',
+        'inspect.rows': '{rows} linhas',
+        'inspect.unknownRows': 'linhas não contadas',
+        'inspect.columns': '{count} colunas',
+        'inspect.primaryKey': 'PK ({columns})',
+        'inspect.references': 'referencia {tables}',
+        'inspect.unterminated': 'COPY não terminado',
+        'inspect.emptyTables': 'Tabelas sem dados: {count}',
+        'inspect.sequences': 'Sequences: {count}',
+        'inspect.types': 'Tipos definidos: {count}',
+        'inspect.sample': '{table}: {count} de {rows} linhas',
+        'inspect.sampleColumns': 'Colunas: {columns}',
+        'inspect.search': 'Busca por {pattern}: {count} ocorrências em {rows} linhas de {tables} tabelas',
+        'inspect.hit': '{table}, registro {row}, coluna {column} (linha {line} do dump): {value}',
+        'inspect.truncated': 'Busca interrompida depois de {count} ocorrências (use --max-hits)'
+    },
+    en: {
+        'usage': 'Usage: {program} <command> <dump_file> [output] [options]',
+        'usage.command': 'Usage: {program} {command} {args} [options]',
+        'usage.fixed': 'Usage: {program} {args} [options]',
+        'commands': 'Commands:',
+        'command.convert': 'Generates the insert script (PostgreSQL, SQLite or MySQL) from the dump',
+        'command.convert.basic': 'Generates the PostgreSQL insert script from the dump (basic engine)',
+        'command.export': 'Exports the table data as CSV or JSON Lines, with manifest.json',
+        'command.validate': 'Validates the dump rows without writing output (exit code 2 on problems)',
+        'command.inspect': 'Summarizes the dump (schemas, tables, rows, sizes, keys, sequences and types), shows samples and searches values',
+        'args.convert': '<dump_file> [output_file|output_directory]',
+        'args.export': '<dump_file> [output_directory]',
+        'args.validate': '<dump_file>',
+        'args.inspect': '<dump_file>',
+        'input': 'The dump may be plain SQL, custom (pg_dump -Fc) or a directory (pg_dump -Fd); gzip or brotli compressed SQL is read directly and - reads from stdin',
+        'options': 'Options:',
+        'global.options': 'General options:',
+        'more': 'Run "{program} <command> --help" to see the options of each command',
+        'config': 'Configuration: {files} (in the current directory or above); command line options take precedence',
+        'exit.codes': 'Exit codes: 0 success, 1 runtime error, 2 validation problems, 64 usage error, 66 dump not found',
+        'example': 'Example: {program} convert dump_2025-07-01.sql restore_inserts.sql --mode=batch',
+        'option.help': 'Shows this help',
+        'option.version': 'Shows the version',
+        'option.lang': 'Language of help, errors and summaries; progress, warnings and scripts stay in Portuguese (default: DUMP_PROCESSOR_LANG or LANG)',
+        'option.config': 'Configuration file (JSON) instead of the automatic lookup',
+        'option.no-config': 'Ignores the configuration files',
+        'option.basic': 'Uses the basic engine (extract_inserts.js): modes, batches, heuristic, triggers, filters and mapping',
+        'option.format': 'Output format: SQL script or one file per table with manifest.json (manifest writes only the manifest)',
+        'option.dialect': 'Target database of the script (default: postgres); sqlite and mysql include CREATE TABLE',
+        'option.mode': 'Output mode (default: insert)',
+        'option.batch-size': 'Rows per INSERT in batch mode (default: 1000)',
+        'option.max-statement-bytes': 'Maximum size of each INSERT in batch mode (e.g. 512k, 4m; default: 1m)',
+        'option.copy-tables': 'Tables written as COPY ... FROM stdin in the other modes',
+        'option.sequence-heuristic': 'Adjusts by MAX the columns with "id" in the name and no sequence in the dump',
+        'option.fk-strategy': 'Foreign key handling (default: order, no superuser required)',
+        'option.fk-strategy.basic': 'Foreign key handling (default: none, in dump order; triggers requires superuser)',
+        'option.on-conflict': 'Handling of rows that already exist (default: nothing; none for COPY)',
+        'option.on-conflict-table': 'Conflict strategy per table (e.g. t1:update,t2:skip)',
+        'option.large-objects': 'Large objects in the dump (default: preserve, keeping the OIDs; remap updates the oid columns)',
+        'option.section': 'Script sections, as in pg_restore (default: data; pre-data,data,post-data writes the full restore)',
+        'option.no-owner': 'Leave ALTER ... OWNER TO out of the DDL',
+        'option.no-privileges': 'Leave GRANT and REVOKE out of the DDL',
+        'option.if-not-exists': 'Create the DDL objects with IF NOT EXISTS / OR REPLACE, skipping existing ones',
+        'option.clean': 'Drop the DDL objects (DROP ... IF EXISTS) before creating them',
+        'option.mask-rules': 'Masks sensitive data according to the rules (salt also from DUMP_MASK_SALT)',
+        'option.mask-report': 'Writes the report of the masked columns',
+        'option.subset': 'Only the rows matching the filter ("table:filter") or a sample ("table:N%"), plus parents and children',
+        'option.include-schema': 'Processes only the given schemas (glob or /regex/)',
+        'option.exclude-schema': 'Skips the given schemas',
+        'option.include-table': 'Processes only the given tables (e.g. public.user*)',
+        'option.exclude-table': 'Skips the given tables (e.g. audit_*,SequelizeMeta)',
+        'option.include-column': 'Keeps only the given columns in the tables they match',
+        'option.exclude-column': 'Removes the given columns',
+        'option.filter-file': 'Reads the filters from a file ({ "include": {...}, "exclude": {...} })',
+        'option.encoding': 'Dump encoding (default: the SET client_encoding in the dump); text is converted to UTF-8',
+        'option.mapping': 'Moves schemas, renames tables and columns, drops, adds and converts columns',
+        'option.target-schema': 'Target schema (pg_dump --schema-only): drops and reports the missing columns',
+        'option.validate': 'Validates the rows: fields x columns, types, NOT NULL, UTF-8 and repeated primary keys',
+        'option.validation-report': 'Writes the validation report as JSON',
+        'option.strict': 'Exits with code 2 if the validation finds problems (implies --validate)',
+        'option.split': 'Splits the script into numbered files in the output directory, with manifest.json',
+        'option.split-rows': 'Rows per data file (implies --split)',
+        'option.split-size': 'Approximate size of each data file (e.g. 64m; --split default: 100m)',
+        'option.workers': 'Converts the rows in N worker threads, with the same script as the sequential conversion (default: 1)',
+        'option.worker-memory': 'Approximate size of the rows read and not yet written with --workers (default: 128m)',
+        'option.table': 'Shows the columns and a sample of the given tables; with --search, restricts the search to them',
+        'option.sample': 'Sample rows per table (default: 10)',
+        'option.search': 'Searches the value in the row fields, reporting table, record and column of each hit',
+        'option.regex': 'Treats --search as a regular expression (matches any part of the field)',
+        'option.max-hits': 'Hits listed by the search (default: 100)',
+        'option.index-file': 'Side-car index with the position of the COPY blocks (default: <dump>.index.json), rebuilt when the dump changes',
+        'option.no-index': 'Neither reads nor writes the side-car index',
+        'option.json': 'Writes the result as JSON to stdout',
+        'error': '❌ Error: {message}',
+        'error.usage': '❌ {message}',
+        'error.help': 'Run "{program} --help" to see the usage',
+        'error.unknownCommand': 'Unknown command: {command} (use {commands})',
+        'error.unknownOption': 'Unknown option for {command}: --{option}',
+        'error.unknownConfigOption': 'Unknown option in {file}: {option}',
+        'error.missingDump': 'Missing the dump file',
+        'error.extraArguments': 'Extra arguments: {args}',
+        'error.notFound': 'File not found: {file}',
+        'error.missingValue': '--{option} requires a value',
+        'error.invalidChoice': 'Invalid value for --{option}: {value} (use {values})',
+        'error.invalidValue': 'Invalid value for --{option}: {value}',
+        'error.invalidConfig': 'Invalid configuration in {file}: {message}',
+        'error.basicOption': '--{option} is not available in the basic engine (--basic)',
+        'error.requiresOption': '--{option} only applies with --{required}',
+        'config.loaded': 'Configuration read from {file}',
+        'done.script': '✅ Script generated successfully!',
+        'done.export': '✅ Export finished!',
+        'howto': 'How to use it:',
+        'howto.split1': '1. Run the files in manifest order: node run_chunks.js {output} --db=<database>',
+        'howto.split2': '2. If the run is interrupted, the same command resumes after the last finished file',
+        'howto.sqlite': '1. Run it with sqlite3: sqlite3 <database.db> < {output}',
+        'howto.mysql': '1. Run it with mysql: mysql <database> < {output}',
+        'howto.copy1': '1. Run it with psql: psql -d <database> -f {output}',
+        'howto.copy2': '2. COPY ... FROM stdin blocks are not supported by DBeaver',
+        'howto.insert1': '1. Open {output} in DBeaver',
+        'howto.insert2': '2. Run the whole script',
+        'howto.insert3': '3. The data is inserted without foreign key problems',
+        'warnings': '⚠️  Warnings:',
+        'validation.ok': '✅ Validation: no problems found',
+        'validation.problems': '⚠️  Validation: {total} problems found',
+        'validation.strict': '❌ The validation found problems in the dump',
+        'inspect.dump': 'Dump: {source} ({format} format, {encoding} encoding)',
+        'inspect.schemas': 'Schemas with data: {count}',
+        'inspect.schema': '{tables} tables',
+        'inspect.tables': 'Tables with data: {count}',
+        'inspect.rows': '{rows} rows',
+        'inspect.unknownRows': 'rows not counted',
+        'inspect.columns': '{count} columns',
+        'inspect.primaryKey': 'PK ({columns})',
+        'inspect.references': 'references {tables}',
+        'inspect.unterminated': 'unterminated COPY',
+        'inspect.emptyTables': 'Tables without data: {count}',
+        'inspect.sequences': 'Sequences: {count}',
+        'inspect.types': 'Defined types: {count}',
+        'inspect.sample': '{table}: {count} of {rows} rows',
+        'inspect.sampleColumns': 'Columns: {columns}',
+        'inspect.search': 'Search for {pattern}: {count} hits in {rows} rows of {tables} tables',
+        'inspect.hit': '{table}, record {row}, column {column} (dump line {line}): {value}',
+        'inspect.truncated': 'Search stopped after {count} hits (use --max-hits)'
+    }
+};
+
+/**
+ * Escolhe o idioma pelas variáveis de ambiente: DUMP_PROCESSOR_LANG e, depois, o locale
+ * (LC_ALL, LC_MESSAGES, LANG). Locales em inglês usam en; os demais, português.
+ * @param {Object} [env=process.env] - Variáveis de ambiente
+ * @returns {string} Idioma (pt ou en)
+ */
+function detectLanguage(env = process.env) {
+    const explicit = (env.DUMP_PROCESSOR_LANG || '').toLowerCase();
+    if (LANGUAGES.includes(explicit)) return explicit;
+
+    const locale = env.LC_ALL || env.LC_MESSAGES || env.LANG || '';
+    return /^en\b|^en_/i.test(locale) ? 'en' : 'pt';
+}
+
+/**
+ * Cria a função de tradução de um idioma. Os parâmetros substituem {nome} na mensagem;
+ * chaves sem tradução caem no português.
+ * @param {string} language - Idioma (pt ou en)
+ * @returns {Function} Recebe a chave e os parâmetros e retorna a mensagem
+ */
+function createTranslator(language) {
+    const messages = MESSAGES[language] || MESSAGES.pt;
+    return (key, params = {}) => {
+        const template = messages[key] || MESSAGES.pt[key] || key;
+        return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+    };
+}
+
+module.exports = { LANGUAGES, MESSAGES, detectLanguage, createTranslator };
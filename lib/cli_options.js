@@ -0,0 +1,274 @@
+const fs = require('fs');
+const path = require('path');
+const { parseSize, parsePositiveInt, parseList, toCamelCase } = require('./cli_args');
+const { EXPORT_FORMATS } = require('./exporters');
+const { DIALECTS } = require('./sql_dialects');
+const { LANGUAGES } = require('./cli_messages');
+const { SECTIONS } = require('./schema_script');
+const { ENCODINGS, normalizeEncoding } = require('./text_encoding');
+
+/**
+ * Subcomandos do CLI
+ */
+const COMMANDS = ['convert', 'export', 'validate', 'inspect'];
+
+/**
+ * Arquivos de configuração procurados no diretório atual e acima, nesta ordem
+ */
+const CONFIG_FILES = ['dump-processor.config.json', '.dumpprocessorrc'];
+
+const FILTER_COMMANDS = COMMANDS;
+const PIPELINE_COMMANDS = ['convert', 'export'];
+
+/**
+ * Opções dos subcomandos. type define a conversão do valor: flag, string, path (caminho,
+ * relativo ao arquivo de configuração quando vem dele), int, size, list (separada por
+ * vírgulas, com os itens restritos a values quando informados), choice (um dos values,
+ * depois de normalize quando definido) ou multi (repetível).
+ */
+const OPTIONS = [
+    { name: 'basic', type: 'flag', commands: ['convert'] },
+    { name: 'format', type: 'choice', values: ['sql', ...EXPORT_FORMATS], commands: PIPELINE_COMMANDS },
+    { name: 'dialect', type: 'choice', values: DIALECTS, commands: ['convert'] },
+    { name: 'mode', type: 'choice', values: ['insert', 'batch', 'copy'], commands: ['convert'] },
+    { name: 'batch-size', type: 'int', arg: 'N', commands: ['convert'] },
+    { name: 'max-statement-bytes', type: 'size', arg: 'N', commands: ['convert'] },
+    { name: 'copy-tables', type: 'list', arg: 't1,t2', commands: ['convert'] },
+    { name: 'sequence-heuristic', type: 'flag', commands: ['convert'] },
+    { name: 'fk-strategy', type: 'choice', values: ['order', 'triggers', 'replica', 'none'], commands: ['convert'] },
+    { name: 'on-conflict', type: 'choice', values: ['nothing', 'update', 'none', 'skip'], commands: ['convert'] },
+    { name: 'on-conflict-table', type: 'list', arg: 't1:update,t2:skip', commands: ['convert'] },
+    { name: 'large-objects', type: 'choice', values: ['preserve', 'remap', 'none'], commands: ['convert'] },
+    { name: 'section', type: 'list', values: SECTIONS, arg: 'pre-data,data,post-data', commands: ['convert'] },
+    { name: 'no-owner', type: 'flag', commands: ['convert'] },
+    { name: 'no-privileges', type: 'flag', commands: ['convert'] },
+    { name: 'if-not-exists', type: 'flag', commands: ['convert'] },
+    { name: 'clean', type: 'flag', commands: ['convert'] },
+    { name: 'mask-rules', type: 'path', arg: 'regras.json', commands: PIPELINE_COMMANDS },
+    { name: 'mask-report', type: 'path', arg: 'relatorio.json', commands: PIPELINE_COMMANDS },
+    { name: 'subset', type: 'multi', arg: '"tabela:filtro"', commands: PIPELINE_COMMANDS },
+    { name: 'include-schema', type: 'list', arg: 's1,s2', commands: FILTER_COMMANDS },
+    { name: 'exclude-schema', type: 'list', arg: 's1,s2', commands: FILTER_COMMANDS },
+    { name: 'include-table', type: 'list', arg: 't1,t2', commands: FILTER_COMMANDS },
+    { name: 'exclude-table', type: 'list', arg: 't1,t2', commands: FILTER_COMMANDS },
+    { name: 'include-column', type: 'list', arg: 't.c1,t.c2', commands: FILTER_COMMANDS },
+    { name: 'exclude-column', type: 'list', arg: 'c1,t.c2', commands: FILTER_COMMANDS },
+    { name: 'filter-file', type: 'path', arg: 'filtros.json', commands: FILTER_COMMANDS },
+    { name: 'encoding', type: 'choice', values: ENCODINGS, normalize: normalizeEncoding, commands: FILTER_COMMANDS },
+    { name: 'mapping', type: 'path', arg: 'mapeamento.json', commands: PIPELINE_COMMANDS },
+    { name: 'target-schema', type: 'path', arg: 'destino.sql', commands: PIPELINE_COMMANDS },
+    { name: 'validate', type: 'flag', commands: PIPELINE_COMMANDS },
+    { name: 'validation-report', type: 'path', arg: 'rel.json', commands: [...PIPELINE_COMMANDS, 'validate'] },
+    { name: 'strict', type: 'flag', commands: PIPELINE_COMMANDS },
+    { name: 'split', type: 'flag', commands: ['convert'] },
+    { name: 'split-rows', type: 'int', arg: 'N', commands: ['convert'] },
+    { name: 'split-size', type: 'size', arg: 'TAMANHO', commands: ['convert'] },
+    { name: 'workers', type: 'int', arg: 'N', commands: ['convert'] },
+    { name: 'worker-memory', type: 'size', arg: 'TAMANHO', commands: ['convert'] },
+    { name: 'table', type: 'list', arg: 't1,t2', commands: ['inspect'] },
+    { name: 'sample', type: 'int', arg: 'N', commands: ['inspect'] },
+    { name: 'search', type: 'string', arg: 'valor', commands: ['inspect'] },
+    { name: 'regex', type: 'flag', commands: ['inspect'] },
+    { name: 'max-hits', type: 'int', arg: 'N', commands: ['inspect'] },
+    { name: 'index-file', type: 'path', arg: 'indice.json', commands: ['inspect'] },
+    { name: 'no-index', type: 'flag', commands: ['inspect'] },
+    { name: 'json', type: 'flag', commands: ['validate', 'inspect'] }
+];
+
+/**
+ * Opções aceitas em qualquer subcomando
+ */
+const GLOBAL_OPTIONS = [
+    { name: 'help', type: 'flag' },
+    { name: 'version', type: 'flag' },
+    { name: 'lang', type: 'choice', values: LANGUAGES },
+    { name: 'config', type: 'path', arg: 'arquivo.json' },
+    { name: 'no-config', type: 'flag' }
+];
+
+const OPTIONS_BY_KEY = new Map([...OPTIONS, ...GLOBAL_OPTIONS].map(spec => [toCamelCase(spec.name), spec]));
+
+/**
+ * Erro de uso do CLI (comando, opção ou valor inválido). A mensagem é traduzida pelo
+ * CLI a partir da chave e dos parâmetros.
+ */
+class UsageError extends Error {
+    /**
+     * @param {string} key - Chave da mensagem (ver cli_messages)
+     * @param {Object} [params={}] - Parâmetros da mensagem
+     */
+    constructor(key, params = {}) {
+        super(key);
+        this.name = 'UsageError';
+        this.key = key;
+        this.params = params;
+    }
+}
+
+/**
+ * Nomes das opções booleanas, para o parser da linha de comando
+ * @returns {Array<string>} Opções do tipo flag
+ */
+function flagNames() {
+    return [...OPTIONS, ...GLOBAL_OPTIONS].filter(spec => spec.type === 'flag').map(spec => spec.name);
+}
+
+/**
+ * Opções de um subcomando, na ordem da ajuda
+ * @param {string} command - Subcomando
+ * @returns {Array<Object>} Especificações das opções
+ */
+function commandOptions(command) {
+    return OPTIONS.filter(spec => spec.commands.includes(command));
+}
+
+/**
+ * Procura o arquivo de configuração no diretório informado e nos diretórios acima
+ * @param {string} directory - Diretório inicial
+ * @returns {string|null} Caminho do arquivo encontrado, ou null
+ */
+function findConfigFile(directory) {
+    for (let current = path.resolve(directory); ; current = path.dirname(current)) {
+        const found = CONFIG_FILES.map(name => path.join(current, name)).find(file => fs.existsSync(file));
+        if (found) return found;
+        if (path.dirname(current) === current) return null;
+    }
+}
+
+/**
+ * Lê um arquivo de configuração (JSON). As opções podem ficar no nível principal, valendo
+ * para todos os subcomandos, ou em uma seção por subcomando ({ "convert": { ... } }).
+ * @param {string} file - Caminho do arquivo
+ * @returns {{file: string, values: Object}} Arquivo e conteúdo
+ */
+function loadConfig(file) {
+    let values;
+    try {
+        values = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new UsageError('error.invalidConfig', { file, message: error.message });
+    }
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+        throw new UsageError('error.invalidConfig', { file, message: 'o conteúdo deve ser um objeto JSON' });
+    }
+    return { file, values };
+}
+
+/**
+ * Opções da configuração que valem para um subcomando: as do nível principal mais as da
+ * seção do subcomando, que têm prioridade. Opções de outros subcomandos no nível
+ * principal são ignoradas; nomes desconhecidos são erro.
+ * @param {{file: string, values: Object}} config - Configuração lida
+ * @param {string} command - Subcomando
+ * @returns {Object} Opções em camelCase, com os caminhos já resolvidos
+ */
+function configOptions(config, command) {
+    const section = config.values[command];
+    if (section !== undefined && (!section || typeof section !== 'object' || Array.isArray(section))) {
+        throw new UsageError('error.invalidConfig', { file: config.file, message: `a seção ${command} deve ser um objeto` });
+    }
+
+    const collect = (entries, strict) => {
+        const options = {};
+        for (const [name, value] of entries) {
+            const key = toCamelCase(name);
+            const spec = OPTIONS_BY_KEY.get(key);
+            if (!spec || ['help', 'version', 'config', 'noConfig'].includes(key)) {
+                throw new UsageError('error.unknownConfigOption', { file: config.file, option: name });
+            }
+            if (!spec.commands || spec.commands.includes(command)) {
+                options[key] = spec.type === 'path' && typeof value === 'string'
+                    ? path.resolve(path.dirname(config.file), value)
+                    : value;
+            } else if (strict) {
+                throw new UsageError('error.unknownOption', { command, option: spec.name });
+            }
+        }
+        return options;
+    };
+
+    const shared = Object.entries(config.values).filter(([name]) => !COMMANDS.includes(name));
+    return { ...collect(shared, false), ...collect(Object.entries(section || {}), true) };
+}
+
+/**
+ * Converte o valor de uma opção conforme o tipo
+ * @param {Object} spec - Especificação da opção
+ * @param {*} value - Valor da linha de comando (string, true ou array) ou da configuração
+ * @returns {*} Valor convertido
+ */
+function normalizeOption(spec, value) {
+    const option = spec.name;
+    if (spec.type === 'list') {
+        const items = parseList(value);
+        const invalid = spec.values ? items.find(item => !spec.values.includes(item)) : undefined;
+        if (invalid !== undefined) {
+            throw new UsageError('error.invalidChoice', { option, value: invalid, values: spec.values.join(',') });
+        }
+        return items;
+    }
+    if (spec.type === 'multi') {
+        return [].concat(value).map(String);
+    }
+    // Opção repetida na linha de comando: vale a última
+    const single = Array.isArray(value) ? value[value.length - 1] : value;
+
+    if (spec.type === 'flag') {
+        if (single === true || single === false) return single;
+        if (single === 'true' || single === 'false') return single === 'true';
+        throw new UsageError('error.invalidValue', { option, value: single });
+    }
+    if (single === true || single === null || single === '') {
+        throw new UsageError('error.missingValue', { option });
+    }
+    if (spec.type === 'choice') {
+        const choice = spec.normalize ? spec.normalize(single) : single;
+        if (!spec.values.includes(choice)) {
+            throw new UsageError('error.invalidChoice', { option, value: single, values: spec.values.join('|') });
+        }
+        return choice;
+    }
+    try {
+        if (spec.type === 'int') return parsePositiveInt(single, option);
+        if (spec.type === 'size') return parseSize(single);
+    } catch (error) {
+        throw new UsageError('error.invalidValue', { option, value: single });
+    }
+    return String(single);
+}
+
+/**
+ * Combina as opções das fontes informadas (as últimas têm prioridade), validando os
+ * nomes e convertendo os valores
+ * @param {string} command - Subcomando
+ * @param {Array<Object>} sources - Opções em camelCase (configuração, linha de comando)
+ * @returns {Object} Opções do subcomando, em camelCase
+ */
+function resolveOptions(command, sources) {
+    const resolved = {};
+    for (const source of sources) {
+        for (const [key, value] of Object.entries(source)) {
+            const spec = OPTIONS_BY_KEY.get(key);
+            if (!spec || (spec.commands && !spec.commands.includes(command))) {
+                const name = spec ? spec.name : key.replace(/[A-Z]/g, char => `-${char.toLowerCase()}`);
+                throw new UsageError('error.unknownOption', { command, option: name });
+            }
+            resolved[key] = normalizeOption(spec, value);
+        }
+    }
+    return resolved;
+}
+
+module.exports = {
+    COMMANDS,
+    CONFIG_FILES,
+    OPTIONS,
+    GLOBAL_OPTIONS,
+    UsageError,
+    flagNames,
+    commandOptions,
+    findConfigFile,
+    loadConfig,
+    configOptions,
+    resolveOptions
+};
@@ -0,0 +1,47 @@
+const { unquoteIdentifier } = require('./identifiers');
+
+/**
+ * Escolhe as colunas escritas nos INSERT e COPY. As colunas geradas (GENERATED ALWAYS
+ * AS (...) STORED) ficam de fora: o banco calcula o valor e recusa qualquer outro.
+ * Colunas identity GENERATED ALWAYS só aceitam o valor do dump com OVERRIDING SYSTEM VALUE.
+ * @param {Array<string>} columns - Colunas como aparecem no dump
+ * @param {Array<Object|undefined>} columnDefs - Definições das colunas no catálogo
+ * @returns {{columns: Array<string>, columnDefs: Array<Object|undefined>, keep: Array<number>|null,
+ *   generated: Array<string>, overriding: boolean}} Colunas mantidas, posições mantidas
+ *   (null quando todas ficam), nomes das geradas removidas e se o INSERT precisa de OVERRIDING SYSTEM VALUE
+ */
+function writableColumns(columns, columnDefs) {
+    const keep = columnDefs.map((def, i) => (def && def.generated ? -1 : i)).filter(i => i !== -1);
+    const kept = keep.length === columns.length ? null : keep;
+    const defs = kept ? kept.map(i => columnDefs[i]) : columnDefs;
+
+    return {
+        columns: kept ? kept.map(i => columns[i]) : columns,
+        columnDefs: defs,
+        keep: kept,
+        generated: columns.filter((column, i) => columnDefs[i] && columnDefs[i].generated).map(unquoteIdentifier),
+        overriding: defs.some(def => def && def.identity === 'always')
+    };
+}
+
+/**
+ * Indica se a coluna guarda referências a large objects: tipo oid ou o domínio lo
+ * (extensão lo), seguindo os domínios até o tipo base
+ * @param {Object|undefined} def - Definição da coluna
+ * @param {SchemaCatalog} catalog - Catálogo com os domínios do dump
+ * @returns {boolean} true para colunas oid
+ */
+function isLargeObjectColumn(def, catalog) {
+    let type = def && def.type;
+    while (type) {
+        const name = type.replace(/^pg_catalog\./i, '').trim().toLowerCase();
+        if (name === 'oid' || name === 'lo' || name === 'public.lo') {
+            return true;
+        }
+        const userType = catalog.getType(type);
+        type = userType && userType.kind === 'domain' ? userType.baseType : null;
+    }
+    return false;
+}
+
+module.exports = { writableColumns, isLargeObjectColumn };
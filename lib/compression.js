@@ -0,0 +1,197 @@
+const fs = require('fs');
+const zlib = require('zlib');
+const { Readable, pipeline } = require('stream');
+const { splitLines } = require('./line_reader');
+
+const STDIO = '-';
+const HEAD_SIZE = 64 * 1024;
+
+/**
+ * Indica se o início do arquivo parece texto (sem bytes de controle além de tab,
+ * quebras de linha, form feed e ESC)
+ * @param {Buffer} head - Primeiros bytes do arquivo
+ * @returns {boolean} true se parece texto
+ */
+function looksLikeText(head) {
+    return !head.some(byte => byte < 0x09 || (byte > 0x0d && byte < 0x20 && byte !== 0x1b));
+}
+
+/**
+ * Detecta a compressão pelos primeiros bytes: gzip pela assinatura 1f 8b. O brotli não
+ * tem assinatura: é reconhecido pela extensão .br ou, quando o início não parece texto
+ * nem um dump custom (PGDMP), por uma descompressão de teste
+ * @param {Buffer} head - Primeiros bytes do arquivo
+ * @param {string|null} [name] - Nome do arquivo, se houver
+ * @returns {string|null} gzip, brotli ou null (sem compressão)
+ */
+function detectCompression(head, name = null) {
+    if (head.length >= 2 && head[0] === 0x1f && head[1] === 0x8b) {
+        return 'gzip';
+    }
+    if (name && /\.br$/i.test(name)) {
+        return 'brotli';
+    }
+    if (head.length === 0 || looksLikeText(head) || head.subarray(0, 5).toString('latin1') === 'PGDMP') {
+        return null;
+    }
+    try {
+        const sample = zlib.brotliDecompressSync(head, { finishFlush: zlib.constants.BROTLI_OPERATION_FLUSH });
+        return sample.length > 0 && looksLikeText(sample.subarray(0, 4096)) ? 'brotli' : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Detecta a compressão de um arquivo lendo os primeiros bytes
+ * @param {string} file - Caminho do arquivo
+ * @returns {string|null} gzip, brotli ou null
+ */
+function detectFileCompression(file) {
+    const fd = fs.openSync(file, 'r');
+    try {
+        const head = Buffer.alloc(HEAD_SIZE);
+        const count = fs.readSync(fd, head, 0, HEAD_SIZE, 0);
+        return detectCompression(head.subarray(0, count), file);
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+/**
+ * Cria o descompressor de um formato
+ * @param {string} compression - gzip ou brotli
+ * @returns {stream.Transform} Descompressor
+ */
+function createDecompressor(compression) {
+    return compression === 'gzip' ? zlib.createGunzip() : zlib.createBrotliDecompress();
+}
+
+/**
+ * Cria o compressor da saída pela extensão do arquivo (.gz ou .br). O brotli usa
+ * qualidade 5: a padrão (11) é lenta demais para scripts de dezenas de GB.
+ * @param {string} file - Caminho do arquivo de saída
+ * @returns {stream.Transform|null} Compressor, ou null se a saída não for compactada
+ */
+function createCompressor(file) {
+    if (/\.gz$/i.test(file)) {
+        return zlib.createGzip();
+    }
+    if (/\.br$/i.test(file)) {
+        return zlib.createBrotliCompress({ params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 5 } });
+    }
+    return null;
+}
+
+/**
+ * Encadeia a origem e o descompressor, repassando os erros da origem para o stream final
+ * @param {stream.Readable} source - Bytes compactados
+ * @param {string|null} compression - gzip, brotli ou null
+ * @returns {stream.Readable} Bytes descompactados
+ */
+function decompress(source, compression) {
+    if (!compression) return source;
+    return pipeline(source, createDecompressor(compression), () => {});
+}
+
+/**
+ * Abre a stdin detectando a compressão pelo primeiro bloco lido
+ * @returns {Promise<stream.Readable>} Conteúdo da stdin, já descompactado
+ */
+async function openStdin() {
+    const chunks = process.stdin[Symbol.asyncIterator]();
+    const first = await chunks.next();
+    const head = first.done ? Buffer.alloc(0) : first.value;
+    const source = Readable.from((async function* () {
+        if (!first.done) yield head;
+        for (let next = await chunks.next(); !next.done; next = await chunks.next()) {
+            yield next.value;
+        }
+    })(), { objectMode: false });
+    return decompress(source, detectCompression(head));
+}
+
+/**
+ * Leitor de linhas de uma origem que só pode ser percorrida em sequência (arquivo
+ * compactado ou stdin). Mantém a posição da última leitura: pedidos de trechos à frente
+ * continuam de onde parou; trechos anteriores descompactam o arquivo de novo desde o início
+ * (a leitura dos blocos COPY indexados evita isso pelo BlockSpool).
+ * As posições são em bytes do conteúdo descompactado.
+ */
+class SequentialLineSource {
+    /**
+     * @param {string} file - Caminho do arquivo, ou - para a stdin
+     * @param {string|null} compression - Compressão do arquivo (ignorada na stdin, que é detectada na abertura)
+     * @param {TextDecoding} [decoding] - Decodificação das linhas (padrão: UTF-8)
+     */
+    constructor(file, compression, decoding = null) {
+        this.file = file;
+        this.compression = compression;
+        this.decoding = decoding;
+        this.lines = null;
+        this.pending = null;
+        this.position = 0;
+        this.opened = false;
+    }
+
+    /**
+     * Abre a origem desde o início
+     * @returns {Promise<stream.Readable>} Conteúdo descompactado
+     */
+    async open() {
+        if (this.file === STDIO) {
+            if (this.opened) {
+                throw new Error('A stdin só pode ser lida uma vez: use um arquivo para as opções que releem o dump');
+            }
+            this.opened = true;
+            return openStdin();
+        }
+        this.opened = true;
+        return decompress(fs.createReadStream(this.file, { highWaterMark: 1 << 20 }), this.compression);
+    }
+
+    /**
+     * Lê as linhas de um trecho, como readLines
+     * @param {Object} [options] - Trecho lido
+     * @param {number} [options.start=0] - Byte inicial
+     * @param {number} [options.end] - Byte final (inclusivo)
+     * @returns {AsyncGenerator<{text: string, offset: number, bytes: number, raw: Buffer}>} Linhas com posição
+     *   em bytes e os bytes originais (ver splitLines)
+     */
+    async *read(options = {}) {
+        const { start = 0, end = Infinity } = options;
+        if (!this.lines || this.position > start) {
+            this.lines = splitLines(await this.open(), { decoding: this.decoding, raw: true })[Symbol.asyncIterator]();
+            this.pending = null;
+            this.position = 0;
+        }
+
+        while (true) {
+            let line = this.pending;
+            this.pending = null;
+            if (!line) {
+                const next = await this.lines.next();
+                if (next.done) return;
+                line = next.value;
+            }
+            if (line.offset > end) {
+                this.pending = line;
+                this.position = line.offset;
+                return;
+            }
+            this.position = line.offset + line.bytes;
+            if (line.offset >= start) {
+                yield line;
+            }
+        }
+    }
+}
+
+module.exports = {
+    STDIO,
+    detectCompression,
+    detectFileCompression,
+    createCompressor,
+    createDecompressor,
+    SequentialLineSource
+};
@@ -0,0 +1,114 @@
+const { objectKey, quoteIdentifier, unquoteIdentifier } = require('./identifiers');
+
+/**
+ * Estratégias de conflito aceitas:
+ * - nothing: ON CONFLICT DO NOTHING (mantém as linhas já existentes)
+ * - update: ON CONFLICT (chave) DO UPDATE SET ... (sobrescreve com os dados do dump)
+ * - none: INSERT sem cláusula de conflito (falha em chaves duplicadas)
+ * - skip: não insere nada se a tabela de destino já tiver dados
+ */
+const CONFLICT_STRATEGIES = ['nothing', 'update', 'none', 'skip'];
+
+/**
+ * Valida o nome de uma estratégia de conflito
+ * @param {string} strategy - Estratégia informada
+ * @param {string} [source] - Origem do valor, usada na mensagem de erro
+ * @returns {string} Estratégia validada
+ */
+function validateConflictStrategy(strategy, source = '--on-conflict') {
+    if (!CONFLICT_STRATEGIES.includes(strategy)) {
+        throw new Error(`Estratégia de conflito inválida em ${source}: ${strategy} (use ${CONFLICT_STRATEGIES.join(', ')})`);
+    }
+    return strategy;
+}
+
+/**
+ * Chave de uma tabela nas estratégias por tabela: schema.nome sem diferenciar maiúsculas,
+ * como nos filtros e nas regras de mascaramento
+ * @param {string} text - Nome da tabela (ex.: public.Orders ou public."Orders")
+ * @returns {string} Chave em minúsculas (ex.: public.orders)
+ */
+function conflictTableKey(text) {
+    return objectKey(text).toLowerCase();
+}
+
+/**
+ * Interpreta a lista de estratégias por tabela no formato tabela:estrategia
+ * @param {Array<string>} entries - Itens da lista (ex.: ['public.orders:update'])
+ * @returns {Map<string, string>} Estratégia por tabela, com o nome como foi informado
+ */
+function parseConflictTables(entries) {
+    const strategies = new Map();
+    for (const entry of entries) {
+        const separator = entry.lastIndexOf(':');
+        if (separator <= 0) {
+            throw new Error(`Valor inválido para --on-conflict-table: ${entry} (use tabela:estrategia)`);
+        }
+        const table = entry.slice(0, separator).trim();
+        const strategy = validateConflictStrategy(entry.slice(separator + 1).trim(), `--on-conflict-table=${entry}`);
+        strategies.set(table, strategy);
+    }
+    return strategies;
+}
+
+/**
+ * Escolhe a chave usada como alvo do ON CONFLICT: a chave primária ou, na falta
+ * dela, a primeira constraint UNIQUE cujas colunas estejam todas no COPY
+ * @param {Object|undefined} table - Tabela no catálogo
+ * @param {Array<string>} columnNames - Colunas do COPY, sem aspas
+ * @returns {Array<string>|null} Colunas da chave, ou null se não houver chave utilizável
+ */
+function findConflictKey(table, columnNames) {
+    if (!table) return null;
+
+    const candidates = [table.primaryKey, ...table.uniqueKeys].filter(Boolean);
+    const key = candidates.find(candidate => candidate.columns.every(name => columnNames.includes(name)));
+    return key ? key.columns : null;
+}
+
+/**
+ * Monta a cláusula de conflito de uma tabela
+ * @param {string} strategy - Estratégia de conflito
+ * @param {Object|undefined} table - Tabela no catálogo
+ * @param {Array<string>} columns - Colunas do COPY, como aparecem no dump
+ * @returns {{clause: string, warning: string|null}} Cláusula (vazia se não houver) e aviso
+ */
+function buildConflictClause(strategy, table, columns) {
+    switch (strategy) {
+        case 'none':
+        case 'skip':
+            return { clause: '', warning: null };
+        case 'update': {
+            const names = columns.map(unquoteIdentifier);
+            const key = findConflictKey(table, names);
+            if (!key) {
+                return {
+                    clause: 'ON CONFLICT DO NOTHING',
+                    warning: 'sem chave primária ou UNIQUE no dump; usado ON CONFLICT DO NOTHING'
+                };
+            }
+
+            // Colunas identity GENERATED ALWAYS não aceitam UPDATE com outro valor
+            const identity = table.columns.filter(column => column.identity === 'always').map(column => column.name);
+            const target = key.map(quoteIdentifier).join(', ');
+            const assignments = columns
+                .filter((column, i) => !key.includes(names[i]) && !identity.includes(names[i]))
+                .map(column => `${column} = EXCLUDED.${column}`);
+            if (assignments.length === 0) {
+                return { clause: `ON CONFLICT (${target}) DO NOTHING`, warning: null };
+            }
+            return { clause: `ON CONFLICT (${target}) DO UPDATE SET ${assignments.join(', ')}`, warning: null };
+        }
+        default:
+            return { clause: 'ON CONFLICT DO NOTHING', warning: null };
+    }
+}
+
+module.exports = {
+    CONFLICT_STRATEGIES,
+    validateConflictStrategy,
+    conflictTableKey,
+    parseConflictTables,
+    findConflictKey,
+    buildConflictClause
+};
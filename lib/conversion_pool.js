@@ -0,0 +1,206 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { encodeCopyLine } = require('./copy_format');
+
+const WORKER_FILE = path.join(__dirname, 'conversion_worker.js');
+
+// Separa os valores das linhas empacotadas: o PostgreSQL não aceita o caractere NUL em texto
+const FIELD_SEPARATOR = '\0';
+
+/**
+ * Empacota as linhas convertidas de um trecho num único texto, que os workers devolvem
+ * bem mais rápido que um objeto por linha: os valores formatados (usesSqlValues) ou a
+ * linha do COPY de cada linha, separados por NUL. Se algum valor tiver NUL, as linhas
+ * seguem como objetos.
+ * @param {Array<Object>} rows - Linhas convertidas ({ line, values, sqlValues, update, largeObjects } ou { error })
+ * @param {boolean} usesSqlValues - Se o escritor da tabela usa os valores formatados
+ * @returns {Object} Linhas empacotadas (ver unpackRows)
+ */
+function packRows(rows, usesSqlValues) {
+    const fields = [];
+    const errors = new Map();
+    const updates = new Map();
+    const largeObjects = new Map();
+    let width = 0;
+    for (let i = 0; i < rows.length; i++) {
+        const row = rows[i];
+        if (row.error) {
+            errors.set(i, row.error);
+            continue;
+        }
+        const values = usesSqlValues ? row.sqlValues : [row.line !== null ? row.line : encodeCopyLine(row.values)];
+        if (values.some(value => value.includes(FIELD_SEPARATOR))) {
+            return { rows };
+        }
+        if (row.update) {
+            updates.set(i, row.update);
+        }
+        if (row.largeObjects) {
+            largeObjects.set(i, row.largeObjects);
+        }
+        width = values.length;
+        fields.push(...values);
+    }
+    return { count: rows.length, width, text: fields.join(FIELD_SEPARATOR), errors, updates, largeObjects, usesSqlValues };
+}
+
+/**
+ * Reconstrói as linhas empacotadas por packRows. Sem usesSqlValues, a linha traz só a
+ * linha do COPY (row.values fica null).
+ * @param {Object} packed - Linhas empacotadas
+ * @returns {Array<Object>} Linhas convertidas, na ordem do trecho
+ */
+function unpackRows(packed) {
+    if (packed.rows) return packed.rows;
+
+    const fields = packed.width > 0 ? packed.text.split(FIELD_SEPARATOR) : [];
+    const rows = [];
+    let next = 0;
+    for (let i = 0; i < packed.count; i++) {
+        if (packed.errors.has(i)) {
+            rows.push({ error: packed.errors.get(i) });
+            continue;
+        }
+        const values = fields.slice(next, next + packed.width);
+        next += packed.width;
+        rows.push({
+            line: packed.usesSqlValues ? null : values[0],
+            values: null,
+            sqlValues: packed.usesSqlValues ? values : null,
+            update: packed.updates.get(i) || null,
+            largeObjects: packed.largeObjects.get(i) || null
+        });
+    }
+    return rows;
+}
+
+/**
+ * Pool de worker_threads que converte as linhas do dump em paralelo sem mudar a ordem
+ * do script. Cada passo entra numa fila (enqueue): os passos com mensagem vão para o
+ * worker menos ocupado, e os tratadores recebem os resultados sempre na ordem da fila,
+ * no processo principal, que é quem escreve o script. O total de dados ainda não
+ * tratados fica limitado a memoryBytes: acima disso, enqueue espera o passo mais antigo.
+ */
+class ConversionPool {
+    /**
+     * @param {Object} options - Opções do pool
+     * @param {number} options.workers - Quantidade de workers
+     * @param {number} [options.memoryBytes=134217728] - Tamanho aproximado dos dados retidos pelos passos ainda não tratados
+     * @param {Object} [options.workerData={}] - Dados de inicialização de cada worker (precisam ser clonáveis)
+     * @param {string} [options.file] - Script dos workers (padrão: conversion_worker.js)
+     */
+    constructor(options) {
+        this.memoryBytes = options.memoryBytes || 128 * 1024 * 1024;
+        this.queue = [];
+        this.pendingBytes = 0;
+        this.nextId = 0;
+        this.failure = null;
+        this.closed = false;
+        this.workers = Array.from({ length: options.workers }, () => this.startWorker(options.file || WORKER_FILE, options.workerData || {}));
+    }
+
+    /**
+     * Inicia um worker e liga as respostas às tarefas pendentes
+     * @param {string} file - Script do worker
+     * @param {Object} workerData - Dados de inicialização
+     * @returns {Object} Estado do worker ({ worker, tasks, bytes })
+     */
+    startWorker(file, workerData) {
+        const state = { worker: new Worker(file, { workerData }), tasks: new Map(), bytes: 0 };
+        const fail = error => {
+            if (this.closed) return;
+            this.failure = this.failure || error;
+            state.tasks.forEach(task => task.reject(error));
+            state.tasks.clear();
+        };
+
+        state.worker.on('message', ({ id, result, error }) => {
+            const task = state.tasks.get(id);
+            if (!task) return;
+            state.tasks.delete(id);
+            state.bytes -= task.bytes;
+            if (error) {
+                task.reject(new Error(error));
+            } else {
+                task.resolve(result);
+            }
+        });
+        state.worker.on('error', fail);
+        state.worker.on('exit', code => fail(new Error(`Worker de conversão terminou inesperadamente (código ${code})`)));
+        return state;
+    }
+
+    /**
+     * Envia uma mensagem ao worker com menos dados pendentes
+     * @param {Object} message - Mensagem (clonável)
+     * @param {number} bytes - Tamanho aproximado dos dados da mensagem
+     * @returns {Promise<*>} Resultado devolvido pelo worker
+     */
+    run(message, bytes) {
+        const state = this.workers.reduce((best, candidate) => (candidate.bytes < best.bytes ? candidate : best));
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            state.tasks.set(id, { resolve, reject, bytes });
+            state.bytes += bytes;
+            state.worker.postMessage({ id, ...message });
+        });
+    }
+
+    /**
+     * Acrescenta um passo à fila. Sem mensagem, o tratador roda no processo principal
+     * assim que os passos anteriores forem tratados.
+     * @param {Function} handle - Tratador do passo, chamado em ordem com o resultado do worker (async)
+     * @param {Object|null} [message=null] - Mensagem para um worker
+     * @param {number} [bytes=0] - Tamanho aproximado dos dados retidos até o passo ser tratado
+     */
+    async enqueue(handle, message = null, bytes = 0) {
+        if (this.failure) throw this.failure;
+        const entry = { handle, ready: !message, result: undefined, bytes, promise: null };
+        if (message) {
+            entry.promise = this.run(message, bytes).then(result => {
+                entry.result = result;
+                entry.ready = true;
+            });
+            // O erro é tratado quando o passo chega à frente da fila
+            entry.promise.catch(() => {});
+        }
+        this.pendingBytes += bytes;
+        this.queue.push(entry);
+        await this.flush(false);
+    }
+
+    /**
+     * Trata os passos da frente da fila que já têm resultado; espera pelos demais
+     * enquanto os dados em conversão passam do limite (ou sempre, com all)
+     * @param {boolean} all - Trata a fila inteira
+     */
+    async flush(all) {
+        while (this.queue.length > 0) {
+            const head = this.queue[0];
+            if (!head.ready) {
+                if (!all && this.pendingBytes <= this.memoryBytes) return;
+                await head.promise;
+            }
+            this.queue.shift();
+            this.pendingBytes -= head.bytes;
+            await head.handle(head.result);
+        }
+    }
+
+    /**
+     * Espera e trata todos os passos da fila
+     */
+    async drain() {
+        await this.flush(true);
+    }
+
+    /**
+     * Encerra os workers
+     */
+    async close() {
+        this.closed = true;
+        await Promise.all(this.workers.map(state => state.worker.terminate()));
+    }
+}
+
+module.exports = { ConversionPool, packRows, unpackRows };
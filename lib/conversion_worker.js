@@ -0,0 +1,26 @@
+const { parentPort, workerData } = require('worker_threads');
+const AdvancedDumpExtractor = require('../extract_inserts_advanced');
+
+/**
+ * Worker da conversão paralela (ver ConversionPool): recebe trechos das linhas de uma
+ * tabela, com a preparação da tabela, e devolve as linhas convertidas pelo mesmo código
+ * da conversão sequencial (AdvancedDumpExtractor.convertParallelChunk). O worker não lê
+ * o dump nem escreve o script.
+ */
+const extractor = new AdvancedDumpExtractor(null, { ...workerData.options, logger: null });
+const ready = workerData.options.targetSchema
+    ? extractor.mapping.loadTargetSchema(workerData.options.targetSchema)
+    : Promise.resolve();
+let context = null;
+
+parentPort.on('message', async ({ id, table, lines }) => {
+    try {
+        await ready;
+        if (!context || context.setupId !== table.id) {
+            context = extractor.startParallelTable(table);
+        }
+        parentPort.postMessage({ id, result: extractor.convertParallelChunk(context, lines) });
+    } catch (error) {
+        parentPort.postMessage({ id, error: error.message });
+    }
+});
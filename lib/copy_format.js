@@ -0,0 +1,164 @@
+/**
+ * Decodificação e codificação do formato texto do COPY do PostgreSQL.
+ * Segue a especificação do COPY (formato text): campos separados por tab,
+ * \N sem escape representa NULL e barras invertidas introduzem escapes.
+ */
+
+const SIMPLE_ESCAPES = {
+    b: '\b',
+    f: '\f',
+    n: '\n',
+    r: '\r',
+    t: '\t',
+    v: '\v'
+};
+
+const ENCODE_ESCAPES = {
+    '\\': '\\\\',
+    '\b': '\\b',
+    '\f': '\\f',
+    '\n': '\\n',
+    '\r': '\\r',
+    '\t': '\\t',
+    '\v': '\\v'
+};
+
+const NULL_MARKER = '\\N';
+
+/**
+ * Decodifica um campo do COPY (já separado pelos tabs)
+ * @param {string} field - Campo bruto, com escapes
+ * @returns {string|null} Valor decodificado, ou null para \N
+ */
+function decodeCopyField(field) {
+    if (field === NULL_MARKER) {
+        return null;
+    }
+    if (field.indexOf('\\') === -1) {
+        return field;
+    }
+
+    let result = '';
+    let bytes = [];
+    let i = 0;
+
+    const flushBytes = () => {
+        if (bytes.length > 0) {
+            result += Buffer.from(bytes).toString('utf8');
+            bytes = [];
+        }
+    };
+
+    while (i < field.length) {
+        const char = field[i];
+
+        if (char !== '\\') {
+            flushBytes();
+            result += char;
+            i++;
+            continue;
+        }
+
+        if (i + 1 >= field.length) {
+            break;
+        }
+
+        const next = field[i + 1];
+
+        if (next >= '0' && next <= '7') {
+            let end = i + 2;
+            while (end < i + 4 && end < field.length && field[end] >= '0' && field[end] <= '7') {
+                end++;
+            }
+            bytes.push(parseInt(field.slice(i + 1, end), 8) & 0xff);
+            i = end;
+            continue;
+        }
+
+        if (next === 'x' && /[0-9a-fA-F]/.test(field[i + 2] || '')) {
+            let end = i + 3;
+            if (/[0-9a-fA-F]/.test(field[end] || '')) {
+                end++;
+            }
+            bytes.push(parseInt(field.slice(i + 2, end), 16));
+            i = end;
+            continue;
+        }
+
+        flushBytes();
+        result += SIMPLE_ESCAPES[next] !== undefined ? SIMPLE_ESCAPES[next] : next;
+        i += 2;
+    }
+
+    flushBytes();
+    return result;
+}
+
+/**
+ * Decodifica uma linha de dados do COPY em seus valores
+ * @param {string} line - Linha de dados do COPY (sem a quebra de linha)
+ * @returns {Array<string|null>} Valores decodificados; NULL é representado por null
+ */
+function decodeCopyLine(line) {
+    if (line.indexOf('\\') === -1) {
+        return line.split('\t');
+    }
+
+    const values = [];
+    let fieldStart = 0;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (char === '\\') {
+            i++;
+        } else if (char === '\t') {
+            values.push(decodeCopyField(line.slice(fieldStart, i)));
+            fieldStart = i + 1;
+        }
+    }
+    values.push(decodeCopyField(line.slice(fieldStart)));
+
+    return values;
+}
+
+/**
+ * Codifica um valor para o formato texto do COPY
+ * @param {string|null} value - Valor a ser codificado
+ * @returns {string} Campo com escapes
+ */
+function encodeCopyField(value) {
+    if (value === null || value === undefined) {
+        return NULL_MARKER;
+    }
+    return String(value).replace(/[\\\b\f\n\r\t\v]/g, char => ENCODE_ESCAPES[char]);
+}
+
+/**
+ * Codifica uma lista de valores como uma linha de dados do COPY
+ * @param {Array<string|null>} values - Valores da linha
+ * @returns {string} Linha no formato texto do COPY
+ */
+function encodeCopyLine(values) {
+    return values.map(encodeCopyField).join('\t');
+}
+
+/**
+ * Mantém apenas algumas colunas de uma linha de dados do COPY, sem decodificar os
+ * valores (tabulações dentro dos valores sempre aparecem escapadas como \t)
+ * @param {string} line - Linha de dados do COPY
+ * @param {Array<number>} indexes - Posições das colunas mantidas
+ * @returns {string} Linha apenas com as colunas mantidas
+ */
+function projectCopyLine(line, indexes) {
+    const fields = line.split('\t');
+    return indexes.map(i => fields[i]).join('\t');
+}
+
+module.exports = {
+    NULL_MARKER,
+    decodeCopyField,
+    decodeCopyLine,
+    encodeCopyField,
+    encodeCopyLine,
+    projectCopyLine
+};
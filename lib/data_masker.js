@@ -0,0 +1,304 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { globToRegExp } = require('./patterns');
+
+const FIRST_NAMES = [
+    'Ana', 'Bruno', 'Carla', 'Daniel', 'Eduarda', 'Felipe', 'Gabriela', 'Henrique', 'Isabela', 'João',
+    'Larissa', 'Lucas', 'Mariana', 'Mateus', 'Natália', 'Otávio', 'Paula', 'Rafael', 'Sofia', 'Thiago',
+    'Beatriz', 'Caio', 'Helena', 'Igor', 'Júlia', 'Leonardo', 'Manuela', 'Pedro', 'Renata', 'Vinícius'
+];
+
+const LAST_NAMES = [
+    'Almeida', 'Barbosa', 'Cardoso', 'Costa', 'Dias', 'Fernandes', 'Gomes', 'Lima', 'Martins', 'Melo',
+    'Moreira', 'Nunes', 'Oliveira', 'Pereira', 'Ramos', 'Ribeiro', 'Rocha', 'Santos', 'Silva', 'Souza',
+    'Teixeira', 'Vieira', 'Araújo', 'Batista', 'Castro', 'Freitas', 'Monteiro', 'Pinto', 'Correia', 'Mendes'
+];
+
+/**
+ * Estratégias que sempre produzem texto; em colunas de outros tipos o valor pode não ser aceito
+ */
+const TEXT_STRATEGIES = new Set(['hash', 'email', 'name', 'pseudonym']);
+
+/**
+ * Calcula os dígitos verificadores de CPF/CNPJ (módulo 11)
+ * @param {Array<number>} digits - Dígitos base
+ * @param {Array<number>} weights - Pesos de cada dígito
+ * @returns {number} Dígito verificador
+ */
+function checkDigit(digits, weights) {
+    const sum = digits.reduce((total, digit, i) => total + digit * weights[i], 0);
+    const rest = sum % 11;
+    return rest < 2 ? 0 : 11 - rest;
+}
+
+/**
+ * Substitui os dígitos de um texto pelos dígitos informados, mantendo a pontuação
+ * (ex.: 123.456.789-09). Se a quantidade de dígitos não bater, retorna só os dígitos.
+ * @param {string} template - Valor original
+ * @param {Array<number>} digits - Novos dígitos
+ * @returns {string} Valor com a formatação original
+ */
+function fillDigits(template, digits) {
+    const count = (template.match(/\d/g) || []).length;
+    if (count !== digits.length) {
+        return digits.join('');
+    }
+    let next = 0;
+    return template.replace(/\d/g, () => String(digits[next++]));
+}
+
+/**
+ * Classe para mascarar dados sensíveis conforme um arquivo de regras. Todas as
+ * estratégias, exceto fixed e null, são determinísticas: o mesmo valor de entrada
+ * gera sempre o mesmo valor mascarado (com o mesmo salt), preservando joins entre tabelas.
+ */
+class DataMasker {
+    /**
+     * @param {Object} config - Configuração das regras
+     * @param {string} config.salt - Segredo usado nos hashes
+     * @param {Array<Object>} config.rules - Regras: { column: 'schema.tabela.coluna' ou 'tabela.coluna', strategy, ... }
+     */
+    constructor(config) {
+        this.salt = process.env.DUMP_MASK_SALT || config.salt;
+        if (!this.salt) {
+            throw new Error('Regras de mascaramento sem salt: defina "salt" no arquivo ou a variável DUMP_MASK_SALT');
+        }
+        if (!Array.isArray(config.rules)) {
+            throw new Error('Regras de mascaramento inválidas: "rules" deve ser uma lista');
+        }
+
+        this.rules = config.rules.map((rule, index) => this.compileRule(rule, index));
+        this.columns = new Map();
+        this.warnings = [];
+    }
+
+    /**
+     * Carrega as regras de um arquivo JSON
+     * @param {string} file - Caminho do arquivo de regras
+     * @returns {DataMasker} Mascarador configurado
+     */
+    static fromFile(file) {
+        let config;
+        try {
+            config = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            throw new Error(`Não foi possível ler as regras de mascaramento em ${file}: ${error.message}`);
+        }
+        return new DataMasker(config);
+    }
+
+    /**
+     * Valida uma regra e prepara o padrão de coluna
+     * @param {Object} rule - Regra do arquivo
+     * @param {number} index - Posição da regra, usada nas mensagens de erro
+     * @returns {Object} Regra com o padrão compilado
+     */
+    compileRule(rule, index) {
+        if (!rule || typeof rule.column !== 'string') {
+            throw new Error(`Regra de mascaramento ${index + 1} sem "column"`);
+        }
+        if (!this.strategy(rule)) {
+            throw new Error(`Regra de mascaramento ${index + 1} (${rule.column}): estratégia desconhecida ${rule.strategy}`);
+        }
+        if (rule.strategy === 'fixed' && rule.value === undefined) {
+            throw new Error(`Regra de mascaramento ${index + 1} (${rule.column}): a estratégia fixed exige "value"`);
+        }
+
+        const parts = rule.column.split('.');
+        if (parts.length < 2 || parts.length > 3) {
+            throw new Error(`Regra de mascaramento ${index + 1}: use tabela.coluna ou schema.tabela.coluna em "${rule.column}"`);
+        }
+
+        const pattern = parts.length === 2 ? `*.${rule.column}` : rule.column;
+        return { ...rule, matcher: globToRegExp(pattern), used: false };
+    }
+
+    /**
+     * Função de mascaramento de uma regra
+     * @param {Object} rule - Regra
+     * @returns {Function|undefined} Função (valor) → valor mascarado
+     */
+    strategy(rule) {
+        switch (rule.strategy) {
+            case 'fixed':
+                return () => (rule.value === null ? null : String(rule.value));
+            case 'null':
+                return () => null;
+            case 'hash':
+                return value => this.digest('hash', value).toString('hex').slice(0, rule.length || 64);
+            case 'cpf':
+                return value => fillDigits(value, this.fakeDocument(value, 9, [10, 9, 8, 7, 6, 5, 4, 3, 2]));
+            case 'cnpj':
+                return value => fillDigits(value, this.fakeDocument(value, 12, [5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2]));
+            case 'email':
+                return value => `u${this.digest('email', value.trim().toLowerCase()).toString('hex').slice(0, 12)}@${rule.domain || 'example.com'}`;
+            case 'phone':
+                return value => this.fakePhone(value, rule.keep || 0);
+            case 'name':
+                return value => this.fakeName(value);
+            case 'pseudonym':
+                return value => `${rule.prefix || 'anon'}_${this.digest('pseudonym', value).toString('hex').slice(0, rule.length || 12)}`;
+            default:
+                return undefined;
+        }
+    }
+
+    /**
+     * HMAC-SHA256 do valor com o salt configurado, separado por estratégia
+     * @param {string} namespace - Estratégia que usa o hash
+     * @param {string} value - Valor original
+     * @param {number} [round=0] - Rodada, para obter mais bytes do mesmo valor
+     * @returns {Buffer} Hash
+     */
+    digest(namespace, value, round = 0) {
+        return crypto.createHmac('sha256', this.salt).update(`${namespace}\0${round}\0${value}`).digest();
+    }
+
+    /**
+     * Gera dígitos pseudoaleatórios determinísticos a partir de um valor
+     * @param {string} namespace - Estratégia que usa os dígitos
+     * @param {string} value - Valor original
+     * @param {number} count - Quantidade de dígitos
+     * @returns {Array<number>} Dígitos
+     */
+    digits(namespace, value, count) {
+        const digits = [];
+        for (let round = 0; digits.length < count; round++) {
+            for (const byte of this.digest(namespace, value, round)) {
+                if (byte < 250) digits.push(byte % 10);
+                if (digits.length === count) break;
+            }
+        }
+        return digits;
+    }
+
+    /**
+     * Gera um CPF ou CNPJ falso com dígitos verificadores válidos
+     * @param {string} value - Documento original
+     * @param {number} baseLength - Dígitos antes dos verificadores (9 para CPF, 12 para CNPJ)
+     * @param {Array<number>} weights - Pesos do primeiro dígito verificador
+     * @returns {Array<number>} Dígitos do documento falso
+     */
+    fakeDocument(value, baseLength, weights) {
+        const namespace = baseLength === 9 ? 'cpf' : 'cnpj';
+        const digits = this.digits(namespace, value.replace(/\D/g, ''), baseLength);
+        if (digits.every(digit => digit === digits[0])) {
+            digits[baseLength - 1] = (digits[0] + 1) % 10;
+        }
+        digits.push(checkDigit(digits, weights));
+        digits.push(checkDigit(digits, [weights[0] + 1, ...weights]));
+        return digits;
+    }
+
+    /**
+     * Gera um telefone falso com a mesma formatação, preservando os primeiros dígitos
+     * @param {string} value - Telefone original
+     * @param {number} keep - Quantidade de dígitos iniciais preservados (ex.: DDD)
+     * @returns {string} Telefone falso
+     */
+    fakePhone(value, keep) {
+        const original = (value.match(/\d/g) || []).map(Number);
+        const fake = this.digits('phone', original.join(''), original.length);
+        return fillDigits(value, original.slice(0, keep).concat(fake.slice(keep)));
+    }
+
+    /**
+     * Gera um nome de pessoa falso
+     * @param {string} value - Nome original
+     * @returns {string} Nome falso
+     */
+    fakeName(value) {
+        const hash = this.digest('name', value.trim().toLowerCase());
+        const first = FIRST_NAMES[hash.readUInt16BE(0) % FIRST_NAMES.length];
+        const middle = LAST_NAMES[hash.readUInt16BE(2) % LAST_NAMES.length];
+        const last = LAST_NAMES[hash.readUInt16BE(4) % LAST_NAMES.length];
+        return middle === last ? `${first} ${last}` : `${first} ${middle} ${last}`;
+    }
+
+    /**
+     * Monta as funções de mascaramento das colunas de uma tabela
+     * @param {Object} table - Tabela: { schema, name }
+     * @param {Array<string>} columnNames - Colunas na ordem do COPY, sem aspas
+     * @param {Array<Object|undefined>} columnDefs - Definições das colunas no catálogo
+     * @param {Function} [describeType] - Descreve o tipo de uma coluna ({category})
+     * @returns {Array<Function|null>|null} Função por coluna, ou null se nada for mascarado
+     */
+    columnMasks(table, columnNames, columnDefs, describeType) {
+        let masked = false;
+        const masks = columnNames.map((column, i) => {
+            const target = `${table.schema}.${table.name}.${column}`;
+            const rule = this.rules.find(candidate => candidate.matcher.test(target));
+            if (!rule) return null;
+
+            rule.used = true;
+            masked = true;
+
+            const definition = columnDefs[i];
+            if (rule.strategy === 'null' && definition && definition.nullable === false) {
+                this.warnings.push(`${target}: estratégia null em coluna NOT NULL`);
+            }
+            if (TEXT_STRATEGIES.has(rule.strategy) && definition && describeType) {
+                const { category } = describeType(definition.type);
+                if (!['text', 'unknown', 'other', 'enum'].includes(category)) {
+                    this.warnings.push(`${target}: estratégia ${rule.strategy} gera texto, mas a coluna é ${definition.type}`);
+                }
+            }
+
+            if (!this.columns.has(target)) {
+                this.columns.set(target, { column: target, strategy: rule.strategy, rule: rule.column, values: 0 });
+            }
+            const entry = this.columns.get(target);
+            const mask = this.strategy(rule);
+            const keepEmpty = rule.strategy !== 'fixed' && rule.strategy !== 'null';
+            return value => {
+                if (value === null || (value === '' && keepEmpty)) return value;
+                entry.values++;
+                return mask(value);
+            };
+        });
+        return masked ? masks : null;
+    }
+
+    /**
+     * Retira as contagens de valores mascarados desde a última chamada (nos workers da
+     * conversão paralela, que devolvem as contagens ao processo principal)
+     * @returns {Object<string, number>} Valores mascarados por coluna
+     */
+    takeCounts() {
+        const counts = {};
+        for (const entry of this.columns.values()) {
+            if (entry.values > 0) {
+                counts[entry.column] = entry.values;
+                entry.values = 0;
+            }
+        }
+        return counts;
+    }
+
+    /**
+     * Soma às colunas as contagens de valores mascarados em outro processo (ver takeCounts)
+     * @param {Object<string, number>} counts - Valores mascarados por coluna
+     */
+    addCounts(counts) {
+        for (const [column, values] of Object.entries(counts)) {
+            const entry = this.columns.get(column);
+            if (entry) {
+                entry.values += values;
+            }
+        }
+    }
+
+    /**
+     * Relatório das colunas mascaradas e das regras que não encontraram colunas
+     * @returns {{columns: Array<Object>, unusedRules: Array<string>, warnings: Array<string>}} Relatório
+     */
+    report() {
+        return {
+            columns: [...this.columns.values()],
+            unusedRules: this.rules.filter(rule => !rule.used).map(rule => rule.column),
+            warnings: this.warnings
+        };
+    }
+}
+
+module.exports = { DataMasker, fillDigits, checkDigit };
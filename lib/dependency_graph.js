@@ -0,0 +1,114 @@
+/**
+ * Encontra os componentes fortemente conexos do grafo (algoritmo de Tarjan)
+ * @param {Array<string>} nodes - Nós do grafo
+ * @param {Map<string, Set<string>>} adjacency - Arestas de cada nó
+ * @returns {Array<Array<string>>} Componentes encontrados
+ */
+function stronglyConnectedComponents(nodes, adjacency) {
+    const indexes = new Map();
+    const lowLinks = new Map();
+    const stack = [];
+    const onStack = new Set();
+    const components = [];
+    let counter = 0;
+
+    const visit = (node) => {
+        indexes.set(node, counter);
+        lowLinks.set(node, counter);
+        counter++;
+        stack.push(node);
+        onStack.add(node);
+
+        for (const next of adjacency.get(node)) {
+            if (!indexes.has(next)) {
+                visit(next);
+                lowLinks.set(node, Math.min(lowLinks.get(node), lowLinks.get(next)));
+            } else if (onStack.has(next)) {
+                lowLinks.set(node, Math.min(lowLinks.get(node), indexes.get(next)));
+            }
+        }
+
+        if (lowLinks.get(node) === indexes.get(node)) {
+            const component = [];
+            let member;
+            do {
+                member = stack.pop();
+                onStack.delete(member);
+                component.push(member);
+            } while (member !== node);
+            components.push(component);
+        }
+    };
+
+    nodes.forEach(node => {
+        if (!indexes.has(node)) visit(node);
+    });
+
+    return components;
+}
+
+/**
+ * Ordena as tabelas de modo que as tabelas referenciadas por foreign keys venham
+ * antes das que as referenciam. Em ciclos (incluindo autorreferência), mantém a ordem
+ * do dump e marca como adiadas as foreign keys que apontam para uma tabela ainda não
+ * inserida.
+ * @param {Array<string>} tables - Chaves das tabelas, na ordem do dump
+ * @param {Array<{table: string, fk: Object}>} foreignKeys - Foreign keys (table é a tabela que referencia)
+ * @returns {{order: Array<string>, deferred: Array<{table: string, fk: Object}>, cycles: Array<Array<string>>}} Ordem, FKs adiadas e ciclos
+ */
+function orderTables(tables, foreignKeys) {
+    const position = new Map(tables.map((table, index) => [table, index]));
+    const edges = foreignKeys.filter(({ table, fk }) => position.has(table) && position.has(fk.refTable));
+    const adjacency = new Map(tables.map(table => [table, new Set()]));
+
+    edges.forEach(({ table, fk }) => adjacency.get(table).add(fk.refTable));
+
+    const components = stronglyConnectedComponents(tables, adjacency)
+        .map(members => members.sort((a, b) => position.get(a) - position.get(b)));
+    const componentOf = new Map();
+    components.forEach((members, index) => members.forEach(member => componentOf.set(member, index)));
+
+    const deferred = [];
+    const cycles = [];
+    components.forEach(members => {
+        const selfReference = members.length === 1 && adjacency.get(members[0]).has(members[0]);
+        if (members.length > 1 || selfReference) {
+            cycles.push(members);
+        }
+    });
+    edges.forEach(edge => {
+        const sameComponent = componentOf.get(edge.table) === componentOf.get(edge.fk.refTable);
+        if (sameComponent && position.get(edge.fk.refTable) >= position.get(edge.table)) {
+            deferred.push(edge);
+        }
+    });
+
+    const parents = components.map(() => new Set());
+    edges.forEach(({ table, fk }) => {
+        const child = componentOf.get(table);
+        const parent = componentOf.get(fk.refTable);
+        if (child !== parent) parents[child].add(parent);
+    });
+
+    const order = [];
+    const emitted = new Set();
+    const first = members => position.get(members[0]);
+
+    while (emitted.size < components.length) {
+        let next = -1;
+        components.forEach((members, index) => {
+            if (emitted.has(index)) return;
+            const ready = [...parents[index]].every(parent => emitted.has(parent));
+            if (ready && (next === -1 || first(members) < first(components[next]))) {
+                next = index;
+            }
+        });
+
+        emitted.add(next);
+        order.push(...components[next]);
+    }
+
+    return { order, deferred, cycles };
+}
+
+module.exports = { orderTables, stronglyConnectedComponents };
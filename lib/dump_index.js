@@ -0,0 +1,194 @@
+const fs = require('fs');
+const path = require('path');
+const { objectKey } = require('./identifiers');
+const { BlockSpool } = require('./block_spool');
+
+// Versão do formato do índice lateral; índices de outra versão são refeitos
+const SIDECAR_VERSION = 1;
+
+/**
+ * Tamanho e data de modificação do dump (do toc.dat, no formato directory), que
+ * identificam o conteúdo indexado
+ * @param {string} dumpFile - Arquivo ou diretório do dump
+ * @returns {{size: number, mtimeMs: number}} Identificação do dump
+ */
+function fingerprint(dumpFile) {
+    let stat = fs.statSync(dumpFile);
+    if (stat.isDirectory()) {
+        stat = fs.statSync(path.join(dumpFile, 'toc.dat'));
+    }
+    return { size: stat.size, mtimeMs: stat.mtimeMs };
+}
+
+/**
+ * Classe com o índice dos blocos COPY de um dump: tabela, colunas e a posição
+ * em bytes das linhas de dados, permitindo ler cada tabela diretamente.
+ * O índice pode ser gravado ao lado do dump (índice lateral, em JSON) e relido nas
+ * consultas seguintes, enquanto o dump não mudar. Na stdin, que só pode ser lida uma vez,
+ * a indexação pode copiar os blocos para um arquivo temporário compactado (spool), apagado por close.
+ */
+class DumpIndex {
+    /**
+     * @param {string} dumpFile - Caminho do arquivo de dump
+     */
+    constructor(dumpFile) {
+        this.dumpFile = dumpFile;
+        this.blocks = [];
+        this.metadata = {};
+        this.spool = null;
+    }
+
+    /**
+     * Percorre o dump uma vez (sem processar as linhas de dados) e monta o índice
+     * @param {DumpReader} reader - Leitor do dump
+     * @param {Object} [options] - Opções da indexação
+     * @param {Function} [options.onLine] - Chamada para cada linha fora dos blocos COPY
+     * @param {boolean} [options.countRows=false] - Conta as linhas também nos dumps custom e directory,
+     *   descompactando os dados (no formato plain elas são sempre contadas)
+     * @param {boolean} [options.spool=false] - Na stdin, copia os blocos para um arquivo temporário
+     *   compactado, de onde eles são lidos depois (ver DumpReader.blockEvents); nos arquivos não tem efeito
+     * @returns {Promise<DumpIndex>} Índice do dump
+     */
+    static async build(reader, options = {}) {
+        const index = new DumpIndex(reader.dumpFile);
+        if (options.spool && reader.singlePass) {
+            index.spool = new BlockSpool();
+        }
+
+        try {
+            await index.readBlocks(reader, options);
+        } catch (error) {
+            index.close();
+            throw error;
+        }
+        return index;
+    }
+
+    /**
+     * Acrescenta ao índice os blocos COPY lidos do dump (ver build)
+     * @param {DumpReader} reader - Leitor do dump
+     * @param {Object} options - Opções da indexação
+     */
+    async readBlocks(reader, options) {
+        const spool = this.spool;
+        let headerLine = 0;
+
+        for await (const event of reader.events({ rows: false, countRows: options.countRows === true, spool })) {
+            if (event.type === 'line') {
+                if (options.onLine) {
+                    options.onLine(event);
+                }
+            } else if (event.type === 'copyStart') {
+                headerLine = event.lineNumber;
+            } else if (event.type === 'copyEnd') {
+                this.blocks.push({
+                    table: event.table,
+                    key: objectKey(event.table),
+                    columns: event.columns,
+                    columnIndexes: event.columnIndexes || null,
+                    sourceColumnCount: event.sourceColumnCount,
+                    lineNumber: headerLine,
+                    dataStart: event.dataStart,
+                    dataEnd: event.dataEnd,
+                    rowCount: event.rowCount,
+                    unterminated: Boolean(event.unterminated),
+                    source: event.source,
+                    spool: event.spool || null
+                });
+            }
+        }
+    }
+
+    /**
+     * Caminho padrão do índice lateral de um dump: o nome do dump com .index.json
+     * @param {string} dumpFile - Arquivo ou diretório do dump
+     * @returns {string} Caminho do índice
+     */
+    static sidecarPath(dumpFile) {
+        return `${dumpFile.replace(/[\\/]+$/, '')}.index.json`;
+    }
+
+    /**
+     * Lê o índice lateral, se ele corresponder ao dump (mesma versão do formato, mesmo
+     * tamanho e mesma data de modificação do dump)
+     * @param {string} file - Caminho do índice lateral
+     * @param {string} dumpFile - Arquivo ou diretório do dump
+     * @returns {DumpIndex|null} Índice, ou null se não existir, estiver corrompido ou desatualizado
+     */
+    static load(file, dumpFile) {
+        let saved;
+        try {
+            saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            return null;
+        }
+        const { size, mtimeMs } = fingerprint(dumpFile);
+        if (!saved || saved.version !== SIDECAR_VERSION || saved.size !== size || saved.mtimeMs !== mtimeMs || !Array.isArray(saved.blocks)) {
+            return null;
+        }
+
+        const index = new DumpIndex(dumpFile);
+        index.metadata = saved.metadata || {};
+        index.blocks = saved.blocks.map(block => ({ ...block, key: objectKey(block.table), columnIndexes: null }));
+        return index;
+    }
+
+    /**
+     * Grava o índice lateral. Só faz sentido para índices montados sem filtros: as
+     * consultas aplicam os filtros depois (ver select).
+     * @param {string} file - Caminho do índice lateral
+     */
+    save(file) {
+        const { size, mtimeMs } = fingerprint(this.dumpFile);
+        const blocks = this.blocks.map(({ key, columnIndexes, spool, ...block }) => block);
+        fs.writeFileSync(file, JSON.stringify({ version: SIDECAR_VERSION, size, mtimeMs, metadata: this.metadata, blocks }) + '\n');
+    }
+
+    /**
+     * Aplica os filtros de schemas, tabelas e colunas a um índice montado sem filtros
+     * @param {ObjectFilter} filter - Filtros
+     * @returns {DumpIndex} Novo índice, só com os blocos mantidos e as colunas selecionadas
+     */
+    select(filter) {
+        const index = new DumpIndex(this.dumpFile);
+        index.metadata = this.metadata;
+        for (const block of this.blocks) {
+            const selection = filter.selectBlock(block.table, block.columns);
+            if (selection) {
+                index.blocks.push({ ...block, columns: selection.columns, columnIndexes: selection.columnIndexes });
+            }
+        }
+        return index;
+    }
+
+    /**
+     * Total de bytes ocupado pelas linhas de dados dos blocos informados
+     * @param {Array<Object>} [blocks=this.blocks] - Blocos considerados
+     * @returns {number} Quantidade de bytes
+     */
+    dataBytes(blocks = this.blocks) {
+        return blocks.reduce((total, block) => total + (block.dataEnd - block.dataStart), 0);
+    }
+
+    /**
+     * Apaga a cópia temporária dos blocos, se houver; os blocos não podem mais ser lidos por ela
+     */
+    close() {
+        if (this.spool) {
+            this.spool.remove();
+            this.spool = null;
+        }
+    }
+
+    /**
+     * Busca os blocos COPY de uma tabela
+     * @param {string} table - Nome da tabela como aparece no SQL
+     * @returns {Array<Object>} Blocos da tabela, na ordem do dump
+     */
+    findBlocks(table) {
+        const key = objectKey(table);
+        return this.blocks.filter(block => block.key === key);
+    }
+}
+
+module.exports = DumpIndex;
@@ -0,0 +1,265 @@
+const fs = require('fs');
+const { readLines } = require('./line_reader');
+const { BlockSpool } = require('./block_spool');
+const { projectCopyLine } = require('./copy_format');
+const { STDIO, detectFileCompression, SequentialLineSource } = require('./compression');
+const { TextDecoding } = require('./text_encoding');
+
+const IDENTIFIER = '(?:"(?:[^"]|"")*"|[^\\s".(]+)';
+const COPY_PATTERN = new RegExp(`^COPY (${IDENTIFIER}(?:\\.${IDENTIFIER})?) \\((.*)\\) FROM stdin;?$`);
+
+/**
+ * Separa a lista de colunas de um COPY respeitando identificadores entre aspas
+ * @param {string} columns - Lista de colunas separadas por vírgula
+ * @returns {Array<string>} Colunas na forma em que aparecem no dump
+ */
+function parseColumnList(columns) {
+    const result = [];
+    let current = '';
+    let inQuotes = false;
+
+    for (const char of columns) {
+        if (char === '"') {
+            inQuotes = !inQuotes;
+        }
+
+        if (char === ',' && !inQuotes) {
+            result.push(current.trim());
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+
+    if (current.trim()) {
+        result.push(current.trim());
+    }
+
+    return result;
+}
+
+/**
+ * Classe para ler um dump PostgreSQL em formato plain em streaming,
+ * emitindo os blocos COPY e suas linhas à medida que são lidos.
+ * Arquivos compactados com gzip ou brotli e a stdin (-) são lidos em sequência,
+ * descompactando em memória; as posições em bytes são as do conteúdo descompactado.
+ * O texto é convertido da codificação do dump (SET client_encoding ou a informada) para UTF-8.
+ */
+class DumpReader {
+    /**
+     * @param {string} dumpFile - Caminho do arquivo de dump, ou - para a stdin
+     * @param {Object} [options] - Opções de leitura
+     * @param {ProgressReporter} [options.progress] - Relatório de progresso a ser atualizado
+     * @param {ObjectFilter} [options.filter] - Filtros de schemas, tabelas e colunas; os blocos
+     *   COPY excluídos são pulados sem emitir eventos e as colunas excluídas são removidas das linhas
+     * @param {string|null} [options.encoding] - Codificação do dump, no lugar da declarada no SET client_encoding
+     */
+    constructor(dumpFile, options = {}) {
+        this.dumpFile = dumpFile;
+        this.progress = options.progress || null;
+        this.filter = options.filter || null;
+        this.decoding = new TextDecoding(options.encoding || null);
+        this.compression = dumpFile === STDIO ? null : detectFileCompression(dumpFile);
+        this.sequential = dumpFile === STDIO || this.compression
+            ? new SequentialLineSource(dumpFile, this.compression, this.decoding)
+            : null;
+        this.singlePass = dumpFile === STDIO;
+    }
+
+    /**
+     * Tamanho do dump em bytes; 0 (desconhecido) para arquivos compactados e para a stdin
+     * @returns {number} Tamanho do arquivo
+     */
+    size() {
+        return this.sequential ? 0 : fs.statSync(this.dumpFile).size;
+    }
+
+    /**
+     * Lê as linhas de um trecho do dump, do arquivo ou da origem sequencial
+     * @param {Object} [options] - Trecho lido ({ start, end }, em bytes)
+     * @returns {AsyncGenerator<{text: string, offset: number, bytes: number, invalid: Array<Object>|null}>}
+     *   Linhas com posição em bytes e os bytes sem equivalente na codificação do dump
+     */
+    lines(options = {}) {
+        return this.sequential ? this.sequential.read(options) : readLines(this.dumpFile, { ...options, decoding: this.decoding });
+    }
+
+    /**
+     * Percorre o dump emitindo eventos para cada trecho relevante:
+     * - copyStart: início de um bloco COPY ({ table, columns, columnIndexes, sourceColumnCount, lineNumber, dataStart })
+     * - row: linha de dados de um COPY ({ table, line, rawLine, lineNumber, invalid }); rawLine é a linha antes da remoção de colunas pelos filtros
+     * - copyEnd: fim de um bloco COPY ({ table, columns, columnIndexes, sourceColumnCount, rowCount, lineNumber, dataStart, dataEnd, unterminated })
+     * - line: qualquer linha fora de blocos COPY ({ line, lineNumber, invalid })
+     * invalid lista os bytes sem equivalente na codificação do dump ({ byte, field }, com o índice da
+     * coluna no COPY original), ou é null.
+     * Os campos dataStart e dataEnd delimitam, em bytes, as linhas de dados do bloco.
+     * Blocos de tabelas excluídas pelos filtros não geram eventos.
+     * Com options.spool, nas origens sequenciais as linhas de dados dos blocos também são
+     * copiadas para o BlockSpool, e copyEnd traz em spool o trecho do bloco na cópia.
+     * @param {Object} [options] - Opções da leitura
+     * @param {boolean} [options.rows=true] - Se false, as linhas de dados são apenas contadas, sem emitir eventos row
+     * @param {BlockSpool} [options.spool] - Cópia das linhas de dados (ignorada nos arquivos sem compressão)
+     * @returns {AsyncGenerator<Object>} Eventos do dump
+     */
+    async *events(options = {}) {
+        const emitRows = options.rows !== false;
+        const spool = this.sequential ? options.spool || null : null;
+        let currentCopy = null;
+        let skipping = false;
+        let lineNumber = 0;
+        let bytesRead = 0;
+
+        for await (const { text, offset, bytes, invalid, raw } of this.lines()) {
+            lineNumber++;
+            bytesRead += bytes;
+            const line = text.endsWith('\r') ? text.slice(0, -1) : text;
+
+            if (skipping) {
+                skipping = line !== '\\.';
+                if (this.progress) {
+                    this.progress.update(bytesRead);
+                }
+                continue;
+            }
+
+            if (currentCopy) {
+                if (line === '\\.') {
+                    if (this.progress) {
+                        this.progress.setTable(null);
+                    }
+                    yield { type: 'copyEnd', ...currentCopy, lineNumber, dataEnd: offset, spool: spool ? spool.end() : undefined };
+                    currentCopy = null;
+                    continue;
+                }
+
+                currentCopy.rowCount++;
+                if (spool) {
+                    spool.append(raw, bytes > raw.length);
+                }
+                if (this.progress) {
+                    this.progress.update(bytesRead, 1);
+                }
+                if (emitRows) {
+                    const { table, columnIndexes } = currentCopy;
+                    yield { type: 'row', table, line: columnIndexes ? projectCopyLine(line, columnIndexes) : line, rawLine: line, lineNumber, invalid };
+                }
+                continue;
+            }
+
+            if (this.progress) {
+                this.progress.update(bytesRead);
+            }
+
+            const copyMatch = line.match(COPY_PATTERN);
+            if (copyMatch) {
+                const sourceColumns = parseColumnList(copyMatch[2]);
+                const selection = this.selectBlock(copyMatch[1], sourceColumns);
+                if (!selection) {
+                    skipping = true;
+                    continue;
+                }
+                currentCopy = {
+                    table: copyMatch[1],
+                    columns: selection.columns,
+                    columnIndexes: selection.columnIndexes,
+                    sourceColumnCount: sourceColumns.length,
+                    rowCount: 0,
+                    dataStart: offset + bytes
+                };
+                if (spool) {
+                    spool.begin();
+                }
+                if (this.progress) {
+                    this.progress.setTable(currentCopy.table);
+                }
+                yield {
+                    type: 'copyStart',
+                    table: currentCopy.table,
+                    columns: currentCopy.columns,
+                    columnIndexes: currentCopy.columnIndexes,
+                    sourceColumnCount: currentCopy.sourceColumnCount,
+                    lineNumber,
+                    dataStart: currentCopy.dataStart
+                };
+                continue;
+            }
+
+            this.decoding.detect(line);
+            yield { type: 'line', line, lineNumber, invalid };
+        }
+
+        if (currentCopy) {
+            yield { type: 'copyEnd', ...currentCopy, lineNumber, dataEnd: bytesRead, unterminated: true, spool: spool ? spool.end() : undefined };
+        }
+    }
+
+    /**
+     * Aplica os filtros configurados a um bloco COPY
+     * @param {string} table - Tabela do COPY
+     * @param {Array<string>} columns - Colunas do COPY
+     * @returns {{columns: Array<string>, columnIndexes: Array<number>|null}|null} Colunas mantidas, ou null se o bloco for excluído
+     */
+    selectBlock(table, columns) {
+        return this.filter ? this.filter.selectBlock(table, columns) : { columns, columnIndexes: null };
+    }
+
+    /**
+     * Lê apenas as linhas de dados de um bloco COPY já indexado, posicionando a leitura
+     * diretamente no byte inicial do bloco. Blocos com spool são lidos da cópia feita na
+     * indexação, sem voltar à origem.
+     * @param {Object} block - Bloco do índice ({ table, columns, columnIndexes, sourceColumnCount, lineNumber, dataStart, dataEnd, unterminated, spool })
+     * @returns {AsyncGenerator<Object>} Eventos copyStart, row e copyEnd do bloco
+     */
+    async *blockEvents(block) {
+        const { table, columns, columnIndexes, sourceColumnCount } = block;
+        let lineNumber = block.lineNumber;
+        let rowCount = 0;
+
+        if (this.progress) {
+            this.progress.setTable(table);
+        }
+        yield { type: 'copyStart', table, columns, columnIndexes, sourceColumnCount, lineNumber, dataStart: block.dataStart };
+
+        if (block.dataEnd > block.dataStart) {
+            for await (const { text, bytes, invalid } of this.blockLines(block)) {
+                lineNumber++;
+                rowCount++;
+                if (this.progress) {
+                    this.progress.update(this.progress.bytesRead + bytes, 1);
+                }
+                const line = text.endsWith('\r') ? text.slice(0, -1) : text;
+                yield { type: 'row', table, line: columnIndexes ? projectCopyLine(line, columnIndexes) : line, rawLine: line, lineNumber, invalid };
+            }
+        }
+
+        if (this.progress) {
+            this.progress.setTable(null);
+        }
+        yield {
+            type: 'copyEnd',
+            table,
+            columns,
+            columnIndexes,
+            sourceColumnCount,
+            rowCount,
+            lineNumber: lineNumber + 1,
+            dataStart: block.dataStart,
+            dataEnd: block.dataEnd,
+            unterminated: block.unterminated
+        };
+    }
+
+    /**
+     * Linhas de dados de um bloco indexado, da cópia (spool) ou do próprio dump
+     * @param {Object} block - Bloco do índice
+     * @returns {AsyncGenerator<{text: string, offset: number, bytes: number, invalid: Array<Object>|null}>} Linhas do bloco
+     */
+    blockLines(block) {
+        if (!block.spool) {
+            return this.lines({ start: block.dataStart, end: block.dataEnd - 1 });
+        }
+        return BlockSpool.readLines(block.spool, this.decoding);
+    }
+}
+
+module.exports = { DumpReader, parseColumnList, COPY_PATTERN };
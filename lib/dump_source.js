@@ -0,0 +1,20 @@
+const { DumpReader } = require('./dump_reader');
+const { ArchiveReader, isPgArchive } = require('./archive_reader');
+const { STDIO } = require('./compression');
+
+/**
+ * Cria o leitor adequado ao formato do dump: plain (SQL), custom (-Fc) ou directory (-Fd).
+ * Todos os leitores emitem os mesmos eventos (line, copyStart, row, copyEnd).
+ * A stdin (-) e os arquivos plain compactados com gzip ou brotli são lidos pelo DumpReader.
+ * @param {string} dumpFile - Arquivo ou diretório do dump, ou - para a stdin
+ * @param {Object} [options] - Opções repassadas ao leitor
+ * @returns {DumpReader|ArchiveReader} Leitor do dump
+ */
+function createDumpReader(dumpFile, options = {}) {
+    if (dumpFile !== STDIO && isPgArchive(dumpFile)) {
+        return new ArchiveReader(dumpFile, options);
+    }
+    return new DumpReader(dumpFile, options);
+}
+
+module.exports = { createDumpReader };
@@ -0,0 +1,314 @@
+const { EventEmitter } = require('events');
+const { createDumpReader } = require('./dump_source');
+const { ProgressReporter } = require('./progress_reporter');
+const { decodeCopyLine } = require('./copy_format');
+const { unquoteIdentifier } = require('./identifiers');
+const { ObjectFilter } = require('./object_filter');
+const { createLogger } = require('./logger');
+const StatementSplitter = require('./statement_splitter');
+const SchemaCatalog = require('./schema_catalog');
+const DumpIndex = require('./dump_index');
+const { orderedBlockEvents } = require('./block_spool');
+const { describeInvalidBytes } = require('./text_encoding');
+
+// Avisos de bytes não convertidos registrados um a um; os seguintes só entram no total
+const MAX_ENCODING_WARNINGS = 100;
+
+/**
+ * Leitura de um dump como API: as linhas de dados saem de um iterador assíncrono e o
+ * início e o fim de cada tabela são avisados como eventos. O DDL fora dos blocos COPY
+ * alimenta o catálogo (tipos, chaves, sequences), disponível em catalog durante a leitura.
+ *
+ * Eventos (EventEmitter):
+ * - tableStart: { table, columns, lineNumber } antes da primeira linha da tabela
+ * - tableEnd: { table, columns, rowCount, unterminated } depois da última linha
+ * - statement: { sql, lineNumber } para cada comando SQL fora dos blocos COPY
+ * - warning: mensagem de um comando de DDL que não pôde ser interpretado ou de bytes sem
+ *   equivalente na codificação do dump (com a tabela, o registro e a coluna)
+ */
+class DumpStream extends EventEmitter {
+    /**
+     * @param {string} dumpFile - Arquivo ou diretório do dump (plain, compactado, custom ou directory), ou - para a stdin
+     * @param {Object} [options] - Opções da leitura
+     * @param {Object} [options.filters] - Filtros de schemas, tabelas e colunas ({ include, exclude }, ver ObjectFilter)
+     * @param {ObjectFilter} [options.filter] - Filtro já criado, no lugar de filters
+     * @param {SchemaCatalog} [options.catalog] - Catálogo alimentado pelo DDL (padrão: um novo)
+     * @param {Object} [options.formatter] - Formata cada valor das linhas (format(value, column)); sem ele os
+     *   valores saem como texto, com null para NULL
+     * @param {Function} [options.plan] - Indexa o dump antes dos dados e escolhe os blocos lidos e a ordem:
+     *   recebe (index, reader) e retorna os blocos (ou uma Promise deles)
+     * @param {DumpIndex} [options.index] - Índice já montado (ex.: lido do índice lateral), usado pelo plan no
+     *   lugar da indexação; o DDL do dump não é lido e o catálogo fica vazio
+     * @param {boolean} [options.progress=false] - Exibe o progresso da leitura pelo logger
+     * @param {Object|null} [options.logger] - Logger (info, warn, error); null silencia, o padrão é o console
+     * @param {string|null} [options.encoding] - Codificação do dump (UTF8, LATIN1, LATIN9, WIN1252 ou SQL_ASCII),
+     *   no lugar da declarada pelo SET client_encoding do dump
+     */
+    constructor(dumpFile, options = {}) {
+        super();
+        this.dumpFile = dumpFile;
+        this.filter = options.filter || new ObjectFilter(options.filters || {});
+        this.catalog = options.catalog || new SchemaCatalog();
+        this.formatter = options.formatter || null;
+        this.plan = options.plan || null;
+        this.showProgress = options.progress === true;
+        this.logger = createLogger(options.logger);
+        this.reader = createDumpReader(dumpFile, { filter: this.filter, encoding: options.encoding || null });
+        this.splitter = new StatementSplitter();
+        this.dumpIndex = options.index || null;
+        this.ownsIndex = false;
+        this.blocks = undefined;
+        this.progress = null;
+        this.warnings = [];
+        this.encodingErrors = 0;
+    }
+
+    /**
+     * Codificação do dump, conhecida depois da leitura do SET client_encoding (ou da indexação)
+     * @returns {string} Codificação usada na leitura (ver ENCODINGS)
+     */
+    get encoding() {
+        return this.reader.decoding.encoding;
+    }
+
+    /**
+     * Indica se o texto do dump é convertido para UTF-8 na leitura
+     * @returns {boolean} true para dumps LATIN1, LATIN9 ou WIN1252
+     */
+    get transcoded() {
+        return this.reader.decoding.transcoded;
+    }
+
+    /**
+     * Indica se o dump só pode ser lido uma vez (stdin)
+     * @returns {boolean} true para a stdin
+     */
+    get singlePass() {
+        return Boolean(this.reader.singlePass);
+    }
+
+    /**
+     * Registra um aviso de leitura
+     * @param {string} message - Mensagem
+     */
+    warn(message) {
+        this.warnings.push(message);
+        this.emit('warning', message);
+    }
+
+    /**
+     * Avisa dos bytes sem equivalente na codificação do dump, trocados por U+FFFD
+     * @param {string} location - Onde os bytes apareceram
+     * @param {Array<{byte: number}>} invalid - Bytes registrados na decodificação
+     */
+    warnEncoding(location, invalid) {
+        this.encodingErrors++;
+        if (this.encodingErrors <= MAX_ENCODING_WARNINGS) {
+            this.warn(`${location}: ${describeInvalidBytes(invalid, this.encoding)}, trocados por U+FFFD`);
+        }
+    }
+
+    /**
+     * Avisa dos bytes não convertidos de uma linha de dados, por coluna
+     * @param {Object} current - Tabela atual ({ table, columns, columnIndexes, rows })
+     * @param {Object} event - Evento row do leitor, com invalid
+     */
+    warnRowEncoding(current, event) {
+        const byColumn = new Map();
+        for (const entry of event.invalid) {
+            const index = current.columnIndexes ? current.columnIndexes.indexOf(entry.field) : entry.field;
+            if (index === -1) continue; // coluna removida pelos filtros
+            const column = current.columns[index] || `#${entry.field + 1}`;
+            byColumn.set(column, [...(byColumn.get(column) || []), entry]);
+        }
+        for (const [column, invalid] of byColumn) {
+            this.warnEncoding(`Tabela ${current.table}, registro ${current.rows}, coluna ${column} (linha ${event.lineNumber} do dump)`, invalid);
+        }
+    }
+
+    /**
+     * Envia uma linha de SQL fora dos blocos COPY para o catálogo
+     * @param {Object} event - Evento line do leitor
+     */
+    handleLine(event) {
+        if (event.invalid) {
+            this.warnEncoding(`Linha ${event.lineNumber} do dump`, event.invalid);
+        }
+        for (const statement of this.splitter.push(event.line, event.lineNumber)) {
+            try {
+                this.catalog.addStatement(statement.sql);
+            } catch (error) {
+                this.warn(`Erro ao interpretar DDL na linha ${statement.lineNumber}: ${error.message}`);
+            }
+            this.emit('statement', statement);
+        }
+    }
+
+    /**
+     * Indexa o dump (uma leitura sem as linhas de dados), carregando todo o DDL no catálogo
+     * antes dos dados. O índice é montado uma única vez.
+     * @param {Object} [options] - Opções da indexação
+     * @param {boolean} [options.countRows=false] - Conta as linhas também nos dumps custom e directory
+     * @param {boolean} [options.spool=false] - Na stdin, copia os blocos COPY para um arquivo temporário
+     *   compactado, de onde eles são lidos depois (ver DumpIndex.build); a cópia é apagada no fim de
+     *   events() ou por close()
+     * @returns {Promise<DumpIndex>} Índice dos blocos COPY
+     */
+    async index(options = {}) {
+        if (!this.dumpIndex) {
+            this.dumpIndex = await DumpIndex.build(this.reader, {
+                onLine: event => this.handleLine(event),
+                countRows: options.countRows === true,
+                spool: options.spool === true
+            });
+            this.ownsIndex = true;
+        }
+        return this.dumpIndex;
+    }
+
+    /**
+     * Executa o plan (indexação e escolha dos blocos) antes da leitura dos dados. É chamado
+     * por events(); chamá-lo antes permite usar o catálogo completo e o resultado do plan
+     * antes do primeiro evento.
+     * @returns {Promise<Array<Object>|null>} Blocos lidos, ou null para a ordem do dump
+     */
+    async prepare() {
+        if (this.blocks === undefined) {
+            this.blocks = this.plan ? await this.plan(await this.index({ spool: true }), this.reader) : null;
+        }
+        return this.blocks;
+    }
+
+    /**
+     * Eventos completos da leitura, na ordem do dump ou na definida por plan: tableStart,
+     * row e tableEnd, com os mesmos campos dos eventos copyStart, row e copyEnd do leitor
+     * (linha original, posição em bytes, colunas removidas pelos filtros etc.)
+     * @returns {AsyncGenerator<Object>} Eventos da leitura
+     */
+    async *events() {
+        try {
+            yield* this.readEvents();
+        } finally {
+            this.close();
+        }
+    }
+
+    /**
+     * Eventos da leitura (ver events)
+     * @returns {AsyncGenerator<Object>} Eventos da leitura
+     */
+    async *readEvents() {
+        const blocks = await this.prepare();
+        if (this.showProgress) {
+            const totalBytes = blocks ? this.dumpIndex.dataBytes(blocks) : this.reader.size();
+            this.progress = new ProgressReporter({ totalBytes, log: message => this.logger.info(message) });
+            this.reader.progress = this.progress;
+        }
+
+        const source = blocks ? this.blockEvents(blocks) : this.reader.events();
+        let current = null;
+        let columnIndexes = null;
+        let rows = 0;
+        for await (const event of source) {
+            if (event.type === 'line') {
+                this.handleLine(event);
+                continue;
+            }
+            if (event.type === 'copyStart') {
+                event.type = 'tableStart';
+                current = { table: event.table, columns: event.columns.map(unquoteIdentifier) };
+                this.emit('tableStart', { ...current, lineNumber: event.lineNumber });
+                columnIndexes = event.columnIndexes || null;
+                rows = 0;
+            } else if (event.type === 'row') {
+                rows++;
+                if (event.invalid) {
+                    this.warnRowEncoding({ ...current, columnIndexes, rows }, event);
+                }
+            } else if (event.type === 'copyEnd') {
+                event.type = 'tableEnd';
+                this.emit('tableEnd', { ...current, rowCount: event.rowCount, unterminated: Boolean(event.unterminated) });
+            }
+            yield event;
+        }
+
+        if (this.encodingErrors > MAX_ENCODING_WARNINGS) {
+            this.warn(`Mais ${this.encodingErrors - MAX_ENCODING_WARNINGS} trechos com bytes não convertidos (${this.encoding}) não listados`);
+        }
+        if (this.progress) {
+            this.progress.finish();
+        }
+    }
+
+    /**
+     * Apaga a cópia temporária dos blocos feita na indexação por esta leitura. Um índice
+     * recebido em options.index fica a cargo de quem o montou.
+     */
+    close() {
+        if (this.ownsIndex && this.dumpIndex) {
+            this.dumpIndex.close();
+        }
+    }
+
+    /**
+     * Emite os eventos dos blocos COPY informados, lendo cada bloco pelo índice. Nos dumps
+     * compactados, os blocos fora da ordem do dump passam por uma cópia temporária (ver
+     * orderedBlockEvents), e a origem é descompactada uma única vez
+     * @param {Array<Object>} blocks - Blocos na ordem de leitura
+     * @returns {AsyncGenerator<Object>} Eventos copyStart, row e copyEnd
+     */
+    async *blockEvents(blocks) {
+        if (this.reader.sequential) {
+            yield* orderedBlockEvents(this.reader, blocks);
+            return;
+        }
+        for (const block of blocks) {
+            yield* this.reader.blockEvents(block);
+        }
+    }
+
+    /**
+     * Linhas de dados de todas as tabelas, decodificadas do formato do COPY
+     * @returns {AsyncGenerator<{table: string, columns: Array<string>, row: Array<*>, lineNumber: number}>}
+     *   Tabela como aparece no dump, colunas sem aspas, valores e linha do dump
+     */
+    async *rows() {
+        let table = null;
+        let columns = null;
+        let definitions = null;
+        for await (const event of this.events()) {
+            if (event.type === 'tableStart') {
+                table = event.table;
+                columns = event.columns.map(unquoteIdentifier);
+                definitions = this.formatter
+                    ? this.catalog.getColumns(event.table, event.columns)
+                        .map((def, i) => def || { name: columns[i], type: null, nullable: true, default: null })
+                    : null;
+            } else if (event.type === 'row') {
+                const values = decodeCopyLine(event.line);
+                const row = definitions ? values.map((value, i) => this.formatter.format(value, definitions[i])) : values;
+                yield { table, columns, row, lineNumber: event.lineNumber };
+            }
+        }
+    }
+
+    /**
+     * Permite for await (const { table, columns, row } of readDump(arquivo))
+     * @returns {AsyncGenerator<Object>} Linhas de dados (ver rows)
+     */
+    [Symbol.asyncIterator]() {
+        return this.rows();
+    }
+}
+
+/**
+ * Abre um dump para leitura pela API (ver DumpStream)
+ * @param {string} dumpFile - Arquivo ou diretório do dump, ou - para a stdin
+ * @param {Object} [options] - Opções da leitura (ver DumpStream)
+ * @returns {DumpStream} Leitura do dump: iterável com for await e emissor dos eventos das tabelas
+ */
+function readDump(dumpFile, options = {}) {
+    return new DumpStream(dumpFile, options);
+}
+
+module.exports = { DumpStream, readDump };
@@ -0,0 +1,266 @@
+const { decodeCopyLine } = require('./copy_format');
+
+/**
+ * Códigos dos problemas encontrados na validação
+ */
+const ISSUE_CODES = {
+    COLUMN_COUNT: 'COLUMN_COUNT',
+    INVALID_VALUE: 'INVALID_VALUE',
+    NOT_NULL: 'NOT_NULL',
+    VALUE_TOO_LONG: 'VALUE_TOO_LONG',
+    INVALID_UTF8: 'INVALID_UTF8',
+    DUPLICATE_KEY: 'DUPLICATE_KEY',
+    UNTERMINATED_COPY: 'UNTERMINATED_COPY'
+};
+
+// Acima deste limite os problemas são apenas contados, para o relatório não crescer sem controle
+const MAX_REPORTED_ISSUES = 10000;
+
+const INTEGER_RANGES = {
+    smallint: [-32768n, 32767n],
+    int2: [-32768n, 32767n],
+    smallserial: [1n, 32767n],
+    integer: [-2147483648n, 2147483647n],
+    int: [-2147483648n, 2147483647n],
+    int4: [-2147483648n, 2147483647n],
+    serial: [1n, 2147483647n],
+    bigint: [-9223372036854775808n, 9223372036854775807n],
+    int8: [-9223372036854775808n, 9223372036854775807n],
+    bigserial: [1n, 9223372036854775807n],
+    oid: [0n, 4294967295n]
+};
+
+const INTEGER_PATTERN = /^[+-]?\d+$/;
+const NUMERIC_PATTERN = /^[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?$|^(?:NaN|[+-]?Infinity)$/;
+const BOOLEAN_PATTERN = /^(?:t|f|true|false|y|n|yes|no|on|off|1|0)$/i;
+const UUID_PATTERN = /^\{?[0-9a-f]{8}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{12}\}?$/i;
+const DATE_PATTERN = /^(?:-?infinity|\d{4,}-\d{2}-\d{2}(?: BC)?)$/;
+const TIME_PATTERN = /^\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:[+-]\d{2}(?::?\d{2}){0,2}|Z)?$/;
+const TIMESTAMP_PATTERN = /^(?:-?infinity|\d{4,}-\d{2}-\d{2}[ T]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:[+-]\d{2}(?::?\d{2}){0,2}|Z)?(?: BC)?)$/;
+
+/**
+ * Nome base de um tipo, sem schema pg_catalog, modificadores e espaços extras
+ * @param {string} type - Tipo declarado
+ * @returns {string} Nome base em minúsculas
+ */
+function baseTypeName(type) {
+    return type.replace(/\([^)]*\)/g, '').replace(/^pg_catalog\./i, '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * Cria a verificação de um valor pelo tipo da coluna
+ * @param {Object} column - Coluna ({ name, type, base, category, labels })
+ * @returns {Function|null} Recebe o valor (nunca null) e retorna { code, message } ou null; null se o tipo não é verificado
+ */
+function valueCheck(column) {
+    if (!column.type) return null;
+    const base = baseTypeName(column.base || column.type);
+    const invalid = message => ({ code: ISSUE_CODES.INVALID_VALUE, message });
+
+    switch (column.category) {
+        case 'integer': {
+            const range = INTEGER_RANGES[base];
+            return value => {
+                if (!INTEGER_PATTERN.test(value)) return invalid(`"${value}" não é um inteiro`);
+                const number = BigInt(value);
+                return range && (number < range[0] || number > range[1]) ? invalid(`${value} fora do intervalo de ${base}`) : null;
+            };
+        }
+        case 'numeric':
+            return value => (NUMERIC_PATTERN.test(value) ? null : invalid(`"${value}" não é um número`));
+        case 'boolean':
+            return value => (BOOLEAN_PATTERN.test(value) ? null : invalid(`"${value}" não é um booleano`));
+        case 'uuid':
+            return value => (UUID_PATTERN.test(value) ? null : invalid(`"${value}" não é um uuid`));
+        case 'json':
+            return value => {
+                try {
+                    JSON.parse(value);
+                    return null;
+                } catch (error) {
+                    return invalid(`JSON inválido: ${error.message}`);
+                }
+            };
+        case 'bytea':
+            return value => (!value.startsWith('\\x') || /^\\x(?:[0-9a-fA-F]{2})*$/.test(value) ? null : invalid('bytea em hexadecimal inválido'));
+        case 'array':
+            return value => (/^(?:\[[^\]]*\]=)?\{.*\}$/s.test(value) ? null : invalid('literal de array inválido'));
+        case 'enum':
+            return column.labels
+                ? value => (column.labels.includes(value) ? null : invalid(`"${value}" não é um valor de ${column.type}`))
+                : null;
+        case 'datetime': {
+            const pattern = base === 'date' ? DATE_PATTERN : base.startsWith('time') && !base.startsWith('timestamp') ? TIME_PATTERN : TIMESTAMP_PATTERN;
+            return value => (pattern.test(value) ? null : invalid(`"${value}" não é um valor de ${base}`));
+        }
+        case 'text': {
+            const length = (column.base || column.type).match(/^(?:character varying|varchar|character|char|bpchar)\s*\(\s*(\d+)\s*\)$/i);
+            if (!length) return null;
+            const max = Number(length[1]);
+            return value => {
+                const size = value.length > max ? [...value].length : 0;
+                return size > max ? { code: ISSUE_CODES.VALUE_TOO_LONG, message: `${size} caracteres, o máximo de ${column.type} é ${max}` } : null;
+            };
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Conta os campos de uma linha do COPY. Tabs dentro dos valores aparecem escapados:
+ * cada tab literal separa dois campos
+ * @param {string} line - Linha de dados do COPY
+ * @returns {number} Quantidade de campos
+ */
+function countFields(line) {
+    let fields = 1;
+    for (let i = line.indexOf('\t'); i !== -1; i = line.indexOf('\t', i + 1)) fields++;
+    return fields;
+}
+
+/**
+ * Validação das linhas dos blocos COPY: quantidade de campos, valores pelo tipo das
+ * colunas (quando o CREATE TABLE está no dump), NOT NULL, UTF-8 inválido, chaves primárias
+ * repetidas e blocos não terminados. Os problemas são registrados com código, tabela,
+ * coluna e linha do dump e gravados num relatório JSON.
+ */
+class DumpValidator {
+    /**
+     * @param {Object} [options] - Opções da validação
+     * @param {string} [options.source] - Dump validado, registrado no relatório
+     */
+    constructor(options = {}) {
+        this.source = options.source || null;
+        this.issues = [];
+        this.counts = {};
+        this.total = 0;
+        this.current = null;
+        this.tableKeys = new Map();
+    }
+
+    /**
+     * Registra um problema
+     * @param {string} code - Código do problema (ISSUE_CODES)
+     * @param {Object} details - Detalhes ({ table, column, line, message })
+     */
+    add(code, details) {
+        this.total++;
+        this.counts[code] = (this.counts[code] || 0) + 1;
+        if (this.issues.length < MAX_REPORTED_ISSUES) {
+            this.issues.push({ code, table: null, column: null, line: null, ...details });
+        }
+    }
+
+    /**
+     * Prepara a validação dos dados de uma tabela
+     * @param {Object} event - Evento copyStart
+     * @param {Array<Object>} columns - Colunas do COPY ({ name, type, base, category, labels, nullable }, ver describeColumns)
+     * @param {Array<string>|null} primaryKey - Colunas da chave primária, se conhecida
+     */
+    startTable(event, columns, primaryKey) {
+        const keyIndexes = primaryKey ? primaryKey.map(name => columns.findIndex(column => column.name === name)) : [];
+        const tableKey = `${event.table}\n${keyIndexes.join(',')}`;
+        if (keyIndexes.length > 0 && !keyIndexes.includes(-1) && !this.tableKeys.has(tableKey)) {
+            this.tableKeys.set(tableKey, new Set());
+        }
+        this.current = {
+            table: event.table,
+            fieldCount: event.sourceColumnCount || event.columns.length,
+            columns: columns.map(column => ({ ...column, check: valueCheck(column) })),
+            keyIndexes,
+            keys: this.tableKeys.get(tableKey) || null
+        };
+    }
+
+    /**
+     * Valida uma linha de dados da tabela atual
+     * @param {Object} event - Evento row (rawLine é a linha antes da remoção de colunas pelos filtros)
+     * @returns {boolean} false se a linha não pode ser convertida (quantidade de campos errada)
+     */
+    checkRow(event) {
+        const { table, columns } = this.current;
+        const rawLine = event.rawLine !== undefined ? event.rawLine : event.line;
+        const line = event.lineNumber;
+
+        const fields = countFields(rawLine);
+        if (fields !== this.current.fieldCount) {
+            this.add(ISSUE_CODES.COLUMN_COUNT, { table, line, message: `${fields} campos, o COPY declara ${this.current.fieldCount} colunas` });
+            return false;
+        }
+
+        const values = decodeCopyLine(event.line);
+        values.forEach((value, i) => {
+            const column = columns[i];
+            if (value === null) {
+                if (column.nullable === false) {
+                    this.add(ISSUE_CODES.NOT_NULL, { table, column: column.name, line, message: 'NULL em coluna NOT NULL' });
+                }
+                return;
+            }
+            if (value.includes('\uFFFD')) {
+                this.add(ISSUE_CODES.INVALID_UTF8, { table, column: column.name, line, message: 'bytes sem equivalente na codificação do dump (ou caractere U+FFFD no dado)' });
+                return;
+            }
+            const problem = column.check && column.check(value);
+            if (problem) {
+                this.add(problem.code, { table, column: column.name, line, message: problem.message });
+            }
+        });
+
+        const { keys, keyIndexes } = this.current;
+        if (keys && keyIndexes.every(i => values[i] !== null)) {
+            const key = keyIndexes.map(i => values[i]).join('\t');
+            if (keys.has(key)) {
+                this.add(ISSUE_CODES.DUPLICATE_KEY, {
+                    table,
+                    column: keyIndexes.map(i => columns[i].name).join(', '),
+                    line,
+                    message: `chave primária repetida (${key.replace(/\t/g, ', ')})`
+                });
+            } else {
+                keys.add(key);
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Finaliza a validação dos dados de uma tabela
+     * @param {Object} event - Evento copyEnd
+     */
+    endTable(event) {
+        if (event.unterminated) {
+            this.add(ISSUE_CODES.UNTERMINATED_COPY, { table: event.table, line: event.lineNumber, message: 'bloco COPY sem a linha \\. de término' });
+        }
+        this.current = null;
+    }
+
+    /**
+     * Indica se algum problema foi encontrado
+     * @returns {boolean} true se há problemas
+     */
+    hasProblems() {
+        return this.total > 0;
+    }
+
+    /**
+     * Monta o relatório da validação
+     * @param {Array<string>} [warnings=[]] - Avisos do processamento, em texto
+     * @returns {Object} Relatório ({ source, generatedAt, valid, total, counts, truncated, issues, warnings })
+     */
+    report(warnings = []) {
+        return {
+            source: this.source,
+            generatedAt: new Date().toISOString(),
+            valid: this.total === 0,
+            total: this.total,
+            counts: this.counts,
+            truncated: this.total > this.issues.length,
+            issues: this.issues,
+            warnings
+        };
+    }
+}
+
+module.exports = { DumpValidator, ISSUE_CODES, MAX_REPORTED_ISSUES, countFields };
@@ -0,0 +1,329 @@
+const fs = require('fs');
+const path = require('path');
+const ScriptWriter = require('./script_writer');
+const { parseQualifiedName } = require('./identifiers');
+const { parsePgArray, toJsonNumber, arrayToJson } = require('./type_conversion');
+
+const EXPORT_FORMATS = ['csv', 'jsonl', 'manifest'];
+const MANIFEST_FILE = 'manifest.json';
+
+/**
+ * Converte um valor do COPY em valor JSON de acordo com a categoria do tipo da coluna;
+ * os números seguem o tipo JSON da coluna (numberType), o mesmo em todas as linhas
+ * @param {string|null} value - Valor decodificado do COPY (null para NULL)
+ * @param {Object} column - Coluna exportada ({ category, element, numberType })
+ * @returns {*} Valor JSON
+ */
+function toJsonValue(value, column) {
+    if (value === null) return null;
+
+    switch (column.category) {
+        case 'integer':
+        case 'numeric':
+            return toJsonNumber(value, column.numberType);
+        case 'boolean':
+            return value === 't' || value === 'true';
+        case 'json':
+            try {
+                return JSON.parse(value);
+            } catch (error) {
+                return value;
+            }
+        case 'array':
+            try {
+                return arrayToJson(parsePgArray(value), column.element || 'text', column.numberType);
+            } catch (error) {
+                return value;
+            }
+        default:
+            return value;
+    }
+}
+
+/**
+ * Escreve um campo CSV (RFC 4180): entre aspas quando contém vírgula, aspas ou quebra
+ * de linha. NULL vira campo vazio e a string vazia vira "", para que sejam distinguíveis.
+ * @param {string|null} value - Valor decodificado do COPY
+ * @returns {string} Campo CSV
+ */
+function csvField(value) {
+    if (value === null) return '';
+    if (value === '' || /[",\r\n]/.test(value)) {
+        return `"${value.replace(/"/g, '""')}"`;
+    }
+    return value;
+}
+
+/**
+ * Exportador que registra as tabelas, colunas e quantidades de linhas e grava o
+ * manifest.json no diretório de saída. É a base dos exportadores por arquivo e define
+ * a interface comum: startTable, writeRow, endTable e finish.
+ */
+class ManifestExporter {
+    /**
+     * @param {string} directory - Diretório de saída
+     * @param {Object} [options] - Opções do manifesto
+     * @param {string} [options.source] - Dump de origem, registrado no manifesto
+     */
+    constructor(directory, options = {}) {
+        this.directory = directory;
+        this.source = options.source || null;
+        this.format = 'manifest';
+        this.tables = [];
+        this.current = null;
+        fs.mkdirSync(directory, { recursive: true });
+    }
+
+    /**
+     * Inicia a exportação de uma tabela. Blocos repetidos da mesma tabela somam no mesmo registro.
+     * @param {string} table - Nome da tabela como aparece no SQL
+     * @param {Array<Object>} columns - Colunas na ordem dos valores ({ name, type, category, element, nullable })
+     */
+    async startTable(table, columns) {
+        const { schema, name } = parseQualifiedName(table);
+        this.current = this.tables.find(entry => entry.schema === schema && entry.name === name);
+        if (!this.current) {
+            this.current = { table, schema, name, file: null, columns, rows: 0 };
+            this.tables.push(this.current);
+        }
+    }
+
+    /**
+     * Conta uma linha da tabela atual
+     * @param {Array<string|null>} values - Valores decodificados, na ordem das colunas
+     */
+    async writeRow(values) {
+        this.current.rows++;
+    }
+
+    /**
+     * Finaliza a exportação da tabela atual
+     */
+    async endTable() {
+        this.current = null;
+    }
+
+    /**
+     * Avisos da exportação, a registrar antes de finish (nenhum por padrão)
+     * @returns {Array<string>} Avisos
+     */
+    warnings() {
+        return [];
+    }
+
+    /**
+     * Grava o manifesto com as tabelas exportadas
+     * @param {Object} [extra] - Campos adicionais do manifesto (ex.: { warnings })
+     * @returns {string} Caminho do manifesto
+     */
+    async finish(extra = {}) {
+        const manifest = {
+            format: this.format,
+            source: this.source,
+            generatedAt: new Date().toISOString(),
+            tables: this.tables.map(({ table, schema, name, file, columns, rows }) => ({
+                table,
+                schema,
+                name,
+                file,
+                rows,
+                columns: columns.map(({ name: column, type, category, nullable }) => ({ name: column, type, category, nullable }))
+            })),
+            ...extra
+        };
+        const file = path.join(this.directory, MANIFEST_FILE);
+        fs.writeFileSync(file, JSON.stringify(manifest, null, 2) + '\n');
+        return file;
+    }
+}
+
+/**
+ * Exportador base dos formatos com um arquivo por tabela
+ */
+class TableFileExporter extends ManifestExporter {
+    /**
+     * @param {string} directory - Diretório de saída
+     * @param {string} extension - Extensão dos arquivos (ex.: .csv)
+     * @param {Object} [options] - Opções do manifesto
+     */
+    constructor(directory, extension, options = {}) {
+        super(directory, options);
+        this.extension = extension;
+        this.output = null;
+        this.usedFiles = new Set();
+    }
+
+    /**
+     * Nome do arquivo de uma tabela (schema.tabela.ext), sem caracteres problemáticos
+     * em sistemas de arquivos e sem colidir com o de outra tabela
+     * @param {string} schema - Schema da tabela
+     * @param {string} name - Nome da tabela
+     * @returns {string} Nome do arquivo
+     */
+    fileName(schema, name) {
+        const base = `${schema}.${name}`.replace(/[^\w.-]/g, '_');
+        let file = `${base}${this.extension}`;
+        for (let i = 2; this.usedFiles.has(file.toLowerCase()); i++) {
+            file = `${base}_${i}${this.extension}`;
+        }
+        this.usedFiles.add(file.toLowerCase());
+        return file;
+    }
+
+    /**
+     * Abre o arquivo da tabela; um novo bloco da mesma tabela continua o arquivo existente
+     * @param {string} table - Nome da tabela como aparece no SQL
+     * @param {Array<Object>} columns - Colunas na ordem dos valores
+     */
+    async startTable(table, columns) {
+        await super.startTable(table, columns);
+        const append = this.current.file !== null;
+        if (!append) {
+            this.current.file = this.fileName(this.current.schema, this.current.name);
+        }
+        this.columns = this.current.columns;
+        this.output = new ScriptWriter(fs.createWriteStream(path.join(this.directory, this.current.file), {
+            encoding: 'utf8',
+            flags: append ? 'a' : 'w'
+        }));
+        if (!append) {
+            await this.writeHeader();
+        }
+    }
+
+    /**
+     * Escreve o cabeçalho do arquivo (nada por padrão)
+     */
+    async writeHeader() {}
+
+    /**
+     * Escreve uma linha da tabela atual
+     * @param {Array<string|null>} values - Valores decodificados, na ordem das colunas
+     */
+    async writeRow(values) {
+        await super.writeRow(values);
+        await this.output.writeLine(this.formatRow(values));
+    }
+
+    /**
+     * Converte uma linha no formato do arquivo
+     * @param {Array<string|null>} values - Valores decodificados
+     * @returns {string} Linha do arquivo
+     */
+    formatRow(values) {
+        throw new Error('formatRow deve ser implementado pelo exportador');
+    }
+
+    /**
+     * Fecha o arquivo da tabela atual
+     */
+    async endTable() {
+        await this.output.end();
+        this.output = null;
+        await super.endTable();
+    }
+}
+
+/**
+ * Exportador CSV (RFC 4180): cabeçalho com os nomes das colunas e linhas terminadas em CRLF
+ */
+class CsvExporter extends TableFileExporter {
+    /**
+     * @param {string} directory - Diretório de saída
+     * @param {Object} [options] - Opções do manifesto
+     */
+    constructor(directory, options = {}) {
+        super(directory, '.csv', options);
+        this.format = 'csv';
+    }
+
+    /**
+     * Escreve a linha de cabeçalho com os nomes das colunas
+     */
+    async writeHeader() {
+        await this.output.writeLine(this.formatRow(this.columns.map(column => column.name)));
+    }
+
+    /**
+     * Converte uma linha em registro CSV
+     * @param {Array<string|null>} values - Valores decodificados
+     * @returns {string} Registro CSV
+     */
+    formatRow(values) {
+        // O ScriptWriter acrescenta o \n: o \r completa o CRLF exigido pela RFC 4180
+        return values.map(csvField).join(',') + '\r';
+    }
+}
+
+/**
+ * Exportador JSON Lines: um objeto por linha, com números, booleanos, JSON e arrays
+ * convertidos de acordo com o tipo das colunas
+ */
+class JsonLinesExporter extends TableFileExporter {
+    /**
+     * @param {string} directory - Diretório de saída
+     * @param {Object} [options] - Opções do manifesto
+     */
+    constructor(directory, options = {}) {
+        super(directory, '.jsonl', options);
+        this.format = 'jsonl';
+        // Valores NaN e Infinity exportados como null, por coluna (tabela.coluna → quantidade)
+        this.nullNumbers = new Map();
+    }
+
+    /**
+     * Converte uma linha em objeto JSON
+     * @param {Array<string|null>} values - Valores decodificados
+     * @returns {string} Objeto JSON em uma linha
+     */
+    formatRow(values) {
+        const record = {};
+        this.columns.forEach((column, i) => {
+            const value = toJsonValue(values[i], column);
+            if (value === null && values[i] !== null && (column.category === 'integer' || column.category === 'numeric')) {
+                const key = `${this.current.table}.${column.name}`;
+                this.nullNumbers.set(key, (this.nullNumbers.get(key) || 0) + 1);
+            }
+            record[column.name] = value;
+        });
+        return JSON.stringify(record);
+    }
+
+    /**
+     * Avisos da exportação: um por coluna que teve NaN ou Infinity exportado como null
+     * @returns {Array<string>} Avisos
+     */
+    warnings() {
+        return [...this.nullNumbers].map(([column, count]) => `${column}: ${count} valores NaN/Infinity exportados como null (o JSON não os representa)`);
+    }
+}
+
+/**
+ * Cria o exportador de um formato
+ * @param {string} format - Formato: csv, jsonl ou manifest (apenas o manifesto)
+ * @param {string} directory - Diretório de saída
+ * @param {Object} [options] - Opções do manifesto
+ * @returns {ManifestExporter} Exportador
+ */
+function createExporter(format, directory, options = {}) {
+    switch (format) {
+        case 'csv':
+            return new CsvExporter(directory, options);
+        case 'jsonl':
+            return new JsonLinesExporter(directory, options);
+        case 'manifest':
+            return new ManifestExporter(directory, options);
+        default:
+            throw new Error(`Formato de exportação inválido: ${format} (use ${EXPORT_FORMATS.join(', ')})`);
+    }
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    ManifestExporter,
+    CsvExporter,
+    JsonLinesExporter,
+    createExporter,
+    toJsonValue,
+    csvField
+};
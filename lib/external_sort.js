@@ -0,0 +1,106 @@
+const fs = require('fs');
+const path = require('path');
+const ScriptWriter = require('./script_writer');
+const { readLines } = require('./line_reader');
+
+/**
+ * Compara duas chaves de ordenação pela ordem dos code units (a mesma em todas as execuções,
+ * independente de locale)
+ * @param {string} a - Primeira chave
+ * @param {string} b - Segunda chave
+ * @returns {number} Negativo, zero ou positivo
+ */
+function compareKeys(a, b) {
+    if (a < b) return -1;
+    return a > b ? 1 : 0;
+}
+
+/**
+ * Ordena as linhas de um ou mais arquivos por uma chave sem carregar tudo em memória
+ * (ordenação externa): as linhas são lidas em lotes de até memoryBytes, cada lote é ordenado
+ * e gravado num arquivo temporário, e os arquivos são intercalados no fim. Quando tudo cabe
+ * em um lote, as linhas saem direto da memória.
+ * @param {Array<string>} files - Arquivos de entrada, uma linha por registro
+ * @param {Function} keyOf - Extrai a chave de ordenação (string) de uma linha
+ * @param {Object} options - Opções da ordenação
+ * @param {string} options.tempDir - Diretório dos arquivos temporários
+ * @param {number} [options.memoryBytes=67108864] - Tamanho aproximado de cada lote em memória
+ * @returns {AsyncGenerator<{key: string, line: string}>} Linhas em ordem crescente de chave
+ */
+async function* sortLines(files, keyOf, options) {
+    const memoryBytes = options.memoryBytes || 64 * 1024 * 1024;
+    const runs = [];
+    let batch = [];
+    let batchBytes = 0;
+
+    const writeRun = async () => {
+        batch.sort((a, b) => compareKeys(a.key, b.key));
+        const file = path.join(options.tempDir, `run-${process.pid}-${Date.now()}-${runs.length}.txt`);
+        const output = ScriptWriter.toFile(file);
+        for (const { line } of batch) {
+            await output.writeLine(line);
+        }
+        await output.end();
+        runs.push(file);
+        batch = [];
+        batchBytes = 0;
+    };
+
+    for (const file of files) {
+        for await (const { text } of readLines(file)) {
+            batch.push({ key: keyOf(text), line: text });
+            // Strings em UTF-16 e os objetos do lote ocupam bem mais que os bytes do arquivo
+            batchBytes += text.length * 2 + 64;
+            if (batchBytes >= memoryBytes) {
+                await writeRun();
+            }
+        }
+    }
+
+    if (runs.length === 0) {
+        batch.sort((a, b) => compareKeys(a.key, b.key));
+        yield* batch;
+        return;
+    }
+    if (batch.length > 0) {
+        await writeRun();
+    }
+
+    try {
+        yield* mergeRuns(runs, keyOf);
+    } finally {
+        runs.forEach(file => fs.rmSync(file, { force: true }));
+    }
+}
+
+/**
+ * Intercala arquivos já ordenados. A menor chave é escolhida por busca linear entre os
+ * arquivos: com lotes de dezenas de MB, mesmo tabelas enormes geram poucos arquivos.
+ * @param {Array<string>} runs - Arquivos ordenados
+ * @param {Function} keyOf - Extrai a chave de ordenação de uma linha
+ * @returns {AsyncGenerator<{key: string, line: string}>} Linhas em ordem crescente de chave
+ */
+async function* mergeRuns(runs, keyOf) {
+    const sources = runs.map(file => ({ lines: readLines(file), current: null }));
+    const advance = async source => {
+        const next = await source.lines.next();
+        source.current = next.done ? null : { key: keyOf(next.value.text), line: next.value.text };
+    };
+    for (const source of sources) {
+        await advance(source);
+    }
+
+    while (true) {
+        let smallest = null;
+        for (const source of sources) {
+            if (source.current && (!smallest || compareKeys(source.current.key, smallest.current.key) < 0)) {
+                smallest = source;
+            }
+        }
+        if (!smallest) return;
+        yield smallest.current;
+        await advance(smallest);
+    }
+}
+
+module.exports = { sortLines, compareKeys };
@@ -0,0 +1,118 @@
+/**
+ * Palavras reservadas do PostgreSQL que precisam de aspas quando usadas como identificadores
+ */
+const RESERVED_WORDS = new Set([
+    'all', 'analyse', 'analyze', 'and', 'any', 'array', 'as', 'asc', 'asymmetric', 'authorization',
+    'binary', 'both', 'case', 'cast', 'check', 'collate', 'collation', 'column', 'concurrently',
+    'constraint', 'create', 'cross', 'current_catalog', 'current_date', 'current_role',
+    'current_schema', 'current_time', 'current_timestamp', 'current_user', 'default', 'deferrable',
+    'desc', 'distinct', 'do', 'else', 'end', 'except', 'false', 'fetch', 'for', 'foreign', 'freeze',
+    'from', 'full', 'grant', 'group', 'having', 'ilike', 'in', 'initially', 'inner', 'intersect',
+    'into', 'is', 'isnull', 'join', 'lateral', 'leading', 'left', 'like', 'limit', 'localtime',
+    'localtimestamp', 'natural', 'not', 'notnull', 'null', 'offset', 'on', 'only', 'or', 'order',
+    'outer', 'overlaps', 'placing', 'primary', 'references', 'returning', 'right', 'select',
+    'session_user', 'similar', 'some', 'symmetric', 'system_user', 'table', 'tablesample', 'then',
+    'to', 'trailing', 'true', 'union', 'unique', 'user', 'using', 'variadic', 'verbose', 'when',
+    'where', 'window', 'with'
+]);
+
+/**
+ * Remove as aspas de um identificador, aplicando a regra de caixa do PostgreSQL
+ * (identificadores sem aspas são convertidos para minúsculas)
+ * @param {string} identifier - Identificador como aparece no SQL
+ * @returns {string} Nome real do objeto
+ */
+function unquoteIdentifier(identifier) {
+    const trimmed = identifier.trim();
+    if (trimmed.startsWith('"') && trimmed.endsWith('"') && trimmed.length >= 2) {
+        return trimmed.slice(1, -1).replace(/""/g, '"');
+    }
+    return trimmed.toLowerCase();
+}
+
+/**
+ * Coloca aspas em um identificador quando necessário
+ * @param {string} name - Nome real do objeto
+ * @returns {string} Identificador pronto para uso em SQL
+ */
+function quoteIdentifier(name) {
+    if (/^[a-z_][a-z0-9_$]*$/.test(name) && !RESERVED_WORDS.has(name)) {
+        return name;
+    }
+    return `"${name.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Separa um nome qualificado (schema.objeto) respeitando identificadores entre aspas
+ * @param {string} text - Nome como aparece no SQL (ex.: public."Users")
+ * @returns {Array<string>} Partes do nome, já sem aspas
+ */
+function splitQualifiedName(text) {
+    const parts = [];
+    let current = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (char === '"') {
+            if (inQuotes && text[i + 1] === '"') {
+                current += '""';
+                i++;
+                continue;
+            }
+            inQuotes = !inQuotes;
+            current += char;
+        } else if (char === '.' && !inQuotes) {
+            parts.push(unquoteIdentifier(current));
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    parts.push(unquoteIdentifier(current));
+
+    return parts;
+}
+
+/**
+ * Interpreta o nome de uma tabela ou tipo, assumindo o schema public quando omitido
+ * @param {string} text - Nome como aparece no SQL
+ * @returns {{schema: string, name: string}} Schema e nome sem aspas
+ */
+function parseQualifiedName(text) {
+    const parts = splitQualifiedName(text);
+    if (parts.length === 1) {
+        return { schema: 'public', name: parts[0] };
+    }
+    return { schema: parts[parts.length - 2], name: parts[parts.length - 1] };
+}
+
+/**
+ * Monta o nome qualificado com aspas quando necessário
+ * @param {string} schema - Schema do objeto
+ * @param {string} name - Nome do objeto
+ * @returns {string} Nome qualificado pronto para uso em SQL
+ */
+function qualifiedName(schema, name) {
+    return `${quoteIdentifier(schema)}.${quoteIdentifier(name)}`;
+}
+
+/**
+ * Chave canônica de um objeto, usada para indexar o catálogo
+ * @param {string} text - Nome como aparece no SQL
+ * @returns {string} Chave no formato schema.nome (sem aspas)
+ */
+function objectKey(text) {
+    const { schema, name } = parseQualifiedName(text);
+    return `${schema}.${name}`;
+}
+
+module.exports = {
+    RESERVED_WORDS,
+    unquoteIdentifier,
+    quoteIdentifier,
+    splitQualifiedName,
+    parseQualifiedName,
+    qualifiedName,
+    objectKey
+};
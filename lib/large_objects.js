@@ -0,0 +1,234 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readLines } = require('./line_reader');
+
+/**
+ * Tratamento dos large objects do dump:
+ * - preserve: recriados com os mesmos OIDs (o destino não pode ter outros large objects com esses
+ *   OIDs: o lo_create falha, em vez de misturar os dados com os de um large object existente)
+ * - remap: recriados com OIDs novos, e as colunas oid das linhas do script passam a apontar para eles
+ * - none: ignorados
+ */
+const LARGE_OBJECT_MODES = ['preserve', 'remap', 'none'];
+
+// Tabela com os OIDs antigos e novos no modo remap. É uma tabela comum, e não temporária,
+// para sobreviver às várias sessões do script dividido (run_chunks.js)
+const MAP_TABLE = 'public.dump_processor_large_objects';
+
+const LO_CREATE = /^SELECT\s+(?:pg_catalog\.)?lo_create\s*\(\s*'?(\d+)'?\s*\)$/i;
+const LO_OPEN = /^SELECT\s+(?:pg_catalog\.)?lo_open\s*\(\s*'?(\d+)'?\s*,\s*\d+\s*\)$/i;
+const LO_WRITE = /^SELECT\s+(?:pg_catalog\.)?lowrite\s*\(\s*\d+\s*,\s*(E?)'((?:[^']|'')*)'(?:::bytea)?\s*\)$/i;
+const LO_CLOSE = /^SELECT\s+(?:pg_catalog\.)?lo_close\s*\(\s*\d+\s*\)$/i;
+
+/**
+ * UPDATE que aponta a coluna oid de uma linha do script para o novo OID (modo remap)
+ * @param {string} table - Tabela como aparece no SQL
+ * @param {string} column - Coluna oid como aparece no SQL
+ * @param {string} oid - OID antigo, já formatado em SQL
+ * @param {Array<string>} key - Condições da chave primária da linha, com o alias t (ex.: t.id = 1)
+ * @returns {string} Comando UPDATE
+ */
+function remapReference(table, column, oid, key) {
+    return `UPDATE ${table} AS t SET ${column} = m.new_oid FROM ${MAP_TABLE} m WHERE m.old_oid = ${oid} AND t.${column} = m.old_oid AND ${key.join(' AND ')};`;
+}
+
+/**
+ * Classe que recolhe os large objects do dump a partir dos comandos SQL fora dos blocos
+ * COPY (lo_create, e lo_open / lowrite / lo_close nos dados BLOBS) e os reescreve no script.
+ * Os dados são gravados num arquivo temporário conforme são lidos, sem ficar em memória,
+ * e cada trecho vira um lo_put com a posição explícita: o script não depende dos
+ * descritores do lo_open, que só valem dentro de uma transação.
+ */
+class LargeObjectCollector {
+    /**
+     * @param {string} [mode='preserve'] - Tratamento dos large objects (ver LARGE_OBJECT_MODES)
+     */
+    constructor(mode = 'preserve') {
+        if (!LARGE_OBJECT_MODES.includes(mode)) {
+            throw new Error(`Tratamento de large objects inválido: ${mode} (use ${LARGE_OBJECT_MODES.join(', ')})`);
+        }
+        this.mode = mode;
+        this.oids = new Set();
+        this.current = null;
+        this.bytes = 0;
+        this.directory = null;
+        this.spool = null;
+        this.referenceSpool = null;
+        this.references = 0;
+        this.errors = [];
+    }
+
+    /**
+     * Abre um arquivo temporário no diretório do coletor, criado na primeira chamada
+     * @param {string} name - Nome do arquivo
+     * @returns {{file: string, fd: number}} Arquivo aberto para escrita
+     */
+    openSpool(name) {
+        if (!this.directory) {
+            this.directory = fs.mkdtempSync(path.join(os.tmpdir(), 'dump-processor-'));
+        }
+        const file = path.join(this.directory, name);
+        return { file, fd: fs.openSync(file, 'w') };
+    }
+
+    /**
+     * Guarda os UPDATE das colunas oid de uma linha escrita no script (ver remapReference),
+     * escritos depois da criação dos large objects
+     * @param {string} updates - Comandos, um por linha
+     */
+    addReferences(updates) {
+        if (!this.referenceSpool) {
+            this.referenceSpool = this.openSpool('references.sql');
+        }
+        fs.writeSync(this.referenceSpool.fd, updates + '\n');
+        this.references++;
+    }
+
+    /**
+     * Interpreta um comando do dump, guardando os que criam ou preenchem large objects
+     * @param {{sql: string, lineNumber: number}} statement - Comando SQL completo
+     * @returns {boolean} true se o comando era de large object
+     */
+    addStatement(statement) {
+        if (this.mode === 'none') return false;
+        const sql = statement.sql.trim().replace(/;\s*$/, '');
+        if (!/^SELECT\s+(?:pg_catalog\.)?lo(?:_create|_open|write|_close)\s*\(/i.test(sql)) return false;
+
+        let match;
+        if ((match = sql.match(LO_CREATE))) {
+            this.oids.add(match[1]);
+        } else if ((match = sql.match(LO_OPEN))) {
+            this.oids.add(match[1]);
+            this.current = { oid: match[1], offset: 0 };
+        } else if ((match = sql.match(LO_WRITE)) && this.current) {
+            this.write(match, statement.lineNumber);
+        } else if (LO_CLOSE.test(sql)) {
+            this.current = null;
+        } else {
+            this.errors.push(`Comando de large object não reconhecido na linha ${statement.lineNumber}`);
+        }
+        return true;
+    }
+
+    /**
+     * Grava no arquivo temporário o lo_put de um trecho de dados do large object aberto
+     * @param {Array<string>} match - Resultado de LO_WRITE (prefixo E e conteúdo do literal)
+     * @param {number} lineNumber - Linha do comando no dump
+     */
+    write(match, lineNumber) {
+        let value = match[2].replace(/''/g, '\'');
+        if (match[1]) {
+            value = value.replace(/\\\\/g, '\\');
+        }
+        const hex = value.match(/^\\x([0-9a-fA-F]*)$/);
+        if (!hex) {
+            this.errors.push(`Large object ${this.current.oid} (linha ${lineNumber}): dados fora do formato hex do bytea, gere o dump com o pg_dump 9.0 ou mais recente`);
+            return;
+        }
+
+        if (!this.spool) {
+            this.spool = this.openSpool('large_objects.sql');
+        }
+        const target = this.mode === 'remap' ? 'm.new_oid' : this.current.oid;
+        let line = `SELECT pg_catalog.lo_put(${target}, ${this.current.offset}, pg_catalog.decode('${hex[1]}', 'hex'))`;
+        line += this.mode === 'remap' ? ` FROM ${MAP_TABLE} m WHERE m.old_oid = ${this.current.oid};` : ';';
+        fs.writeSync(this.spool.fd, line + '\n');
+
+        const length = hex[1].length / 2;
+        this.current.offset += length;
+        this.bytes += length;
+    }
+
+    /**
+     * Escreve no script a criação dos large objects, os dados e, no modo remap, a
+     * atualização das colunas oid: pela chave primária das linhas do script (ver
+     * addReferences) ou, nas tabelas sem chave primária, em todas as linhas com os OIDs antigos
+     * @param {ScriptWriter} writer - Destino do script
+     * @param {Map<string, Set<string>>} references - Colunas oid por tabela sem chave primária, como aparecem no SQL
+     */
+    async writeScript(writer, references) {
+        if (this.oids.size === 0) {
+            this.cleanup();
+            return;
+        }
+        [this.spool, this.referenceSpool].forEach(spool => {
+            if (spool && spool.fd !== null) {
+                fs.closeSync(spool.fd);
+                spool.fd = null;
+            }
+        });
+
+        await writer.startFile('largeobjects');
+        const remap = this.mode === 'remap';
+        await writer.writeLine(`-- Large objects: ${this.oids.size} (${this.bytes} bytes, OIDs ${remap ? 'remapeados' : 'preservados'})`);
+        if (remap) {
+            await writer.writeLine(`CREATE TABLE IF NOT EXISTS ${MAP_TABLE} (old_oid oid PRIMARY KEY, new_oid oid NOT NULL);`);
+        }
+        for (const oid of this.oids) {
+            await this.writeCounted(writer, remap
+                ? `INSERT INTO ${MAP_TABLE} (old_oid, new_oid) SELECT ${oid}, pg_catalog.lo_create(0) WHERE NOT EXISTS (SELECT 1 FROM ${MAP_TABLE} WHERE old_oid = ${oid});`
+                : `SELECT pg_catalog.lo_create(${oid});`);
+        }
+
+        if (this.spool) {
+            for await (const { text } of readLines(this.spool.file)) {
+                if (text) {
+                    await this.writeCounted(writer, text);
+                }
+            }
+        }
+
+        if (remap) {
+            await writer.writeLine('');
+            await writer.writeLine(`-- Colunas oid apontando para os novos OIDs: ${this.references} registros do script`);
+            if (this.referenceSpool) {
+                for await (const { text } of readLines(this.referenceSpool.file)) {
+                    if (text) {
+                        await this.writeCounted(writer, text);
+                    }
+                }
+            }
+            for (const [table, columns] of references) {
+                this.errors.push(`Tabela ${table}: sem chave primária nas colunas escritas; o UPDATE das colunas oid (${[...columns].join(', ')}) vale para todas as linhas com os OIDs antigos`);
+                for (const column of columns) {
+                    await writer.writeLine(`UPDATE ${table} AS t SET ${column} = m.new_oid FROM ${MAP_TABLE} m WHERE t.${column} = m.old_oid;`);
+                }
+            }
+            await writer.writeLine(`DROP TABLE ${MAP_TABLE};`);
+        }
+        await writer.writeLine('');
+        this.cleanup();
+    }
+
+    /**
+     * Escreve uma linha contada como dado, abrindo um novo arquivo na saída dividida
+     * @param {ScriptWriter} writer - Destino do script
+     * @param {string} line - Comando
+     */
+    async writeCounted(writer, line) {
+        if (writer.isFull()) {
+            await writer.startFile('largeobjects');
+        }
+        await writer.writeLine(line);
+        writer.countRow();
+    }
+
+    /**
+     * Remove os arquivos temporários dos dados e das referências
+     */
+    cleanup() {
+        if (!this.directory) return;
+        [this.spool, this.referenceSpool].forEach(spool => {
+            if (spool && spool.fd !== null) {
+                fs.closeSync(spool.fd);
+            }
+        });
+        fs.rmSync(this.directory, { recursive: true, force: true });
+        this.directory = null;
+        this.spool = null;
+        this.referenceSpool = null;
+    }
+}
+
+module.exports = { LargeObjectCollector, LARGE_OBJECT_MODES, remapReference };
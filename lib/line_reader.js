@@ -0,0 +1,72 @@
+const fs = require('fs');
+
+const NEWLINE = 0x0a;
+
+/**
+ * Lê um arquivo linha a linha em streaming, sem carregá-lo inteiro em memória
+ * @param {string} file - Caminho do arquivo
+ * @param {Object} [options] - Opções de leitura
+ * @param {number} [options.start=0] - Byte inicial da leitura
+ * @param {number} [options.end] - Byte final da leitura (inclusivo)
+ * @param {number} [options.chunkSize=1048576] - Tamanho dos blocos lidos do disco
+ * @param {TextDecoding} [options.decoding] - Decodificação das linhas (padrão: UTF-8)
+ * @returns {AsyncGenerator<{text: string, offset: number, bytes: number}>} Linhas com posição em bytes
+ */
+async function* readLines(file, options = {}) {
+    const { start = 0, end, chunkSize = 1 << 20, decoding } = options;
+    const stream = fs.createReadStream(file, { start, end, highWaterMark: chunkSize });
+    yield* splitLines(stream, { start, decoding });
+}
+
+/**
+ * Separa em linhas uma sequência de blocos de bytes (stream ou gerador)
+ * @param {AsyncIterable<Buffer>} chunks - Blocos de bytes
+ * @param {Object} [options] - Opções
+ * @param {number} [options.start=0] - Posição do primeiro byte, usada no offset das linhas
+ * @param {TextDecoding} [options.decoding] - Decodificação das linhas; com ela, invalid traz os bytes
+ *   sem equivalente de cada linha (ver TextDecoding)
+ * @param {boolean} [options.raw=false] - Inclui em raw os bytes de cada linha, sem a quebra de linha
+ * @returns {AsyncGenerator<{text: string, offset: number, bytes: number, invalid?: Array<Object>|null, raw?: Buffer}>}
+ *   Linhas com posição em bytes
+ */
+async function* splitLines(chunks, options = {}) {
+    const decoding = options.decoding || null;
+    const toLine = (lineBuffer, offset, bytes) => {
+        const line = decoding
+            ? { text: decoding.decode(lineBuffer), offset, bytes, invalid: decoding.invalid }
+            : { text: lineBuffer.toString('utf8'), offset, bytes };
+        if (options.raw) line.raw = lineBuffer;
+        return line;
+    };
+    let pieces = [];
+    let position = options.start || 0;
+
+    for await (const chunk of chunks) {
+        let lineStart = 0;
+        let newline;
+
+        while ((newline = chunk.indexOf(NEWLINE, lineStart)) !== -1) {
+            let lineBuffer = chunk.subarray(lineStart, newline);
+            if (pieces.length > 0) {
+                pieces.push(lineBuffer);
+                lineBuffer = Buffer.concat(pieces);
+                pieces = [];
+            }
+
+            yield toLine(lineBuffer, position, lineBuffer.length + 1);
+            position += lineBuffer.length + 1;
+            lineStart = newline + 1;
+        }
+
+        if (lineStart < chunk.length) {
+            pieces.push(chunk.subarray(lineStart));
+        }
+    }
+
+    if (pieces.length > 0) {
+        const lineBuffer = Buffer.concat(pieces);
+        yield toLine(lineBuffer, position, lineBuffer.length);
+    }
+}
+
+module.exports = { readLines, splitLines };
@@ -0,0 +1,44 @@
+/**
+ * Logger padrão: mensagens na saída do console. O console é consultado a cada chamada,
+ * para respeitar substituições feitas depois de carregar o módulo.
+ */
+const consoleLogger = {
+    info: (...args) => console.log(...args),
+    warn: (...args) => console.warn(...args),
+    error: (...args) => console.error(...args)
+};
+
+/**
+ * Logger que escreve todas as mensagens na saída de erro, para quando a stdout recebe o script
+ */
+const stderrLogger = {
+    info: (...args) => console.error(...args),
+    warn: (...args) => console.error(...args),
+    error: (...args) => console.error(...args)
+};
+
+/**
+ * Logger que descarta todas as mensagens
+ */
+const silentLogger = {
+    info: () => {},
+    warn: () => {},
+    error: () => {}
+};
+
+/**
+ * Completa um logger informado pelo usuário: métodos ausentes descartam as mensagens
+ * @param {Object|null|undefined} logger - Logger com info, warn e error (todos opcionais); null silencia, undefined usa o console
+ * @returns {{info: Function, warn: Function, error: Function}} Logger completo
+ */
+function createLogger(logger) {
+    if (logger === undefined) return consoleLogger;
+    if (logger === null) return silentLogger;
+    return {
+        info: typeof logger.info === 'function' ? logger.info.bind(logger) : silentLogger.info,
+        warn: typeof logger.warn === 'function' ? logger.warn.bind(logger) : silentLogger.warn,
+        error: typeof logger.error === 'function' ? logger.error.bind(logger) : silentLogger.error
+    };
+}
+
+module.exports = { consoleLogger, stderrLogger, silentLogger, createLogger };
@@ -0,0 +1,259 @@
+const fs = require('fs');
+const { globToRegExp } = require('./patterns');
+const { parseQualifiedName, unquoteIdentifier } = require('./identifiers');
+const { parseList } = require('./cli_args');
+
+const FILTER_KINDS = ['schemas', 'tables', 'columns'];
+
+/**
+ * Compila um padrão de filtro: /regex/flags ou glob (* e ?, sem diferenciar maiúsculas).
+ * Nos globs, as partes omitidas do nome qualificado casam com qualquer valor
+ * (ex.: audit_* em tabelas equivale a *.audit_*; email em colunas, a *.*.email).
+ * As expressões regulares são testadas contra o nome qualificado e contra o nome simples.
+ * @param {string} pattern - Padrão informado
+ * @param {number} parts - Partes do nome qualificado (1 schema, 2 tabela, 3 coluna)
+ * @returns {{text: string, test: Function}} Padrão compilado
+ */
+function compilePattern(pattern, parts) {
+    const text = String(pattern).trim();
+    const regex = text.match(/^\/(.+)\/([a-z]*)$/);
+    if (regex) {
+        let expression;
+        try {
+            expression = new RegExp(regex[1], regex[2]);
+        } catch (error) {
+            throw new Error(`Expressão regular inválida no filtro ${text}: ${error.message}`);
+        }
+        return { text, test: (qualified, name) => expression.test(qualified) || expression.test(name) };
+    }
+
+    const given = text.split('.').length;
+    if (given > parts) {
+        throw new Error(`Padrão de filtro com partes demais: ${text}`);
+    }
+    const expression = globToRegExp(`${'*.'.repeat(parts - given)}${text}`);
+    return { text, test: qualified => expression.test(qualified) };
+}
+
+/**
+ * Verifica se algum dos padrões casa com o nome
+ * @param {Array<Object>} patterns - Padrões compilados
+ * @param {string} qualified - Nome qualificado
+ * @param {string} name - Nome simples
+ * @returns {boolean} true se algum padrão casa
+ */
+function matchesAny(patterns, qualified, name) {
+    return patterns.some(pattern => pattern.test(qualified, name));
+}
+
+/**
+ * Classe com os filtros de inclusão e exclusão de schemas, tabelas e colunas.
+ * Uma tabela entra na saída quando o schema e o nome passam pelos filtros; as colunas
+ * excluídas são removidas dos blocos COPY. Os filtros de inclusão de colunas valem apenas
+ * para as tabelas em que casam com alguma coluna: as demais tabelas ficam completas.
+ */
+class ObjectFilter {
+    /**
+     * @param {Object} [config] - Padrões por tipo de objeto
+     * @param {Object} [config.include] - Padrões de inclusão ({ schemas, tables, columns })
+     * @param {Object} [config.exclude] - Padrões de exclusão ({ schemas, tables, columns })
+     */
+    constructor(config = {}) {
+        this.include = this.compile(config.include, 'include');
+        this.exclude = this.compile(config.exclude, 'exclude');
+    }
+
+    /**
+     * Carrega os filtros de um arquivo JSON
+     * @param {string} file - Caminho do arquivo ({ include: {...}, exclude: {...} })
+     * @returns {Object} Configuração lida
+     */
+    static readFile(file) {
+        try {
+            return JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            throw new Error(`Não foi possível ler os filtros em ${file}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Junta configurações de filtro (ex.: arquivo e linha de comando), somando os padrões
+     * @param {...Object} configs - Configurações ({ include, exclude })
+     * @returns {Object} Configuração combinada
+     */
+    static merge(...configs) {
+        const merged = { include: {}, exclude: {} };
+        for (const config of configs.filter(Boolean)) {
+            for (const section of ['include', 'exclude']) {
+                for (const kind of FILTER_KINDS) {
+                    const patterns = config[section] && config[section][kind];
+                    if (patterns) {
+                        merged[section][kind] = (merged[section][kind] || []).concat(patterns);
+                    }
+                }
+            }
+        }
+        return merged;
+    }
+
+    /**
+     * Valida e compila os padrões de uma seção
+     * @param {Object|undefined} section - Padrões por tipo de objeto
+     * @param {string} name - Nome da seção, usado nas mensagens de erro
+     * @returns {Object} Padrões compilados por tipo
+     */
+    compile(section, name) {
+        const compiled = {};
+        FILTER_KINDS.forEach((kind, i) => {
+            const patterns = section ? section[kind] || [] : [];
+            if (!Array.isArray(patterns)) {
+                throw new Error(`Filtro inválido: "${name}.${kind}" deve ser uma lista`);
+            }
+            compiled[kind] = patterns.map(pattern => compilePattern(pattern, i + 1));
+        });
+        return compiled;
+    }
+
+    /**
+     * Indica se há algum filtro configurado
+     * @returns {boolean} true se nenhum padrão foi informado
+     */
+    isEmpty() {
+        return FILTER_KINDS.every(kind => this.include[kind].length === 0 && this.exclude[kind].length === 0);
+    }
+
+    /**
+     * Verifica se uma tabela passa pelos filtros de schema e de tabela
+     * @param {string} table - Nome da tabela como aparece no SQL
+     * @returns {boolean} true se a tabela deve ser processada
+     */
+    includesTable(table) {
+        const { schema, name } = parseQualifiedName(table);
+        return this.includesName(schema, name);
+    }
+
+    /**
+     * Verifica se um schema passa pelos filtros de schema
+     * @param {string} schema - Schema, sem aspas
+     * @returns {boolean} true se o schema deve ser processado
+     */
+    includesSchema(schema) {
+        if (this.include.schemas.length > 0 && !matchesAny(this.include.schemas, schema, schema)) return false;
+        return !matchesAny(this.exclude.schemas, schema, schema);
+    }
+
+    /**
+     * Verifica se um objeto de schema (tabela ou sequence) passa pelos filtros
+     * @param {string} schema - Schema, sem aspas
+     * @param {string} name - Nome, sem aspas
+     * @returns {boolean} true se o objeto deve ser processado
+     */
+    includesName(schema, name) {
+        const qualified = `${schema}.${name}`;
+        if (!this.includesSchema(schema)) return false;
+        if (this.include.tables.length > 0 && !matchesAny(this.include.tables, qualified, name)) return false;
+        return !matchesAny(this.exclude.tables, qualified, name);
+    }
+
+    /**
+     * Verifica se uma sequence passa pelos filtros. Sequences com OWNED BY seguem a tabela
+     * dona; as demais seguem apenas os filtros de schema e de exclusão de tabelas, pois
+     * costumam ser usadas por tabelas de outros nomes
+     * @param {Object} sequence - Sequence do catálogo ({ schema, name, ownedBy })
+     * @returns {boolean} true se a sequence deve ser ajustada
+     */
+    includesSequence(sequence) {
+        if (sequence.ownedBy) {
+            // A tabela dona vem como chave do catálogo (schema.nome, já sem aspas)
+            const key = sequence.ownedBy.table;
+            const separator = key.indexOf('.');
+            return this.includesName(key.slice(0, separator), key.slice(separator + 1));
+        }
+        return this.includesSchema(sequence.schema)
+            && !matchesAny(this.exclude.tables, `${sequence.schema}.${sequence.name}`, sequence.name);
+    }
+
+    /**
+     * Decide quais colunas de um bloco COPY são mantidas
+     * @param {string} table - Nome da tabela como aparece no SQL
+     * @param {Array<string>} columns - Colunas do COPY, como aparecem no dump
+     * @returns {Array<number>|null} Posições das colunas mantidas, ou null se todas forem mantidas
+     */
+    columnIndexes(table, columns) {
+        if (this.include.columns.length === 0 && this.exclude.columns.length === 0) {
+            return null;
+        }
+
+        const { schema, name } = parseQualifiedName(table);
+        const matches = (patterns, column) => {
+            const simple = unquoteIdentifier(column);
+            return matchesAny(patterns, `${schema}.${name}.${simple}`, simple);
+        };
+
+        let indexes = columns.map((column, i) => i);
+        const included = indexes.filter(i => matches(this.include.columns, columns[i]));
+        if (included.length > 0) {
+            indexes = included;
+        }
+        indexes = indexes.filter(i => !matches(this.exclude.columns, columns[i]));
+
+        return indexes.length === columns.length ? null : indexes;
+    }
+
+    /**
+     * Aplica os filtros a um bloco COPY
+     * @param {string} table - Nome da tabela como aparece no SQL
+     * @param {Array<string>} columns - Colunas do COPY
+     * @returns {{columns: Array<string>, columnIndexes: Array<number>|null}|null} Colunas mantidas,
+     *   ou null se o bloco deve ser ignorado (tabela excluída ou sem nenhuma coluna restante)
+     */
+    selectBlock(table, columns) {
+        if (!this.includesTable(table)) {
+            return null;
+        }
+        const columnIndexes = this.columnIndexes(table, columns);
+        if (columnIndexes && columnIndexes.length === 0) {
+            return null;
+        }
+        return {
+            columns: columnIndexes ? columnIndexes.map(i => columns[i]) : columns,
+            columnIndexes
+        };
+    }
+
+    /**
+     * Resumo dos filtros para o cabeçalho do script
+     * @returns {Array<string>} Linhas do resumo (ex.: "exclude.tables: audit_*, SequelizeMeta")
+     */
+    describe() {
+        const lines = [];
+        for (const section of ['include', 'exclude']) {
+            for (const kind of FILTER_KINDS) {
+                if (this[section][kind].length > 0) {
+                    lines.push(`${section}.${kind}: ${this[section][kind].map(pattern => pattern.text).join(', ')}`);
+                }
+            }
+        }
+        return lines;
+    }
+}
+
+/**
+ * Monta a configuração de filtros a partir das opções da linha de comando: o arquivo
+ * de --filter-file somado a --include-schema, --exclude-schema, --include-table,
+ * --exclude-table, --include-column e --exclude-column (listas separadas por vírgula)
+ * @param {Object} options - Opções interpretadas por parseArgs
+ * @returns {Object} Configuração ({ include, exclude })
+ */
+function filterConfigFromArgs(options) {
+    const fromArgs = { include: {}, exclude: {} };
+    for (const section of ['include', 'exclude']) {
+        for (const kind of FILTER_KINDS) {
+            const option = `${section}${kind[0].toUpperCase()}${kind.slice(1, -1)}`;
+            fromArgs[section][kind] = parseList(options[option]);
+        }
+    }
+    return ObjectFilter.merge(options.filterFile ? ObjectFilter.readFile(options.filterFile) : null, fromArgs);
+}
+
+module.exports = { ObjectFilter, compilePattern, filterConfigFromArgs };
@@ -0,0 +1,20 @@
+/**
+ * Converte um padrão glob (* e ?) em expressão regular que casa o texto inteiro
+ * @param {string} pattern - Padrão glob (ex.: public.user*)
+ * @param {Object} [options] - Opções de conversão
+ * @param {boolean} [options.ignoreCase=true] - Ignora maiúsculas e minúsculas
+ * @returns {RegExp} Expressão regular equivalente
+ */
+function globToRegExp(pattern, options = {}) {
+    const source = pattern
+        .split('')
+        .map(char => {
+            if (char === '*') return '.*';
+            if (char === '?') return '.';
+            return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        })
+        .join('');
+    return new RegExp(`^${source}$`, options.ignoreCase === false ? '' : 'i');
+}
+
+module.exports = { globToRegExp };
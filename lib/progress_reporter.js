@@ -0,0 +1,92 @@
+/**
+ * Formata uma quantidade de bytes em unidade legível
+ * @param {number} bytes - Quantidade de bytes
+ * @returns {string} Valor formatado (ex.: 1.5 GB)
+ */
+function formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let value = bytes;
+    let unit = 0;
+
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+
+    return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
+
+/**
+ * Classe para exibir o progresso do processamento de um dump em streaming
+ */
+class ProgressReporter {
+    /**
+     * @param {Object} [options] - Opções do relatório
+     * @param {number} [options.totalBytes] - Tamanho total do arquivo, se conhecido
+     * @param {number} [options.interval=2000] - Intervalo mínimo entre mensagens (ms)
+     * @param {Function} [options.log=console.log] - Função usada para imprimir as mensagens
+     */
+    constructor(options = {}) {
+        this.totalBytes = options.totalBytes || 0;
+        this.interval = options.interval || 2000;
+        this.log = options.log || console.log;
+        this.bytesRead = 0;
+        this.rows = 0;
+        this.currentTable = null;
+        this.startedAt = Date.now();
+        this.lastReport = this.startedAt;
+        this.lastRows = 0;
+    }
+
+    /**
+     * Define a tabela que está sendo processada
+     * @param {string|null} table - Nome da tabela
+     */
+    setTable(table) {
+        this.currentTable = table;
+    }
+
+    /**
+     * Atualiza a posição de leitura e imprime o progresso quando o intervalo expira
+     * @param {number} bytesRead - Total de bytes lidos até o momento
+     * @param {number} [rows=0] - Linhas de dados processadas desde a última chamada
+     */
+    update(bytesRead, rows = 0) {
+        this.bytesRead = bytesRead;
+        this.rows += rows;
+
+        const now = Date.now();
+        if (now - this.lastReport >= this.interval) {
+            this.report(now);
+        }
+    }
+
+    /**
+     * Imprime uma linha de progresso
+     * @param {number} [now=Date.now()] - Instante atual
+     */
+    report(now = Date.now()) {
+        const elapsed = Math.max(now - this.lastReport, 1) / 1000;
+        const rate = Math.round((this.rows - this.lastRows) / elapsed);
+        const read = this.totalBytes
+            ? `${formatBytes(this.bytesRead)} / ${formatBytes(this.totalBytes)} (${(this.bytesRead / this.totalBytes * 100).toFixed(1)}%)`
+            : formatBytes(this.bytesRead);
+        const table = this.currentTable ? ` | tabela: ${this.currentTable}` : '';
+
+        this.log(`Progresso: ${read}${table} | ${rate} linhas/s`);
+
+        this.lastReport = now;
+        this.lastRows = this.rows;
+    }
+
+    /**
+     * Imprime o resumo final do processamento
+     */
+    finish() {
+        const elapsed = Math.max(Date.now() - this.startedAt, 1) / 1000;
+        const rate = Math.round(this.rows / elapsed);
+        this.log(`Concluído: ${formatBytes(this.bytesRead)} lidos, ${this.rows} linhas em ${elapsed.toFixed(1)}s (${rate} linhas/s)`);
+    }
+}
+
+module.exports = { ProgressReporter, formatBytes };
@@ -0,0 +1,258 @@
+const { tokenize } = require('./sql_parser');
+const { unquoteIdentifier } = require('./identifiers');
+
+const NUMBER_PATTERN = /^[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?$/;
+const COMPARISON_OPERATORS = new Set(['=', '!=', '<>', '<', '<=', '>', '>=']);
+
+/**
+ * Junta símbolos adjacentes que formam operadores (<=, >=, <>, !=) e números negativos
+ * @param {Array<Object>} tokens - Tokens do tokenize
+ * @returns {Array<Object>} Tokens ajustados
+ */
+function mergeOperators(tokens) {
+    const merged = [];
+    for (const token of tokens) {
+        const previous = merged[merged.length - 1];
+        const adjacent = previous && previous.end === token.start;
+        if (adjacent && previous.kind === 'symbol' && /^[<>!]$/.test(previous.value) && /^[=>]$/.test(token.value)) {
+            merged[merged.length - 1] = { ...previous, value: previous.value + token.value, upper: previous.value + token.value, end: token.end };
+        } else if (adjacent && previous.kind === 'symbol' && previous.value === '-' && token.kind === 'word' && NUMBER_PATTERN.test(token.value)) {
+            merged[merged.length - 1] = { ...token, value: `-${token.value}`, upper: `-${token.value}`, start: previous.start };
+        } else {
+            merged.push(token);
+        }
+    }
+    return merged;
+}
+
+/**
+ * Converte um token de valor em texto comparável com o formato do COPY
+ * @param {Object} token - Token do valor
+ * @returns {string} Valor
+ */
+function literalValue(token) {
+    if (token.kind === 'string') {
+        return token.value.slice(1, -1).replace(/''/g, '\'');
+    }
+    if (token.upper === 'TRUE') return 't';
+    if (token.upper === 'FALSE') return 'f';
+    if (token.kind === 'word') return token.value;
+    throw new Error(`Valor inesperado no filtro: ${token.value}`);
+}
+
+/**
+ * Compara dois valores: numericamente quando ambos são números, senão como texto
+ * @param {string} left - Valor da linha
+ * @param {string} right - Valor do filtro
+ * @returns {number} Negativo, zero ou positivo
+ */
+function compareValues(left, right) {
+    if (NUMBER_PATTERN.test(left) && NUMBER_PATTERN.test(right)) {
+        return Number(left) - Number(right);
+    }
+    if (left === right) return 0;
+    return left < right ? -1 : 1;
+}
+
+/**
+ * Converte um padrão LIKE em expressão regular
+ * @param {string} pattern - Padrão com % e _
+ * @param {boolean} ignoreCase - Se é ILIKE
+ * @returns {RegExp} Expressão regular
+ */
+function likeToRegExp(pattern, ignoreCase) {
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '\\' && i + 1 < pattern.length) {
+            source += pattern[++i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        } else if (char === '%') {
+            source += '.*';
+        } else if (char === '_') {
+            source += '.';
+        } else {
+            source += char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`, ignoreCase ? 'is' : 's');
+}
+
+/**
+ * Analisador recursivo das condições de um filtro no estilo WHERE
+ */
+class PredicateParser {
+    /**
+     * @param {string} text - Filtro (ex.: id = 42 AND status IN ('a', 'b'))
+     */
+    constructor(text) {
+        this.text = text;
+        this.tokens = mergeOperators(tokenize(text));
+        this.position = 0;
+        this.columns = new Set();
+    }
+
+    /**
+     * Interpreta o filtro inteiro
+     * @returns {Function} Função (linha por nome de coluna) → boolean
+     */
+    parse() {
+        const predicate = this.parseOr();
+        if (this.position < this.tokens.length) {
+            throw new Error(`Trecho inesperado no filtro "${this.text}": ${this.tokens[this.position].value}`);
+        }
+        return predicate;
+    }
+
+    /**
+     * Token atual, sem avançar
+     * @returns {Object|undefined} Token
+     */
+    peek() {
+        return this.tokens[this.position];
+    }
+
+    /**
+     * Consome o token atual
+     * @returns {Object} Token
+     */
+    next() {
+        const token = this.tokens[this.position++];
+        if (!token) {
+            throw new Error(`Filtro incompleto: "${this.text}"`);
+        }
+        return token;
+    }
+
+    /**
+     * Consome a palavra-chave informada, se for o token atual
+     * @param {string} word - Palavra-chave em maiúsculas
+     * @returns {boolean} true se foi consumida
+     */
+    accept(word) {
+        const token = this.peek();
+        if (token && token.kind === 'word' && token.upper === word) {
+            this.position++;
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Condições unidas por OR
+     * @returns {Function} Predicado
+     */
+    parseOr() {
+        const parts = [this.parseAnd()];
+        while (this.accept('OR')) {
+            parts.push(this.parseAnd());
+        }
+        return parts.length === 1 ? parts[0] : row => parts.some(part => part(row));
+    }
+
+    /**
+     * Condições unidas por AND
+     * @returns {Function} Predicado
+     */
+    parseAnd() {
+        const parts = [this.parseCondition()];
+        while (this.accept('AND')) {
+            parts.push(this.parseCondition());
+        }
+        return parts.length === 1 ? parts[0] : row => parts.every(part => part(row));
+    }
+
+    /**
+     * Uma condição: NOT, grupo entre parênteses ou comparação de coluna
+     * @returns {Function} Predicado
+     */
+    parseCondition() {
+        if (this.accept('NOT')) {
+            const inner = this.parseCondition();
+            return row => !inner(row);
+        }
+
+        const token = this.next();
+        if (token.kind === 'group') {
+            const parser = new PredicateParser(token.value.slice(1, -1));
+            const inner = parser.parse();
+            parser.columns.forEach(column => this.columns.add(column));
+            return inner;
+        }
+        if (token.kind !== 'word' && token.kind !== 'identifier') {
+            throw new Error(`Coluna esperada no filtro "${this.text}", encontrado: ${token.value}`);
+        }
+
+        const column = unquoteIdentifier(token.value);
+        this.columns.add(column);
+        return this.parseComparison(column);
+    }
+
+    /**
+     * Comparação de uma coluna com valores do filtro
+     * @param {string} column - Nome da coluna, sem aspas
+     * @returns {Function} Predicado
+     */
+    parseComparison(column) {
+        if (this.accept('IS')) {
+            const negated = this.accept('NOT');
+            if (!this.accept('NULL')) {
+                throw new Error(`Esperado NULL após IS no filtro "${this.text}"`);
+            }
+            return row => (row[column] === null) !== negated;
+        }
+
+        const negated = this.accept('NOT');
+        if (this.accept('IN')) {
+            const group = this.next();
+            if (group.kind !== 'group') {
+                throw new Error(`Esperada lista entre parênteses após IN no filtro "${this.text}"`);
+            }
+            const values = mergeOperators(tokenize(group.value.slice(1, -1)))
+                .filter(item => item.value !== ',')
+                .map(literalValue);
+            return row => row[column] !== null && values.some(value => compareValues(row[column], value) === 0) !== negated;
+        }
+        const like = this.accept('LIKE') ? 'LIKE' : (this.accept('ILIKE') ? 'ILIKE' : null);
+        if (like) {
+            const pattern = likeToRegExp(literalValue(this.next()), like === 'ILIKE');
+            return row => row[column] !== null && pattern.test(row[column]) !== negated;
+        }
+        if (negated) {
+            throw new Error(`Esperado IN, LIKE ou ILIKE após NOT no filtro "${this.text}"`);
+        }
+
+        const operator = this.next().value;
+        if (!COMPARISON_OPERATORS.has(operator)) {
+            throw new Error(`Operador inválido no filtro "${this.text}": ${operator}`);
+        }
+        const value = literalValue(this.next());
+
+        return row => {
+            if (row[column] === null || row[column] === undefined) return false;
+            const result = compareValues(row[column], value);
+            switch (operator) {
+                case '=': return result === 0;
+                case '!=':
+                case '<>': return result !== 0;
+                case '<': return result < 0;
+                case '<=': return result <= 0;
+                case '>': return result > 0;
+                default: return result >= 0;
+            }
+        };
+    }
+}
+
+/**
+ * Interpreta um filtro no estilo WHERE sobre os valores do COPY. Suporta =, <>, !=, <, <=,
+ * >, >=, IN (...), LIKE, ILIKE, IS [NOT] NULL, NOT, AND, OR e parênteses.
+ * @param {string} text - Filtro
+ * @returns {{test: Function, columns: Array<string>}} Função de teste e colunas usadas
+ */
+function parsePredicate(text) {
+    const parser = new PredicateParser(text);
+    const test = parser.parse();
+    return { test, columns: [...parser.columns] };
+}
+
+module.exports = { parsePredicate, compareValues };
@@ -0,0 +1,510 @@
+const { objectKey, parseQualifiedName, splitQualifiedName, quoteIdentifier, unquoteIdentifier } = require('./identifiers');
+const { findMatchingParen, splitTopLevel, tokenize, readQualifiedName, parseIdentifierList } = require('./sql_parser');
+
+const TABLE_CONSTRAINT_KEYWORDS = new Set(['CONSTRAINT', 'PRIMARY', 'UNIQUE', 'CHECK', 'FOREIGN', 'EXCLUDE', 'LIKE']);
+const COLUMN_OPTION_KEYWORDS = new Set([
+    'NOT', 'NULL', 'DEFAULT', 'COLLATE', 'CONSTRAINT', 'GENERATED', 'CHECK',
+    'REFERENCES', 'PRIMARY', 'UNIQUE', 'COMPRESSION', 'STORAGE'
+]);
+
+/**
+ * Classe para montar o catálogo de tabelas, tipos e sequences a partir do DDL contido no dump
+ */
+class SchemaCatalog {
+    constructor() {
+        this.tables = {};
+        this.types = {};
+        this.sequences = {};
+    }
+
+    /**
+     * Interpreta um comando SQL do dump e atualiza o catálogo quando relevante
+     * @param {string} statement - Comando SQL completo
+     * @returns {boolean} true se o comando alterou o catálogo
+     */
+    addStatement(statement) {
+        const sql = statement.replace(/;\s*$/, '');
+
+        if (/^CREATE\s+(?:(?:GLOBAL|LOCAL)\s+)?(?:(?:TEMPORARY|TEMP|UNLOGGED|FOREIGN)\s+)?TABLE\s/i.test(sql)) {
+            return this.parseCreateTable(sql);
+        }
+        if (/^CREATE\s+TYPE\s/i.test(sql)) {
+            return this.parseCreateType(sql);
+        }
+        if (/^CREATE\s+DOMAIN\s/i.test(sql)) {
+            return this.parseCreateDomain(sql);
+        }
+        if (/^ALTER\s+TABLE\s/i.test(sql)) {
+            return this.parseAlterTable(sql);
+        }
+        if (/^CREATE\s+(?:(?:TEMPORARY|TEMP|UNLOGGED)\s+)?SEQUENCE\s/i.test(sql)) {
+            return this.parseCreateSequence(sql);
+        }
+        if (/^ALTER\s+SEQUENCE\s/i.test(sql)) {
+            return this.parseAlterSequence(sql);
+        }
+        if (/^SELECT\s+(?:pg_catalog\.)?setval\s*\(/i.test(sql)) {
+            return this.parseSetval(sql);
+        }
+        return false;
+    }
+
+    /**
+     * Interpreta um CREATE TABLE e registra suas colunas
+     * @param {string} sql - Comando CREATE TABLE
+     * @returns {boolean} true se a tabela foi registrada
+     */
+    parseCreateTable(sql) {
+        const header = sql.match(/^CREATE\s+(?:(?:GLOBAL|LOCAL)\s+)?(?:(?:TEMPORARY|TEMP|UNLOGGED|FOREIGN)\s+)?TABLE\s+(?:IF\s+NOT\s+EXISTS\s+)?/i);
+        const nameInfo = readQualifiedName(sql.slice(header[0].length));
+        if (!nameInfo) return false;
+
+        const table = this.createTableEntry(nameInfo.name);
+        const rest = nameInfo.rest.trim();
+
+        const partitionMatch = rest.match(/^PARTITION\s+OF\s+/i);
+        if (partitionMatch) {
+            const parent = readQualifiedName(rest.slice(partitionMatch[0].length));
+            const parentTable = parent && this.getTable(parent.name);
+            if (parentTable) {
+                table.columns = parentTable.columns.map(column => ({ ...column }));
+            }
+            this.tables[table.key] = table;
+            return true;
+        }
+
+        if (!rest.startsWith('(')) return false;
+
+        const bodyEnd = findMatchingParen(rest, 0);
+        const body = rest.slice(1, bodyEnd);
+        const inheritsMatch = rest.slice(bodyEnd + 1).match(/^\s*INHERITS\s*\(([^)]*)\)/i);
+
+        if (inheritsMatch) {
+            for (const parentName of splitTopLevel(inheritsMatch[1])) {
+                const parentTable = this.getTable(parentName);
+                if (parentTable) {
+                    table.columns.push(...parentTable.columns.map(column => ({ ...column })));
+                }
+            }
+        }
+
+        for (const element of splitTopLevel(body)) {
+            const tokens = tokenize(element);
+            if (tokens.length === 0) continue;
+
+            if (TABLE_CONSTRAINT_KEYWORDS.has(tokens[0].upper)) {
+                table.constraints.push(element);
+                this.parseConstraint(table, element);
+                continue;
+            }
+
+            const column = this.parseColumnDefinition(element, tokens);
+            this.parseColumnConstraints(table, column, element);
+            const existing = table.columns.findIndex(col => col.name === column.name);
+            if (existing === -1) {
+                table.columns.push(column);
+            } else {
+                table.columns[existing] = column;
+            }
+        }
+
+        this.tables[table.key] = table;
+        return true;
+    }
+
+    /**
+     * Interpreta a definição de uma coluna dentro de um CREATE TABLE
+     * @param {string} element - Trecho com a definição da coluna
+     * @param {Array<Object>} tokens - Tokens do trecho
+     * @returns {Object} Coluna com nome, tipo, nulabilidade, default, identity e expressão de coluna gerada
+     */
+    parseColumnDefinition(element, tokens) {
+        const column = {
+            name: unquoteIdentifier(tokens[0].value),
+            type: null,
+            nullable: true,
+            default: null,
+            identity: null,
+            generated: null
+        };
+
+        let index = 1;
+        while (index < tokens.length && !(tokens[index].kind === 'word' && COLUMN_OPTION_KEYWORDS.has(tokens[index].upper))) {
+            index++;
+        }
+        if (index > 1) {
+            column.type = element.slice(tokens[1].start, tokens[index - 1].end).trim();
+        }
+
+        while (index < tokens.length) {
+            const token = tokens[index];
+
+            if (token.upper === 'NOT' && tokens[index + 1] && tokens[index + 1].upper === 'NULL') {
+                column.nullable = false;
+                index += 2;
+            } else if (token.upper === 'DEFAULT') {
+                const start = index + 1;
+                index = start;
+                while (index < tokens.length && !(tokens[index].kind === 'word' && COLUMN_OPTION_KEYWORDS.has(tokens[index].upper))) {
+                    index++;
+                }
+                if (index > start) {
+                    column.default = element.slice(tokens[start].start, tokens[index - 1].end).trim();
+                }
+            } else if (token.upper === 'PRIMARY') {
+                column.nullable = false;
+                index++;
+            } else if (token.upper === 'GENERATED') {
+                const identity = element.slice(token.start).match(/^GENERATED\s+(ALWAYS|BY\s+DEFAULT)\s+AS\s+IDENTITY/i);
+                const expression = tokens[index + 3];
+                if (identity) {
+                    column.identity = identity[1].toUpperCase().startsWith('ALWAYS') ? 'always' : 'by default';
+                } else if (tokens[index + 2] && tokens[index + 2].upper === 'AS' && expression && expression.kind === 'group') {
+                    // GENERATED ALWAYS AS (expressão) STORED: o valor é calculado pelo banco
+                    column.generated = expression.value.slice(1, -1).trim();
+                    index += 3;
+                }
+                index++;
+            } else {
+                index++;
+            }
+        }
+
+        return column;
+    }
+
+    /**
+     * Registra as constraints declaradas junto da coluna (PRIMARY KEY, UNIQUE e REFERENCES)
+     * @param {Object} table - Definição da tabela
+     * @param {Object} column - Definição da coluna
+     * @param {string} element - Trecho com a definição da coluna
+     */
+    parseColumnConstraints(table, column, element) {
+        const tokens = tokenize(element);
+
+        for (let index = 1; index < tokens.length; index++) {
+            const token = tokens[index];
+            if (token.kind !== 'word') continue;
+
+            if (token.upper === 'PRIMARY' && tokens[index + 1] && tokens[index + 1].upper === 'KEY') {
+                table.primaryKey = { name: null, columns: [column.name] };
+            } else if (token.upper === 'UNIQUE') {
+                table.uniqueKeys.push({ name: null, columns: [column.name] });
+            } else if (token.upper === 'REFERENCES') {
+                this.parseConstraint(table, `FOREIGN KEY (${quoteIdentifier(column.name)}) ${element.slice(token.start)}`);
+                break;
+            } else if (token.upper === 'DEFAULT' || token.upper === 'CHECK' || token.upper === 'GENERATED') {
+                index++;
+            }
+        }
+    }
+
+    /**
+     * Interpreta uma constraint de tabela (PRIMARY KEY, UNIQUE ou FOREIGN KEY)
+     * @param {Object} table - Definição da tabela
+     * @param {string} text - Definição da constraint, com ou sem CONSTRAINT nome
+     * @returns {boolean} true se a constraint foi registrada
+     */
+    parseConstraint(table, text) {
+        let rest = text.trim();
+        let name = null;
+
+        const nameMatch = rest.match(/^CONSTRAINT\s+("(?:[^"]|"")*"|[\w$]+)\s+/i);
+        if (nameMatch) {
+            name = unquoteIdentifier(nameMatch[1]);
+            rest = rest.slice(nameMatch[0].length);
+        }
+
+        const keyMatch = rest.match(/^(PRIMARY\s+KEY|UNIQUE)(?:\s+NULLS\s+(?:NOT\s+)?DISTINCT)?\s*\(/i);
+        if (keyMatch) {
+            const open = keyMatch[0].length - 1;
+            const columns = parseIdentifierList(rest.slice(open, findMatchingParen(rest, open) + 1)).map(unquoteIdentifier);
+
+            if (/^PRIMARY/i.test(keyMatch[1])) {
+                table.primaryKey = { name, columns };
+                columns.forEach(columnName => {
+                    const column = table.columns.find(col => col.name === columnName);
+                    if (column) column.nullable = false;
+                });
+            } else {
+                table.uniqueKeys.push({ name, columns });
+            }
+            return true;
+        }
+
+        const foreignMatch = rest.match(/^FOREIGN\s+KEY\s*\(/i);
+        if (!foreignMatch) return false;
+
+        const open = foreignMatch[0].length - 1;
+        const close = findMatchingParen(rest, open);
+        const columns = parseIdentifierList(rest.slice(open, close + 1)).map(unquoteIdentifier);
+        const referencesMatch = rest.slice(close + 1).match(/^\s*REFERENCES\s+/i);
+        if (!referencesMatch) return false;
+
+        const reference = readQualifiedName(rest.slice(close + 1 + referencesMatch[0].length));
+        if (!reference) return false;
+
+        let options = reference.rest.trim();
+        let refColumns = null;
+        if (options.startsWith('(')) {
+            const refClose = findMatchingParen(options, 0);
+            refColumns = parseIdentifierList(options.slice(0, refClose + 1)).map(unquoteIdentifier);
+            options = options.slice(refClose + 1);
+        }
+
+        table.foreignKeys.push({
+            name,
+            columns,
+            refTable: objectKey(reference.name),
+            refColumns,
+            deferrable: /\bDEFERRABLE\b/i.test(options.replace(/\bNOT\s+DEFERRABLE\b/gi, '')),
+            initiallyDeferred: /\bINITIALLY\s+DEFERRED\b/i.test(options)
+        });
+        return true;
+    }
+
+    /**
+     * Interpreta CREATE TYPE (enum, composto ou range)
+     * @param {string} sql - Comando CREATE TYPE
+     * @returns {boolean} true se o tipo foi registrado
+     */
+    parseCreateType(sql) {
+        const nameInfo = readQualifiedName(sql.replace(/^CREATE\s+TYPE\s+/i, ''));
+        if (!nameInfo) return false;
+
+        const key = objectKey(nameInfo.name);
+        const rest = nameInfo.rest.trim();
+        const enumMatch = rest.match(/^AS\s+ENUM\s*\(/i);
+
+        if (enumMatch) {
+            const open = enumMatch[0].length - 1;
+            const labels = splitTopLevel(rest.slice(open + 1, findMatchingParen(rest, open)))
+                .map(label => label.slice(1, -1).replace(/''/g, '\''));
+            this.types[key] = { kind: 'enum', name: nameInfo.name, labels };
+        } else if (/^AS\s+RANGE\b/i.test(rest)) {
+            this.types[key] = { kind: 'range', name: nameInfo.name };
+        } else if (/^AS\s*\(/i.test(rest)) {
+            this.types[key] = { kind: 'composite', name: nameInfo.name };
+        } else {
+            this.types[key] = { kind: 'base', name: nameInfo.name };
+        }
+
+        return true;
+    }
+
+    /**
+     * Interpreta CREATE DOMAIN e registra o tipo base do domínio
+     * @param {string} sql - Comando CREATE DOMAIN
+     * @returns {boolean} true se o domínio foi registrado
+     */
+    parseCreateDomain(sql) {
+        const nameInfo = readQualifiedName(sql.replace(/^CREATE\s+DOMAIN\s+/i, ''));
+        if (!nameInfo) return false;
+
+        const definition = nameInfo.rest.replace(/^\s*AS\s+/i, '');
+        const tokens = tokenize(definition);
+        let index = 0;
+        while (index < tokens.length && !(tokens[index].kind === 'word' && COLUMN_OPTION_KEYWORDS.has(tokens[index].upper))) {
+            index++;
+        }
+        const baseType = index > 0 ? definition.slice(0, tokens[index - 1].end).trim() : definition.trim();
+
+        this.types[objectKey(nameInfo.name)] = { kind: 'domain', name: nameInfo.name, baseType };
+        return true;
+    }
+
+    /**
+     * Interpreta os ALTER TABLE que alteram a definição de colunas (ex.: SET DEFAULT)
+     * @param {string} sql - Comando ALTER TABLE
+     * @returns {boolean} true se o catálogo foi alterado
+     */
+    parseAlterTable(sql) {
+        const nameInfo = readQualifiedName(sql.replace(/^ALTER\s+TABLE\s+(?:IF\s+EXISTS\s+)?(?:ONLY\s+)?/i, ''));
+        if (!nameInfo) return false;
+
+        const table = this.getTable(nameInfo.name);
+        if (!table) return false;
+
+        const identityMatch = nameInfo.rest.match(/^\s*ALTER\s+COLUMN\s+("(?:[^"]|"")*"|[\w$]+)\s+ADD\s+GENERATED\s+(ALWAYS|BY\s+DEFAULT)\s+AS\s+IDENTITY\s*(\([\s\S]*\))?/i);
+        if (identityMatch) {
+            const column = this.getColumn(table, identityMatch[1]);
+            if (!column) return false;
+
+            column.identity = identityMatch[2].toUpperCase().startsWith('ALWAYS') ? 'always' : 'by default';
+            const sequenceName = (identityMatch[3] || '').match(/SEQUENCE\s+NAME\s+((?:"(?:[^"]|"")*"|[\w$]+)(?:\.(?:"(?:[^"]|"")*"|[\w$]+))?)/i);
+            if (sequenceName) {
+                this.registerSequence(sequenceName[1]).ownedBy = { table: table.key, column: column.name };
+            }
+            return true;
+        }
+
+        const constraintMatch = nameInfo.rest.match(/^\s*ADD\s+((?:CONSTRAINT|PRIMARY|UNIQUE|FOREIGN)\b[\s\S]*)$/i);
+        if (constraintMatch) {
+            return this.parseConstraint(table, constraintMatch[1]);
+        }
+
+        const defaultMatch = nameInfo.rest.match(/^\s*ALTER\s+COLUMN\s+("(?:[^"]|"")*"|[\w$]+)\s+SET\s+DEFAULT\s+([\s\S]*)$/i);
+        if (defaultMatch) {
+            const column = this.getColumn(table, defaultMatch[1]);
+            if (column) {
+                column.default = defaultMatch[2].trim();
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Interpreta CREATE SEQUENCE
+     * @param {string} sql - Comando CREATE SEQUENCE
+     * @returns {boolean} true se a sequence foi registrada
+     */
+    parseCreateSequence(sql) {
+        const nameInfo = readQualifiedName(sql.replace(/^CREATE\s+(?:(?:TEMPORARY|TEMP|UNLOGGED)\s+)?SEQUENCE\s+(?:IF\s+NOT\s+EXISTS\s+)?/i, ''));
+        if (!nameInfo) return false;
+
+        const sequence = this.registerSequence(nameInfo.name);
+        const ownedMatch = nameInfo.rest.match(/\bOWNED\s+BY\s+(\S+)/i);
+        if (ownedMatch) {
+            this.setSequenceOwner(sequence, ownedMatch[1]);
+        }
+        return true;
+    }
+
+    /**
+     * Interpreta ALTER SEQUENCE ... OWNED BY tabela.coluna
+     * @param {string} sql - Comando ALTER SEQUENCE
+     * @returns {boolean} true se o dono da sequence foi registrado
+     */
+    parseAlterSequence(sql) {
+        const nameInfo = readQualifiedName(sql.replace(/^ALTER\s+SEQUENCE\s+(?:IF\s+EXISTS\s+)?/i, ''));
+        if (!nameInfo) return false;
+
+        const ownedMatch = nameInfo.rest.match(/^\s*OWNED\s+BY\s+([\s\S]+)$/i);
+        if (!ownedMatch) return false;
+
+        return this.setSequenceOwner(this.registerSequence(nameInfo.name), ownedMatch[1].trim());
+    }
+
+    /**
+     * Registra a coluna dona de uma sequence
+     * @param {Object} sequence - Entrada da sequence
+     * @param {string} owner - Dono como aparece no SQL (tabela.coluna ou NONE)
+     * @returns {boolean} true se o dono foi registrado
+     */
+    setSequenceOwner(sequence, owner) {
+        if (/^NONE$/i.test(owner)) {
+            sequence.ownedBy = null;
+            return true;
+        }
+
+        const parts = splitQualifiedName(owner);
+        if (parts.length < 2) return false;
+
+        const column = parts.pop();
+        const table = parts.length === 1 ? `public.${parts[0]}` : parts.join('.');
+        sequence.ownedBy = { table, column };
+        return true;
+    }
+
+    /**
+     * Interpreta SELECT pg_catalog.setval('sequence', valor, is_called)
+     * @param {string} sql - Comando setval do dump
+     * @returns {boolean} true se o valor foi registrado
+     */
+    parseSetval(sql) {
+        const match = sql.match(/^SELECT\s+(?:pg_catalog\.)?setval\s*\(\s*'((?:[^']|'')*)'(?:::regclass)?\s*,\s*(-?\d+)\s*(?:,\s*(true|false)\s*)?\)/i);
+        if (!match) return false;
+
+        const sequence = this.registerSequence(match[1].replace(/''/g, '\''));
+        sequence.value = match[2];
+        sequence.isCalled = match[3] === undefined ? true : match[3].toLowerCase() === 'true';
+        return true;
+    }
+
+    /**
+     * Obtém ou cria a entrada de uma sequence
+     * @param {string} name - Nome da sequence como aparece no SQL
+     * @returns {Object} Entrada da sequence
+     */
+    registerSequence(name) {
+        const key = objectKey(name);
+        if (!this.sequences[key]) {
+            const { schema, name: sequenceName } = parseQualifiedName(name);
+            this.sequences[key] = {
+                key,
+                schema,
+                name: sequenceName,
+                ownedBy: null,
+                value: null,
+                isCalled: null
+            };
+        }
+        return this.sequences[key];
+    }
+
+    /**
+     * Cria a entrada de uma tabela no catálogo
+     * @param {string} name - Nome da tabela como aparece no SQL
+     * @returns {Object} Entrada da tabela
+     */
+    createTableEntry(name) {
+        const { schema, name: tableName } = parseQualifiedName(name);
+        return {
+            key: `${schema}.${tableName}`,
+            schema,
+            name: tableName,
+            columns: [],
+            constraints: [],
+            primaryKey: null,
+            uniqueKeys: [],
+            foreignKeys: []
+        };
+    }
+
+    /**
+     * Busca uma tabela pelo nome
+     * @param {string} name - Nome da tabela como aparece no SQL (ex.: public."Users")
+     * @returns {Object|undefined} Definição da tabela
+     */
+    getTable(name) {
+        return this.tables[objectKey(name)];
+    }
+
+    /**
+     * Busca uma coluna de uma tabela
+     * @param {Object} table - Definição da tabela
+     * @param {string} column - Nome da coluna como aparece no SQL
+     * @returns {Object|undefined} Definição da coluna
+     */
+    getColumn(table, column) {
+        const name = unquoteIdentifier(column);
+        return table.columns.find(col => col.name === name);
+    }
+
+    /**
+     * Retorna as definições das colunas na ordem de uma lista do COPY
+     * @param {string} tableName - Nome da tabela como aparece no SQL
+     * @param {Array<string>} columns - Colunas do COPY
+     * @returns {Array<Object|undefined>} Definições alinhadas à lista (undefined se desconhecida)
+     */
+    getColumns(tableName, columns) {
+        const table = this.getTable(tableName);
+        if (!table) {
+            return columns.map(() => undefined);
+        }
+        return columns.map(column => this.getColumn(table, column));
+    }
+
+    /**
+     * Busca um tipo definido pelo usuário (enum, domínio, composto ou range)
+     * @param {string} name - Nome do tipo como aparece no SQL
+     * @returns {Object|undefined} Definição do tipo
+     */
+    getType(name) {
+        return this.types[objectKey(name)];
+    }
+}
+
+module.exports = SchemaCatalog;
@@ -0,0 +1,511 @@
+const fs = require('fs');
+const { createDumpReader } = require('./dump_source');
+const StatementSplitter = require('./statement_splitter');
+const SchemaCatalog = require('./schema_catalog');
+const { ValueFormatter } = require('./value_formatter');
+const { projectCopyLine } = require('./copy_format');
+const { parseQualifiedName, qualifiedName, quoteIdentifier, unquoteIdentifier } = require('./identifiers');
+const { convertValue, elementType } = require('./type_conversion');
+
+/**
+ * Busca uma entrada de configuração pelo nome, primeiro exato e depois sem diferenciar maiúsculas
+ * @param {Object} entries - Entradas da configuração
+ * @param {Array<string>} names - Nomes aceitos, em ordem de preferência (ex.: schema.tabela e tabela)
+ * @returns {string|undefined} Chave encontrada
+ */
+function findEntryKey(entries, names) {
+    const keys = Object.keys(entries);
+    for (const name of names) {
+        const key = keys.find(candidate => candidate === name)
+            || keys.find(candidate => candidate.toLowerCase() === name.toLowerCase());
+        if (key !== undefined) return key;
+    }
+    return undefined;
+}
+
+/**
+ * Compila uma coluna calculada por modelo, com as colunas de origem entre chaves
+ * (ex.: "LP-{id}"). O resultado é NULL se alguma coluna usada for NULL.
+ * @param {string} template - Modelo
+ * @param {Array<string>} names - Colunas de origem, sem aspas
+ * @param {string} label - Coluna calculada, usada nas mensagens de erro
+ * @returns {Function} Função (valores de origem) → valor
+ */
+function compileTemplate(template, names, label) {
+    const parts = String(template).split(/\{([^}]+)\}/);
+    const indexes = parts.map((part, i) => {
+        if (i % 2 === 0) return -1;
+        const index = names.indexOf(part);
+        if (index === -1) {
+            throw new Error(`Coluna calculada ${label} usa a coluna inexistente ${part}`);
+        }
+        return index;
+    });
+
+    return values => {
+        let result = '';
+        for (let i = 0; i < parts.length; i++) {
+            if (i % 2 === 0) {
+                result += parts[i];
+            } else if (values[indexes[i]] === null) {
+                return null;
+            } else {
+                result += values[indexes[i]];
+            }
+        }
+        return result;
+    };
+}
+
+/**
+ * Mapeamento de um bloco COPY para a tabela de destino: nomes, colunas e conversão das linhas
+ */
+class TableMapping {
+    /**
+     * @param {Object} spec - Definição do mapeamento
+     * @param {string} spec.table - Tabela de destino, pronta para uso em SQL
+     * @param {Array<Object>} spec.outputs - Colunas de destino ({ name, index, convert, value, template, def })
+     * @param {Object|undefined} spec.tableDef - Definição da tabela de destino (chaves usadas no ON CONFLICT)
+     * @param {ValueFormatter} spec.formatter - Formatador dos tipos de destino
+     * @param {number} [spec.sourceCount=0] - Quantidade de colunas do COPY de origem
+     * @param {boolean} [spec.skip=false] - Se os dados da tabela devem ser ignorados
+     */
+    constructor(spec) {
+        this.table = spec.table;
+        this.outputs = spec.outputs;
+        this.tableDef = spec.tableDef;
+        this.formatter = spec.formatter;
+        this.skip = Boolean(spec.skip);
+        this.columns = this.outputs.map(output => quoteIdentifier(output.name));
+        this.columnDefs = this.outputs.map(output => output.def);
+
+        const plain = this.outputs.every(output => output.index !== undefined && !output.convert);
+        this.projection = plain ? this.outputs.map(output => output.index) : null;
+        this.identity = plain && this.projection.length === spec.sourceCount && this.projection.every((index, i) => index === i);
+    }
+
+    /**
+     * Nome de destino de uma coluna de origem
+     * @param {string} name - Coluna de origem, sem aspas
+     * @returns {string|null} Coluna de destino, sem aspas, ou null se a coluna foi removida
+     */
+    rename(name) {
+        const output = this.outputs.find(candidate => candidate.sourceName === name);
+        return output ? output.name : null;
+    }
+
+    /**
+     * Converte os valores de uma linha de origem nos valores das colunas de destino
+     * @param {Array<string|null>} values - Valores decodificados do COPY de origem
+     * @returns {Array<string|null>} Valores na ordem das colunas de destino
+     */
+    transform(values) {
+        return this.outputs.map(output => {
+            if (output.index !== undefined) {
+                const value = values[output.index];
+                return output.convert && value !== null ? output.convert(value) : value;
+            }
+            return output.template ? output.template(values) : output.value;
+        });
+    }
+
+    /**
+     * Aplica o mapeamento direto na linha do COPY quando ele só renomeia ou remove colunas
+     * @param {string} line - Linha de dados do COPY de origem
+     * @returns {string|null} Linha de destino, ou null se for preciso decodificar os valores
+     */
+    projectLine(line) {
+        if (!this.projection) return null;
+        return this.identity ? line : projectCopyLine(line, this.projection);
+    }
+}
+
+/**
+ * Classe com o mapeamento entre o schema do dump e o schema de destino: troca de schemas,
+ * tabelas e colunas renomeadas, colunas removidas, colunas constantes ou calculadas e
+ * conversão de valores entre tipos. Com o schema de destino carregado (pg_dump --schema-only),
+ * as colunas que não existem mais no destino são removidas e relatadas automaticamente.
+ */
+class SchemaMapping {
+    /**
+     * @param {Object} [config] - Configuração do mapeamento
+     * @param {Object} [config.schemas] - Troca de schemas (ex.: { "public": "staging" })
+     * @param {Object} [config.tables] - Mapeamento por tabela:
+     *   { "schema.tabela": { name, columns: { coluna: "novo_nome" | null | { name, type } }, add: { coluna: { value } | { template } } } }
+     */
+    constructor(config = {}) {
+        this.schemas = config.schemas || {};
+        this.tables = config.tables || {};
+        this.validate();
+
+        this.targetCatalog = null;
+        this.targetFormatter = null;
+        this.usedTables = new Set();
+        this.reported = new Set();
+        this.missingTables = [];
+        this.missingSequences = [];
+        this.droppedColumns = [];
+        this.warnings = [];
+    }
+
+    /**
+     * Carrega o mapeamento de um arquivo JSON
+     * @param {string} file - Caminho do arquivo
+     * @returns {Object} Configuração lida
+     */
+    static readFile(file) {
+        try {
+            return JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            throw new Error(`Não foi possível ler o mapeamento em ${file}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Valida a estrutura da configuração
+     */
+    validate() {
+        for (const [schema, target] of Object.entries(this.schemas)) {
+            if (typeof target !== 'string' || !target) {
+                throw new Error(`Mapeamento inválido: o schema ${schema} deve ser mapeado para um nome`);
+            }
+        }
+        for (const [table, entry] of Object.entries(this.tables)) {
+            if (!entry || typeof entry !== 'object') {
+                throw new Error(`Mapeamento inválido para a tabela ${table}: use um objeto`);
+            }
+            for (const [column, rule] of Object.entries(entry.columns || {})) {
+                if (rule !== null && typeof rule !== 'string' && (typeof rule !== 'object' || (!rule.name && !rule.type))) {
+                    throw new Error(`Mapeamento inválido para ${table}.${column}: use um nome, null (remover) ou { name, type }`);
+                }
+            }
+            for (const [column, spec] of Object.entries(entry.add || {})) {
+                if (!spec || typeof spec !== 'object' || (!('value' in spec) && !spec.template)) {
+                    throw new Error(`Coluna adicionada inválida ${table}.${column}: use { "value": ... } ou { "template": "..." }`);
+                }
+            }
+        }
+    }
+
+    /**
+     * Lê o schema de destino (SQL de um pg_dump --schema-only, ou dump custom/directory)
+     * @param {string} file - Arquivo ou diretório com o schema de destino
+     */
+    async loadTargetSchema(file) {
+        const catalog = new SchemaCatalog();
+        const splitter = new StatementSplitter();
+        const reader = createDumpReader(file);
+
+        for await (const event of reader.events({ rows: false })) {
+            if (event.type !== 'line') continue;
+            for (const statement of splitter.push(event.line, event.lineNumber)) {
+                try {
+                    catalog.addStatement(statement.sql);
+                } catch (error) {
+                    this.warnings.push(`Schema de destino, linha ${statement.lineNumber}: ${error.message}`);
+                }
+            }
+        }
+
+        this.targetCatalog = catalog;
+        this.targetFormatter = new ValueFormatter(catalog);
+    }
+
+    /**
+     * Nome de destino de uma sequence (apenas a troca de schema se aplica)
+     * @param {string} schema - Schema da sequence, sem aspas
+     * @param {string} name - Nome da sequence, sem aspas
+     * @returns {string|null} Nome qualificado pronto para uso em SQL, ou null se a sequence
+     *   não existir no schema de destino
+     */
+    sequenceName(schema, name) {
+        const targetSchema = this.schemas[schema] || schema;
+        if (this.targetCatalog && !this.targetCatalog.sequences[`${targetSchema}.${name}`]) {
+            this.reportOnce(`sequence:${schema}.${name}`, () => this.missingSequences.push(`${targetSchema}.${name}`));
+            return null;
+        }
+        return qualifiedName(targetSchema, name);
+    }
+
+    /**
+     * Monta o mapeamento de um bloco COPY
+     * @param {string} table - Tabela do COPY, como aparece no dump
+     * @param {Array<string>} columns - Colunas do COPY
+     * @param {SchemaCatalog} catalog - Catálogo do dump
+     * @param {ValueFormatter} formatter - Formatador dos tipos do dump
+     * @returns {TableMapping|null} Mapeamento, ou null se a tabela segue sem alterações
+     */
+    forTable(table, columns, catalog, formatter) {
+        const { schema, name } = parseQualifiedName(table);
+        const sourceKey = `${schema}.${name}`;
+        const entryKey = findEntryKey(this.tables, [sourceKey, name]);
+        const entry = entryKey !== undefined ? this.tables[entryKey] : {};
+
+        if (entryKey === undefined && !this.schemas[schema] && !this.targetCatalog) {
+            return null;
+        }
+        if (entryKey !== undefined) {
+            this.usedTables.add(entryKey);
+        }
+
+        const target = this.targetTableName(schema, name, entry);
+        const targetTable = this.targetCatalog ? this.targetCatalog.tables[`${target.schema}.${target.name}`] : null;
+        const mapping = { table: qualifiedName(target.schema, target.name), formatter: this.targetFormatter || formatter };
+
+        if (this.targetCatalog && !targetTable) {
+            this.reportOnce(`table:${sourceKey}`, () => this.missingTables.push({ table: sourceKey, target: `${target.schema}.${target.name}` }));
+            return new TableMapping({ ...mapping, outputs: [], tableDef: undefined, skip: true });
+        }
+
+        const names = columns.map(unquoteIdentifier);
+        const sourceDefs = catalog.getColumns(table, columns);
+        let outputs = this.mapColumns(sourceKey, entry, names, sourceDefs);
+
+        if (targetTable) {
+            outputs = outputs.filter(output => {
+                const def = targetTable.columns.find(column => column.name === output.name);
+                if (!def) {
+                    this.dropColumn(sourceKey, output.sourceName || output.name, `não existe em ${target.schema}.${target.name} no destino`);
+                }
+                output.def = def;
+                output.retyped = true;
+                return Boolean(def);
+            });
+            const present = new Set(outputs.map(output => output.name));
+            const required = targetTable.columns
+                .filter(column => !present.has(column.name) && !column.nullable && column.default === null && !column.identity && !column.generated)
+                .map(column => column.name);
+            if (required.length > 0) {
+                this.reportOnce(`required:${sourceKey}`, () => this.warnings.push(
+                    `${target.schema}.${target.name}: colunas NOT NULL sem valor padrão ausentes no dump (${required.join(', ')}); a inserção vai falhar`
+                ));
+            }
+        }
+
+        outputs.forEach(output => {
+            if (output.index !== undefined) {
+                output.convert = this.converter(sourceKey, output, mapping.formatter, formatter);
+            }
+        });
+
+        return new TableMapping({
+            ...mapping,
+            outputs,
+            sourceCount: columns.length,
+            tableDef: targetTable || this.renamedDefinition(catalog.getTable(table), outputs)
+        });
+    }
+
+    /**
+     * Schema e nome de destino de uma tabela
+     * @param {string} schema - Schema de origem
+     * @param {string} name - Nome de origem
+     * @param {Object} entry - Configuração da tabela
+     * @returns {{schema: string, name: string}} Nome de destino
+     */
+    targetTableName(schema, name, entry) {
+        const targetSchema = this.schemas[schema] || schema;
+        if (!entry.name) {
+            return { schema: targetSchema, name };
+        }
+        const separator = entry.name.lastIndexOf('.');
+        return separator === -1
+            ? { schema: targetSchema, name: entry.name }
+            : { schema: entry.name.slice(0, separator), name: entry.name.slice(separator + 1) };
+    }
+
+    /**
+     * Aplica a troca de schemas ao tipo de uma coluna, para que os casts de enums e
+     * domínios apontem para o schema de destino
+     * @param {string} type - Tipo como aparece no CREATE TABLE
+     * @returns {string} Tipo no schema de destino
+     */
+    targetTypeName(type) {
+        const match = type && type.match(/^("(?:[^"]|"")*"|[^\s".(]+)\.(.*)$/s);
+        if (!match) return type;
+        const target = this.schemas[unquoteIdentifier(match[1])];
+        return target ? `${quoteIdentifier(target)}.${match[2]}` : type;
+    }
+
+    /**
+     * Aplica as regras de colunas da configuração: renomeia, remove, troca o tipo e adiciona colunas
+     * @param {string} sourceKey - Chave da tabela de origem
+     * @param {Object} entry - Configuração da tabela
+     * @param {Array<string>} names - Colunas de origem, sem aspas
+     * @param {Array<Object|undefined>} sourceDefs - Definições das colunas de origem
+     * @returns {Array<Object>} Colunas de destino
+     */
+    mapColumns(sourceKey, entry, names, sourceDefs) {
+        const rules = entry.columns || {};
+        const outputs = [];
+
+        names.forEach((sourceName, index) => {
+            const ruleKey = findEntryKey(rules, [sourceName]);
+            const rule = ruleKey !== undefined ? rules[ruleKey] : undefined;
+            if (rule === null) {
+                this.dropColumn(sourceKey, sourceName, 'removida pelo mapeamento');
+                return;
+            }
+
+            const spec = typeof rule === 'string' ? { name: rule } : rule || {};
+            const sourceDef = sourceDefs[index];
+            const def = spec.type
+                ? { name: spec.name || sourceName, type: spec.type, nullable: true, default: null, identity: null, generated: null }
+                : sourceDef && { ...sourceDef, type: this.targetTypeName(sourceDef.type) };
+            outputs.push({ name: spec.name || sourceName, sourceName, index, sourceDef, def, retyped: Boolean(spec.type) });
+        });
+
+        for (const [name, spec] of Object.entries(entry.add || {})) {
+            const output = { name, def: spec.type ? { name, type: spec.type } : undefined };
+            if (spec.template) {
+                output.template = compileTemplate(spec.template, names, `${sourceKey}.${name}`);
+            } else {
+                output.value = spec.value === null ? null : String(spec.value);
+            }
+            outputs.push(output);
+        }
+
+        return outputs;
+    }
+
+    /**
+     * Monta a conversão de valores de uma coluna quando o tipo de destino difere do de origem
+     * @param {string} sourceKey - Chave da tabela de origem
+     * @param {Object} output - Coluna de destino
+     * @param {ValueFormatter} targetFormatter - Formatador dos tipos de destino
+     * @param {ValueFormatter} sourceFormatter - Formatador dos tipos do dump
+     * @returns {Function|null} Conversão (valor) → valor, ou null se não for necessária
+     */
+    converter(sourceKey, output, targetFormatter, sourceFormatter) {
+        const { sourceDef, def } = output;
+        if (!output.retyped || !sourceDef || !sourceDef.type || !def || !def.type) return null;
+
+        const from = sourceFormatter.describe(sourceDef.type);
+        const to = targetFormatter.describe(def.type);
+        const normalize = type => type.replace(/\s+/g, ' ').toLowerCase();
+        // Tipos que só trocaram de schema junto com a tabela (ex.: public.status → staging.status) já estão mapeados
+        const sameType = normalize(sourceDef.type) === normalize(def.type)
+            || normalize(this.targetTypeName(sourceDef.type)) === normalize(def.type);
+        if (sameType || (from.category === to.category && to.category !== 'datetime')) return null;
+
+        const element = from.category === 'array'
+            ? sourceFormatter.describe(elementType(sourceDef.type))
+            : undefined;
+        const label = `${sourceKey}.${output.sourceName}`;
+
+        return value => {
+            let converted;
+            try {
+                converted = convertValue(value, from, to, element);
+            } catch (error) {
+                throw new Error(`Conversão de ${label} (${sourceDef.type} → ${def.type}) falhou: ${error.message}`);
+            }
+            if (converted === undefined) {
+                this.reportOnce(`convert:${label}`, () => this.warnings.push(
+                    `${label}: sem regra de conversão de ${sourceDef.type} para ${def.type}; valor repassado ao cast do banco`
+                ));
+                return value;
+            }
+            return converted;
+        };
+    }
+
+    /**
+     * Definição da tabela de origem com as colunas das chaves já renomeadas, usada no ON CONFLICT
+     * quando o schema de destino não foi informado
+     * @param {Object|undefined} table - Tabela de origem no catálogo
+     * @param {Array<Object>} outputs - Colunas de destino
+     * @returns {Object|undefined} Definição com as chaves renomeadas
+     */
+    renamedDefinition(table, outputs) {
+        if (!table) return undefined;
+
+        const renames = new Map(outputs.filter(output => output.sourceName).map(output => [output.sourceName, output.name]));
+        const renameKey = key => (key && key.columns.every(column => renames.has(column))
+            ? { ...key, columns: key.columns.map(column => renames.get(column)) }
+            : null);
+
+        return {
+            ...table,
+            primaryKey: renameKey(table.primaryKey),
+            uniqueKeys: table.uniqueKeys.map(renameKey).filter(Boolean)
+        };
+    }
+
+    /**
+     * Registra uma coluna removida (uma única vez por tabela e coluna)
+     * @param {string} table - Chave da tabela de origem
+     * @param {string} column - Coluna removida
+     * @param {string} reason - Motivo
+     */
+    dropColumn(table, column, reason) {
+        this.reportOnce(`column:${table}.${column}`, () => this.droppedColumns.push({ table, column, reason }));
+    }
+
+    /**
+     * Executa um registro apenas na primeira vez (tabelas podem ter vários blocos COPY)
+     * @param {string} key - Identificação do registro
+     * @param {Function} record - Registro a executar
+     */
+    reportOnce(key, record) {
+        if (!this.reported.has(key)) {
+            this.reported.add(key);
+            record();
+        }
+    }
+
+    /**
+     * Acrescenta avisos registrados em outro processo (nos workers da conversão paralela),
+     * sem repetir os já registrados
+     * @param {Array<string>} warnings - Avisos, na ordem em que ocorreram
+     */
+    addWarnings(warnings) {
+        warnings.forEach(warning => {
+            if (!this.warnings.includes(warning)) {
+                this.warnings.push(warning);
+            }
+        });
+    }
+
+    /**
+     * Resumo das tabelas, colunas e sequences deixadas de fora, para o rodapé do script
+     * @returns {Array<string>} Linhas do resumo
+     */
+    summary() {
+        return [
+            ...this.missingTables.map(({ table, target }) => `Tabela ignorada: ${table} (${target} não existe no destino)`),
+            ...this.droppedColumns.map(({ table, column, reason }) => `Coluna removida: ${table}.${column} (${reason})`),
+            ...this.missingSequences.map(sequence => `Sequence ignorada: ${sequence} (não existe no destino)`)
+        ];
+    }
+
+    /**
+     * Avisos do mapeamento: tabelas ignoradas, entradas sem uso e conversões sem regra
+     * @returns {Array<string>} Avisos
+     */
+    problems() {
+        return [
+            ...this.missingTables.map(({ table, target }) => `Tabela ${table} ignorada: ${target} não existe no schema de destino`),
+            ...Object.keys(this.tables)
+                .filter(table => !this.usedTables.has(table))
+                .map(table => `Tabela do mapeamento sem dados no dump: ${table}`),
+            ...this.warnings.map(warning => `Mapeamento: ${warning}`)
+        ];
+    }
+
+    /**
+     * Relatório do mapeamento aplicado
+     * @returns {{missingTables: Array, missingSequences: Array<string>, droppedColumns: Array, unusedTables: Array<string>, warnings: Array<string>}} Relatório
+     */
+    report() {
+        return {
+            missingTables: this.missingTables,
+            missingSequences: this.missingSequences,
+            droppedColumns: this.droppedColumns,
+            unusedTables: Object.keys(this.tables).filter(table => !this.usedTables.has(table)),
+            warnings: this.warnings
+        };
+    }
+}
+
+module.exports = { SchemaMapping, TableMapping };
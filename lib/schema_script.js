@@ -0,0 +1,413 @@
+const { parseQualifiedName, splitQualifiedName, quoteIdentifier } = require('./identifiers');
+
+/**
+ * Seções do script de restauração, como no pg_restore --section: pre-data (extensões,
+ * schemas, tipos, tabelas, funções), data (as linhas, geradas pelo extrator) e post-data
+ * (índices, constraints, triggers, políticas e privilégios)
+ */
+const SECTIONS = ['pre-data', 'data', 'post-data'];
+
+// Identificador (com ou sem aspas) e nome qualificado como aparecem no SQL
+const NAME = '(?:"(?:[^"]|"")*"|[^\\s."(),;]+)';
+const QNAME = `${NAME}(?:\\.${NAME})*`;
+const ALTER_TABLE = `ALTER\\s+(?:FOREIGN\\s+)?TABLE\\s+(?:IF\\s+EXISTS\\s+)?(ONLY\\s+)?(${QNAME})`;
+
+// Comandos ligados a uma tabela (o nome da tabela é o grupo 1)
+const TABLE_TARGETS = [
+    new RegExp(`^CREATE\\s+(?:(?:UNLOGGED|FOREIGN)\\s+)?TABLE\\s+(?:IF\\s+NOT\\s+EXISTS\\s+)?(${QNAME})`, 'i'),
+    new RegExp(`^ALTER\\s+(?:FOREIGN\\s+)?TABLE\\s+(?:IF\\s+EXISTS\\s+)?(?:ONLY\\s+)?(${QNAME})`, 'i'),
+    new RegExp(`^CREATE\\s+(?:UNIQUE\\s+)?INDEX\\s+(?:IF\\s+NOT\\s+EXISTS\\s+)?(?:${NAME}\\s+)?ON\\s+(?:ONLY\\s+)?(${QNAME})`, 'i'),
+    new RegExp(`^CREATE\\s+(?:OR\\s+REPLACE\\s+)?(?:CONSTRAINT\\s+)?TRIGGER\\s+${NAME}\\s[\\s\\S]*?\\sON\\s+(${QNAME})`, 'i'),
+    new RegExp(`^CREATE\\s+POLICY\\s+${NAME}\\s+ON\\s+(${QNAME})`, 'i'),
+    new RegExp(`^CREATE\\s+(?:OR\\s+REPLACE\\s+)?RULE\\s+${NAME}\\s+AS\\s+ON\\s+\\w+\\s+TO\\s+(${QNAME})`, 'i'),
+    new RegExp(`^COMMENT\\s+ON\\s+(?:FOREIGN\\s+)?TABLE\\s+(${QNAME})`, 'i'),
+    new RegExp(`^COMMENT\\s+ON\\s+(?:CONSTRAINT|TRIGGER|POLICY|RULE)\\s+${NAME}\\s+ON\\s+(${QNAME})`, 'i'),
+    new RegExp(`^(?:GRANT|REVOKE)\\s[\\s\\S]*?\\sON\\s+TABLE\\s+(${QNAME})`, 'i')
+];
+
+const TRANSACTION = /^(?:BEGIN|COMMIT|END|START\s+TRANSACTION)\s*;$/i;
+const SETTING = /^(?:SET|RESET)\s|^SELECT\s+pg_catalog\.set_config\s*\(/i;
+const SESSION_AUTHORIZATION = /^(?:SET|RESET)\s+SESSION\s+AUTHORIZATION\b/i;
+const CLIENT_ENCODING = /^SET\s+client_encoding\s*(?:=|TO)\s*'[^']*'/i;
+const DATA = /^SELECT\s+(?:pg_catalog\.)?(?:setval|lo_create|lo_open|lowrite|lo_close)\s*\(|^(?:COPY|INSERT)\s/i;
+const LARGE_OBJECT = /^(?:ALTER|COMMENT\s+ON|SECURITY\s+LABEL\s+(?:FOR\s+\S+\s+)?ON)\s+LARGE\s+OBJECT\b|^(?:GRANT|REVOKE)\s[\s\S]*?\sON\s+LARGE\s+OBJECT\b/i;
+const PRIVILEGE = /^(?:GRANT|REVOKE)\s|^ALTER\s+DEFAULT\s+PRIVILEGES\b/i;
+const OWNER = /^ALTER\s[\s\S]*\sOWNER\s+TO\s+[^;]+;$/i;
+
+// Comandos das entradas post-data do pg_dump; o restante do DDL é pre-data
+const POST_DATA = [
+    /^CREATE\s+(?:UNIQUE\s+)?INDEX\b/i,
+    /^ALTER\s+INDEX\b/i,
+    new RegExp(`^${ALTER_TABLE}\\s+(?:ADD\\s+CONSTRAINT|CLUSTER\\s+ON|REPLICA\\s+IDENTITY\\s+USING\\s+INDEX|`
+        + '(?:ENABLE|FORCE)\\s+ROW\\s+LEVEL\\s+SECURITY|(?:ENABLE|DISABLE)\\s+(?:ALWAYS\\s+|REPLICA\\s+)?(?:TRIGGER|RULE))\\b', 'i'),
+    /^CREATE\s+(?:OR\s+REPLACE\s+)?(?:CONSTRAINT\s+)?TRIGGER\b/i,
+    /^CREATE\s+(?:OR\s+REPLACE\s+)?RULE\b/i,
+    /^(?:CREATE|ALTER)\s+(?:EVENT\s+TRIGGER|PUBLICATION|SUBSCRIPTION|STATISTICS|POLICY)\b/i,
+    /^COMMENT\s+ON\s+(?:INDEX|CONSTRAINT|TRIGGER|EVENT\s+TRIGGER|POLICY|RULE|PUBLICATION|SUBSCRIPTION|STATISTICS)\b/i,
+    /^REFRESH\s+MATERIALIZED\s+VIEW\b/i
+];
+
+// Objetos com CREATE ... IF NOT EXISTS e com CREATE OR REPLACE
+const IF_NOT_EXISTS = /^(CREATE\s+(?:(?:UNLOGGED|FOREIGN)\s+)?TABLE|CREATE\s+SCHEMA|CREATE\s+SEQUENCE|CREATE\s+EXTENSION|CREATE\s+(?:UNIQUE\s+)?INDEX|CREATE\s+MATERIALIZED\s+VIEW|CREATE\s+STATISTICS|CREATE\s+COLLATION|CREATE\s+SERVER)\s+(?!IF\s+NOT\s+EXISTS\b)/i;
+const OR_REPLACE = /^CREATE\s+(?!OR\s+REPLACE\b)((?:FUNCTION|PROCEDURE|VIEW|RULE|(?:TRUSTED\s+)?(?:PROCEDURAL\s+)?LANGUAGE)\b)/i;
+// Sem sintaxe própria: executados num bloco DO que ignora o erro de objeto já existente
+const GUARDED = /^CREATE\s+(?:TYPE|DOMAIN|AGGREGATE|CAST|OPERATOR|CONVERSION|PUBLICATION|POLICY|(?:CONSTRAINT\s+)?TRIGGER|EVENT\s+TRIGGER|TEXT\s+SEARCH)\b/i;
+const GUARDED_ALTER = new RegExp(`^${ALTER_TABLE}\\s+(?:ADD\\s+CONSTRAINT\\s+${NAME}\\s+(PRIMARY\\s+KEY)?|ALTER\\s+(?:COLUMN\\s+)?${NAME}\\s+ADD\\s+(GENERATED))`, 'i');
+const GUARD_TAG = '$dump_processor$';
+
+/**
+ * Valida as seções pedidas
+ * @param {Array<string>} sections - Seções (pre-data, data, post-data)
+ * @returns {Set<string>} Seções validadas
+ */
+function parseSections(sections) {
+    for (const section of sections) {
+        if (!SECTIONS.includes(section)) {
+            throw new Error(`Seção inválida: ${section} (use ${SECTIONS.join(', ')})`);
+        }
+    }
+    if (sections.length === 0) {
+        throw new Error(`Informe ao menos uma seção (${SECTIONS.join(', ')})`);
+    }
+    return new Set(sections);
+}
+
+/**
+ * Classifica um comando do dump pela seção do pg_dump em que ele aparece
+ * @param {string} sql - Comando SQL
+ * @returns {string} setting, transaction, data, largeobject, pre-data ou post-data
+ */
+function classifyStatement(sql) {
+    if (TRANSACTION.test(sql)) return 'transaction';
+    if (SETTING.test(sql)) return 'setting';
+    if (DATA.test(sql)) return 'data';
+    if (LARGE_OBJECT.test(sql)) return 'largeobject';
+    if (PRIVILEGE.test(sql) || POST_DATA.some(pattern => pattern.test(sql))) return 'post-data';
+    return 'pre-data';
+}
+
+/**
+ * Identifica o objeto a que o comando se refere, para aplicar os filtros de schemas e tabelas
+ * @param {string} sql - Comando SQL
+ * @returns {{kind: string, schema: string, name: string|null}|null} Tabela, sequence ou schema; null se não houver
+ */
+function statementTarget(sql) {
+    const table = TABLE_TARGETS.map(pattern => sql.match(pattern)).find(Boolean);
+    if (table) {
+        return { kind: 'table', ...parseQualifiedName(table[1]) };
+    }
+
+    const column = sql.match(new RegExp(`^COMMENT\\s+ON\\s+COLUMN\\s+(${QNAME})`, 'i'));
+    if (column) {
+        const parts = splitQualifiedName(column[1]);
+        return parts.length >= 3 ? { kind: 'table', schema: parts[parts.length - 3], name: parts[parts.length - 2] } : null;
+    }
+
+    const sequence = sql.match(new RegExp(`^(?:(?:CREATE|ALTER)\\s+SEQUENCE\\s+(?:IF\\s+(?:NOT\\s+)?EXISTS\\s+)?|(?:GRANT|REVOKE)\\s[\\s\\S]*?\\sON\\s+SEQUENCE\\s+)(${QNAME})`, 'i'));
+    if (sequence) {
+        return { kind: 'sequence', ...parseQualifiedName(sequence[1]) };
+    }
+
+    const schema = sql.match(new RegExp(`^(?:(?:CREATE|ALTER|COMMENT\\s+ON)\\s+SCHEMA\\s+(?:IF\\s+NOT\\s+EXISTS\\s+)?|(?:GRANT|REVOKE)\\s[\\s\\S]*?\\sON\\s+SCHEMA\\s+)(${NAME})`, 'i'))
+        || sql.match(new RegExp(`^(?:CREATE(?:\\s+OR\\s+REPLACE)?|ALTER|COMMENT\\s+ON)\\s+(?:[A-Za-z]+\\s+){1,3}?(${NAME})\\.${NAME}`, 'i'));
+    if (schema) {
+        return { kind: 'schema', schema: splitQualifiedName(schema[1])[0], name: null };
+    }
+    return null;
+}
+
+/**
+ * Separa a lista de argumentos de uma função (o conteúdo entre parênteses), tirando os DEFAULT
+ * @param {string} sql - Texto a partir do nome da função
+ * @returns {string|null} Argumentos como aceitos pelo DROP FUNCTION, ou null se não encontrados
+ */
+function functionArguments(sql) {
+    const start = sql.indexOf('(');
+    if (start === -1) return null;
+
+    const args = [];
+    let current = '';
+    let depth = 0;
+    let quote = null;
+    for (let i = start + 1; i < sql.length; i++) {
+        const char = sql[i];
+        if (quote) {
+            if (char === quote) quote = null;
+        } else if (char === '"' || char === '\'') {
+            quote = char;
+        } else if (char === '(') {
+            depth++;
+        } else if (char === ')' && depth === 0) {
+            args.push(current);
+            return args.map(arg => arg.replace(/\s+(?:DEFAULT\b|=)[\s\S]*$/i, '').trim()).filter(Boolean).join(', ');
+        } else if (char === ')') {
+            depth--;
+        } else if (char === ',' && depth === 0) {
+            args.push(current);
+            current = '';
+            continue;
+        }
+        current += char;
+    }
+    return null;
+}
+
+/**
+ * Monta o DROP ... IF EXISTS que desfaz um comando do dump (como o --clean do pg_restore)
+ * @param {string} sql - Comando SQL
+ * @returns {string|null} Comando de remoção, ou null se o comando não cria um objeto
+ */
+function dropStatement(sql) {
+    let match;
+    if ((match = sql.match(new RegExp(`^CREATE\\s+(?:UNLOGGED\\s+)?(FOREIGN\\s+)?TABLE\\s+(?:IF\\s+NOT\\s+EXISTS\\s+)?(${QNAME})`, 'i')))) {
+        return `DROP ${match[1] ? 'FOREIGN ' : ''}TABLE IF EXISTS ${match[2]};`;
+    }
+    if ((match = sql.match(new RegExp(`^CREATE\\s+(?:OR\\s+REPLACE\\s+)?(SCHEMA|SEQUENCE|VIEW|MATERIALIZED\\s+VIEW|TYPE|DOMAIN|EXTENSION|COLLATION|SERVER|PUBLICATION|STATISTICS|EVENT\\s+TRIGGER)\\s+(?:IF\\s+NOT\\s+EXISTS\\s+)?(${QNAME})`, 'i')))) {
+        return `DROP ${match[1].toUpperCase().replace(/\s+/g, ' ')} IF EXISTS ${match[2]};`;
+    }
+    if ((match = sql.match(new RegExp(`^CREATE\\s+(?:UNIQUE\\s+)?INDEX\\s+(?:IF\\s+NOT\\s+EXISTS\\s+)?(${NAME})\\s+ON\\s+(?:ONLY\\s+)?(${QNAME})`, 'i')))) {
+        // O índice fica no schema da tabela
+        return `DROP INDEX IF EXISTS ${quoteIdentifier(parseQualifiedName(match[2]).schema)}.${match[1]};`;
+    }
+    if ((match = sql.match(new RegExp(`^CREATE\\s+(?:OR\\s+REPLACE\\s+)?(FUNCTION|PROCEDURE|AGGREGATE)\\s+(${QNAME})\\s*\\(`, 'i')))) {
+        const args = functionArguments(sql.slice(match.index + match[0].length - 1));
+        return args === null ? null : `DROP ${match[1].toUpperCase()} IF EXISTS ${match[2]}(${args});`;
+    }
+    if ((match = sql.match(new RegExp(`^CREATE\\s+(?:OR\\s+REPLACE\\s+)?(?:CONSTRAINT\\s+)?TRIGGER\\s+(${NAME})\\s[\\s\\S]*?\\sON\\s+(${QNAME})`, 'i')))) {
+        return `DROP TRIGGER IF EXISTS ${match[1]} ON ${match[2]};`;
+    }
+    if ((match = sql.match(new RegExp(`^CREATE\\s+POLICY\\s+(${NAME})\\s+ON\\s+(${QNAME})`, 'i')))) {
+        return `DROP POLICY IF EXISTS ${match[1]} ON ${match[2]};`;
+    }
+    if ((match = sql.match(new RegExp(`^CREATE\\s+(?:OR\\s+REPLACE\\s+)?RULE\\s+(${NAME})\\s+AS\\s+ON\\s+\\w+\\s+TO\\s+(${QNAME})`, 'i')))) {
+        return `DROP RULE IF EXISTS ${match[1]} ON ${match[2]};`;
+    }
+    if ((match = sql.match(new RegExp(`^${ALTER_TABLE}\\s+ADD\\s+CONSTRAINT\\s+(${NAME})`, 'i')))) {
+        return `ALTER TABLE IF EXISTS ${match[1] || ''}${match[2]} DROP CONSTRAINT IF EXISTS ${match[3]};`;
+    }
+    if ((match = sql.match(new RegExp(`^${ALTER_TABLE}\\s+ALTER\\s+(?:COLUMN\\s+)?(${NAME})\\s+(SET\\s+DEFAULT|ADD\\s+GENERATED)\\b`, 'i')))) {
+        const action = /^SET/i.test(match[4]) ? 'DROP DEFAULT' : 'DROP IDENTITY IF EXISTS';
+        return `ALTER TABLE IF EXISTS ${match[1] || ''}${match[2]} ALTER COLUMN ${match[3]} ${action};`;
+    }
+    return null;
+}
+
+/**
+ * Reescreve um comando de criação para não falhar quando o objeto já existe: IF NOT EXISTS,
+ * OR REPLACE ou, sem sintaxe própria, um bloco DO que ignora o erro de objeto duplicado
+ * @param {string} sql - Comando SQL
+ * @returns {string} Comando reescrito (o próprio comando quando não é uma criação)
+ */
+function rewriteIfNotExists(sql) {
+    if (IF_NOT_EXISTS.test(sql)) {
+        return sql.replace(IF_NOT_EXISTS, '$1 IF NOT EXISTS ');
+    }
+    if (OR_REPLACE.test(sql)) {
+        return sql.replace(OR_REPLACE, 'CREATE OR REPLACE $1');
+    }
+
+    const alter = sql.match(GUARDED_ALTER);
+    if (!GUARDED.test(sql) && !alter) {
+        return sql;
+    }
+    const errors = ['duplicate_object', 'duplicate_table', 'duplicate_function'];
+    if (alter && alter[3]) {
+        // Segunda chave primária na mesma tabela
+        errors.push('invalid_table_definition');
+    }
+    if (alter && alter[4]) {
+        // Coluna que já é identity
+        errors.push('object_not_in_prerequisite_state');
+    }
+    return [
+        `DO ${GUARD_TAG}`,
+        'BEGIN',
+        `    ${sql.split('\n').join('\n    ')}`,
+        `EXCEPTION WHEN ${errors.join(' OR ')} THEN NULL;`,
+        `END ${GUARD_TAG};`
+    ].join('\n');
+}
+
+/**
+ * Classe que recolhe o DDL do dump (os comandos fora dos blocos COPY), separa as seções
+ * pre-data e post-data e as reescreve no script, em volta dos dados gerados pelo extrator.
+ * Os comandos SET do início do dump são repetidos no começo de cada seção; donos,
+ * privilégios, IF NOT EXISTS e DROP iniciais seguem as opções.
+ */
+class SchemaScript {
+    /**
+     * @param {Object} [options] - Opções do DDL
+     * @param {Array<string>} [options.sections=['data']] - Seções escritas (ver SECTIONS)
+     * @param {boolean} [options.noOwner=false] - Omite os ALTER ... OWNER TO e SET SESSION AUTHORIZATION
+     * @param {boolean} [options.noPrivileges=false] - Omite GRANT, REVOKE e ALTER DEFAULT PRIVILEGES
+     * @param {boolean} [options.ifNotExists=false] - Reescreve as criações para não falharem com objetos existentes
+     * @param {boolean} [options.clean=false] - Remove os objetos (DROP ... IF EXISTS, na ordem inversa) antes de criá-los
+     * @param {boolean} [options.largeObjects=true] - Mantém donos, privilégios e comentários dos large objects
+     *   (apenas quando os OIDs são preservados)
+     */
+    constructor(options = {}) {
+        this.sections = parseSections(options.sections || ['data']);
+        this.noOwner = options.noOwner === true;
+        this.noPrivileges = options.noPrivileges === true;
+        this.ifNotExists = options.ifNotExists === true;
+        this.clean = options.clean === true;
+        this.largeObjects = options.largeObjects !== false;
+        this.settings = [];
+        this.pendingSettings = [];
+        this.statements = { 'pre-data': [], 'post-data': [] };
+        this.late = [];
+        this.preDataWritten = false;
+        this.errors = [];
+    }
+
+    /**
+     * Indica se o script tem alguma seção de DDL
+     * @returns {boolean} true com pre-data ou post-data
+     */
+    hasSchema() {
+        return this.sections.has('pre-data') || this.sections.has('post-data');
+    }
+
+    /**
+     * Indica se uma seção foi pedida
+     * @param {string} section - Seção (ver SECTIONS)
+     * @returns {boolean} true se a seção é escrita
+     */
+    includes(section) {
+        return this.sections.has(section);
+    }
+
+    /**
+     * Guarda um comando do dump na sua seção
+     * @param {{sql: string, lineNumber: number}} statement - Comando SQL completo
+     */
+    addStatement(statement) {
+        if (!this.hasSchema()) return;
+        // Metacomandos do psql (\connect, \restrict) não terminam em ; e ficam no início do comando seguinte
+        const sql = statement.sql.replace(/^(?:\\[^\n]*\n\s*)+/, '').trim();
+        const kind = classifyStatement(sql);
+
+        if (kind === 'transaction' || kind === 'data') return;
+        if (kind === 'setting') {
+            if (this.noOwner && SESSION_AUTHORIZATION.test(sql)) return;
+            const started = this.statements['pre-data'].length > 0 || this.statements['post-data'].length > 0;
+            // O script sai sempre em UTF-8, mesmo quando o dump estava em outra codificação
+            (started ? this.pendingSettings : this.settings).push(sql.replace(CLIENT_ENCODING, "SET client_encoding = 'UTF8'"));
+            return;
+        }
+        if (this.noOwner && OWNER.test(sql)) return;
+        if (this.noPrivileges && PRIVILEGE.test(sql)) return;
+        if (kind === 'largeobject' && !this.largeObjects) return;
+
+        const section = kind === 'largeobject' ? 'post-data' : kind;
+        const entry = { sql, lineNumber: statement.lineNumber, target: statementTarget(sql), settings: this.pendingSettings };
+        this.pendingSettings = [];
+        if (section === 'pre-data' && this.preDataWritten) {
+            this.late.push(entry);
+            if (this.sections.has('pre-data')) {
+                this.errors.push(`DDL da linha ${statement.lineNumber} encontrado depois dos dados: escrito no início da seção post-data`);
+            }
+            return;
+        }
+        this.statements[section].push(entry);
+    }
+
+    /**
+     * Verifica se o objeto do comando passa pelos filtros de schemas e tabelas
+     * @param {Object} entry - Comando guardado
+     * @param {ObjectFilter} filter - Filtros do extrator
+     * @param {SchemaCatalog} catalog - Catálogo do dump (dono das sequences)
+     * @returns {boolean} true se o comando é escrito
+     */
+    includesEntry(entry, filter, catalog) {
+        const target = entry.target;
+        if (!target) return true;
+        if (target.kind === 'table') return filter.includesName(target.schema, target.name);
+        if (target.kind === 'sequence') {
+            const sequence = catalog.sequences[`${target.schema}.${target.name}`];
+            return filter.includesSequence(sequence || { schema: target.schema, name: target.name, ownedBy: null });
+        }
+        return filter.includesSchema(target.schema);
+    }
+
+    /**
+     * Escreve os comandos de uma seção, com os SET que os precediam no dump
+     * @param {ScriptWriter} writer - Destino do script
+     * @param {Array<Object>} entries - Comandos guardados
+     * @param {ObjectFilter} filter - Filtros do extrator
+     * @param {SchemaCatalog} catalog - Catálogo do dump
+     */
+    async writeEntries(writer, entries, filter, catalog) {
+        for (const entry of entries) {
+            if (!this.includesEntry(entry, filter, catalog)) continue;
+            for (const setting of entry.settings) {
+                await writer.writeLine(setting);
+            }
+            await writer.writeLine(this.ifNotExists ? rewriteIfNotExists(entry.sql) : entry.sql);
+            await writer.writeLine('');
+        }
+    }
+
+    /**
+     * Escreve os DROP ... IF EXISTS dos objetos das seções, na ordem inversa da criação
+     * @param {ScriptWriter} writer - Destino do script
+     * @param {Array<string>} sections - Seções cujos objetos são removidos
+     * @param {ObjectFilter} filter - Filtros do extrator
+     * @param {SchemaCatalog} catalog - Catálogo do dump
+     */
+    async writeDrops(writer, sections, filter, catalog) {
+        const drops = sections
+            .flatMap(section => this.statements[section])
+            .filter(entry => this.includesEntry(entry, filter, catalog))
+            .map(entry => dropStatement(entry.sql))
+            .filter(Boolean)
+            .reverse();
+        if (drops.length === 0) return;
+
+        await writer.writeLine('-- Remoção dos objetos existentes (--clean)');
+        await writer.writeLines(drops);
+        await writer.writeLine('');
+    }
+
+    /**
+     * Escreve a seção pre-data (e, com clean, a remoção dos objetos) no arquivo atual. Os
+     * comandos pre-data lidos depois desta chamada vão para o início da seção post-data.
+     * @param {ScriptWriter} writer - Destino do script
+     * @param {ObjectFilter} filter - Filtros do extrator
+     * @param {SchemaCatalog} catalog - Catálogo do dump
+     */
+    async writePreData(writer, filter, catalog) {
+        this.preDataWritten = true;
+        if (!this.sections.has('pre-data')) return;
+
+        await writer.writeLine('-- Seção pre-data: extensões, schemas, tipos, tabelas, funções e views');
+        await writer.writeLines([...this.settings, '']);
+        if (this.clean) {
+            await this.writeDrops(writer, SECTIONS.filter(section => section !== 'data' && this.sections.has(section)), filter, catalog);
+        }
+        await this.writeEntries(writer, this.statements['pre-data'], filter, catalog);
+    }
+
+    /**
+     * Escreve no arquivo atual a seção post-data: índices, constraints, triggers, políticas
+     * e privilégios
+     * @param {ScriptWriter} writer - Destino do script
+     * @param {ObjectFilter} filter - Filtros do extrator
+     * @param {SchemaCatalog} catalog - Catálogo do dump
+     */
+    async writePostData(writer, filter, catalog) {
+        if (!this.sections.has('post-data')) return;
+
+        await writer.writeLine('-- Seção post-data: índices, constraints, triggers, políticas e privilégios');
+        await writer.writeLines([...this.settings, '']);
+        if (this.clean && !this.sections.has('pre-data')) {
+            await this.writeDrops(writer, ['post-data'], filter, catalog);
+        }
+        if (this.sections.has('pre-data')) {
+            await this.writeEntries(writer, this.late, filter, catalog);
+        }
+        await this.writeEntries(writer, this.statements['post-data'], filter, catalog);
+    }
+}
+
+module.exports = { SchemaScript, SECTIONS, parseSections };
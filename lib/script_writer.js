@@ -0,0 +1,116 @@
+const fs = require('fs');
+const { once } = require('events');
+const { STDIO, createCompressor } = require('./compression');
+
+/**
+ * Classe para escrever o script gerado em um stream respeitando backpressure
+ */
+class ScriptWriter {
+    /**
+     * @param {stream.Writable} stream - Stream de destino
+     * @param {Object} [options] - Opções de escrita
+     * @param {number} [options.bufferSize=65536] - Quantidade de caracteres acumulada antes de cada escrita
+     * @param {stream.Writable} [options.destination] - Stream final, quando stream é um compressor encadeado a ele
+     * @param {boolean} [options.keepOpen=false] - Não fecha o stream no fim (stdout)
+     */
+    constructor(stream, options = {}) {
+        this.stream = stream;
+        this.destination = options.destination || stream;
+        this.keepOpen = options.keepOpen === true;
+        this.bufferSize = options.bufferSize || 65536;
+        this.buffer = [];
+        this.bufferedLength = 0;
+    }
+
+    /**
+     * Cria um escritor para um arquivo. Nomes terminados em .gz ou .br são compactados
+     * (gzip ou brotli) durante a escrita; - escreve na stdout.
+     * @param {string} outputFile - Caminho do arquivo de saída
+     * @returns {ScriptWriter} Escritor do arquivo
+     */
+    static toFile(outputFile) {
+        if (outputFile === STDIO) {
+            return new ScriptWriter(process.stdout, { keepOpen: true });
+        }
+
+        const file = fs.createWriteStream(outputFile, { encoding: 'utf8' });
+        const compressor = createCompressor(outputFile);
+        if (!compressor) {
+            return new ScriptWriter(file);
+        }
+        compressor.on('error', error => file.destroy(error));
+        compressor.pipe(file);
+        return new ScriptWriter(compressor, { destination: file });
+    }
+
+    /**
+     * Escreve uma linha no script
+     * @param {string} line - Linha a ser escrita (sem quebra de linha)
+     */
+    async writeLine(line) {
+        this.buffer.push(line);
+        this.bufferedLength += line.length + 1;
+
+        if (this.bufferedLength >= this.bufferSize) {
+            await this.flush();
+        }
+    }
+
+    /**
+     * Escreve várias linhas no script
+     * @param {Array<string>} lines - Linhas a serem escritas
+     */
+    async writeLines(lines) {
+        for (const line of lines) {
+            await this.writeLine(line);
+        }
+    }
+
+    /**
+     * Inicia uma nova parte do script. No arquivo único não faz nada; o
+     * ChunkedScriptWriter abre um novo arquivo.
+     * @param {string} kind - Parte do script: predata, preamble, data, deferred, largeobjects, postamble ou postdata
+     * @param {string|null} [table=null] - Tabela dos dados
+     */
+    async startFile(kind, table = null) {}
+
+    /**
+     * Conta uma linha de dados (usado apenas na saída dividida)
+     */
+    countRow() {}
+
+    /**
+     * Indica se a parte atual atingiu o limite de tamanho; o arquivo único não tem limite
+     * @returns {boolean} Sempre false
+     */
+    isFull() {
+        return false;
+    }
+
+    /**
+     * Envia o conteúdo acumulado para o stream, aguardando o esvaziamento se necessário
+     */
+    async flush() {
+        if (this.buffer.length === 0) return;
+
+        const chunk = this.buffer.join('\n') + '\n';
+        this.buffer = [];
+        this.bufferedLength = 0;
+
+        if (!this.stream.write(chunk)) {
+            await once(this.stream, 'drain');
+        }
+    }
+
+    /**
+     * Finaliza a escrita e aguarda o fechamento do stream
+     */
+    async end() {
+        await this.flush();
+        if (this.keepOpen) return;
+        this.stream.end();
+        await once(this.destination, 'finish');
+    }
+}
+
+module.exports = ScriptWriter;
@@ -0,0 +1,558 @@
+const { findConflictKey } = require('./conflict_strategy');
+const { parsePgArray, arrayToJson } = require('./type_conversion');
+
+const DIALECTS = ['postgres', 'sqlite', 'mysql'];
+const STAGING_NAME = 'dump_processor_staging';
+
+const NUMERIC_PATTERN = /^[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?$/;
+// Valores do PostgreSQL sem equivalente no SQLite e no MySQL, gravados como NULL
+const SPECIAL_NUMBER = /^[+-]?(?:nan|infinity)$/i;
+const SPECIAL_DATETIME = /^[+-]?infinity$/i;
+const TIMESTAMP_WITH_ZONE = /^(\d{4,})-(\d\d)-(\d\d) (\d\d):(\d\d):(\d\d)(\.\d+)?([+-])(\d\d)(?::?(\d\d))?(?::?(\d\d))?$/;
+
+/**
+ * Converte um valor bytea do COPY (hex \x... ou o formato escape antigo) em hexadecimal
+ * @param {string} value - Valor decodificado do COPY
+ * @returns {string} Bytes em hexadecimal
+ */
+function byteaToHex(value) {
+    if (value.startsWith('\\x')) {
+        return value.slice(2);
+    }
+
+    const bytes = [];
+    for (let i = 0; i < value.length; i++) {
+        if (value[i] !== '\\') {
+            bytes.push(...Buffer.from(value[i], 'latin1'));
+        } else if (value[i + 1] === '\\') {
+            bytes.push(0x5c);
+            i++;
+        } else {
+            bytes.push(parseInt(value.slice(i + 1, i + 4), 8));
+            i += 3;
+        }
+    }
+    return Buffer.from(bytes).toString('hex');
+}
+
+/**
+ * Converte um timestamp with time zone do PostgreSQL (ex.: 2024-01-01 10:00:00-03) para UTC,
+ * sem o deslocamento, no formato aceito pelo SQLite e pelo MySQL. Valores fora do padrão
+ * (datas BC) seguem como estão; infinity vira NULL antes (ver isUnrepresentable).
+ * @param {string} value - Timestamp do COPY
+ * @returns {string} Timestamp em UTC (ex.: 2024-01-01 13:00:00)
+ */
+function toUtcTimestamp(value) {
+    const match = value.match(TIMESTAMP_WITH_ZONE);
+    if (!match) return value;
+
+    const [, year, month, day, hour, minute, second, fraction = '', sign, offsetHours, offsetMinutes = '0', offsetSeconds = '0'] = match;
+    const date = new Date(0);
+    date.setUTCFullYear(Number(year), Number(month) - 1, Number(day));
+    date.setUTCHours(Number(hour), Number(minute), Number(second), 0);
+    const offset = (Number(offsetHours) * 3600 + Number(offsetMinutes) * 60 + Number(offsetSeconds)) * 1000;
+    date.setTime(date.getTime() - (sign === '-' ? -offset : offset));
+
+    const pad = (number, size = 2) => String(number).padStart(size, '0');
+    return `${pad(date.getUTCFullYear(), 4)}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())} `
+        + `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())}${fraction}`;
+}
+
+/**
+ * Nome do tipo base em minúsculas, sem o schema pg_catalog e sem o tamanho (ex.: varchar)
+ * @param {string} type - Tipo como aparece no CREATE TABLE
+ * @returns {{name: string, size: string|null}} Nome e conteúdo dos parênteses
+ */
+function splitType(type) {
+    const size = type.match(/\(([^)]*)\)/);
+    const name = type
+        .replace(/\([^)]*\)/g, '')
+        .replace(/^pg_catalog\./i, '')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .toLowerCase();
+    return { name, size: size ? size[1].replace(/\s+/g, '') : null };
+}
+
+/**
+ * Traduz o default de uma coluna quando é um literal simples (número, texto ou booleano);
+ * expressões como nextval() e now() ficam de fora
+ * @param {string|null} expression - Default como aparece no CREATE TABLE
+ * @returns {{kind: string, value: string}|null} Literal traduzido
+ */
+function literalDefault(expression) {
+    if (!expression) return null;
+
+    const text = expression.trim().replace(/^\((.*)\)$/s, '$1');
+    if (/^(true|false)$/i.test(text)) {
+        return { kind: 'boolean', value: text.toLowerCase() };
+    }
+    const number = text.match(/^\(?([+-]?\d+(?:\.\d+)?)\)?(?:::[\w ."]+)?$/);
+    if (number) {
+        return { kind: 'number', value: number[1] };
+    }
+    const string = text.match(/^'((?:[^']|'')*)'(?:::[\w ."[\]()]+)?$/s);
+    if (string) {
+        return { kind: 'text', value: string[1].replace(/''/g, "'") };
+    }
+    return null;
+}
+
+/**
+ * Base dos dialetos de destino: formatação dos valores, nomes, CREATE TABLE e a sintaxe
+ * de conflito. As subclasses definem as diferenças de cada banco.
+ */
+class SqlDialect {
+    /**
+     * @param {string} name - Nome do dialeto
+     */
+    constructor(name) {
+        this.name = name;
+    }
+
+    /**
+     * Nome de uma tabela no destino. O schema public some; os demais viram prefixo
+     * (ex.: audit.audit_log → audit_audit_log), pois o destino não tem schemas
+     * @param {string} schema - Schema da tabela, sem aspas
+     * @param {string} name - Nome da tabela, sem aspas
+     * @returns {string} Nome com aspas do dialeto
+     */
+    tableName(schema, name) {
+        return this.quoteIdentifier(schema === 'public' ? name : `${schema}_${name}`);
+    }
+
+    /**
+     * Indica se o valor não tem equivalente no destino: NaN e Infinity em colunas
+     * numéricas e infinity em datas e timestamps. Esses valores são gravados como NULL.
+     * @param {string|null} value - Valor decodificado do COPY
+     * @param {Object} [column] - Coluna ({ category })
+     * @returns {boolean} Se o valor vira NULL
+     */
+    isUnrepresentable(value, column) {
+        if (value === null || !column) return false;
+        switch (column.category) {
+            case 'integer':
+            case 'numeric':
+                return SPECIAL_NUMBER.test(value);
+            case 'datetime':
+                return SPECIAL_DATETIME.test(value);
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Formata um valor do COPY como literal do dialeto
+     * @param {string|null} value - Valor decodificado do COPY (null para NULL)
+     * @param {Object} [column] - Coluna ({ type, base, category, castType, element })
+     * @returns {string} Literal SQL
+     */
+    formatValue(value, column) {
+        if (value === null || this.isUnrepresentable(value, column)) {
+            return 'NULL';
+        }
+        if (!column || !column.type) {
+            return /^-?\d+(\.\d+)?$/.test(value) ? value : this.quoteText(value);
+        }
+
+        switch (column.category) {
+            case 'integer':
+            case 'numeric':
+                return NUMERIC_PATTERN.test(value) ? value : this.quoteText(value);
+            case 'boolean':
+                return value === 't' || value === 'true' ? '1' : '0';
+            case 'bytea':
+                return `X'${byteaToHex(value)}'`;
+            case 'array':
+                return this.quoteText(JSON.stringify(arrayToJson(parsePgArray(value), column.element || 'text', column.numberType)));
+            case 'datetime':
+                return this.quoteText(/^timestamp(tz| with time zone|\(\d+\) with time zone)/i.test(column.base || column.castType || '')
+                    ? toUtcTimestamp(value)
+                    : value);
+            default:
+                return this.quoteText(value);
+        }
+    }
+
+    /**
+     * Monta a sintaxe de conflito de uma tabela
+     * @param {string} strategy - Estratégia de conflito (nothing, update, none ou skip)
+     * @param {Object|undefined} table - Tabela no catálogo
+     * @param {Array<string>} names - Colunas dos dados, sem aspas
+     * @returns {{insertCommand: string, clause: string, warning: string|null}} Início do INSERT, cláusula final e aviso
+     */
+    conflictSyntax(strategy, table, names) {
+        switch (strategy) {
+            case 'none':
+            case 'skip':
+                return { insertCommand: 'INSERT INTO', clause: '', warning: null };
+            case 'update': {
+                const key = findConflictKey(table, names);
+                if (!key) {
+                    return {
+                        insertCommand: this.ignoreCommand,
+                        clause: '',
+                        warning: `sem chave primária ou UNIQUE no dump; usado ${this.ignoreCommand}`
+                    };
+                }
+                const updated = names.filter(name => !key.includes(name));
+                if (updated.length === 0) {
+                    return { insertCommand: this.ignoreCommand, clause: '', warning: null };
+                }
+                return { insertCommand: 'INSERT INTO', clause: this.updateClause(key, updated), warning: null };
+            }
+            default:
+                return { insertCommand: this.ignoreCommand, clause: '', warning: null };
+        }
+    }
+
+    /**
+     * Monta o CREATE TABLE de uma tabela
+     * @param {string} table - Nome da tabela no destino (com aspas)
+     * @param {Array<Object>} columns - Colunas ({ name, type, base, category, labels, nullable, default, identity })
+     * @param {Object} keys - Chaves ({ primaryKey, uniqueKeys, foreignKeys: [{ columns, refTable, refColumns }] })
+     * @returns {Array<string>} Linhas do comando
+     */
+    createTable(table, columns, keys) {
+        const keyed = new Set([
+            ...(keys.primaryKey || []),
+            ...keys.uniqueKeys.flat(),
+            ...keys.foreignKeys.flatMap(fk => fk.columns)
+        ]);
+        const list = names => names.map(name => this.quoteIdentifier(name)).join(', ');
+        const lines = columns.map(column => `    ${this.columnDefinition(column, keyed.has(column.name), keys)}`);
+
+        if (keys.primaryKey) {
+            lines.push(`    PRIMARY KEY (${list(keys.primaryKey)})`);
+        }
+        keys.uniqueKeys.forEach(unique => {
+            lines.push(`    UNIQUE (${list(unique)})`);
+        });
+        keys.foreignKeys.forEach(fk => {
+            lines.push(`    FOREIGN KEY (${list(fk.columns)}) REFERENCES ${fk.refTable} (${list(fk.refColumns)})`);
+        });
+
+        return [
+            `CREATE TABLE IF NOT EXISTS ${table} (`,
+            lines.join(',\n'),
+            `)${this.tableOptions};`
+        ];
+    }
+
+    /**
+     * Definição de uma coluna no CREATE TABLE
+     * @param {Object} column - Coluna
+     * @param {boolean} keyed - Se a coluna faz parte de alguma chave
+     * @param {Object} keys - Chaves da tabela
+     * @returns {string} Definição da coluna
+     */
+    columnDefinition(column, keyed, keys) {
+        const type = this.columnType(column, keyed);
+        let definition = `${this.quoteIdentifier(column.name)} ${type}`;
+        if (!column.nullable) {
+            definition += ' NOT NULL';
+        }
+        const literal = this.acceptsDefault(type) ? literalDefault(column.default) : null;
+        if (literal) {
+            definition += ` DEFAULT ${literal.kind === 'boolean' ? (literal.value === 'true' ? '1' : '0')
+                : literal.kind === 'number' ? literal.value : this.quoteText(literal.value)}`;
+        }
+        if (this.autoIncrements(column, keys)) {
+            definition += this.autoIncrementSuffix;
+        }
+        return definition;
+    }
+
+    /**
+     * Indica se a coluna é gerada por sequence (serial ou identity) e é a chave primária sozinha
+     * @param {Object} column - Coluna
+     * @param {Object} keys - Chaves da tabela
+     * @returns {boolean} true se a coluna deve ser autoincremento no destino
+     */
+    autoIncrements(column, keys) {
+        return column.category === 'integer'
+            && Boolean(column.identity || /^nextval\(/i.test(column.default || ''))
+            && Boolean(keys.primaryKey) && keys.primaryKey.length === 1 && keys.primaryKey[0] === column.name;
+    }
+
+    /**
+     * Indica se o tipo aceita um default literal
+     * @param {string} type - Tipo no dialeto
+     * @returns {boolean} true se aceita
+     */
+    acceptsDefault(type) {
+        return true;
+    }
+}
+
+/**
+ * Dialeto SQLite: identificadores entre aspas duplas, booleanos como 0/1, json, arrays e
+ * timestamps como texto, bytea como BLOB e INSERT OR IGNORE / ON CONFLICT ... DO UPDATE
+ */
+class SqliteDialect extends SqlDialect {
+    constructor() {
+        super('sqlite');
+        this.ignoreCommand = 'INSERT OR IGNORE INTO';
+        this.tableOptions = '';
+        this.autoIncrementSuffix = '';
+        this.staging = {
+            table: STAGING_NAME,
+            create: table => [
+                `DROP TABLE IF EXISTS temp.${STAGING_NAME};`,
+                `CREATE TEMP TABLE ${STAGING_NAME} AS SELECT * FROM ${table} WHERE 0;`
+            ],
+            drop: `DROP TABLE temp.${STAGING_NAME};`
+        };
+    }
+
+    /**
+     * Coloca um identificador entre aspas duplas
+     * @param {string} name - Identificador sem aspas
+     * @returns {string} Identificador com aspas
+     */
+    quoteIdentifier(name) {
+        return `"${name.replace(/"/g, '""')}"`;
+    }
+
+    /**
+     * Escreve um texto como literal. O SQLite não tem escapes: quebras de linha ficam no
+     * literal e apenas o apóstrofo é duplicado (o caractere NUL é descartado)
+     * @param {string} value - Texto
+     * @returns {string} Literal SQL
+     */
+    quoteText(value) {
+        return `'${value.replace(/\0/g, '').replace(/'/g, "''")}'`;
+    }
+
+    /**
+     * Cláusula de atualização das linhas existentes (SQLite 3.24+)
+     * @param {Array<string>} key - Colunas da chave
+     * @param {Array<string>} updated - Colunas atualizadas
+     * @returns {string} Cláusula ON CONFLICT ... DO UPDATE
+     */
+    updateClause(key, updated) {
+        const quote = name => this.quoteIdentifier(name);
+        return `ON CONFLICT (${key.map(quote).join(', ')}) DO UPDATE SET ${updated.map(name => `${quote(name)} = excluded.${quote(name)}`).join(', ')}`;
+    }
+
+    /**
+     * Tipo da coluna no SQLite, pela afinidade do tipo de origem. Uma chave primária
+     * INTEGER sozinha vira o rowid, que continua a partir do maior valor inserido.
+     * @param {Object} column - Coluna
+     * @returns {string} Tipo no SQLite
+     */
+    columnType(column) {
+        const { name } = splitType(column.base || 'text');
+        switch (column.category) {
+            case 'integer':
+            case 'boolean':
+                return 'INTEGER';
+            case 'numeric':
+                return /^(real|float4|float8|float|double precision)$/.test(name) ? 'REAL' : 'NUMERIC';
+            case 'bytea':
+                return 'BLOB';
+            default:
+                return 'TEXT';
+        }
+    }
+
+    /**
+     * Comandos antes dos dados: foreign keys desligadas e uma única transação
+     * @returns {Array<string>} Linhas do script
+     */
+    preamble() {
+        return ['PRAGMA foreign_keys = OFF;', 'BEGIN TRANSACTION;', ''];
+    }
+
+    /**
+     * Comandos depois dos dados
+     * @returns {Array<string>} Linhas do script
+     */
+    postamble() {
+        return ['COMMIT;', 'PRAGMA foreign_keys = ON;', ''];
+    }
+
+    /**
+     * Ajuste das sequences: desnecessário no SQLite (o rowid segue o maior valor da tabela)
+     * @param {Array<Object>} sequences - Sequences com a tabela de destino ({ sequence, table, column })
+     * @returns {Array<string>} Linhas do script
+     */
+    sequenceAdjustment(sequences) {
+        if (sequences.length === 0) return [];
+        return [
+            '-- Sequences: não há equivalente no SQLite; as chaves INTEGER PRIMARY KEY continuam a partir do maior valor inserido',
+            ''
+        ];
+    }
+}
+
+/**
+ * Dialeto MySQL/MariaDB: identificadores entre crases, booleanos como 0/1, json e arrays
+ * como JSON, timestamps with time zone em UTC, bytea como binário e INSERT IGNORE /
+ * ON DUPLICATE KEY UPDATE
+ */
+class MysqlDialect extends SqlDialect {
+    constructor() {
+        super('mysql');
+        this.ignoreCommand = 'INSERT IGNORE INTO';
+        this.tableOptions = ' DEFAULT CHARSET=utf8mb4';
+        this.autoIncrementSuffix = ' AUTO_INCREMENT';
+        this.staging = {
+            table: STAGING_NAME,
+            create: table => [
+                `DROP TEMPORARY TABLE IF EXISTS ${STAGING_NAME};`,
+                `CREATE TEMPORARY TABLE ${STAGING_NAME} LIKE ${table};`
+            ],
+            drop: `DROP TEMPORARY TABLE ${STAGING_NAME};`
+        };
+    }
+
+    /**
+     * Coloca um identificador entre crases
+     * @param {string} name - Identificador sem aspas
+     * @returns {string} Identificador com crases
+     */
+    quoteIdentifier(name) {
+        return `\`${name.replace(/`/g, '``')}\``;
+    }
+
+    /**
+     * Escreve um texto como literal, com os escapes de barra invertida do MySQL
+     * @param {string} value - Texto
+     * @returns {string} Literal SQL
+     */
+    quoteText(value) {
+        const escaped = value.replace(/[\0\n\r\x1a\\']/g, char => {
+            switch (char) {
+                case '\0': return '\\0';
+                case '\n': return '\\n';
+                case '\r': return '\\r';
+                case '\x1a': return '\\Z';
+                default: return `\\${char}`;
+            }
+        });
+        return `'${escaped}'`;
+    }
+
+    /**
+     * Cláusula de atualização das linhas existentes
+     * @param {Array<string>} key - Colunas da chave (a chave usada é a que o MySQL encontrar duplicada)
+     * @param {Array<string>} updated - Colunas atualizadas
+     * @returns {string} Cláusula ON DUPLICATE KEY UPDATE
+     */
+    updateClause(key, updated) {
+        const quote = name => this.quoteIdentifier(name);
+        return `ON DUPLICATE KEY UPDATE ${updated.map(name => `${quote(name)} = VALUES(${quote(name)})`).join(', ')}`;
+    }
+
+    /**
+     * Tipo da coluna no MySQL. Textos sem tamanho que fazem parte de chaves viram
+     * VARCHAR(255), pois o MySQL não indexa TEXT sem prefixo.
+     * @param {Object} column - Coluna
+     * @param {boolean} keyed - Se a coluna faz parte de alguma chave
+     * @returns {string} Tipo no MySQL
+     */
+    columnType(column, keyed) {
+        const { name, size } = splitType(column.base || 'text');
+        switch (column.category) {
+            case 'integer':
+                if (/^(smallint|int2|smallserial)$/.test(name)) return 'SMALLINT';
+                if (/^(bigint|int8|bigserial|oid)$/.test(name)) return 'BIGINT';
+                return 'INT';
+            case 'numeric':
+                if (/^(real|float4)$/.test(name)) return 'FLOAT';
+                if (/^(double precision|float8|float)$/.test(name)) return 'DOUBLE';
+                return size ? `DECIMAL(${size})` : 'DECIMAL(65,30)';
+            case 'boolean':
+                return 'TINYINT(1)';
+            case 'text':
+                if (size && /^(character varying|varchar)$/.test(name)) return `VARCHAR(${size})`;
+                if (/^(character|char|bpchar)$/.test(name)) return `CHAR(${size || 1})`;
+                return keyed ? 'VARCHAR(255)' : 'LONGTEXT';
+            case 'uuid':
+                return 'CHAR(36)';
+            case 'enum':
+                return column.labels
+                    ? `ENUM(${column.labels.map(label => this.quoteText(label)).join(', ')})`
+                    : 'VARCHAR(255)';
+            case 'json':
+            case 'array':
+                return 'JSON';
+            case 'datetime':
+                if (name === 'date') return 'DATE';
+                return name.startsWith('time') && !name.startsWith('timestamp') ? 'TIME(6)' : 'DATETIME(6)';
+            case 'interval':
+                return 'VARCHAR(64)';
+            case 'bytea':
+                return keyed ? 'VARBINARY(255)' : 'LONGBLOB';
+            default:
+                return keyed ? 'VARCHAR(255)' : 'LONGTEXT';
+        }
+    }
+
+    /**
+     * Indica se o tipo aceita um default literal (TEXT, BLOB e JSON não aceitam)
+     * @param {string} type - Tipo no MySQL
+     * @returns {boolean} true se aceita
+     */
+    acceptsDefault(type) {
+        return !/^(LONGTEXT|LONGBLOB|JSON)$/.test(type);
+    }
+
+    /**
+     * Comandos antes dos dados: UTF-8 completo, fuso UTC (os timestamps with time zone
+     * são convertidos), zero aceito em colunas AUTO_INCREMENT e foreign keys desligadas
+     * @returns {Array<string>} Linhas do script
+     */
+    preamble() {
+        return [
+            'SET NAMES utf8mb4;',
+            "SET time_zone = '+00:00';",
+            "SET @OLD_SQL_MODE = @@SQL_MODE, SQL_MODE = 'NO_AUTO_VALUE_ON_ZERO';",
+            'SET FOREIGN_KEY_CHECKS = 0;',
+            ''
+        ];
+    }
+
+    /**
+     * Comandos depois dos dados
+     * @returns {Array<string>} Linhas do script
+     */
+    postamble() {
+        return ['SET FOREIGN_KEY_CHECKS = 1;', 'SET SQL_MODE = @OLD_SQL_MODE;', ''];
+    }
+
+    /**
+     * Ajusta o AUTO_INCREMENT das tabelas com os valores das sequences do dump
+     * @param {Array<Object>} sequences - Sequences com a tabela de destino ({ sequence, table, column })
+     * @returns {Array<string>} Linhas do script
+     */
+    sequenceAdjustment(sequences) {
+        if (sequences.length === 0) return [];
+        const lines = ['-- Restaurar o AUTO_INCREMENT com os valores das sequences do banco de origem'];
+        for (const { sequence, table, column } of sequences) {
+            const next = sequence.isCalled ? BigInt(sequence.value) + 1n : BigInt(sequence.value);
+            lines.push(`ALTER TABLE ${table} AUTO_INCREMENT = ${next}; -- ${sequence.schema}.${sequence.name} (${column})`);
+        }
+        lines.push('');
+        return lines;
+    }
+}
+
+/**
+ * Cria o dialeto de destino
+ * @param {string} name - Nome do dialeto: sqlite ou mysql
+ * @returns {SqlDialect} Dialeto
+ */
+function createDialect(name) {
+    switch (name) {
+        case 'sqlite':
+            return new SqliteDialect();
+        case 'mysql':
+            return new MysqlDialect();
+        default:
+            throw new Error(`Dialeto inválido: ${name} (use ${DIALECTS.join(', ')})`);
+    }
+}
+
+module.exports = { DIALECTS, SqliteDialect, MysqlDialect, createDialect, toUtcTimestamp, byteaToHex };
@@ -0,0 +1,178 @@
+/**
+ * Funções auxiliares para interpretar trechos de DDL do dump
+ */
+
+/**
+ * Encontra o parêntese que fecha o parêntese aberto na posição informada
+ * @param {string} text - Texto SQL
+ * @param {number} openIndex - Posição do parêntese de abertura
+ * @returns {number} Posição do parêntese de fechamento ou -1
+ */
+function findMatchingParen(text, openIndex) {
+    let depth = 0;
+    let quote = null;
+
+    for (let i = openIndex; i < text.length; i++) {
+        const char = text[i];
+
+        if (quote) {
+            if (char === quote) {
+                if (text[i + 1] === quote) {
+                    i++;
+                } else {
+                    quote = null;
+                }
+            }
+            continue;
+        }
+
+        if (char === '\'' || char === '"') {
+            quote = char;
+        } else if (char === '(') {
+            depth++;
+        } else if (char === ')') {
+            depth--;
+            if (depth === 0) {
+                return i;
+            }
+        }
+    }
+
+    return -1;
+}
+
+/**
+ * Divide um texto SQL pelo separador, ignorando separadores dentro de parênteses e aspas
+ * @param {string} text - Texto SQL
+ * @param {string} [separator=','] - Caractere separador
+ * @returns {Array<string>} Partes sem espaços nas extremidades
+ */
+function splitTopLevel(text, separator = ',') {
+    const parts = [];
+    let depth = 0;
+    let quote = null;
+    let start = 0;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quote) {
+            if (char === quote) {
+                if (text[i + 1] === quote) {
+                    i++;
+                } else {
+                    quote = null;
+                }
+            }
+            continue;
+        }
+
+        if (char === '\'' || char === '"') {
+            quote = char;
+        } else if (char === '(' || char === '[') {
+            depth++;
+        } else if (char === ')' || char === ']') {
+            depth--;
+        } else if (char === separator && depth === 0) {
+            parts.push(text.slice(start, i).trim());
+            start = i + 1;
+        }
+    }
+
+    const last = text.slice(start).trim();
+    if (last) {
+        parts.push(last);
+    }
+
+    return parts;
+}
+
+/**
+ * Quebra um trecho SQL em tokens de nível superior. Grupos entre parênteses,
+ * strings e identificadores entre aspas viram um único token.
+ * @param {string} text - Texto SQL
+ * @returns {Array<{value: string, upper: string, kind: string, start: number, end: number}>} Tokens
+ */
+function tokenize(text) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < text.length) {
+        const char = text[i];
+
+        if (/\s/.test(char)) {
+            i++;
+            continue;
+        }
+
+        const start = i;
+        let kind;
+
+        if (char === '(') {
+            const end = findMatchingParen(text, i);
+            i = end === -1 ? text.length : end + 1;
+            kind = 'group';
+        } else if (char === '\'' || char === '"') {
+            i++;
+            while (i < text.length) {
+                if (text[i] === char) {
+                    if (text[i + 1] === char) {
+                        i += 2;
+                        continue;
+                    }
+                    i++;
+                    break;
+                }
+                i++;
+            }
+            kind = char === '\'' ? 'string' : 'identifier';
+        } else if (/[\w$]/.test(char)) {
+            while (i < text.length && /[\w$.]/.test(text[i])) {
+                i++;
+            }
+            kind = 'word';
+        } else if (char === ':' && text[i + 1] === ':') {
+            i += 2;
+            kind = 'symbol';
+        } else {
+            i++;
+            kind = 'symbol';
+        }
+
+        const value = text.slice(start, i);
+        tokens.push({ value, upper: kind === 'word' ? value.toUpperCase() : value, kind, start, end: i });
+    }
+
+    return tokens;
+}
+
+/**
+ * Lê um nome (possivelmente qualificado) no início do texto
+ * @param {string} text - Texto SQL
+ * @returns {{name: string, rest: string}|null} Nome lido e o restante do texto
+ */
+function readQualifiedName(text) {
+    const match = text.match(/^\s*((?:"(?:[^"]|"")*"|[\w$]+)(?:\s*\.\s*(?:"(?:[^"]|"")*"|[\w$]+))*)/);
+    if (!match) {
+        return null;
+    }
+    return { name: match[1].replace(/\s*\.\s*/g, '.'), rest: text.slice(match[0].length) };
+}
+
+/**
+ * Converte a lista de colunas de uma constraint (ex.: ("userId", kind)) em nomes
+ * @param {string} group - Texto entre parênteses, com ou sem os parênteses
+ * @returns {Array<string>} Identificadores como aparecem no SQL
+ */
+function parseIdentifierList(group) {
+    const inner = group.trim().replace(/^\(/, '').replace(/\)$/, '');
+    return splitTopLevel(inner);
+}
+
+module.exports = {
+    findMatchingParen,
+    splitTopLevel,
+    tokenize,
+    readQualifiedName,
+    parseIdentifierList
+};
@@ -0,0 +1,125 @@
+/**
+ * Classe para agrupar linhas de SQL em comandos completos, respeitando strings,
+ * identificadores entre aspas, blocos dollar-quoted ($$ ... $$) e comentários
+ */
+class StatementSplitter {
+    constructor() {
+        this.buffer = [];
+        this.startLine = null;
+        this.quote = null;
+        this.escapeString = false;
+        this.dollarTag = null;
+        this.commentDepth = 0;
+    }
+
+    /**
+     * Adiciona uma linha ao comando em construção
+     * @param {string} line - Linha de SQL
+     * @param {number} lineNumber - Número da linha no dump
+     * @returns {Array<{sql: string, lineNumber: number}>} Comandos finalizados nesta linha
+     */
+    push(line, lineNumber) {
+        const statements = [];
+        let segmentStart = 0;
+        let i = 0;
+
+        while (i < line.length) {
+            const char = line[i];
+
+            if (this.dollarTag) {
+                if (char === '$' && line.startsWith(this.dollarTag, i)) {
+                    i += this.dollarTag.length;
+                    this.dollarTag = null;
+                    continue;
+                }
+                i++;
+                continue;
+            }
+
+            if (this.quote) {
+                if (this.escapeString && char === '\\') {
+                    i += 2;
+                    continue;
+                }
+                if (char === this.quote) {
+                    if (line[i + 1] === this.quote) {
+                        i += 2;
+                        continue;
+                    }
+                    this.quote = null;
+                    this.escapeString = false;
+                }
+                i++;
+                continue;
+            }
+
+            if (this.commentDepth > 0) {
+                if (char === '*' && line[i + 1] === '/') {
+                    this.commentDepth--;
+                    i += 2;
+                    continue;
+                }
+                if (char === '/' && line[i + 1] === '*') {
+                    this.commentDepth++;
+                    i += 2;
+                    continue;
+                }
+                i++;
+                continue;
+            }
+
+            if (char === '-' && line[i + 1] === '-') {
+                break;
+            }
+
+            if (char === '/' && line[i + 1] === '*') {
+                this.commentDepth++;
+                i += 2;
+                continue;
+            }
+
+            if (this.startLine === null && !/\s/.test(char)) {
+                this.startLine = lineNumber;
+            }
+
+            if (char === '\'' || char === '"') {
+                this.quote = char;
+                this.escapeString = char === '\'' && /[eE]/.test(line[i - 1] || '') && !/[\w$]/.test(line[i - 2] || '');
+            } else if (char === '$' && !/[\w$]/.test(line[i - 1] || '')) {
+                const tagMatch = line.slice(i).match(/^\$(?:[A-Za-z_][A-Za-z0-9_]*)?\$/);
+                if (tagMatch) {
+                    this.dollarTag = tagMatch[0];
+                    i += tagMatch[0].length;
+                    continue;
+                }
+            } else if (char === ';') {
+                this.buffer.push(line.slice(segmentStart, i + 1));
+                const sql = this.buffer.join('\n').trim();
+                if (sql !== ';') {
+                    statements.push({ sql, lineNumber: this.startLine });
+                }
+                this.buffer = [];
+                this.startLine = null;
+                segmentStart = i + 1;
+            }
+
+            i++;
+        }
+
+        if (this.startLine !== null) {
+            this.buffer.push(line.slice(segmentStart));
+        }
+
+        return statements;
+    }
+
+    /**
+     * Indica se existe um comando incompleto pendente
+     * @returns {boolean} true se há conteúdo acumulado
+     */
+    hasPending() {
+        return this.startLine !== null;
+    }
+}
+
+module.exports = StatementSplitter;
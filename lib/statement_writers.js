@@ -0,0 +1,263 @@
+const { encodeCopyLine } = require('./copy_format');
+
+const STAGING_TABLE = 'pg_temp.dump_processor_staging';
+
+/**
+ * Comandos da tabela temporária no PostgreSQL (os dialetos informam os seus)
+ */
+const POSTGRES_STAGING = {
+    table: STAGING_TABLE,
+    create: table => [`DROP TABLE IF EXISTS ${STAGING_TABLE};`, `CREATE TEMP TABLE ${STAGING_TABLE} (LIKE ${table});`],
+    drop: `DROP TABLE ${STAGING_TABLE};`
+};
+
+/**
+ * Classe para escrever os dados como INSERT INTO, com uma ou várias linhas por comando
+ */
+class InsertStatementWriter {
+    /**
+     * @param {ScriptWriter} output - Destino do script
+     * @param {Object} [options] - Opções de escrita
+     * @param {number} [options.batchSize=1] - Máximo de linhas por INSERT
+     * @param {number} [options.maxStatementBytes=1048576] - Tamanho máximo de cada INSERT em bytes
+     * @param {string} [options.conflictClause='ON CONFLICT DO NOTHING'] - Cláusula adicionada ao fim de cada INSERT
+     */
+    constructor(output, options = {}) {
+        this.output = output;
+        this.batchSize = options.batchSize || 1;
+        this.maxStatementBytes = options.maxStatementBytes || 1024 * 1024;
+        this.conflictClause = options.conflictClause === undefined ? 'ON CONFLICT DO NOTHING' : options.conflictClause;
+        this.usesSqlValues = true;
+        this.prefix = '';
+        this.suffix = '';
+        this.pending = [];
+        this.pendingBytes = 0;
+    }
+
+    /**
+     * Inicia a escrita dos dados de uma tabela
+     * @param {string} table - Nome da tabela como aparece no dump
+     * @param {Array<string>} columns - Colunas na ordem dos valores
+     * @param {Object} [options] - Opções da tabela
+     * @param {string} [options.conflictClause] - Cláusula de conflito desta tabela, no lugar da padrão
+     * @param {string} [options.insertCommand='INSERT INTO'] - Início do comando (ex.: INSERT OR IGNORE INTO no SQLite)
+     * @param {boolean} [options.overriding=false] - Acrescenta OVERRIDING SYSTEM VALUE (colunas identity GENERATED ALWAYS)
+     */
+    async startTable(table, columns, options = {}) {
+        const conflictClause = options.conflictClause === undefined ? this.conflictClause : options.conflictClause;
+        const overriding = options.overriding ? 'OVERRIDING SYSTEM VALUE ' : '';
+        this.prefix = `${options.insertCommand || 'INSERT INTO'} ${table} (${columns.join(', ')}) ${overriding}VALUES `;
+        this.suffix = conflictClause ? ` ${conflictClause};` : ';';
+        this.pending = [];
+        this.pendingBytes = Buffer.byteLength(this.prefix) + Buffer.byteLength(this.suffix);
+    }
+
+    /**
+     * Escreve uma linha de dados
+     * @param {Object} row - Linha com os valores já formatados em row.sqlValues
+     */
+    async writeRow(row) {
+        const tuple = `(${row.sqlValues.join(', ')})`;
+
+        if (this.batchSize === 1) {
+            await this.output.writeLine(this.prefix + tuple + this.suffix);
+            return;
+        }
+
+        const tupleBytes = Buffer.byteLength(tuple) + 2;
+        if (this.pending.length > 0 && this.pendingBytes + tupleBytes > this.maxStatementBytes) {
+            await this.flush();
+        }
+
+        this.pending.push(tuple);
+        this.pendingBytes += tupleBytes;
+
+        if (this.pending.length >= this.batchSize) {
+            await this.flush();
+        }
+    }
+
+    /**
+     * Escreve o INSERT com as linhas acumuladas
+     */
+    async flush() {
+        if (this.pending.length === 0) return;
+
+        await this.output.writeLine(this.prefix.trimEnd());
+        await this.output.writeLine(this.pending.join(',\n') + this.suffix);
+
+        this.pending = [];
+        this.pendingBytes = Buffer.byteLength(this.prefix) + Buffer.byteLength(this.suffix);
+    }
+
+    /**
+     * Finaliza a escrita dos dados da tabela atual
+     */
+    async endTable() {
+        await this.flush();
+    }
+}
+
+/**
+ * Classe para escrever os dados como blocos COPY ... FROM stdin (execução via psql)
+ */
+class CopyStatementWriter {
+    /**
+     * @param {ScriptWriter} output - Destino do script
+     */
+    constructor(output) {
+        this.output = output;
+        this.usesSqlValues = false;
+    }
+
+    /**
+     * Inicia o bloco COPY de uma tabela
+     * @param {string} table - Nome da tabela como aparece no dump
+     * @param {Array<string>} columns - Colunas na ordem dos valores
+     */
+    async startTable(table, columns) {
+        await this.output.writeLine(`COPY ${table} (${columns.join(', ')}) FROM stdin;`);
+    }
+
+    /**
+     * Escreve uma linha de dados no formato texto do COPY. Usa a linha original do dump
+     * quando disponível e recodifica os valores caso contrário.
+     * @param {Object} row - Linha com row.line (original) e/ou row.values (decodificados)
+     */
+    async writeRow(row) {
+        await this.output.writeLine(row.line !== null && row.line !== undefined ? row.line : encodeCopyLine(row.values));
+    }
+
+    /**
+     * Finaliza o bloco COPY
+     */
+    async endTable() {
+        await this.output.writeLine('\\.');
+    }
+}
+
+/**
+ * Classe que carrega os dados de uma tabela numa tabela temporária com a mesma
+ * estrutura e os transfere com um único INSERT ... SELECT. Permite cláusulas de
+ * conflito em blocos COPY e a condição "somente se a tabela estiver vazia",
+ * avaliada uma única vez antes da transferência.
+ */
+class StagingStatementWriter {
+    /**
+     * @param {InsertStatementWriter|CopyStatementWriter} inner - Escritor usado para carregar a tabela temporária
+     * @param {ScriptWriter} output - Destino do script
+     * @param {Object} [options] - Opções da transferência
+     * @param {string} [options.conflictClause=''] - Cláusula de conflito do INSERT ... SELECT
+     * @param {boolean} [options.onlyIfEmpty=false] - Transfere apenas se a tabela de destino estiver vazia
+     * @param {Object} [options.staging] - Nome e comandos de criação e remoção da tabela temporária
+     *   ({ table, create(tabela), drop }); o padrão é o do PostgreSQL
+     */
+    constructor(inner, output, options = {}) {
+        this.inner = inner;
+        this.output = output;
+        this.staging = options.staging || POSTGRES_STAGING;
+        this.conflictClause = options.conflictClause || '';
+        this.onlyIfEmpty = options.onlyIfEmpty === true;
+        this.usesSqlValues = inner.usesSqlValues;
+        this.table = null;
+        this.columns = [];
+        this.overriding = false;
+        this.insertCommand = 'INSERT INTO';
+    }
+
+    /**
+     * Cria a tabela temporária e inicia a carga
+     * @param {string} table - Nome da tabela como aparece no dump
+     * @param {Array<string>} columns - Colunas na ordem dos valores
+     * @param {Object} [options] - Opções da tabela
+     * @param {boolean} [options.overriding=false] - Transfere com OVERRIDING SYSTEM VALUE (colunas identity GENERATED ALWAYS)
+     * @param {string} [options.insertCommand='INSERT INTO'] - Início do comando de transferência
+     */
+    async startTable(table, columns, options = {}) {
+        this.table = table;
+        this.columns = columns;
+        this.overriding = options.overriding === true;
+        this.insertCommand = options.insertCommand || 'INSERT INTO';
+        await this.output.writeLines(this.staging.create(table));
+        await this.inner.startTable(this.staging.table, columns, { conflictClause: '' });
+    }
+
+    /**
+     * Escreve uma linha na tabela temporária
+     * @param {Object} row - Linha no formato esperado pelo escritor interno
+     */
+    async writeRow(row) {
+        await this.inner.writeRow(row);
+    }
+
+    /**
+     * Transfere os dados para a tabela de destino e remove a tabela temporária
+     */
+    async endTable() {
+        await this.inner.endTable();
+
+        const columnList = this.columns.join(', ');
+        const overriding = this.overriding ? ' OVERRIDING SYSTEM VALUE' : '';
+        let statement = `${this.insertCommand} ${this.table} (${columnList})${overriding} SELECT ${columnList} FROM ${this.staging.table}`;
+        if (this.onlyIfEmpty) {
+            statement += ` WHERE NOT EXISTS (SELECT 1 FROM ${this.table})`;
+        }
+        if (this.conflictClause) {
+            statement += ` ${this.conflictClause}`;
+        }
+
+        await this.output.writeLines([`${statement};`, this.staging.drop]);
+    }
+}
+
+// Escritores registrados por registerStatementWriter, consultados antes dos modos padrão
+const customWriters = new Map();
+
+/**
+ * Registra um escritor de comandos para um modo de saída, que passa a valer em
+ * createStatementWriter (e em --mode). O escritor precisa de startTable, writeRow e
+ * endTable; com usesSqlValues = true recebe os valores já formatados em row.sqlValues.
+ * Na conversão paralela (workers), row.values fica null: sem usesSqlValues, a linha
+ * convertida vem em row.line.
+ * @param {string} mode - Nome do modo (substitui um modo padrão de mesmo nome)
+ * @param {Function} factory - Recebe (output, options) e retorna o escritor
+ */
+function registerStatementWriter(mode, factory) {
+    if (typeof factory !== 'function') {
+        throw new Error(`Escritor do modo ${mode} precisa ser uma função (output, options) => escritor`);
+    }
+    customWriters.set(mode, factory);
+}
+
+/**
+ * Cria o escritor de comandos correspondente ao modo de saída
+ * @param {string} mode - Modo de saída: insert, batch, copy ou um modo registrado
+ * @param {ScriptWriter} output - Destino do script
+ * @param {Object} [options] - Opções do escritor
+ * @returns {InsertStatementWriter|CopyStatementWriter|Object} Escritor de comandos
+ */
+function createStatementWriter(mode, output, options = {}) {
+    if (customWriters.has(mode)) {
+        return customWriters.get(mode)(output, options);
+    }
+    switch (mode) {
+        case 'insert':
+            return new InsertStatementWriter(output, { ...options, batchSize: 1 });
+        case 'batch':
+            return new InsertStatementWriter(output, { ...options, batchSize: options.batchSize || 1000 });
+        case 'copy':
+            return new CopyStatementWriter(output);
+        default: {
+            const modes = ['insert', 'batch', 'copy', ...customWriters.keys()];
+            throw new Error(`Modo de saída inválido: ${mode} (use ${modes.slice(0, -1).join(', ')} ou ${modes[modes.length - 1]})`);
+        }
+    }
+}
+
+module.exports = {
+    InsertStatementWriter,
+    CopyStatementWriter,
+    StagingStatementWriter,
+    createStatementWriter,
+    registerStatementWriter
+};
@@ -0,0 +1,262 @@
+const crypto = require('crypto');
+const { objectKey, unquoteIdentifier } = require('./identifiers');
+const { decodeCopyLine } = require('./copy_format');
+const { parsePredicate } = require('./row_predicate');
+
+/**
+ * Interpreta as sementes do subconjunto no formato tabela:filtro ou tabela:N%
+ * @param {Array<string>} entries - Itens informados (ex.: ['public.customers:id = 42', 'orders:5%'])
+ * @returns {Array<{table: string, predicate: Object|null, percent: number|null, text: string}>} Sementes
+ */
+function parseSubsetSeeds(entries) {
+    return entries.map(entry => {
+        const separator = entry.indexOf(':');
+        if (separator <= 0) {
+            throw new Error(`Valor inválido para --subset: ${entry} (use tabela:filtro ou tabela:N%)`);
+        }
+
+        const table = objectKey(entry.slice(0, separator).trim());
+        const text = entry.slice(separator + 1).trim();
+        const sample = text.match(/^(\d+(?:\.\d+)?)\s*%$/);
+        if (sample) {
+            const percent = parseFloat(sample[1]);
+            if (percent <= 0 || percent > 100) {
+                throw new Error(`Percentual inválido em --subset: ${entry}`);
+            }
+            return { table, predicate: null, percent, text };
+        }
+        return { table, predicate: parsePredicate(text), percent: null, text };
+    });
+}
+
+/**
+ * Classe que seleciona um subconjunto referencialmente consistente do dump. Parte das
+ * linhas que atendem às sementes e segue as foreign keys do catálogo nos dois sentidos:
+ * - para cima: toda linha selecionada traz as linhas-pai que ela referencia;
+ * - para baixo: as sementes e as linhas trazidas como filhas trazem suas linhas-filhas.
+ * Linhas trazidas apenas como pai não puxam suas filhas, para que o subconjunto não
+ * cresça até o dump inteiro (ex.: o produto de um pedido não traz todos os pedidos do produto).
+ * As linhas são identificadas pelo número da linha no dump.
+ */
+class SubsetSelector {
+    /**
+     * @param {SchemaCatalog} catalog - Catálogo com as tabelas e foreign keys do dump
+     * @param {Array<Object>} seeds - Sementes (ver parseSubsetSeeds)
+     */
+    constructor(catalog, seeds) {
+        this.catalog = catalog;
+        this.seeds = seeds;
+        this.selected = new Map();
+        this.required = new Map();
+        this.children = new Map();
+        this.dirty = new Set();
+        this.passes = 0;
+    }
+
+    /**
+     * Lê os blocos COPY quantas vezes forem necessárias até que nenhuma linha nova seja selecionada
+     * @param {DumpReader} reader - Leitor do dump
+     * @param {Array<Object>} blocks - Blocos do índice do dump
+     */
+    async select(reader, blocks) {
+        const tables = new Set(blocks.map(block => block.key));
+        this.foreignKeys = this.collectForeignKeys(tables);
+
+        this.seeds.forEach(seed => {
+            if (!tables.has(seed.table)) {
+                // Aceita o nome sem as aspas que o PostgreSQL exigiria (ex.: Users para "Users")
+                const match = [...tables].find(table => table.toLowerCase() === seed.table.toLowerCase());
+                if (!match) {
+                    throw new Error(`Tabela da semente do subconjunto não encontrada no dump: ${seed.table}`);
+                }
+                seed.table = match;
+            }
+            this.dirty.add(seed.table);
+        });
+
+        while (this.dirty.size > 0) {
+            const pending = this.dirty;
+            this.dirty = new Set();
+            this.passes++;
+
+            for (const block of blocks) {
+                if (pending.has(block.key)) {
+                    await this.scanBlock(reader, block);
+                }
+            }
+        }
+    }
+
+    /**
+     * Foreign keys entre tabelas presentes no dump, com as colunas referenciadas resolvidas
+     * @param {Set<string>} tables - Chaves das tabelas com dados
+     * @returns {Array<Object>} Foreign keys: { id, table, columns, refTable, refColumns }
+     */
+    collectForeignKeys(tables) {
+        const foreignKeys = [];
+        for (const key of tables) {
+            const table = this.catalog.tables[key];
+            if (!table) continue;
+
+            table.foreignKeys.forEach(fk => {
+                const parent = this.catalog.tables[fk.refTable];
+                const refColumns = fk.refColumns || (parent && parent.primaryKey ? parent.primaryKey.columns : null);
+                if (!tables.has(fk.refTable) || !refColumns) return;
+                foreignKeys.push({ id: foreignKeys.length, table: key, columns: fk.columns, refTable: fk.refTable, refColumns });
+            });
+        }
+        return foreignKeys;
+    }
+
+    /**
+     * Avalia as linhas de um bloco COPY e seleciona as que atendem às sementes ou às
+     * foreign keys das linhas já selecionadas
+     * @param {DumpReader} reader - Leitor do dump
+     * @param {Object} block - Bloco do índice
+     */
+    async scanBlock(reader, block) {
+        const names = block.columns.map(unquoteIdentifier);
+        const position = new Map(names.map((name, i) => [name, i]));
+        const seeds = this.seeds.filter(seed => seed.table === block.key);
+        const outgoing = this.foreignKeys.filter(fk => fk.table === block.key);
+        const incoming = this.foreignKeys.filter(fk => fk.refTable === block.key);
+        const indexesOf = columns => columns.map(column => position.get(column));
+
+        seeds.forEach(seed => {
+            const missing = seed.predicate ? seed.predicate.columns.filter(column => !position.has(column)) : [];
+            if (missing.length > 0) {
+                throw new Error(`Semente do subconjunto ${seed.table}:${seed.text} usa colunas inexistentes: ${missing.join(', ')}`);
+            }
+        });
+
+        const selected = this.entryOf(this.selected, block.key, () => new Map());
+        const requiredSets = incoming.map(fk => this.valuesOf(this.required, fk));
+        const childSets = outgoing.map(fk => this.valuesOf(this.children, fk));
+
+        for await (const event of reader.blockEvents(block)) {
+            if (event.type !== 'row') continue;
+
+            const current = selected.get(event.lineNumber);
+            if (current === 'down') continue;
+
+            const values = decodeCopyLine(event.line);
+            const tupleOf = columns => tupleKey(indexesOf(columns).map(i => values[i]));
+
+            let mode = null;
+            if (seeds.some(seed => this.matchesSeed(seed, block.key, event.line, names, values))) {
+                mode = 'down';
+            } else if (outgoing.some((fk, i) => childSets[i].has(tupleOf(fk.columns)))) {
+                mode = 'down';
+            } else if (!current && incoming.some((fk, i) => requiredSets[i].has(tupleOf(fk.refColumns)))) {
+                mode = 'up';
+            }
+            if (!mode || mode === current) continue;
+
+            selected.set(event.lineNumber, mode);
+
+            if (!current) {
+                outgoing.forEach(fk => this.addValue(this.required, fk, fk.refTable, tupleOf(fk.columns)));
+            }
+            if (mode === 'down') {
+                incoming.forEach(fk => this.addValue(this.children, fk, fk.table, tupleOf(fk.refColumns)));
+            }
+        }
+    }
+
+    /**
+     * Verifica se uma linha atende a uma semente
+     * @param {Object} seed - Semente
+     * @param {string} table - Chave da tabela
+     * @param {string} line - Linha original do COPY, usada na amostragem
+     * @param {Array<string>} names - Colunas do COPY
+     * @param {Array<string|null>} values - Valores decodificados
+     * @returns {boolean} true se a linha atende
+     */
+    matchesSeed(seed, table, line, names, values) {
+        if (seed.percent !== null) {
+            const hash = crypto.createHash('sha1').update(`${table}\0${line}`).digest();
+            return hash.readUInt32BE(0) / 0x100000000 * 100 < seed.percent;
+        }
+        const row = {};
+        names.forEach((name, i) => {
+            row[name] = values[i];
+        });
+        return seed.predicate.test(row);
+    }
+
+    /**
+     * Conjunto associado a uma chave, criado na primeira consulta
+     * @param {Map} map - Mapa de conjuntos
+     * @param {*} key - Chave
+     * @param {Function} create - Cria o conjunto
+     * @returns {*} Conjunto
+     */
+    entryOf(map, key, create) {
+        if (!map.has(key)) {
+            map.set(key, create());
+        }
+        return map.get(key);
+    }
+
+    /**
+     * Valores de chave registrados para uma foreign key
+     * @param {Map} map - Valores exigidos (pais) ou liberados (filhos)
+     * @param {Object} fk - Foreign key
+     * @returns {Set<string>} Valores
+     */
+    valuesOf(map, fk) {
+        return this.entryOf(map, fk.id, () => new Set());
+    }
+
+    /**
+     * Registra um valor de chave e marca a tabela afetada para nova leitura
+     * @param {Map} map - Valores exigidos (pais) ou liberados (filhos)
+     * @param {Object} fk - Foreign key
+     * @param {string} table - Tabela que precisa ser lida de novo
+     * @param {string|null} tuple - Valor da chave (null se alguma coluna for NULL)
+     */
+    addValue(map, fk, table, tuple) {
+        if (tuple === null) return;
+        const values = this.valuesOf(map, fk);
+        if (!values.has(tuple)) {
+            values.add(tuple);
+            this.dirty.add(table);
+        }
+    }
+
+    /**
+     * Verifica se uma linha foi selecionada
+     * @param {string} table - Chave da tabela
+     * @param {number} lineNumber - Número da linha no dump
+     * @returns {boolean} true se a linha faz parte do subconjunto
+     */
+    includes(table, lineNumber) {
+        const selected = this.selected.get(table);
+        return Boolean(selected && selected.has(lineNumber));
+    }
+
+    /**
+     * Quantidade de linhas selecionadas por tabela
+     * @returns {Array<{table: string, rows: number}>} Linhas por tabela
+     */
+    report() {
+        return [...this.selected.entries()]
+            .filter(([, rows]) => rows.size > 0)
+            .map(([table, rows]) => ({ table, rows: rows.size }));
+    }
+}
+
+/**
+ * Chave de comparação dos valores de uma foreign key (null se algum valor for NULL,
+ * pois a referência não é verificada nesse caso)
+ * @param {Array<string|null>} values - Valores das colunas
+ * @returns {string|null} Chave
+ */
+function tupleKey(values) {
+    if (values.some(value => value === null || value === undefined)) {
+        return null;
+    }
+    return values.length === 1 ? values[0] : JSON.stringify(values);
+}
+
+module.exports = { SubsetSelector, parseSubsetSeeds };
@@ -0,0 +1,209 @@
+/**
+ * Codificações de dumps aceitas, com os nomes do PostgreSQL. O script gerado é sempre
+ * UTF-8: as demais são convertidas na leitura, linha a linha, sem dependências nativas.
+ * SQL_ASCII não declara codificação nenhuma e é lida como UTF-8.
+ */
+const ENCODINGS = ['UTF8', 'LATIN1', 'LATIN9', 'WIN1252', 'SQL_ASCII'];
+
+// Nomes alternativos aceitos pelo PostgreSQL (sem separadores, em maiúsculas)
+const ALIASES = {
+    UTF8: 'UTF8',
+    UNICODE: 'UTF8',
+    LATIN1: 'LATIN1',
+    ISO88591: 'LATIN1',
+    LATIN9: 'LATIN9',
+    ISO885915: 'LATIN9',
+    WIN1252: 'WIN1252',
+    WINDOWS1252: 'WIN1252',
+    CP1252: 'WIN1252',
+    SQLASCII: 'SQL_ASCII'
+};
+
+// Caracteres que diferem do LATIN1 em cada página de código; null marca os bytes sem equivalente
+const CODE_PAGES = {
+    LATIN1: null,
+    LATIN9: {
+        pattern: /[\xa4\xa6\xa8\xb4\xb8\xbc-\xbe]/g,
+        chars: {
+            0xa4: '€', 0xa6: 'Š', 0xa8: 'š', 0xb4: 'Ž',
+            0xb8: 'ž', 0xbc: 'Œ', 0xbd: 'œ', 0xbe: 'Ÿ'
+        }
+    },
+    WIN1252: {
+        pattern: /[\x80-\x9f]/g,
+        chars: {
+            0x80: '€', 0x81: null, 0x82: '‚', 0x83: 'ƒ', 0x84: '„', 0x85: '…', 0x86: '†', 0x87: '‡',
+            0x88: 'ˆ', 0x89: '‰', 0x8a: 'Š', 0x8b: '‹', 0x8c: 'Œ', 0x8d: null, 0x8e: 'Ž', 0x8f: null,
+            0x90: null, 0x91: '‘', 0x92: '’', 0x93: '“', 0x94: '”', 0x95: '•', 0x96: '–', 0x97: '—',
+            0x98: '˜', 0x99: '™', 0x9a: 'š', 0x9b: '›', 0x9c: 'œ', 0x9d: null, 0x9e: 'ž', 0x9f: 'Ÿ'
+        }
+    }
+};
+
+const CLIENT_ENCODING = /^SET\s+client_encoding\s*(?:=|TO)\s*'([^']*)'/i;
+const TAB = 0x09;
+const REPLACEMENT = '\uFFFD';
+
+/**
+ * Converte o nome de uma codificação para o nome do PostgreSQL
+ * @param {string} name - Nome informado (ex.: latin1, ISO-8859-1, windows-1252)
+ * @returns {string|null} Codificação de ENCODINGS, ou null se não for suportada
+ */
+function normalizeEncoding(name) {
+    return ALIASES[String(name).toUpperCase().replace(/[^A-Z0-9]/g, '')] || null;
+}
+
+/**
+ * Posições dos bytes que não formam uma sequência UTF-8 válida (o byte inicial de cada
+ * sequência inválida)
+ * @param {Buffer} buffer - Bytes da linha
+ * @returns {Array<number>} Posições em bytes
+ */
+function invalidUtf8Offsets(buffer) {
+    const offsets = [];
+    let i = 0;
+    while (i < buffer.length) {
+        const byte = buffer[i];
+        if (byte < 0x80) {
+            i++;
+            continue;
+        }
+        const length = byte >= 0xc2 && byte <= 0xdf ? 2 : byte >= 0xe0 && byte <= 0xef ? 3 : byte >= 0xf0 && byte <= 0xf4 ? 4 : 0;
+        const low = byte === 0xe0 ? 0xa0 : byte === 0xf0 ? 0x90 : 0x80;
+        const high = byte === 0xed ? 0x9f : byte === 0xf4 ? 0x8f : 0xbf;
+        let valid = length > 0 && i + length <= buffer.length && buffer[i + 1] >= low && buffer[i + 1] <= high;
+        for (let j = 2; valid && j < length; j++) {
+            valid = (buffer[i + j] & 0xc0) === 0x80;
+        }
+        if (!valid) {
+            offsets.push(i);
+            i++;
+            continue;
+        }
+        i += length;
+    }
+    return offsets;
+}
+
+/**
+ * Decodificação das linhas do dump na codificação declarada pelo SET client_encoding
+ * do próprio dump ou na informada pelo usuário. Até o SET, as linhas são lidas como UTF-8
+ * (o cabeçalho do pg_dump é ASCII). Depois de cada decode, invalid lista os bytes sem
+ * equivalente, trocados por U+FFFD, ou é null quando a linha foi convertida por inteiro.
+ */
+class TextDecoding {
+    /**
+     * @param {string|null} [encoding=null] - Codificação do dump; null usa a declarada no dump
+     */
+    constructor(encoding = null) {
+        this.fixed = Boolean(encoding);
+        this.encoding = 'UTF8';
+        this.declared = null;
+        this.invalid = null;
+        if (encoding) {
+            this.setEncoding(encoding);
+        }
+    }
+
+    /**
+     * Troca a codificação usada nas próximas linhas
+     * @param {string} name - Nome da codificação
+     */
+    setEncoding(name) {
+        const encoding = normalizeEncoding(name);
+        if (!encoding) {
+            throw new Error(`Codificação não suportada: ${name} (use ${ENCODINGS.join(', ')})`);
+        }
+        this.encoding = encoding;
+    }
+
+    /**
+     * Indica se o texto é convertido para UTF-8 (o dump não está em UTF-8 nem em SQL_ASCII)
+     * @returns {boolean} true para LATIN1, LATIN9 e WIN1252
+     */
+    get transcoded() {
+        return this.encoding !== 'UTF8' && this.encoding !== 'SQL_ASCII';
+    }
+
+    /**
+     * Adota a codificação de um SET client_encoding do dump, a menos que outra tenha sido informada
+     * @param {string} line - Linha de SQL fora dos blocos COPY
+     * @returns {boolean} true se a linha declarava a codificação
+     */
+    detect(line) {
+        if (!line.startsWith('SET')) return false;
+        const match = line.match(CLIENT_ENCODING);
+        if (!match) return false;
+        this.declared = match[1];
+        if (!this.fixed) {
+            if (!normalizeEncoding(match[1])) {
+                throw new Error(`Codificação ${match[1]} do dump não suportada: informe outra com --encoding (${ENCODINGS.join(', ')})`);
+            }
+            this.setEncoding(match[1]);
+        }
+        return true;
+    }
+
+    /**
+     * Decodifica uma linha, registrando em invalid os bytes sem equivalente e o campo
+     * (separado por tabulação, como nas linhas do COPY) em que aparecem
+     * @param {Buffer} buffer - Bytes da linha, sem a quebra de linha
+     * @returns {string} Texto da linha
+     */
+    decode(buffer) {
+        this.invalid = null;
+        if (!this.transcoded) {
+            const text = buffer.toString('utf8');
+            if (text.includes(REPLACEMENT)) {
+                const offsets = invalidUtf8Offsets(buffer);
+                if (offsets.length > 0) {
+                    this.invalid = offsets.map(offset => ({ byte: buffer[offset], field: countTabs(buffer, offset) }));
+                }
+            }
+            return text;
+        }
+
+        const text = buffer.toString('latin1');
+        const codePage = CODE_PAGES[this.encoding];
+        if (!codePage) return text;
+        codePage.pattern.lastIndex = 0;
+        if (!codePage.pattern.test(text)) return text;
+        return text.replace(codePage.pattern, (char, offset) => {
+            const converted = codePage.chars[char.charCodeAt(0)];
+            if (converted) return converted;
+            this.invalid = this.invalid || [];
+            this.invalid.push({ byte: buffer[offset], field: countTabs(buffer, offset) });
+            return REPLACEMENT;
+        });
+    }
+}
+
+/**
+ * Conta as tabulações antes de uma posição: o índice do campo do COPY
+ * @param {Buffer} buffer - Bytes da linha
+ * @param {number} offset - Posição em bytes
+ * @returns {number} Índice do campo
+ */
+function countTabs(buffer, offset) {
+    let count = 0;
+    for (let i = buffer.indexOf(TAB); i !== -1 && i < offset; i = buffer.indexOf(TAB, i + 1)) {
+        count++;
+    }
+    return count;
+}
+
+/**
+ * Descreve os bytes não convertidos de um trecho para as mensagens
+ * (ex.: bytes 0x81 0x9d sem equivalente em WIN1252)
+ * @param {Array<{byte: number}>} invalid - Bytes registrados por TextDecoding.decode
+ * @param {string} encoding - Codificação do dump
+ * @returns {string} Descrição
+ */
+function describeInvalidBytes(invalid, encoding) {
+    const bytes = invalid.map(({ byte }) => `0x${byte.toString(16).padStart(2, '0')}`).join(' ');
+    return encoding === 'UTF8' || encoding === 'SQL_ASCII'
+        ? `bytes ${bytes} inválidos em UTF-8`
+        : `bytes ${bytes} sem equivalente em ${encoding}`;
+}
+
+module.exports = { TextDecoding, ENCODINGS, normalizeEncoding, describeInvalidBytes };
@@ -0,0 +1,182 @@
+/**
+ * Interpreta um literal de array do PostgreSQL (ex.: {a,"b c",NULL,{1,2}})
+ * @param {string} text - Literal do array
+ * @returns {Array} Elementos (texto, null ou arrays aninhados)
+ */
+function parsePgArray(text) {
+    let position = text.indexOf('{');
+    if (position === -1) {
+        throw new Error(`Array inválido: ${text}`);
+    }
+
+    const parseLevel = () => {
+        const items = [];
+        position++;
+        while (position < text.length && text[position] !== '}') {
+            const char = text[position];
+            if (char === ',') {
+                position++;
+            } else if (char === '{') {
+                items.push(parseLevel());
+            } else if (char === '"') {
+                let value = '';
+                position++;
+                while (position < text.length && text[position] !== '"') {
+                    if (text[position] === '\\') position++;
+                    value += text[position++];
+                }
+                position++;
+                items.push(value);
+            } else {
+                const end = text.slice(position).search(/[,}]/);
+                const value = text.slice(position, position + end).trim();
+                position += end;
+                items.push(value.toUpperCase() === 'NULL' ? null : value);
+            }
+        }
+        position++;
+        return items;
+    };
+
+    return parseLevel();
+}
+
+/**
+ * Escreve uma lista como literal de array do PostgreSQL
+ * @param {Array} items - Elementos (texto, números, booleanos, null ou listas aninhadas)
+ * @returns {string} Literal do array
+ */
+function formatPgArray(items) {
+    return `{${items.map(item => {
+        if (item === null || item === undefined) return 'NULL';
+        if (Array.isArray(item)) return formatPgArray(item);
+        if (typeof item === 'object') item = JSON.stringify(item);
+        const text = String(item);
+        return /^$|[{},"\\\s]|^null$/i.test(text) ? `"${text.replace(/["\\]/g, '\\$&')}"` : text;
+    }).join(',')}}`;
+}
+
+// Tipos numéricos cujos valores cabem sem perda num número JSON (double)
+const JSON_NUMBER_TYPES = new Set([
+    'smallint', 'int2', 'integer', 'int', 'int4', 'smallserial', 'serial', 'oid',
+    'real', 'float4', 'double precision', 'float8', 'float'
+]);
+
+// Maior precisão declarada de numeric(p, s) que um double guarda sem perda
+const MAX_JSON_NUMERIC_PRECISION = 15;
+
+/**
+ * Decide, pelo tipo da coluna, como os valores numéricos vão para o JSON: número para
+ * inteiros de até 32 bits, ponto flutuante e numeric com precisão declarada de até 15
+ * dígitos; texto para bigint, numeric sem precisão declarada ou maior e tipos
+ * desconhecidos. Todos os valores da coluna têm assim o mesmo tipo JSON.
+ * @param {string|null} typeText - Tipo declarado (de preferência com os domínios resolvidos)
+ * @returns {string} number ou string
+ */
+function jsonNumberType(typeText) {
+    if (!typeText) return 'string';
+    const type = typeText.replace(/^pg_catalog\./i, '').replace(/\s+/g, ' ').trim().toLowerCase();
+    const numeric = /^(?:numeric|decimal)\s*\(\s*(\d+)/.exec(type);
+    if (numeric) {
+        return Number(numeric[1]) <= MAX_JSON_NUMERIC_PRECISION ? 'number' : 'string';
+    }
+    return JSON_NUMBER_TYPES.has(type.replace(/\([^)]*\)/g, '').trim()) ? 'number' : 'string';
+}
+
+/**
+ * Converte um número do COPY no tipo JSON da coluna (ver jsonNumberType): em colunas
+ * de texto o valor segue como está; em colunas de número, NaN e Infinity, que o JSON
+ * não representa, viram null
+ * @param {string} value - Valor numérico do COPY
+ * @param {string} type - Tipo JSON da coluna: number ou string
+ * @returns {number|string|null} Número, o texto original ou null
+ */
+function toJsonNumber(value, type) {
+    if (type === 'string') return value;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Converte os elementos de um array do PostgreSQL em valores JSON, usando a
+ * categoria dos elementos para decidir entre número, booleano e texto
+ * @param {Array} items - Elementos do array
+ * @param {string} category - Categoria do tipo dos elementos
+ * @param {string} [numberType='string'] - Tipo JSON dos elementos numéricos (ver jsonNumberType)
+ * @returns {Array} Elementos em JSON
+ */
+function arrayToJson(items, category, numberType = 'string') {
+    return items.map(item => {
+        if (item === null) return null;
+        if (Array.isArray(item)) return arrayToJson(item, category, numberType);
+        if (category === 'integer' || category === 'numeric') return toJsonNumber(item, numberType);
+        if (category === 'boolean') return item === 't' || item === 'true';
+        if (category === 'json') return JSON.parse(item);
+        return item;
+    });
+}
+
+/**
+ * Tipo dos elementos de um tipo array (ex.: integer[] → integer, text ARRAY → text)
+ * @param {string} typeText - Tipo array como aparece no CREATE TABLE
+ * @returns {string} Tipo dos elementos
+ */
+function elementType(typeText) {
+    return typeText.replace(/\[\s*\d*\s*\]$|\s+ARRAY$/i, '');
+}
+
+/**
+ * Converte um valor do COPY entre categorias de tipo. Retorna undefined quando não há
+ * regra para o par de categorias; nesse caso o valor segue como está e a conversão
+ * fica a cargo do cast no banco.
+ * @param {string} value - Valor decodificado do COPY (nunca null)
+ * @param {{category: string, castType: string}} from - Tipo de origem (ValueFormatter.describe)
+ * @param {{category: string, castType: string}} to - Tipo de destino
+ * @param {{category: string}} [element] - Tipo dos elementos, quando a origem é array
+ * @returns {string|undefined} Valor convertido
+ */
+function convertValue(value, from, to, element) {
+    if (from.category === to.category && to.category !== 'datetime') {
+        return value;
+    }
+
+    switch (`${from.category}>${to.category}`) {
+        case 'boolean>integer':
+        case 'boolean>numeric':
+            return value === 't' ? '1' : '0';
+        case 'integer>boolean':
+        case 'numeric>boolean':
+            return Number(value) === 0 ? 'f' : 't';
+        case 'numeric>integer':
+            return String(Math.round(Number(value)));
+        case 'datetime>datetime':
+            // timestamp → date: mantém apenas a data; os demais pares ficam com o cast do banco
+            return /^date$/i.test(to.castType.trim()) ? value.slice(0, 10) : value;
+        case 'array>json':
+            return JSON.stringify(arrayToJson(parsePgArray(value), element ? element.category : 'text', element ? jsonNumberType(element.castType) : 'string'));
+        case 'json>array': {
+            const parsed = JSON.parse(value);
+            return Array.isArray(parsed) ? formatPgArray(parsed) : undefined;
+        }
+        case 'text>json':
+        case 'enum>json':
+        case 'uuid>json':
+            return JSON.stringify(value);
+        case 'integer>json':
+        case 'numeric>json':
+            return value;
+        case 'boolean>json':
+            return value === 't' ? 'true' : 'false';
+        case 'json>text': {
+            const parsed = JSON.parse(value);
+            return typeof parsed === 'string' ? parsed : value;
+        }
+        default:
+            if (to.category === 'text') {
+                return value;
+            }
+            return undefined;
+    }
+}
+
+module.exports = { convertValue, parsePgArray, formatPgArray, jsonNumberType, toJsonNumber, arrayToJson, elementType };
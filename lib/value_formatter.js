@@ -0,0 +1,154 @@
+/**
+ * Categorias dos tipos nativos do PostgreSQL, usadas para decidir como cada valor é escrito
+ */
+const BUILTIN_TYPES = {
+    text: ['text', 'character varying', 'varchar', 'character', 'char', 'bpchar', 'name', 'citext', '"char"'],
+    integer: ['smallint', 'integer', 'int', 'int2', 'int4', 'int8', 'bigint', 'smallserial', 'serial', 'bigserial', 'oid'],
+    numeric: ['numeric', 'decimal', 'real', 'double precision', 'float', 'float4', 'float8'],
+    boolean: ['boolean', 'bool'],
+    json: ['json', 'jsonb'],
+    bytea: ['bytea'],
+    uuid: ['uuid'],
+    datetime: [
+        'date', 'time', 'timetz', 'timestamp', 'timestamptz',
+        'time without time zone', 'time with time zone',
+        'timestamp without time zone', 'timestamp with time zone'
+    ],
+    interval: ['interval']
+};
+
+const TYPE_CATEGORY = new Map();
+for (const [category, names] of Object.entries(BUILTIN_TYPES)) {
+    names.forEach(name => TYPE_CATEGORY.set(name, category));
+}
+
+const INTEGER_PATTERN = /^[+-]?\d+$/;
+const NUMERIC_PATTERN = /^[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?$/;
+
+const CONTROL_CHARS = /[\x00-\x1f\x7f]/;
+
+/**
+ * Escreve um texto como literal SQL entre aspas simples. Textos com caracteres de
+ * controle (quebras de linha, tabs, CR) usam a sintaxe E'...' com escapes, para que
+ * o valor sobreviva intacto a editores que normalizam quebras de linha.
+ * O caractere NUL é descartado, pois o PostgreSQL não o aceita em texto.
+ * @param {string} value - Texto a ser escrito
+ * @returns {string} Literal SQL
+ */
+function quoteLiteral(value) {
+    if (!CONTROL_CHARS.test(value)) {
+        return `'${value.replace(/'/g, "''")}'`;
+    }
+
+    const escaped = value.replace(/[\x00-\x1f\x7f\\']/g, char => {
+        switch (char) {
+            case '\\': return '\\\\';
+            case '\'': return "''";
+            case '\n': return '\\n';
+            case '\r': return '\\r';
+            case '\t': return '\\t';
+            case '\b': return '\\b';
+            case '\f': return '\\f';
+            case '\0': return '';
+            default: return '\\x' + char.charCodeAt(0).toString(16).padStart(2, '0');
+        }
+    });
+    return `E'${escaped}'`;
+}
+
+/**
+ * Classe para formatar valores do COPY de acordo com o tipo real da coluna
+ */
+class ValueFormatter {
+    /**
+     * @param {SchemaCatalog} catalog - Catálogo com os tipos definidos no dump
+     */
+    constructor(catalog) {
+        this.catalog = catalog;
+        this.typeCache = new Map();
+    }
+
+    /**
+     * Descreve um tipo declarado: categoria de formatação e tipo usado no cast
+     * @param {string} typeText - Tipo como aparece no CREATE TABLE
+     * @returns {{category: string, castType: string}} Descrição do tipo
+     */
+    describe(typeText) {
+        if (!typeText) {
+            return { category: 'unknown', castType: null };
+        }
+
+        if (!this.typeCache.has(typeText)) {
+            this.typeCache.set(typeText, this.resolveType(typeText.trim(), typeText.trim()));
+        }
+        return this.typeCache.get(typeText);
+    }
+
+    /**
+     * Resolve a categoria de um tipo, seguindo domínios até o tipo base
+     * @param {string} typeText - Tipo a ser resolvido
+     * @param {string} castType - Tipo usado no cast (o declarado na coluna)
+     * @returns {{category: string, castType: string}} Descrição do tipo
+     */
+    resolveType(typeText, castType) {
+        if (/\[\s*\d*\s*\]$/.test(typeText) || /\sARRAY$/i.test(typeText)) {
+            return { category: 'array', castType };
+        }
+
+        const baseName = typeText
+            .replace(/\([^)]*\)/g, '')
+            .replace(/^pg_catalog\./i, '')
+            .replace(/\s+/g, ' ')
+            .trim()
+            .toLowerCase();
+
+        if (TYPE_CATEGORY.has(baseName)) {
+            return { category: TYPE_CATEGORY.get(baseName), castType };
+        }
+        if (baseName.startsWith('interval')) {
+            return { category: 'interval', castType };
+        }
+
+        const userType = this.catalog && this.catalog.getType(typeText);
+        if (userType && userType.kind === 'domain') {
+            return { category: this.resolveType(userType.baseType, castType).category, castType };
+        }
+        if (userType && userType.kind === 'enum') {
+            return { category: 'enum', castType };
+        }
+
+        return { category: 'other', castType };
+    }
+
+    /**
+     * Formata um valor do COPY para inserção SQL usando o tipo da coluna
+     * @param {string|null} value - Valor decodificado do COPY (null para NULL)
+     * @param {Object} column - Definição da coluna no catálogo
+     * @returns {string} Valor formatado para SQL
+     */
+    format(value, column) {
+        if (value === null) {
+            return 'NULL';
+        }
+
+        const { category, castType } = this.describe(column.type);
+
+        switch (category) {
+            case 'text':
+            case 'unknown':
+                return quoteLiteral(value);
+            case 'integer':
+                return INTEGER_PATTERN.test(value) ? value : `${quoteLiteral(value)}::${castType}`;
+            case 'numeric':
+                return NUMERIC_PATTERN.test(value) ? value : `${quoteLiteral(value)}::${castType}`;
+            case 'boolean':
+                if (value === 't') return 'true';
+                if (value === 'f') return 'false';
+                return `${quoteLiteral(value)}::boolean`;
+            default:
+                return `${quoteLiteral(value)}::${castType}`;
+        }
+    }
+}
+
+module.exports = { ValueFormatter, quoteLiteral, BUILTIN_TYPES };
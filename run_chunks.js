@@ -0,0 +1,240 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const { once } = require('events');
+const { MANIFEST_FILE } = require('./lib/chunked_writer');
+const { parseArgs } = require('./lib/cli_args');
+
+const PROGRESS_FILE = 'progress.json';
+const PSQL_ARGS = ['-X', '-q', '-v', 'ON_ERROR_STOP=1', '--single-transaction', '-f', '-'];
+
+/**
+ * Grava um JSON por arquivo temporário + rename, para não deixar o arquivo pela metade
+ * @param {string} file - Caminho do arquivo
+ * @param {Object} data - Conteúdo
+ */
+function writeJson(file, data) {
+    const temporary = `${file}.tmp`;
+    fs.writeFileSync(temporary, JSON.stringify(data, null, 2) + '\n');
+    fs.renameSync(temporary, file);
+}
+
+/**
+ * Executa na ordem os arquivos de um script dividido (extract_inserts_advanced.js --split),
+ * verificando os checksums do manifesto e registrando em progress.json cada arquivo
+ * concluído, para que uma execução interrompida continue do último arquivo concluído.
+ * Cada arquivo roda em uma sessão própria, precedido do preâmbulo (configuração da sessão).
+ */
+class ChunkRunner {
+    /**
+     * @param {string} directory - Diretório com o manifest.json
+     * @param {Object} [options] - Opções de execução
+     * @param {string} [options.db] - Banco de destino, passado ao psql (-d)
+     * @param {string} [options.command] - Comando que recebe cada arquivo pela stdin, no lugar do psql
+     * @param {boolean} [options.restart=false] - Ignora o progresso salvo e executa desde o início
+     * @param {boolean} [options.acceptChanges=false] - Aceita arquivos alterados depois de gerados, registrando o novo checksum
+     * @param {boolean} [options.dryRun=false] - Apenas lista os arquivos pendentes
+     */
+    constructor(directory, options = {}) {
+        this.directory = directory;
+        this.options = {
+            db: null,
+            command: null,
+            restart: false,
+            acceptChanges: false,
+            dryRun: false,
+            ...options
+        };
+        this.manifestFile = path.join(directory, MANIFEST_FILE);
+        this.manifest = JSON.parse(fs.readFileSync(this.manifestFile, 'utf8'));
+        this.progressFile = path.join(directory, PROGRESS_FILE);
+        this.progress = this.loadProgress();
+    }
+
+    /**
+     * Lê o progresso salvo. O progresso de outro manifesto (diretório gerado de novo)
+     * não é reaproveitado: os arquivos de mesmo nome podem ter outro conteúdo.
+     * @returns {{generatedAt: string, completed: Array<string>}} Progresso da execução
+     */
+    loadProgress() {
+        const empty = { generatedAt: this.manifest.generatedAt, completed: [] };
+        if (this.options.restart || !fs.existsSync(this.progressFile)) {
+            return empty;
+        }
+        const progress = JSON.parse(fs.readFileSync(this.progressFile, 'utf8'));
+        if (progress.generatedAt !== this.manifest.generatedAt) {
+            throw new Error(`${PROGRESS_FILE} é de outra geração dos arquivos: use --restart para executar desde o início`);
+        }
+        return progress;
+    }
+
+    /**
+     * Grava o progresso
+     */
+    saveProgress() {
+        writeJson(this.progressFile, { ...this.progress, updatedAt: new Date().toISOString() });
+    }
+
+    /**
+     * Arquivos executados, na ordem do manifesto; o preâmbulo não é executado sozinho
+     * @returns {Array<Object>} Entradas do manifesto
+     */
+    chunks() {
+        return this.manifest.files.filter(entry => entry.file !== this.manifest.session);
+    }
+
+    /**
+     * Confere o SHA-256 de um arquivo com o registrado no manifesto. Com --accept-changes,
+     * um arquivo alterado (ex.: corrigido depois de uma falha) tem o novo checksum e
+     * tamanho registrados no manifesto.
+     * @param {Object} entry - Entrada do manifesto
+     */
+    async verify(entry) {
+        const hash = crypto.createHash('sha256');
+        let bytes = 0;
+        for await (const chunk of fs.createReadStream(path.join(this.directory, entry.file))) {
+            hash.update(chunk);
+            bytes += chunk.length;
+        }
+        const sha256 = hash.digest('hex');
+        if (sha256 === entry.sha256) return;
+        if (!this.options.acceptChanges) {
+            throw new Error(`Checksum não confere: ${entry.file} foi alterado depois de gerado; use --accept-changes se a alteração foi intencional`);
+        }
+        Object.assign(entry, { sha256, bytes });
+        writeJson(this.manifestFile, this.manifest);
+        console.log(`Checksum atualizado no manifesto: ${entry.file} foi alterado depois de gerado`);
+    }
+
+    /**
+     * Inicia o comando que aplica os arquivos: o informado em --command (via shell) ou o psql
+     * @returns {ChildProcess} Processo com a stdin aberta
+     */
+    spawnCommand() {
+        if (this.options.command) {
+            return spawn(this.options.command, { shell: true, stdio: ['pipe', 'inherit', 'inherit'] });
+        }
+        const args = this.options.db ? [...PSQL_ARGS, '-d', this.options.db] : PSQL_ARGS;
+        return spawn('psql', args, { stdio: ['pipe', 'inherit', 'inherit'] });
+    }
+
+    /**
+     * Executa um arquivo precedido do preâmbulo na mesma sessão
+     * @param {Object} entry - Entrada do manifesto
+     */
+    async runChunk(entry) {
+        const files = this.manifest.session ? [this.manifest.session, entry.file] : [entry.file];
+        const child = this.spawnCommand();
+        const exit = new Promise((resolve, reject) => {
+            child.on('error', reject);
+            child.on('close', resolve);
+        });
+        // Se o comando terminar antes de ler tudo (erro no SQL), o código de saída relata a falha
+        child.stdin.on('error', () => {});
+
+        for (const file of files) {
+            for await (const chunk of fs.createReadStream(path.join(this.directory, file))) {
+                if (child.stdin.destroyed) break;
+                if (!child.stdin.write(chunk)) {
+                    await Promise.race([once(child.stdin, 'drain'), exit]);
+                }
+            }
+        }
+        child.stdin.end();
+
+        const code = await exit;
+        if (code !== 0) {
+            throw new Error(`${entry.file} falhou (código de saída ${code}); corrija o problema e execute de novo para continuar deste arquivo `
+                + '(se o arquivo for corrigido, com --accept-changes)');
+        }
+    }
+
+    /**
+     * Executa os arquivos pendentes na ordem do manifesto
+     * @returns {Promise<number>} Quantidade de arquivos executados
+     */
+    async run() {
+        const chunks = this.chunks();
+        const completed = new Set(this.progress.completed);
+        const pending = chunks.filter(entry => !completed.has(entry.file));
+
+        if (completed.size > 0) {
+            console.log(`Continuando: ${chunks.length - pending.length} de ${chunks.length} arquivos já concluídos`);
+        }
+        if (this.manifest.session) {
+            await this.verify(this.manifest.files.find(entry => entry.file === this.manifest.session));
+        }
+
+        let executed = 0;
+        for (const entry of pending) {
+            const position = chunks.indexOf(entry) + 1;
+            const rows = entry.rows > 0 ? ` (${entry.rows} linhas)` : '';
+            if (this.options.dryRun) {
+                console.log(`[${position}/${chunks.length}] ${entry.file}${rows}`);
+                continue;
+            }
+
+            await this.verify(entry);
+            console.log(`[${position}/${chunks.length}] ${entry.file}${rows}`);
+            await this.runChunk(entry);
+            this.progress.completed.push(entry.file);
+            this.saveProgress();
+            executed++;
+        }
+        return executed;
+    }
+}
+
+/**
+ * Função principal para execução do script
+ */
+async function main() {
+    const { positional: args, options } = parseArgs(process.argv.slice(2), { flags: ['restart', 'accept-changes', 'dry-run'] });
+
+    if (args.length === 0) {
+        console.log('Uso: node run_chunks.js <diretorio> [opções]');
+        console.log('Executa na ordem os arquivos gerados por extract_inserts_advanced.js --split, continuando');
+        console.log('do último arquivo concluído quando a execução anterior foi interrompida');
+        console.log('Opções:');
+        console.log('  --db=banco                    Banco de destino (nome ou URL, passado ao psql -d; padrão: variáveis PG*)');
+        console.log('  --command="comando"           Comando que recebe cada arquivo pela stdin, no lugar do psql');
+        console.log('                                (ex.: "docker exec -i pg psql -U postgres -v ON_ERROR_STOP=1 -1 app")');
+        console.log('  --restart                     Ignora o progresso salvo e executa desde o primeiro arquivo');
+        console.log('  --accept-changes              Aceita arquivos corrigidos à mão, registrando o novo checksum no manifesto');
+        console.log('  --dry-run                     Lista os arquivos pendentes sem executá-los');
+        console.log('Exemplo: node run_chunks.js restore_chunks --db=postgres://localhost/app');
+        process.exit(1);
+    }
+
+    const directory = args[0];
+    if (!fs.existsSync(path.join(directory, MANIFEST_FILE))) {
+        console.error(`Manifesto não encontrado: ${path.join(directory, MANIFEST_FILE)}`);
+        process.exit(1);
+    }
+
+    try {
+        const runner = new ChunkRunner(directory, {
+            db: options.db || null,
+            command: options.command || null,
+            restart: options.restart === true,
+            acceptChanges: options.acceptChanges === true,
+            dryRun: options.dryRun === true
+        });
+        const executed = await runner.run();
+        if (!runner.options.dryRun) {
+            console.log(`\n✅ ${executed} arquivos executados; todos os arquivos do manifesto foram concluídos`);
+        }
+    } catch (error) {
+        console.error('❌ Erro:', error.message);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = ChunkRunner;
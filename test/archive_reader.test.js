@@ -0,0 +1,277 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { test } = require('node:test');
+const { ArchiveReader, isPgArchive } = require('../lib/archive_reader');
+const { readDump } = require('../index');
+
+const BLOCK_DATA = 1;
+const OFFSET_POS_NOT_SET = 1;
+const OFFSET_POS_SET = 2;
+
+/**
+ * Escreve os valores no formato binário do pg_dump (inteiros com byte de sinal, strings
+ * com tamanho e offsets), com inteiros de 4 bytes e offsets de 8
+ */
+class ArchiveWriter {
+    constructor() {
+        this.parts = [];
+        this.length = 0;
+    }
+
+    bytes(buffer) {
+        this.parts.push(buffer);
+        this.length += buffer.length;
+    }
+
+    byte(value) {
+        this.bytes(Buffer.from([value]));
+    }
+
+    int(value) {
+        const buffer = Buffer.alloc(5);
+        buffer[0] = value < 0 ? 1 : 0;
+        buffer.writeUInt32LE(Math.abs(value), 1);
+        this.bytes(buffer);
+    }
+
+    str(value) {
+        if (value === null) {
+            this.int(-1);
+            return;
+        }
+        const buffer = Buffer.isBuffer(value) ? value : Buffer.from(value, 'utf8');
+        this.int(buffer.length);
+        this.bytes(buffer);
+    }
+
+    offset(state, value) {
+        const buffer = Buffer.alloc(9);
+        buffer[0] = state;
+        buffer.writeBigUInt64LE(BigInt(value), 1);
+        this.bytes(buffer);
+    }
+
+    toBuffer() {
+        return Buffer.concat(this.parts);
+    }
+}
+
+// Tabelas do dump: os dados de clientes têm acentos, gravados na codificação do dump
+const TABLES = [
+    { dumpId: 10, name: 'clientes', columns: 'id integer, nome text', copy: 'id, nome', rows: ['1\tJoão', '2\tConceição', '3\t\\N'] },
+    { dumpId: 11, name: 'pedidos', columns: 'id integer, cliente_id integer', copy: 'id, cliente_id', rows: Array.from({ length: 300 }, (_, i) => `${i + 1}\t${(i % 3) + 1}`) }
+];
+
+/**
+ * Monta um dump do pg_dump nos formatos custom ou directory
+ * @param {string} target - Arquivo (custom) ou diretório (directory) de destino
+ * @param {Object} options - Formato do arquivo
+ * @param {string} options.format - custom ou directory
+ * @param {Array<number>} options.version - Versão do formato ([1, 14, 0], [1, 15, 0] ou [1, 16, 0])
+ * @param {string} options.compression - none, gzip ou lz4
+ * @param {boolean} [options.offsets=true] - Grava a posição dos dados no TOC (false: dump gerado em pipe)
+ * @param {string} [options.encoding='UTF8'] - Codificação do dump
+ */
+function writeArchive(target, { format, version, compression, offsets = true, encoding = 'UTF8' }) {
+    const [major, minor, revision] = version;
+    const textEncoding = encoding === 'LATIN1' ? 'latin1' : 'utf8';
+    const compress = data => (compression === 'gzip' ? zlib.deflateSync(data) : data);
+    const entries = [
+        { dumpId: 1, desc: 'ENCODING', tag: 'ENCODING', defn: `SET client_encoding = '${encoding}';\n` },
+        ...TABLES.map(table => ({
+            dumpId: table.dumpId - 8,
+            desc: 'TABLE',
+            tag: table.name,
+            defn: `CREATE TABLE public.${table.name} (${table.columns});\n`
+        })),
+        ...TABLES.map(table => ({
+            dumpId: table.dumpId,
+            desc: 'TABLE DATA',
+            tag: table.name,
+            copyStmt: `COPY public.${table.name} (${table.copy}) FROM stdin;\n`,
+            data: Buffer.from(`${table.rows.join('\n')}\n\\.\n\n`, textEncoding)
+        }))
+    ];
+
+    // Blocos de dados do formato custom, em trechos de até 64 bytes compactados juntos
+    const blocks = new Map();
+    if (format === 'custom') {
+        for (const entry of entries.filter(candidate => candidate.data)) {
+            const block = new ArchiveWriter();
+            block.byte(BLOCK_DATA);
+            block.int(entry.dumpId);
+            const data = compress(entry.data);
+            for (let start = 0; start < data.length; start += 64) {
+                block.str(data.subarray(start, start + 64));
+            }
+            block.int(0);
+            blocks.set(entry.dumpId, block.toBuffer());
+        }
+    }
+
+    const tocFor = positions => {
+        const writer = new ArchiveWriter();
+        writer.bytes(Buffer.from('PGDMP', 'latin1'));
+        writer.byte(major);
+        writer.byte(minor);
+        writer.byte(revision);
+        writer.byte(4);
+        writer.byte(8);
+        writer.byte(format === 'custom' ? 1 : 5);
+        if (minor >= 15) {
+            writer.byte({ none: 0, gzip: 1, lz4: 2 }[compression]);
+        } else {
+            writer.int(compression === 'gzip' ? -1 : 0);
+        }
+        [0, 30, 10, 1, 6, 125, 0].forEach(value => writer.int(value));
+        writer.str('loja');
+        writer.str('16.2');
+        writer.str('16.2');
+        writer.int(entries.length);
+        for (const entry of entries) {
+            writer.int(entry.dumpId);
+            writer.int(entry.data ? 1 : 0);
+            writer.str('0');
+            writer.str(String(16000 + entry.dumpId));
+            writer.str(entry.tag);
+            writer.str(entry.desc);
+            writer.int(entry.data ? 3 : 2);
+            writer.str(entry.defn || '');
+            writer.str('');
+            writer.str(entry.copyStmt || null);
+            writer.str(entry.desc === 'ENCODING' ? null : 'public');
+            writer.str(null);
+            if (minor >= 14) writer.str(entry.desc === 'TABLE' ? 'heap' : null);
+            if (minor >= 16) writer.int(entry.desc === 'TABLE' ? 114 : 0);
+            writer.str('postgres');
+            writer.str('false');
+            writer.str(null);
+            if (format === 'custom') {
+                writer.offset(entry.data ? (offsets ? OFFSET_POS_SET : OFFSET_POS_NOT_SET) : 3, positions.get(entry.dumpId) || 0);
+            } else {
+                writer.str(entry.data ? `${entry.dumpId}.dat` : null);
+            }
+        }
+        return writer.toBuffer();
+    };
+
+    if (format === 'directory') {
+        fs.mkdirSync(target);
+        fs.writeFileSync(path.join(target, 'toc.dat'), tocFor(new Map()));
+        for (const entry of entries.filter(candidate => candidate.data)) {
+            // Um arquivo compactado e outro não, como quando os dados são copiados à mão
+            const gzip = compression === 'gzip' && entry.dumpId === TABLES[0].dumpId;
+            fs.writeFileSync(path.join(target, `${entry.dumpId}.dat${gzip ? '.gz' : ''}`), gzip ? zlib.gzipSync(entry.data) : entry.data);
+        }
+        return;
+    }
+
+    // As posições dependem do tamanho do TOC, que não muda com os valores dos offsets
+    const tocLength = tocFor(new Map()).length;
+    const positions = new Map();
+    let position = tocLength;
+    for (const [dumpId, block] of blocks) {
+        positions.set(dumpId, position);
+        position += block.length;
+    }
+    fs.writeFileSync(target, Buffer.concat([tocFor(positions), ...blocks.values()]));
+}
+
+/**
+ * Lê as linhas de dados de um dump, na ordem do dump ou com os blocos invertidos
+ * @param {string} dumpFile - Dump custom ou directory
+ * @param {boolean} [reversed=false] - Lê os blocos de trás para frente (pela posição dos dados)
+ * @returns {Promise<Array<string>>} Tabela e valores de cada linha
+ */
+async function readRows(dumpFile, reversed = false) {
+    const rows = [];
+    const plan = reversed ? index => [...index.blocks].reverse() : undefined;
+    for await (const { table, row } of readDump(dumpFile, { logger: null, plan })) {
+        rows.push(`${table}: ${row.join(' | ')}`);
+    }
+    return rows;
+}
+
+const EXPECTED = TABLES.flatMap(table => table.rows.map(row => `public.${table.name}: ${row.replace(/\t/g, ' | ').replace('\\N', '')}`));
+
+/**
+ * Executa uma função com um diretório temporário
+ * @param {Function} run - Recebe o diretório (async)
+ */
+async function withDirectory(run) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'archive-reader-'));
+    try {
+        await run(directory);
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+}
+
+const CASES = [
+    { format: 'custom', version: [1, 14, 0], compression: 'gzip' },
+    { format: 'custom', version: [1, 15, 0], compression: 'none' },
+    { format: 'custom', version: [1, 16, 0], compression: 'gzip', offsets: false },
+    { format: 'directory', version: [1, 16, 0], compression: 'gzip' },
+    { format: 'directory', version: [1, 14, 0], compression: 'none', encoding: 'LATIN1' }
+];
+
+for (const options of CASES) {
+    const name = `${options.format} ${options.version.join('.')} (${options.compression}${options.offsets === false ? ', sem posições no TOC' : ''}${options.encoding ? `, ${options.encoding}` : ''})`;
+    test(`${name}: lê os dados na ordem do dump e fora dela`, async () => {
+        await withDirectory(async directory => {
+            const dumpFile = path.join(directory, options.format === 'custom' ? 'loja.dump' : 'loja');
+            writeArchive(dumpFile, options);
+
+            assert.ok(isPgArchive(dumpFile));
+            const rows = await readRows(dumpFile);
+            assert.deepEqual(rows, EXPECTED);
+            const reversed = await readRows(dumpFile, true);
+            assert.deepEqual(reversed, [...EXPECTED.slice(TABLES[0].rows.length), ...EXPECTED.slice(0, TABLES[0].rows.length)]);
+        });
+    });
+}
+
+test('o cabeçalho e as posições dos blocos de dados do formato custom', async () => {
+    await withDirectory(async directory => {
+        const dumpFile = path.join(directory, 'loja.dump');
+        writeArchive(dumpFile, { format: 'custom', version: [1, 15, 0], compression: 'gzip' });
+        const reader = new ArchiveReader(dumpFile);
+        const { header, entries, dataStart } = reader.readArchive();
+
+        assert.equal(header.version, '1.15.0');
+        assert.equal(header.compression, 'gzip');
+        assert.equal(header.database, 'loja');
+        const data = entries.filter(entry => entry.desc === 'TABLE DATA');
+        assert.equal(data[0].dataPos, dataStart);
+        // Sem descompactar: o intervalo vai do cabeçalho do bloco até depois do marcador de fim
+        const first = reader.locateData(data[0]);
+        const second = reader.locateData(data[1]);
+        assert.equal(first.dataStart, data[0].dataPos);
+        assert.equal(first.dataEnd, second.dataStart);
+        assert.equal(second.dataEnd, fs.statSync(dumpFile).size);
+
+        // Um dump em pipe acha os mesmos blocos percorrendo o arquivo
+        const pipeFile = path.join(directory, 'pipe.dump');
+        writeArchive(pipeFile, { format: 'custom', version: [1, 15, 0], compression: 'gzip', offsets: false });
+        const pipe = new ArchiveReader(pipeFile);
+        const pipeData = pipe.readArchive().entries.filter(entry => entry.desc === 'TABLE DATA');
+        assert.equal(pipeData[1].dataPos, null);
+        assert.deepEqual(pipe.locateData(pipeData[1]), second);
+    });
+});
+
+test('compressões não suportadas são recusadas com a orientação de gerar o dump com gzip', async () => {
+    await withDirectory(async directory => {
+        const dumpFile = path.join(directory, 'lz4.dump');
+        writeArchive(dumpFile, { format: 'custom', version: [1, 15, 0], compression: 'lz4' });
+        await assert.rejects(readRows(dumpFile), /Compressão lz4 não suportada no formato custom/);
+
+        const dumpDirectory = path.join(directory, 'lz4');
+        writeArchive(dumpDirectory, { format: 'directory', version: [1, 15, 0], compression: 'none' });
+        fs.renameSync(path.join(dumpDirectory, '11.dat'), path.join(dumpDirectory, '11.dat.lz4'));
+        await assert.rejects(readRows(dumpDirectory), /Compressão lz4 não suportada em .*11\.dat\.lz4/);
+    });
+});
@@ -0,0 +1,59 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test } = require('node:test');
+const { AdvancedDumpExtractor, silentLogger } = require('../index');
+
+/**
+ * Monta o dump de clientes, com ou sem chave primária
+ * @param {boolean} primaryKey - Se o dump declara a chave primária
+ * @returns {string} Conteúdo do dump
+ */
+function buildDump(primaryKey) {
+    return [
+        'CREATE TABLE public.clientes (',
+        '    id integer NOT NULL,',
+        '    nome text',
+        ');',
+        '',
+        'COPY public.clientes (id, nome) FROM stdin;',
+        '1\tAna',
+        '2\tBruno',
+        '\\.',
+        '',
+        ...(primaryKey ? ['ALTER TABLE ONLY public.clientes', '    ADD CONSTRAINT clientes_pkey PRIMARY KEY (id);', ''] : [])
+    ].join('\n');
+}
+
+/**
+ * Gera o script e devolve o resumo escrito no fim dos dados da tabela
+ * @param {Object} options - Opções adicionais do AdvancedDumpExtractor
+ * @param {boolean} [primaryKey=true] - Se o dump declara a chave primária
+ * @returns {Promise<string>} Linha do resumo
+ */
+async function tableSummary(options, primaryKey = true) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'conflict-strategy-'));
+    try {
+        const dumpFile = path.join(directory, 'dump.sql');
+        const outputFile = path.join(directory, 'restore.sql');
+        fs.writeFileSync(dumpFile, buildDump(primaryKey));
+        const extractor = new AdvancedDumpExtractor(dumpFile, { logger: silentLogger, ...options });
+        await extractor.saveScript(outputFile);
+        return fs.readFileSync(outputFile, 'utf8').split('\n').find(line => /^-- 2 (registros|linhas) /.test(line));
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+}
+
+test('o resumo da tabela diz inseridos só quando o INSERT não tem tratamento de conflito', async () => {
+    assert.equal(await tableSummary({ onConflict: 'none' }), '-- 2 registros inseridos em public.clientes');
+    assert.equal(await tableSummary({}), '-- 2 linhas escritas para public.clientes (as que já existem no destino são ignoradas)');
+    assert.equal(await tableSummary({ onConflict: 'update' }), '-- 2 linhas escritas para public.clientes (as que já existem no destino são atualizadas)');
+    assert.equal(await tableSummary({ onConflict: 'skip' }), '-- 2 linhas escritas para public.clientes (inseridas só se a tabela de destino estiver vazia)');
+});
+
+test('sem chave para o DO UPDATE, o resumo segue o ON CONFLICT DO NOTHING usado no lugar', async () => {
+    assert.equal(await tableSummary({ onConflict: 'update' }, false), '-- 2 linhas escritas para public.clientes (as que já existem no destino são ignoradas)');
+    assert.equal(await tableSummary({ onConflict: 'update', dialect: 'sqlite' }, false), '-- 2 linhas escritas para "clientes" (as que já existem no destino são ignoradas)');
+});
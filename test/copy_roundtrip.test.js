@@ -0,0 +1,156 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test } = require('node:test');
+const { decodeCopyLine, encodeCopyLine } = require('../lib/copy_format');
+const { AdvancedDumpExtractor, silentLogger } = require('../index');
+
+const corpus = require('./fixtures/copy_corpus.json');
+
+const SIMPLE_ESCAPES = { b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+
+/**
+ * Lê um literal do script como o PostgreSQL o leria (standard_conforming_strings on):
+ * '...' sem escapes e E'...' com os escapes de barra invertida
+ * @param {string} text - Texto do script
+ * @param {number} start - Posição da aspa de abertura (ou do E)
+ * @returns {{value: string, end: number}} Valor e posição após a aspa de fechamento
+ */
+function readLiteral(text, start) {
+    const extended = text[start] === 'E';
+    const bytes = [];
+    const pushText = chars => bytes.push(...Buffer.from(chars, 'utf8'));
+    let i = start + (extended ? 2 : 1);
+
+    while (i < text.length) {
+        const char = text[i];
+        if (char === '\'') {
+            if (text[i + 1] === '\'') {
+                pushText('\'');
+                i += 2;
+                continue;
+            }
+            return { value: Buffer.from(bytes).toString('utf8'), end: i + 1 };
+        }
+        if (!extended || char !== '\\') {
+            const codePoint = text.codePointAt(i);
+            pushText(String.fromCodePoint(codePoint));
+            i += codePoint > 0xffff ? 2 : 1;
+            continue;
+        }
+
+        const next = text[i + 1];
+        const octal = /^[0-7]{1,3}/.exec(text.slice(i + 1, i + 4));
+        const hex = next === 'x' && /^[0-9a-fA-F]{1,2}/.exec(text.slice(i + 2, i + 4));
+        if (octal) {
+            bytes.push(parseInt(octal[0], 8) & 0xff);
+            i += 1 + octal[0].length;
+        } else if (hex) {
+            bytes.push(parseInt(hex[0], 16));
+            i += 2 + hex[0].length;
+        } else {
+            pushText(SIMPLE_ESCAPES[next] !== undefined ? SIMPLE_ESCAPES[next] : next);
+            i += 2;
+        }
+    }
+    throw new Error(`Literal sem aspa de fechamento: ${text.slice(start, start + 40)}`);
+}
+
+/**
+ * Lê os valores da lista VALUES (...) de um INSERT gerado, tirando os casts
+ * @param {string} statement - INSERT de uma linha
+ * @returns {Array<string|null>} Valores como ficariam no banco
+ */
+function readInsertValues(statement) {
+    const values = [];
+    let i = statement.indexOf(' VALUES (') + ' VALUES ('.length;
+
+    while (i < statement.length) {
+        if (statement.startsWith('NULL', i)) {
+            values.push(null);
+            i += 4;
+        } else if (statement[i] === '\'' || statement.startsWith('E\'', i)) {
+            const literal = readLiteral(statement, i);
+            values.push(literal.value);
+            i = literal.end;
+        } else {
+            const match = /^[^,)]+/.exec(statement.slice(i));
+            values.push(match[0]);
+            i += match[0].length;
+        }
+
+        const cast = /^::[\w ()"]+?(?=[,)])/.exec(statement.slice(i));
+        if (cast) i += cast[0].length;
+        if (statement[i] === ')') return values;
+        assert.equal(statement.slice(i, i + 2), ', ', `Separador inesperado em: ${statement}`);
+        i += 2;
+    }
+    throw new Error(`VALUES sem parêntese de fechamento: ${statement}`);
+}
+
+/**
+ * Gera o script de INSERT de um dump com as linhas informadas
+ * @param {Array<string>} lines - Linhas do COPY de public.corpus (id, v, w, z)
+ * @returns {Promise<Array<string>>} Um INSERT por linha, na ordem do dump
+ */
+async function convertToInserts(lines) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'copy-roundtrip-'));
+    try {
+        const dumpFile = path.join(directory, 'dump.sql');
+        const outputFile = path.join(directory, 'restore.sql');
+        fs.writeFileSync(dumpFile, [
+            'CREATE TABLE public.corpus (',
+            '    id integer NOT NULL,',
+            '    v text,',
+            '    w character varying(40),',
+            '    z text',
+            ');',
+            '',
+            'COPY public.corpus (id, v, w, z) FROM stdin;',
+            ...lines,
+            '\\.',
+            ''
+        ].join('\n'));
+
+        const extractor = new AdvancedDumpExtractor(dumpFile, { logger: silentLogger, onConflict: 'none' });
+        await extractor.saveScript(outputFile);
+        return fs.readFileSync(outputFile, 'utf8').split('\n').filter(line => line.startsWith('INSERT INTO'));
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+}
+
+test('decodifica cada campo do corpus', () => {
+    for (const { name, field, value } of corpus) {
+        assert.deepEqual(decodeCopyLine(`1\t${field}`), ['1', value], name);
+    }
+});
+
+test('campos vazios no fim da linha continuam sendo textos vazios', () => {
+    assert.deepEqual(decodeCopyLine('1\t\t\t'), ['1', '', '', '']);
+    assert.deepEqual(decodeCopyLine('1\t\\N\t\t'), ['1', null, '', '']);
+    assert.deepEqual(decodeCopyLine('1\ta\\\\\t'), ['1', 'a\\', '']);
+});
+
+test('a codificação do COPY devolve os mesmos valores', () => {
+    for (const { name, value } of corpus) {
+        const line = encodeCopyLine(['1', value, null, '']);
+        assert.deepEqual(decodeCopyLine(line), ['1', value, null, ''], name);
+    }
+});
+
+test('dump → INSERT → recarga mantém os valores byte a byte', async () => {
+    const lines = corpus.map(({ field }, i) => `${i + 1}\t${field}\t${field}\t`);
+    lines.push(`${corpus.length + 1}\t\t\t`, `${corpus.length + 2}\t\\N\t\\\\N\t`);
+    const expected = corpus.map(({ value }, i) => [String(i + 1), value, value, '']);
+    expected.push([String(corpus.length + 1), '', '', ''], [String(corpus.length + 2), null, '\\N', '']);
+
+    const inserts = await convertToInserts(lines);
+
+    assert.equal(inserts.length, expected.length);
+    inserts.forEach((statement, i) => {
+        const name = i < corpus.length ? corpus[i].name : `linha ${i + 1}`;
+        assert.deepEqual(readInsertValues(statement), expected[i], name);
+    });
+});
@@ -0,0 +1,201 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test } = require('node:test');
+const { DataMasker, checkDigit } = require('../lib/data_masker');
+const { AdvancedDumpExtractor, silentLogger } = require('../index');
+
+/**
+ * Confere os dígitos verificadores de um CPF ou CNPJ
+ * @param {string} document - Documento, com ou sem pontuação
+ * @param {Array<number>} weights - Pesos do primeiro dígito verificador
+ * @returns {boolean} Se os dois dígitos verificadores conferem
+ */
+function validDocument(document, weights) {
+    const digits = document.replace(/\D/g, '').split('').map(Number);
+    const base = digits.slice(0, weights.length);
+    const first = checkDigit(base, weights);
+    return digits[weights.length] === first && digits[weights.length + 1] === checkDigit([...base, first], [weights[0] + 1, ...weights]);
+}
+
+const CPF_WEIGHTS = [10, 9, 8, 7, 6, 5, 4, 3, 2];
+const CNPJ_WEIGHTS = [5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2];
+
+/**
+ * Monta as funções de mascaramento de uma tabela com uma regra por coluna
+ * @param {Array<Object>} rules - Regras de mascaramento
+ * @param {Array<string>} columns - Colunas da tabela public.clientes
+ * @param {Object} [config] - Configuração adicional (ex.: salt)
+ * @returns {{masker: DataMasker, masks: Array<Function|null>}} Mascarador e funções por coluna
+ */
+function clienteMasks(rules, columns, config = {}) {
+    const masker = new DataMasker({ salt: 'teste', rules, ...config });
+    return { masker, masks: masker.columnMasks({ schema: 'public', name: 'clientes' }, columns, []) };
+}
+
+test('documentos falsos mantêm a formatação e têm dígitos verificadores válidos', () => {
+    const { masks: [cpf, cnpj] } = clienteMasks([
+        { column: 'clientes.cpf', strategy: 'cpf' },
+        { column: 'clientes.cnpj', strategy: 'cnpj' }
+    ], ['cpf', 'cnpj']);
+
+    for (const original of ['123.456.789-09', '98765432100', '111.444.777-35']) {
+        const masked = cpf(original);
+        assert.notEqual(masked, original);
+        assert.equal(masked.replace(/\d/g, '0'), original.replace(/\d/g, '0'));
+        assert.ok(validDocument(masked, CPF_WEIGHTS), masked);
+    }
+    const masked = cnpj('11.222.333/0001-81');
+    assert.match(masked, /^\d\d\.\d{3}\.\d{3}\/\d{4}-\d\d$/);
+    assert.ok(validDocument(masked, CNPJ_WEIGHTS), masked);
+});
+
+test('as estratégias são determinísticas pelo salt e preservam NULL e strings vazias', () => {
+    const rules = [
+        { column: 'clientes.email', strategy: 'email', domain: 'teste.local' },
+        { column: 'clientes.telefone', strategy: 'phone', keep: 2 },
+        { column: 'clientes.nome', strategy: 'name' },
+        { column: 'clientes.codigo', strategy: 'pseudonym', prefix: 'cli' },
+        { column: 'clientes.token', strategy: 'hash', length: 16 }
+    ];
+    const columns = ['email', 'telefone', 'nome', 'codigo', 'token'];
+    const row = ['Ana@Email.com', '(11) 98765-4321', 'Ana Souza', 'C-001', 'segredo'];
+    const { masks } = clienteMasks(rules, columns);
+    const { masks: again } = clienteMasks(rules, columns);
+    const { masks: otherSalt } = clienteMasks(rules, columns, { salt: 'outro' });
+
+    const masked = row.map((value, i) => masks[i](value));
+    assert.deepEqual(row.map((value, i) => again[i](value)), masked);
+    assert.notDeepEqual(row.map((value, i) => otherSalt[i](value)), masked);
+    assert.equal(masks[0]('ana@email.com '), masked[0]);
+    assert.match(masked[0], /^u[0-9a-f]{12}@teste\.local$/);
+    assert.match(masked[1], /^\(11\) \d{5}-\d{4}$/);
+    assert.match(masked[2], /^\p{Lu}\p{Ll}+( \p{Lu}\p{Ll}+){1,2}$/u);
+    assert.match(masked[3], /^cli_[0-9a-f]{12}$/);
+    assert.match(masked[4], /^[0-9a-f]{16}$/);
+    masks.forEach(mask => {
+        assert.equal(mask(null), null);
+        assert.equal(mask(''), '');
+    });
+});
+
+test('fixed e null trocam todos os valores, inclusive a string vazia', () => {
+    const { masks: [senha, observacoes] } = clienteMasks([
+        { column: 'clientes.senha', strategy: 'fixed', value: '***' },
+        { column: 'clientes.observacoes', strategy: 'null' }
+    ], ['senha', 'observacoes']);
+
+    assert.equal(senha('x'), '***');
+    assert.equal(senha(''), '***');
+    assert.equal(senha(null), null);
+    assert.equal(observacoes('texto'), null);
+});
+
+test('os padrões casam com schema, tabela e coluna sem diferenciar maiúsculas', () => {
+    const masker = new DataMasker({
+        salt: 'teste',
+        rules: [
+            { column: 'AUDIT.*.ip', strategy: 'null' },
+            { column: '*.TOKEN?', strategy: 'hash' },
+            { column: 'pedidos.cupom', strategy: 'null' }
+        ]
+    });
+    const audit = masker.columnMasks({ schema: 'audit', name: 'eventos' }, ['id', 'ip', 'token1'], []);
+    const publicMasks = masker.columnMasks({ schema: 'public', name: 'eventos' }, ['ip', 'token12'], []);
+
+    assert.deepEqual(audit.map(mask => mask !== null), [false, true, true]);
+    assert.equal(publicMasks, null);
+    assert.deepEqual(masker.report().unusedRules, ['pedidos.cupom']);
+});
+
+test('regras inválidas e a falta de salt interrompem a execução', () => {
+    const salt = process.env.DUMP_MASK_SALT;
+    delete process.env.DUMP_MASK_SALT;
+    try {
+        assert.throws(() => new DataMasker({ rules: [] }), /sem salt/);
+        assert.throws(() => new DataMasker({ salt: 's', rules: [{ column: 'a.b', strategy: 'rot13' }] }), /estratégia desconhecida rot13/);
+        assert.throws(() => new DataMasker({ salt: 's', rules: [{ column: 'a.b', strategy: 'fixed' }] }), /fixed exige "value"/);
+        assert.throws(() => new DataMasker({ salt: 's', rules: [{ column: 'coluna', strategy: 'null' }] }), /use tabela\.coluna/);
+
+        process.env.DUMP_MASK_SALT = 'do-ambiente';
+        assert.equal(new DataMasker({ salt: 'do-arquivo', rules: [] }).salt, 'do-ambiente');
+    } finally {
+        if (salt === undefined) {
+            delete process.env.DUMP_MASK_SALT;
+        } else {
+            process.env.DUMP_MASK_SALT = salt;
+        }
+    }
+});
+
+const DUMP = [
+    'CREATE TABLE public.clientes (',
+    '    id integer NOT NULL,',
+    '    cpf character varying(14) NOT NULL,',
+    '    email text,',
+    '    idade integer',
+    ');',
+    '',
+    'CREATE TABLE public.pedidos (',
+    '    id integer NOT NULL,',
+    '    email text',
+    ');',
+    '',
+    'COPY public.clientes (id, cpf, email, idade) FROM stdin;',
+    '1\t123.456.789-09\tana@email.com\t30',
+    '2\t987.654.321-00\t\\N\t41',
+    '3\t111.444.777-35\tcarlos@email.com\t52',
+    '\\.',
+    '',
+    'COPY public.pedidos (id, email) FROM stdin;',
+    '10\tana@email.com',
+    '\\.',
+    ''
+].join('\n');
+
+test('o script mascarado é o mesmo com e sem workers, e o relatório conta os valores e avisa dos tipos', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'data-masker-'));
+    try {
+        const dumpFile = path.join(directory, 'dump.sql');
+        const maskRules = path.join(directory, 'regras.json');
+        fs.writeFileSync(dumpFile, DUMP);
+        fs.writeFileSync(maskRules, JSON.stringify({
+            salt: 'teste',
+            rules: [
+                { column: '*.email', strategy: 'email' },
+                { column: 'clientes.cpf', strategy: 'null' },
+                { column: 'clientes.idade', strategy: 'hash' }
+            ]
+        }));
+
+        const results = [];
+        for (const workers of [1, 2]) {
+            const outputFile = path.join(directory, `restore_${workers}.sql`);
+            const maskReport = path.join(directory, `relatorio_${workers}.json`);
+            const extractor = new AdvancedDumpExtractor(dumpFile, { logger: silentLogger, maskRules, maskReport, workers });
+            await extractor.saveScript(outputFile);
+            const inserts = fs.readFileSync(outputFile, 'utf8').split('\n').filter(line => line.startsWith('INSERT INTO'));
+            results.push({ inserts, report: JSON.parse(fs.readFileSync(maskReport, 'utf8')) });
+        }
+
+        const [{ inserts, report }, parallel] = results;
+        assert.deepEqual(parallel, results[0]);
+        assert.doesNotMatch(inserts.join('\n'), /ana@email|carlos@email|123\.456/);
+        // O mesmo e-mail vira o mesmo valor nas duas tabelas: o join continua funcionando
+        const masked = /VALUES \(1, NULL, '([^']+)'/.exec(inserts[0])[1];
+        assert.ok(inserts.some(line => line.includes(`VALUES (10, '${masked}')`)));
+        assert.deepEqual(report.columns.map(({ column, values }) => [column, values]), [
+            ['public.clientes.cpf', 3],
+            ['public.clientes.email', 2],
+            ['public.clientes.idade', 3],
+            ['public.pedidos.email', 1]
+        ]);
+        assert.deepEqual(report.warnings, [
+            'public.clientes.cpf: estratégia null em coluna NOT NULL',
+            'public.clientes.idade: estratégia hash gera texto, mas a coluna é integer'
+        ]);
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
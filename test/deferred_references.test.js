@@ -0,0 +1,73 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test } = require('node:test');
+const { AdvancedDumpExtractor, silentLogger } = require('../index');
+
+// O nó 20 aponta para o 21, que vem depois no dump: a referência é adiada
+const DUMP = [
+    'CREATE TABLE public.nodes (',
+    '    id integer NOT NULL,',
+    '    parent_id integer',
+    ');',
+    '',
+    'COPY public.nodes (id, parent_id) FROM stdin;',
+    '20\t21',
+    '21\t\\N',
+    '\\.',
+    '',
+    'ALTER TABLE ONLY public.nodes',
+    '    ADD CONSTRAINT nodes_pkey PRIMARY KEY (id);',
+    'ALTER TABLE ONLY public.nodes',
+    '    ADD CONSTRAINT nodes_parent_fkey FOREIGN KEY (parent_id) REFERENCES public.nodes(id);',
+    ''
+].join('\n');
+
+/**
+ * Gera o script do dump autorreferente
+ * @param {Object} options - Opções adicionais do AdvancedDumpExtractor
+ * @returns {Promise<Array<string>>} Comandos do script, sem comentários e linhas vazias
+ */
+async function convert(options) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'deferred-references-'));
+    try {
+        const dumpFile = path.join(directory, 'dump.sql');
+        const outputFile = path.join(directory, 'restore.sql');
+        fs.writeFileSync(dumpFile, DUMP);
+        const extractor = new AdvancedDumpExtractor(dumpFile, { logger: silentLogger, ...options });
+        await extractor.saveScript(outputFile);
+        return fs.readFileSync(outputFile, 'utf8').split('\n').filter(line => line && !line.startsWith('--'));
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+}
+
+test('com ON CONFLICT DO NOTHING, as referências adiadas são restauradas só nas linhas inseridas', async () => {
+    for (const workers of [1, 2]) {
+        const lines = await convert({ workers });
+        const start = lines.indexOf('CREATE TABLE IF NOT EXISTS public.dump_processor_inserted_keys (table_name text NOT NULL, key text NOT NULL, PRIMARY KEY (table_name, key));');
+
+        assert.ok(start !== -1);
+        assert.deepEqual(lines.slice(start + 1, start + 5), [
+            'WITH inserted AS (INSERT INTO public.nodes (id, parent_id) VALUES (20, NULL) ON CONFLICT DO NOTHING RETURNING id) INSERT INTO public.dump_processor_inserted_keys (table_name, key) SELECT \'public.nodes\', ROW(id)::text FROM inserted;',
+            'WITH inserted AS (INSERT INTO public.nodes (id, parent_id) VALUES (21, NULL) ON CONFLICT DO NOTHING RETURNING id) INSERT INTO public.dump_processor_inserted_keys (table_name, key) SELECT \'public.nodes\', ROW(id)::text FROM inserted;',
+            'UPDATE public.nodes AS t SET parent_id = 21 FROM public.dump_processor_inserted_keys k WHERE t.id = 20 AND k.table_name = \'public.nodes\' AND k.key = ROW(t.id)::text;',
+            'DROP TABLE public.dump_processor_inserted_keys;'
+        ]);
+    }
+});
+
+test('a carga por COPY com conflito nothing registra as chaves na transferência da tabela temporária', async () => {
+    const lines = await convert({ mode: 'copy', onConflict: 'nothing' });
+
+    assert.ok(lines.includes('WITH inserted AS (INSERT INTO public.nodes (id, parent_id) SELECT id, parent_id FROM pg_temp.dump_processor_staging ON CONFLICT DO NOTHING RETURNING id) INSERT INTO public.dump_processor_inserted_keys (table_name, key) SELECT \'public.nodes\', ROW(id)::text FROM inserted;'));
+    assert.ok(lines.some(line => line.startsWith('UPDATE public.nodes AS t SET parent_id = 21 FROM public.dump_processor_inserted_keys k')));
+});
+
+test('com --on-conflict=update as linhas existentes são sobrescritas, e o UPDATE adiado vale pela chave', async () => {
+    const lines = await convert({ onConflict: 'update' });
+
+    assert.ok(lines.includes('UPDATE public.nodes SET parent_id = 21 WHERE id = 20;'));
+    assert.ok(!lines.some(line => line.includes('dump_processor_inserted_keys')));
+});
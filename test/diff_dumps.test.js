@@ -0,0 +1,184 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test } = require('node:test');
+const DumpDiff = require('../diff_dumps');
+
+const NODES = `CREATE TABLE public.nodes (
+    id integer NOT NULL,
+    parent_id integer,
+    name text
+);
+
+CREATE TABLE public.departments (
+    id integer NOT NULL,
+    manager_id integer
+);
+
+CREATE TABLE public.employees (
+    id integer NOT NULL,
+    department_id integer
+);
+
+`;
+
+const CONSTRAINTS = `
+ALTER TABLE ONLY public.nodes
+    ADD CONSTRAINT nodes_pkey PRIMARY KEY (id);
+ALTER TABLE ONLY public.departments
+    ADD CONSTRAINT departments_pkey PRIMARY KEY (id);
+ALTER TABLE ONLY public.employees
+    ADD CONSTRAINT employees_pkey PRIMARY KEY (id);
+ALTER TABLE ONLY public.nodes
+    ADD CONSTRAINT nodes_parent_fkey FOREIGN KEY (parent_id) REFERENCES public.nodes(id);
+ALTER TABLE ONLY public.departments
+    ADD CONSTRAINT departments_manager_fkey FOREIGN KEY (manager_id) REFERENCES public.employees(id);
+ALTER TABLE ONLY public.employees
+    ADD CONSTRAINT employees_department_fkey FOREIGN KEY (department_id) REFERENCES public.departments(id);
+`;
+
+// Foreign keys verificadas a cada comando, como constraints não DEFERRABLE
+const FOREIGN_KEYS = [
+    { table: 'nodes', column: 'parent_id', refTable: 'nodes' },
+    { table: 'departments', column: 'manager_id', refTable: 'employees' },
+    { table: 'employees', column: 'department_id', refTable: 'departments' }
+];
+
+const OLD_DATA = {
+    nodes: [[1, null, 'raiz'], [5, 1, 'cinco'], [10, 1, 'dez'], [11, 10, 'onze']],
+    departments: [[1, 100]],
+    employees: [[100, 1]]
+};
+
+// O nó 20 aponta para o 21, que vem depois na chave; o 5 passa a apontar para o 21;
+// o 11 (filho do 10) e o 10 são removidos; o departamento 2 e o funcionário 200 se referenciam
+const NEW_DATA = {
+    nodes: [[1, null, 'raiz'], [5, 21, 'cinco'], [20, 21, 'vinte'], [21, 1, 'vinte e um']],
+    departments: [[1, 100], [2, 200]],
+    employees: [[100, 1], [200, 2]]
+};
+
+const COLUMNS = { nodes: ['id', 'parent_id', 'name'], departments: ['id', 'manager_id'], employees: ['id', 'department_id'] };
+
+/**
+ * Monta o dump com os dados de cada tabela
+ * @param {Object} data - Linhas por tabela
+ * @returns {string} Conteúdo do dump
+ */
+function buildDump(data) {
+    const blocks = Object.entries(data).map(([table, rows]) => [
+        `COPY public.${table} (${COLUMNS[table].join(', ')}) FROM stdin;`,
+        ...rows.map(row => row.map(value => (value === null ? '\\N' : value)).join('\t')),
+        '\\.',
+        ''
+    ].join('\n'));
+    return NODES + blocks.join('\n') + CONSTRAINTS;
+}
+
+/**
+ * Lê os valores de uma lista SQL simples (inteiros, NULL e literais sem vírgulas)
+ * @param {string} text - Valores separados por vírgula
+ * @returns {Array<number|string|null>} Valores
+ */
+function parseValues(text) {
+    return text.split(/,\s*/).map(value => {
+        if (value === 'NULL') return null;
+        if (value.startsWith('\'')) return value.slice(1, -1).replace(/''/g, '\'');
+        return Number(value);
+    });
+}
+
+/**
+ * Aplica o script a um banco em memória, verificando as foreign keys a cada comando
+ * @param {string} script - Script gerado
+ * @param {Object} data - Estado inicial (linhas por tabela)
+ * @returns {Object} Estado final, com as linhas de cada tabela ordenadas pela chave
+ */
+function applyScript(script, data) {
+    const tables = {};
+    Object.entries(data).forEach(([table, rows]) => {
+        tables[table] = new Map(rows.map(row => [row[0], [...row]]));
+    });
+    const column = (table, name) => COLUMNS[table].indexOf(name);
+    const check = statement => {
+        for (const fk of FOREIGN_KEYS) {
+            for (const row of tables[fk.table].values()) {
+                const value = row[column(fk.table, fk.column)];
+                assert.ok(value === null || tables[fk.refTable].has(value), `${statement} viola ${fk.table}.${fk.column} = ${value}`);
+            }
+        }
+    };
+
+    for (const statement of script.split('\n').filter(line => /^(INSERT|UPDATE|DELETE)/.test(line))) {
+        let match;
+        if ((match = /^INSERT INTO public\.(\w+) \(([^)]*)\) VALUES \((.*)\);$/.exec(statement))) {
+            const row = parseValues(match[3]);
+            assert.ok(!tables[match[1]].has(row[0]), `${statement}: chave repetida`);
+            tables[match[1]].set(row[0], row);
+        } else if ((match = /^UPDATE public\.(\w+) SET (.*) WHERE id = (\d+);$/.exec(statement))) {
+            const row = tables[match[1]].get(Number(match[3]));
+            assert.ok(row, `${statement}: linha inexistente`);
+            match[2].split(/,\s*/).forEach(assignment => {
+                const [name, value] = assignment.split(' = ');
+                row[column(match[1], name)] = parseValues(value)[0];
+            });
+        } else if ((match = /^DELETE FROM public\.(\w+) WHERE id = (\d+);$/.exec(statement))) {
+            assert.ok(tables[match[1]].delete(Number(match[2])), `${statement}: linha inexistente`);
+        } else {
+            assert.fail(`Comando não reconhecido: ${statement}`);
+        }
+        check(statement);
+    }
+
+    const state = {};
+    Object.entries(tables).forEach(([table, rows]) => {
+        state[table] = [...rows.values()].sort((a, b) => a[0] - b[0]);
+    });
+    return state;
+}
+
+/**
+ * Compara dois dumps num diretório temporário
+ * @param {Object} options - Opções do DumpDiff
+ * @returns {Promise<{script: string, diff: DumpDiff}>} Script gerado e a comparação
+ */
+async function diffDumps(options) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'diff-dumps-'));
+    try {
+        const oldFile = path.join(directory, 'old.sql');
+        const newFile = path.join(directory, 'new.sql');
+        const outputFile = path.join(directory, 'diff.sql');
+        fs.writeFileSync(oldFile, buildDump(OLD_DATA));
+        fs.writeFileSync(newFile, buildDump(NEW_DATA));
+        const diff = new DumpDiff(oldFile, newFile, options);
+        await diff.saveScript(outputFile);
+        return { script: fs.readFileSync(outputFile, 'utf8'), diff };
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+}
+
+test('foreign keys em ciclo e autorreferentes são desligadas antes dos DELETE e restauradas no fim', async () => {
+    const { script, diff } = await diffDumps({ logger: null });
+
+    assert.deepEqual(applyScript(script, OLD_DATA), NEW_DATA);
+    assert.match(script, /INSERT INTO public\.nodes \(id, parent_id, name\) VALUES \(20, NULL, 'vinte'\);/);
+    assert.match(script, /-- Restaurar referências adiadas \(foreign keys em ciclo\): \d+ registros\nUPDATE public\.nodes SET parent_id = 21 WHERE id = 20;/);
+    assert.deepEqual(diff.errors, []);
+});
+
+test('a comparação escreve as mensagens no logger informado, e não no console', async () => {
+    const messages = [];
+    const log = console.log;
+    console.log = (...args) => assert.fail(`console.log: ${args.join(' ')}`);
+    try {
+        await diffDumps({ logger: { info: message => messages.push(message) } });
+    } finally {
+        console.log = log;
+    }
+
+    assert.ok(messages.includes('Comparando tabelas...'));
+    assert.ok(messages.includes('Ciclo de foreign keys: public.nodes'));
+    assert.ok(messages.some(message => message.startsWith('Script salvo em: ')));
+});
@@ -0,0 +1,100 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { test } = require('node:test');
+const { EXIT_CODES } = require('../dump_processor');
+
+const CLI = path.join(__dirname, '..', 'dump_processor.js');
+
+const DUMP = [
+    'CREATE TABLE public.clientes (',
+    '    id integer NOT NULL,',
+    '    nome text',
+    ');',
+    '',
+    'COPY public.clientes (id, nome) FROM stdin;',
+    '1\tAna',
+    '\\.',
+    ''
+].join('\n');
+
+// O id 'x' não é inteiro e o id 1 se repete
+const INVALID_DUMP = DUMP.replace('1\tAna', '1\tAna\nx\tBia\n1\tCarla').replace('    nome text', '    nome text,\n    CONSTRAINT clientes_pkey PRIMARY KEY (id)');
+
+/**
+ * Executa o CLI num diretório temporário com os dumps válido (dump.sql) e inválido (invalido.sql)
+ * @param {Array<string>} args - Argumentos do CLI
+ * @returns {{status: number, stdout: string, stderr: string, report: Object|null}} Resultado do processo e o relatório de --validation-report=validacao.json
+ */
+function runCli(args) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'dump-processor-cli-'));
+    try {
+        fs.writeFileSync(path.join(directory, 'dump.sql'), DUMP);
+        fs.writeFileSync(path.join(directory, 'invalido.sql'), INVALID_DUMP);
+        const result = spawnSync(process.execPath, [CLI, ...args], { cwd: directory, encoding: 'utf8', timeout: 60000 });
+        const report = path.join(directory, 'validacao.json');
+        return { status: result.status, stdout: result.stdout, stderr: result.stderr, report: fs.existsSync(report) ? JSON.parse(fs.readFileSync(report, 'utf8')) : null };
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+}
+
+test('convert com saída - deixa a stdout só com o script e manda as mensagens para a stderr', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'dump-processor-cli-'));
+    try {
+        const dumpFile = path.join(directory, 'dump.sql');
+        fs.writeFileSync(dumpFile, DUMP);
+        fs.writeFileSync(path.join(directory, 'dump-processor.config.json'), JSON.stringify({ lang: 'en' }));
+        const result = spawnSync(process.execPath, [CLI, 'convert', dumpFile, '-'], { cwd: directory, encoding: 'utf8', timeout: 60000 });
+
+        assert.equal(result.status, 0, result.stderr);
+        const comments = /^(--.*|\s*)$/;
+        const statements = result.stdout.split('\n').filter(line => !comments.test(line));
+        assert.ok(statements.some(line => line.startsWith('INSERT INTO public.clientes (id, nome) VALUES (1, \'Ana\')')));
+        assert.ok(statements.every(line => !/Script|Configura|✅/.test(line)), result.stdout);
+        assert.match(result.stderr, /Configuration read from .*dump-processor\.config\.json/);
+        assert.match(result.stderr, /✅ Script generated successfully!/);
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
+
+test('validate termina com 0 sem problemas e com 2 quando a validação encontra problemas', () => {
+    const valid = runCli(['validate', 'dump.sql']);
+    assert.equal(valid.status, EXIT_CODES.OK, valid.stderr);
+
+    const invalid = runCli(['validate', 'invalido.sql', '--validation-report=validacao.json']);
+    assert.equal(invalid.status, EXIT_CODES.INVALID_DATA, invalid.stderr);
+    assert.deepEqual(invalid.report.counts, { INVALID_VALUE: 1, DUPLICATE_KEY: 1 });
+
+    const json = runCli(['validate', 'invalido.sql', '--json']);
+    assert.equal(json.status, EXIT_CODES.INVALID_DATA);
+    assert.equal(JSON.parse(json.stdout).total, 2);
+});
+
+test('convert e export só terminam com 2 por problemas na validação com --strict', () => {
+    const lenient = runCli(['convert', 'invalido.sql', 'restore.sql', '--validate']);
+    assert.equal(lenient.status, EXIT_CODES.OK, lenient.stderr);
+
+    for (const args of [['convert', 'invalido.sql', 'restore.sql'], ['export', 'invalido.sql', 'csv']]) {
+        const strict = runCli([...args, '--strict']);
+        assert.equal(strict.status, EXIT_CODES.INVALID_DATA, `${args[0]}: ${strict.stderr}`);
+    }
+    const valid = runCli(['convert', 'dump.sql', 'restore.sql', '--strict']);
+    assert.equal(valid.status, EXIT_CODES.OK, valid.stderr);
+});
+
+test('erros de uso terminam com 64 e o dump inexistente com 66', () => {
+    for (const args of [['validar', 'dump.sql'], ['validate'], ['validate', 'dump.sql', 'extra.sql'], ['export', 'dump.sql', '--format=xml']]) {
+        const result = runCli(args);
+        assert.equal(result.status, EXIT_CODES.USAGE, `${args.join(' ')}: ${result.stderr}`);
+    }
+    assert.equal(runCli([]).status, EXIT_CODES.USAGE);
+    assert.equal(runCli(['--help']).status, EXIT_CODES.OK);
+
+    const missing = runCli(['validate', 'inexistente.sql']);
+    assert.equal(missing.status, EXIT_CODES.NO_INPUT);
+    assert.match(missing.stderr, /inexistente\.sql/);
+});
@@ -0,0 +1,112 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { test } = require('node:test');
+const { SequentialLineSource } = require('../lib/compression');
+const { BlockSpool } = require('../lib/block_spool');
+const { readDump } = require('../index');
+
+/**
+ * Monta um dump com várias tabelas, com linhas em CRLF e o último bloco sem o \. final
+ * @param {number} tables - Quantidade de tabelas
+ * @returns {string} Conteúdo do dump
+ */
+function buildDump(tables) {
+    const lines = [];
+    for (let i = 1; i <= tables; i++) {
+        lines.push(`CREATE TABLE public.t${i} (id integer, v text);`, '');
+        lines.push(`COPY public.t${i} (id, v) FROM stdin;`);
+        for (let row = 1; row <= 20; row++) {
+            lines.push(`${row}\tvalor ${i}-${row} ação${row % 5 === 0 ? '\r' : ''}`);
+        }
+        if (i < tables) lines.push('\\.', '');
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Lê as linhas do dump na ordem dada pelo plan, contando as aberturas da origem e os
+ * blocos copiados para o BlockSpool
+ * @param {string} dumpFile - Arquivo do dump
+ * @param {Function} plan - Ordena os blocos do índice
+ * @returns {Promise<{rows: Array<string>, opens: number, spooled: number}>} Tabela e valores de cada linha lida
+ */
+async function readPlanned(dumpFile, plan) {
+    const open = SequentialLineSource.prototype.open;
+    const begin = BlockSpool.prototype.begin;
+    let opens = 0;
+    let spooled = 0;
+    SequentialLineSource.prototype.open = function () {
+        opens++;
+        return open.call(this);
+    };
+    BlockSpool.prototype.begin = function () {
+        spooled++;
+        return begin.call(this);
+    };
+    try {
+        const rows = [];
+        for await (const { table, row } of readDump(dumpFile, { logger: null, plan })) {
+            rows.push(`${table}: ${row.join(' | ')}`);
+        }
+        return { rows, opens, spooled };
+    } finally {
+        SequentialLineSource.prototype.open = open;
+        BlockSpool.prototype.begin = begin;
+    }
+}
+
+/**
+ * Cria um dump plain e o mesmo dump compactado com gzip num diretório temporário
+ * @param {Function} run - Recebe os caminhos ({ plainFile, gzipFile }) (async)
+ */
+async function withDumps(run) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'dump-spool-'));
+    try {
+        const content = buildDump(12);
+        const plainFile = path.join(directory, 'dump.sql');
+        const gzipFile = path.join(directory, 'dump.sql.gz');
+        fs.writeFileSync(plainFile, content);
+        fs.writeFileSync(gzipFile, zlib.gzipSync(content));
+        await run({ plainFile, gzipFile });
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+}
+
+const spoolDirectories = () => fs.readdirSync(os.tmpdir()).filter(name => name.startsWith('dump-processor-')).length;
+const reversed = index => [...index.blocks].reverse();
+const dumpOrder = index => index.blocks;
+
+test('blocos fora da ordem de um dump compactado são lidos com uma única descompactação dos dados', async () => {
+    await withDumps(async ({ plainFile, gzipFile }) => {
+        const before = spoolDirectories();
+        const plain = await readPlanned(plainFile, reversed);
+        const gzip = await readPlanned(gzipFile, reversed);
+
+        assert.equal(plain.rows.length, 12 * 20);
+        assert.equal(plain.rows[0], 'public.t12: 1 | valor 12-1 ação');
+        assert.deepEqual(gzip.rows, plain.rows);
+        // Indexação e leitura dos dados; os 11 blocos atravessados antes do último vão para a cópia
+        assert.equal(gzip.opens, 2);
+        assert.equal(gzip.spooled, 11);
+        assert.equal(spoolDirectories(), before);
+    });
+});
+
+test('arquivos plain e blocos na ordem do dump não usam cópia temporária', async () => {
+    await withDumps(async ({ plainFile, gzipFile }) => {
+        const plain = await readPlanned(plainFile, reversed);
+        const plainInOrder = await readPlanned(plainFile, dumpOrder);
+        const inOrder = await readPlanned(gzipFile, dumpOrder);
+
+        assert.equal(plain.spooled, 0);
+        assert.equal(plain.opens, 0);
+        assert.equal(plainInOrder.spooled, 0);
+        assert.equal(inOrder.spooled, 0);
+        assert.equal(inOrder.opens, 2);
+        assert.deepEqual(inOrder.rows, plainInOrder.rows);
+    });
+});
@@ -0,0 +1,64 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test } = require('node:test');
+const { AdvancedDumpExtractor, silentLogger } = require('../index');
+
+const DUMP = [
+    'CREATE TABLE public.medidas (',
+    '    id integer NOT NULL,',
+    '    contador bigint,',
+    '    preco numeric(10,2),',
+    '    total numeric,',
+    '    taxa double precision,',
+    '    codigos bigint[],',
+    '    notas integer[]',
+    ');',
+    '',
+    'COPY public.medidas (id, contador, preco, total, taxa, codigos, notas) FROM stdin;',
+    '1\t42\t10.50\t3\t0.5\t{1,2}\t{7,8}',
+    '2\t9007199254740993\t99999999.99\t123456789012345678901234567890\tNaN\t{9007199254740993}\t{9}',
+    '\\.',
+    ''
+].join('\n');
+
+/**
+ * Exporta o dump de medidas em JSON Lines num diretório temporário
+ * @returns {Promise<{records: Array<Object>, manifest: Object, errors: Array<string>}>} Registros, manifesto e avisos
+ */
+async function exportJsonLines() {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'exporters-'));
+    try {
+        const dumpFile = path.join(directory, 'dump.sql');
+        const output = path.join(directory, 'exportacao');
+        fs.writeFileSync(dumpFile, DUMP);
+        const extractor = new AdvancedDumpExtractor(dumpFile, { logger: silentLogger, format: 'jsonl' });
+        await extractor.exportTables(output);
+        const lines = fs.readFileSync(path.join(output, 'public.medidas.jsonl'), 'utf8').trim().split('\n');
+        return {
+            records: lines.map(line => JSON.parse(line)),
+            manifest: JSON.parse(fs.readFileSync(path.join(output, 'manifest.json'), 'utf8')),
+            errors: extractor.errors
+        };
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+}
+
+test('o tipo JSON dos números é o da coluna, o mesmo em todas as linhas', async () => {
+    const { records } = await exportJsonLines();
+
+    assert.deepEqual(records, [
+        { id: 1, contador: '42', preco: 10.5, total: '3', taxa: 0.5, codigos: ['1', '2'], notas: [7, 8] },
+        { id: 2, contador: '9007199254740993', preco: 99999999.99, total: '123456789012345678901234567890', taxa: null, codigos: ['9007199254740993'], notas: [9] }
+    ]);
+});
+
+test('NaN e Infinity em colunas de número viram null com aviso', async () => {
+    const { manifest, errors } = await exportJsonLines();
+    const warning = 'public.medidas.taxa: 1 valores NaN/Infinity exportados como null (o JSON não os representa)';
+
+    assert.ok(errors.includes(warning));
+    assert.ok(manifest.warnings.includes(warning));
+});
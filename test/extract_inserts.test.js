@@ -0,0 +1,62 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test } = require('node:test');
+const { DumpExtractor, ValueFormatter, silentLogger } = require('../index');
+
+const DUMP = [
+    'CREATE TABLE public.clientes (',
+    '    id integer NOT NULL,',
+    '    cep character varying(8),',
+    '    ativo boolean,',
+    '    saldo numeric(10,2)',
+    ');',
+    '',
+    'COPY public.clientes (id, cep, ativo, saldo) FROM stdin;',
+    '1\t01310\tt\t10.50',
+    '2\t\\N\tf\t\\N',
+    '\\.',
+    ''
+].join('\n');
+
+/**
+ * Gera o script da versão básica para o dump de clientes
+ * @param {Object} [options] - Opções adicionais do DumpExtractor
+ * @returns {Promise<Array<string>>} Um INSERT por linha, na ordem do dump
+ */
+async function convertToInserts(options = {}) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'extract-inserts-'));
+    try {
+        const dumpFile = path.join(directory, 'dump.sql');
+        const outputFile = path.join(directory, 'restore.sql');
+        fs.writeFileSync(dumpFile, DUMP);
+        const extractor = new DumpExtractor(dumpFile, { logger: silentLogger, ...options });
+        await extractor.saveScript(outputFile);
+        return fs.readFileSync(outputFile, 'utf8').split('\n').filter(line => line.startsWith('INSERT INTO'));
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+}
+
+test('a versão básica formata os valores pelo tipo das colunas no catálogo', async () => {
+    const inserts = await convertToInserts();
+
+    assert.deepEqual(inserts, [
+        'INSERT INTO public.clientes (id, cep, ativo, saldo) VALUES (1, \'01310\', true, 10.50) ON CONFLICT DO NOTHING;',
+        'INSERT INTO public.clientes (id, cep, ativo, saldo) VALUES (2, NULL, false, NULL) ON CONFLICT DO NOTHING;'
+    ]);
+});
+
+test('a versão básica usa o formatador de createFormatter', async () => {
+    class UpperFormatter extends ValueFormatter {
+        format(value, column) {
+            return column.type.startsWith('character varying') && value !== null
+                ? `upper(${super.format(value, column)})`
+                : super.format(value, column);
+        }
+    }
+    const inserts = await convertToInserts({ createFormatter: catalog => new UpperFormatter(catalog) });
+
+    assert.equal(inserts[0], 'INSERT INTO public.clientes (id, cep, ativo, saldo) VALUES (1, upper(\'01310\'), true, 10.50) ON CONFLICT DO NOTHING;');
+});
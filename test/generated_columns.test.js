@@ -0,0 +1,127 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test } = require('node:test');
+const { AdvancedDumpExtractor, silentLogger } = require('../index');
+const DumpDiff = require('../diff_dumps');
+
+const DDL = [
+    'CREATE TABLE public.pessoas (',
+    '    id integer NOT NULL,',
+    '    nome text,',
+    '    sobrenome text,',
+    '    nome_completo text GENERATED ALWAYS AS (((nome || \' \'::text) || sobrenome)) STORED',
+    ');',
+    '',
+    'ALTER TABLE public.pessoas ALTER COLUMN id ADD GENERATED ALWAYS AS IDENTITY (',
+    '    SEQUENCE NAME public.pessoas_id_seq',
+    ');',
+    ''
+];
+
+/**
+ * Monta o dump de pessoas com as linhas informadas
+ * @param {Array<string>} rows - Linhas do COPY (id, nome, sobrenome, nome_completo)
+ * @returns {string} Conteúdo do dump
+ */
+function buildDump(rows) {
+    return [
+        ...DDL,
+        'COPY public.pessoas (id, nome, sobrenome, nome_completo) FROM stdin;',
+        ...rows,
+        '\\.',
+        '',
+        'ALTER TABLE ONLY public.pessoas',
+        '    ADD CONSTRAINT pessoas_pkey PRIMARY KEY (id);',
+        ''
+    ].join('\n');
+}
+
+const DUMP = buildDump(['1\tZuleica\tQuintanilha\tZuleica Quintanilha', '2\tJoão\tSouza\tJoão Souza']);
+
+/**
+ * Executa uma função com um diretório temporário contendo o dump de pessoas e as regras de mascaramento
+ * @param {Function} run - Recebe ({ directory, dumpFile, maskRules }) (async)
+ * @returns {Promise<*>} Resultado de run
+ */
+async function withDump(run) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'generated-columns-'));
+    try {
+        const dumpFile = path.join(directory, 'dump.sql');
+        const maskRules = path.join(directory, 'regras.json');
+        fs.writeFileSync(dumpFile, DUMP);
+        fs.writeFileSync(maskRules, JSON.stringify({ salt: 'teste', rules: [{ column: 'pessoas.nome', strategy: 'name' }, { column: 'pessoas.sobrenome', strategy: 'fixed', value: 'X' }] }));
+        return await run({ directory, dumpFile, maskRules });
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Gera o script de inserção do dump de pessoas
+ * @param {Object} [options] - Opções adicionais do AdvancedDumpExtractor
+ * @returns {Promise<{script: string, errors: Array<string>}>} Script e avisos
+ */
+function convert(options = {}) {
+    return withDump(async ({ directory, dumpFile, maskRules }) => {
+        const outputFile = path.join(directory, 'restore.sql');
+        const extractor = new AdvancedDumpExtractor(dumpFile, { logger: silentLogger, maskRules, ...options });
+        await extractor.saveScript(outputFile);
+        return { script: fs.readFileSync(outputFile, 'utf8'), errors: extractor.errors };
+    });
+}
+
+test('o script PostgreSQL deixa a coluna gerada de fora e insere a identity com OVERRIDING SYSTEM VALUE', async () => {
+    const { script } = await convert({ onConflict: 'none' });
+    const inserts = script.split('\n').filter(line => line.startsWith('INSERT INTO'));
+
+    assert.equal(inserts.length, 2);
+    assert.match(inserts[0], /^INSERT INTO public\.pessoas \(id, nome, sobrenome\) OVERRIDING SYSTEM VALUE VALUES \(1, '[^']+', 'X'\);$/);
+    assert.match(script, /-- Colunas geradas calculadas pelo banco: nome_completo/);
+    assert.doesNotMatch(script, /Zuleica|Quintanilha/);
+});
+
+for (const dialect of ['sqlite', 'mysql']) {
+    test(`o script ${dialect} deixa a coluna gerada de fora da tabela e dos INSERT`, async () => {
+        const { script, errors } = await convert({ dialect });
+        const statements = script.split('\n').filter(line => !line.startsWith('--')).join('\n');
+
+        assert.doesNotMatch(statements, /nome_completo/);
+        assert.doesNotMatch(script, /Zuleica|Quintanilha/);
+        assert.match(script, /-- Colunas geradas fora do script \(calculadas pelo PostgreSQL\): nome_completo/);
+        assert.ok(errors.some(error => error.includes('colunas geradas fora do script') && error.includes('nome_completo')));
+    });
+}
+
+for (const format of ['csv', 'jsonl']) {
+    test(`a exportação ${format} deixa a coluna gerada de fora dos arquivos e do manifesto`, async () => {
+        await withDump(async ({ directory, dumpFile, maskRules }) => {
+            const output = path.join(directory, 'exportacao');
+            const extractor = new AdvancedDumpExtractor(dumpFile, { logger: silentLogger, maskRules, format });
+            await extractor.exportTables(output);
+            const data = fs.readFileSync(path.join(output, `public.pessoas.${format}`), 'utf8');
+            const manifest = JSON.parse(fs.readFileSync(path.join(output, 'manifest.json'), 'utf8'));
+
+            assert.doesNotMatch(data, /nome_completo|Zuleica|Quintanilha/);
+            assert.deepEqual(manifest.tables[0].columns.map(column => column.name), ['id', 'nome', 'sobrenome']);
+            assert.ok(manifest.warnings.some(warning => warning.includes('colunas geradas fora da exportação (nome_completo)')));
+        });
+    });
+}
+
+test('a comparação de dumps deixa a coluna gerada de fora e não altera a identity', async () => {
+    await withDump(async ({ directory, dumpFile }) => {
+        const newFile = path.join(directory, 'novo.sql');
+        const outputFile = path.join(directory, 'diff.sql');
+        fs.writeFileSync(newFile, buildDump(['1\tZuleica\tSantos\tZuleica Santos', '3\tAna\tLima\tAna Lima']));
+        const diff = new DumpDiff(dumpFile, newFile, { logger: null });
+        await diff.saveScript(outputFile);
+        const script = fs.readFileSync(outputFile, 'utf8');
+
+        assert.match(script, /^INSERT INTO public\.pessoas \(id, nome, sobrenome\) OVERRIDING SYSTEM VALUE VALUES \(3, 'Ana', 'Lima'\);$/m);
+        assert.match(script, /^UPDATE public\.pessoas SET sobrenome = 'Santos' WHERE id = 1;$/m);
+        assert.match(script, /^DELETE FROM public\.pessoas WHERE id = 2;$/m);
+        assert.doesNotMatch(script, /nome_completo =|'Zuleica Santos'|'Ana Lima'/);
+    });
+});
@@ -0,0 +1,79 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test } = require('node:test');
+const { AdvancedDumpExtractor, silentLogger } = require('../index');
+
+const DUMP = [
+    'CREATE TABLE public.docs (',
+    '    id integer NOT NULL,',
+    '    arquivo oid',
+    ');',
+    '',
+    'CREATE TABLE public.anexos (',
+    '    nome text,',
+    '    arquivo oid',
+    ');',
+    '',
+    'SELECT pg_catalog.lo_create(\'16401\');',
+    '',
+    'COPY public.docs (id, arquivo) FROM stdin;',
+    '1\t16401',
+    '2\t\\N',
+    '\\.',
+    '',
+    'COPY public.anexos (nome, arquivo) FROM stdin;',
+    'a\t16401',
+    '\\.',
+    '',
+    'BEGIN;',
+    'SELECT pg_catalog.lo_open(\'16401\', 131072);',
+    'SELECT pg_catalog.lowrite(0, \'\\x48656c6c6f\');',
+    'SELECT pg_catalog.lo_close(0);',
+    'COMMIT;',
+    '',
+    'ALTER TABLE ONLY public.docs',
+    '    ADD CONSTRAINT docs_pkey PRIMARY KEY (id);',
+    ''
+].join('\n');
+
+/**
+ * Gera o script do dump com large objects
+ * @param {Object} options - Opções adicionais do AdvancedDumpExtractor
+ * @returns {Promise<{lines: Array<string>, errors: Array<string>}>} Linhas do script e avisos
+ */
+async function convert(options) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'large-objects-'));
+    try {
+        const dumpFile = path.join(directory, 'dump.sql');
+        const outputFile = path.join(directory, 'restore.sql');
+        fs.writeFileSync(dumpFile, DUMP);
+        const extractor = new AdvancedDumpExtractor(dumpFile, { logger: silentLogger, ...options });
+        await extractor.saveScript(outputFile);
+        return { lines: fs.readFileSync(outputFile, 'utf8').split('\n'), errors: extractor.errors };
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+}
+
+test('remap atualiza as colunas oid apenas nas linhas do script, pela chave primária', async () => {
+    for (const workers of [1, 2]) {
+        const { lines, errors } = await convert({ largeObjects: 'remap', workers });
+        const updates = lines.filter(line => line.startsWith('UPDATE'));
+
+        assert.deepEqual(updates, [
+            'UPDATE public.docs AS t SET arquivo = m.new_oid FROM public.dump_processor_large_objects m WHERE m.old_oid = 16401 AND t.arquivo = m.old_oid AND t.id = 1;',
+            'UPDATE public.anexos AS t SET arquivo = m.new_oid FROM public.dump_processor_large_objects m WHERE t.arquivo = m.old_oid;'
+        ]);
+        assert.ok(errors.some(error => error.startsWith('Tabela public.anexos: sem chave primária')));
+    }
+});
+
+test('preserve cria os large objects sem reaproveitar um OID existente no destino', async () => {
+    const { lines } = await convert({ largeObjects: 'preserve' });
+
+    assert.ok(lines.includes('SELECT pg_catalog.lo_create(16401);'));
+    assert.ok(lines.includes('SELECT pg_catalog.lo_put(16401, 0, pg_catalog.decode(\'48656c6c6f\', \'hex\'));'));
+    assert.ok(!lines.some(line => line.includes('NOT EXISTS')));
+});
@@ -0,0 +1,63 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test } = require('node:test');
+const { AdvancedDumpExtractor, silentLogger } = require('../index');
+const ChunkRunner = require('../run_chunks');
+
+const DUMP = [
+    'CREATE TABLE public.clientes (',
+    '    id integer NOT NULL,',
+    '    nome text',
+    ');',
+    '',
+    'COPY public.clientes (id, nome) FROM stdin;',
+    '1\tAna',
+    '2\tBruno',
+    '\\.',
+    ''
+].join('\n');
+
+// Comando de teste no lugar do psql: falha quando o SQL recebido contém 'Bruno'
+const FAILING_COMMAND = `
+let sql = '';
+process.stdin.on('data', chunk => { sql += chunk; });
+process.stdin.on('end', () => process.exit(sql.includes("'Bruno'") ? 3 : 0));
+`;
+
+test('um arquivo corrigido depois de uma falha só é executado com --accept-changes', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'run-chunks-'));
+    const log = console.log;
+    console.log = () => {};
+    try {
+        const dumpFile = path.join(directory, 'dump.sql');
+        const chunks = path.join(directory, 'restore_chunks');
+        const commandFile = path.join(directory, 'comando.js');
+        fs.writeFileSync(dumpFile, DUMP);
+        fs.writeFileSync(commandFile, FAILING_COMMAND);
+        const extractor = new AdvancedDumpExtractor(dumpFile, { logger: silentLogger, split: { maxRows: 0, maxBytes: 1024 * 1024 } });
+        await extractor.saveScript(chunks);
+        const options = { command: `"${process.execPath}" "${commandFile}"` };
+
+        await assert.rejects(new ChunkRunner(chunks, options).run(), /falhou \(código de saída 3\).*--accept-changes/);
+
+        const manifest = JSON.parse(fs.readFileSync(path.join(chunks, 'manifest.json'), 'utf8'));
+        const data = manifest.files.find(entry => entry.kind === 'data');
+        const dataFile = path.join(chunks, data.file);
+        fs.writeFileSync(dataFile, fs.readFileSync(dataFile, 'utf8').replace('\'Bruno\'', '\'Bruna\''));
+
+        await assert.rejects(new ChunkRunner(chunks, options).run(), new RegExp(`Checksum não confere: ${data.file}.*--accept-changes`));
+        const executed = await new ChunkRunner(chunks, { ...options, acceptChanges: true }).run();
+
+        const updated = JSON.parse(fs.readFileSync(path.join(chunks, 'manifest.json'), 'utf8'));
+        const entry = updated.files.find(file => file.file === data.file);
+        assert.ok(executed > 0);
+        assert.notEqual(entry.sha256, data.sha256);
+        assert.equal(entry.bytes, fs.statSync(dataFile).size);
+        assert.equal(await new ChunkRunner(chunks, { ...options, restart: true }).run(), updated.files.length - 1);
+    } finally {
+        console.log = log;
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,71 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test } = require('node:test');
+const { AdvancedDumpExtractor, silentLogger } = require('../index');
+
+const DUMP = [
+    'CREATE TABLE public.leituras (',
+    '    id integer NOT NULL,',
+    '    valor double precision,',
+    '    ajuste numeric,',
+    '    ativo boolean,',
+    '    lida_em timestamp with time zone,',
+    '    validade date,',
+    '    dados bytea,',
+    '    tags text[]',
+    ');',
+    '',
+    'COPY public.leituras (id, valor, ajuste, ativo, lida_em, validade, dados, tags) FROM stdin;',
+    '1\t1.5\t2.25\tt\t2024-01-01 10:00:00-03\t2024-12-31\t\\\\x0aff\t{a,"b c"}',
+    '2\tNaN\tNaN\tf\tinfinity\t-infinity\t\\N\t\\N',
+    '3\tInfinity\t-Infinity\t\\N\t-infinity\tinfinity\t\\N\t{}',
+    '\\.',
+    '',
+    'ALTER TABLE ONLY public.leituras',
+    '    ADD CONSTRAINT leituras_pkey PRIMARY KEY (id);',
+    ''
+].join('\n');
+
+/**
+ * Gera o script do dump de leituras num dialeto
+ * @param {string} dialect - sqlite ou mysql
+ * @returns {Promise<{inserts: Array<string>, script: string, errors: Array<string>}>} INSERT, script e avisos
+ */
+async function convert(dialect) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'sql-dialects-'));
+    try {
+        const dumpFile = path.join(directory, 'dump.sql');
+        const outputFile = path.join(directory, 'restore.sql');
+        fs.writeFileSync(dumpFile, DUMP);
+        const extractor = new AdvancedDumpExtractor(dumpFile, { logger: silentLogger, dialect, onConflict: 'none' });
+        await extractor.saveScript(outputFile);
+        const script = fs.readFileSync(outputFile, 'utf8');
+        return { inserts: script.split('\n').filter(line => line.startsWith('INSERT INTO')), script, errors: extractor.errors };
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+}
+
+test('o script sqlite converte booleanos, timestamps, bytea e arrays', async () => {
+    const { inserts } = await convert('sqlite');
+
+    assert.equal(inserts[0], 'INSERT INTO "leituras" ("id", "valor", "ajuste", "ativo", "lida_em", "validade", "dados", "tags") '
+        + 'VALUES (1, 1.5, 2.25, 1, \'2024-01-01 13:00:00\', \'2024-12-31\', X\'0aff\', \'["a","b c"]\');');
+});
+
+for (const dialect of ['sqlite', 'mysql']) {
+    test(`o script ${dialect} grava NaN, Infinity e infinity como NULL, com aviso por coluna`, async () => {
+        const { inserts, script, errors } = await convert(dialect);
+
+        assert.match(inserts[1], /VALUES \(2, NULL, NULL, 0, NULL, NULL, NULL, NULL\);$/);
+        assert.match(inserts[2], /VALUES \(3, NULL, NULL, NULL, NULL, NULL, NULL, '\[\]'\);$/);
+        assert.doesNotMatch(inserts.join('\n'), /NaN|Infinity|infinity/);
+        for (const column of ['valor', 'ajuste', 'lida_em', 'validade']) {
+            const warning = `public.leituras.${column}: 2 valores sem equivalente no ${dialect} (NaN, Infinity ou infinity) gravados como NULL`;
+            assert.ok(errors.includes(warning), `${warning}\n${errors.join('\n')}`);
+            assert.ok(script.includes(`-- ${warning}`));
+        }
+    });
+}
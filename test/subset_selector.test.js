@@ -0,0 +1,115 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test } = require('node:test');
+const { parseSubsetSeeds } = require('../lib/subset_selector');
+const { parsePredicate } = require('../lib/row_predicate');
+const { AdvancedDumpExtractor, silentLogger } = require('../index');
+
+// Os itens vêm antes dos pedidos e dos produtos no dump: a seleção precisa de várias leituras
+const DUMP = [
+    'CREATE TABLE public.items (id integer NOT NULL, order_id integer, product_id integer);',
+    'CREATE TABLE public.customers (id integer NOT NULL, status text);',
+    'CREATE TABLE public.orders (id integer NOT NULL, customer_id integer);',
+    'CREATE TABLE public.products (id integer NOT NULL, name text);',
+    '',
+    'COPY public.items (id, order_id, product_id) FROM stdin;',
+    '1000\t100\t1',
+    '1001\t100\t2',
+    '1002\t101\t2',
+    '1003\t102\t3',
+    '\\.',
+    '',
+    'COPY public.customers (id, status) FROM stdin;',
+    '42\tvip',
+    '43\tgold',
+    '44\t\\N',
+    '\\.',
+    '',
+    'COPY public.orders (id, customer_id) FROM stdin;',
+    '100\t42',
+    '101\t43',
+    '102\t44',
+    '\\.',
+    '',
+    'COPY public.products (id, name) FROM stdin;',
+    '1\tCaneta',
+    '2\tCaderno',
+    '3\tLápis',
+    '\\.',
+    '',
+    'ALTER TABLE ONLY public.customers ADD CONSTRAINT customers_pkey PRIMARY KEY (id);',
+    'ALTER TABLE ONLY public.orders ADD CONSTRAINT orders_pkey PRIMARY KEY (id);',
+    'ALTER TABLE ONLY public.products ADD CONSTRAINT products_pkey PRIMARY KEY (id);',
+    'ALTER TABLE ONLY public.items ADD CONSTRAINT items_pkey PRIMARY KEY (id);',
+    'ALTER TABLE ONLY public.orders ADD CONSTRAINT orders_customer_fkey FOREIGN KEY (customer_id) REFERENCES public.customers(id);',
+    'ALTER TABLE ONLY public.items ADD CONSTRAINT items_order_fkey FOREIGN KEY (order_id) REFERENCES public.orders(id);',
+    'ALTER TABLE ONLY public.items ADD CONSTRAINT items_product_fkey FOREIGN KEY (product_id) REFERENCES public.products(id);',
+    ''
+].join('\n');
+
+/**
+ * Gera o script do subconjunto e devolve as chaves inseridas por tabela
+ * @param {Array<string>} subset - Sementes (--subset)
+ * @returns {Promise<Object<string, Array<number>>>} Chaves por tabela, na ordem do script
+ */
+async function selectSubset(subset) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'subset-'));
+    try {
+        const dumpFile = path.join(directory, 'dump.sql');
+        const outputFile = path.join(directory, 'subset.sql');
+        fs.writeFileSync(dumpFile, DUMP);
+        const extractor = new AdvancedDumpExtractor(dumpFile, { logger: silentLogger, subset, onConflict: 'none' });
+        await extractor.saveScript(outputFile);
+        const rows = {};
+        for (const [, table, id] of fs.readFileSync(outputFile, 'utf8').matchAll(/^INSERT INTO public\.(\w+) \([^)]*\) VALUES \((\d+)/gm)) {
+            (rows[table] = rows[table] || []).push(Number(id));
+        }
+        return rows;
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+}
+
+test('a semente traz as filhas e os pais delas, mas os pais não puxam as próprias filhas', async () => {
+    const rows = await selectSubset(['public.customers:id = 42']);
+
+    // O produto 2 vem pelo item 1001, mas não traz o item 1002 (de outro cliente)
+    assert.deepEqual(rows, { customers: [42], orders: [100], products: [1, 2], items: [1000, 1001] });
+});
+
+test('sementes em várias tabelas e filtros com IN, IS NULL e OR', async () => {
+    const rows = await selectSubset(['customers:status IN (\'gold\') OR status IS NULL', 'products:name LIKE \'Can%\'']);
+
+    // O item 1000, filho da semente em products, traz como pais o pedido 100 e o cliente 42
+    assert.deepEqual(rows, { customers: [42, 43, 44], orders: [100, 101, 102], products: [1, 2, 3], items: [1000, 1002, 1003] });
+});
+
+test('a amostra por percentual é a mesma a cada execução', async () => {
+    const first = await selectSubset(['items:50%']);
+    const second = await selectSubset(['items:50%']);
+
+    assert.deepEqual(first, second);
+    assert.deepEqual(await selectSubset(['items:100%']), {
+        customers: [42, 43, 44], orders: [100, 101, 102], products: [1, 2, 3], items: [1000, 1001, 1002, 1003]
+    });
+});
+
+test('os filtros comparam números numericamente e texto com LIKE e ILIKE', () => {
+    const matches = (text, row) => parsePredicate(text).test(row);
+
+    assert.ok(matches('id >= 10 AND id < 100', { id: '42' }));
+    assert.ok(matches('id > 9', { id: '10.0' }));
+    assert.ok(matches('NOT (status = \'vip\')', { status: 'gold' }));
+    assert.ok(matches('status <> \'vip\' OR status IS NULL', { status: null }));
+    assert.ok(matches('nome ILIKE \'%silva\'', { nome: 'Ana SILVA' }));
+    assert.ok(!matches('nome LIKE \'%silva\'', { nome: 'Ana SILVA' }));
+    assert.deepEqual(parsePredicate('a = 1 AND (b IN (1, 2) OR c IS NOT NULL)').columns.sort(), ['a', 'b', 'c']);
+});
+
+test('sementes inválidas são rejeitadas', () => {
+    assert.throws(() => parseSubsetSeeds(['customers']), /use tabela:filtro ou tabela:N%/);
+    assert.throws(() => parseSubsetSeeds(['customers:150%']), /Percentual inválido/);
+    assert.deepEqual(parseSubsetSeeds(['Customers:5%']).map(({ table, percent }) => ({ table, percent })), [{ table: 'public.customers', percent: 5 }]);
+});